@@ -1,8 +1,11 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import axios from 'axios';
+import { flushOutbox, setOutboxUser } from '../utils/offlineOutbox';
 
 const AuthContext = createContext();
 
+const userIdOf = user => (user ? user._id || user.id : null);
+
 export const useAuth = () => {
   const context = useContext(AuthContext);
   if (!context) {
@@ -49,8 +52,12 @@ export const AuthProvider = ({ children }) => {
       try {
         const response = await axios.get('/api/auth/me');
         setUser(response.data.user);
+        // Replay anything this user wrote offline in an earlier session
+        setOutboxUser(userIdOf(response.data.user));
+        flushOutbox();
       } catch (error) {
         console.error('Token verification failed:', error);
+        setOutboxUser(null);
         localStorage.removeItem('token');
         setToken(null);
       } finally {
@@ -68,6 +75,7 @@ export const AuthProvider = ({ children }) => {
       
       setToken(newToken);
       setUser(userData);
+      setOutboxUser(userIdOf(userData));
       localStorage.setItem('token', newToken);
       
       return { success: true };
@@ -86,6 +94,7 @@ export const AuthProvider = ({ children }) => {
       
       setToken(newToken);
       setUser(newUser);
+      setOutboxUser(userIdOf(newUser));
       localStorage.setItem('token', newToken);
       
       return { success: true };
@@ -103,6 +112,8 @@ export const AuthProvider = ({ children }) => {
     } catch (error) {
       console.error('Logout error:', error);
     } finally {
+      // Park anything still queued until its owner signs in again
+      setOutboxUser(null);
       setUser(null);
       setToken(null);
       localStorage.removeItem('token');
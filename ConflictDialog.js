@@ -0,0 +1,152 @@
+import React, { useState } from 'react';
+
+const describe = (field, value) => {
+  if (field.describe) return field.describe(value);
+  if (value === undefined || value === null || value === '') return '—';
+  if (typeof value === 'object') return 'Changed';
+  return String(value);
+};
+
+// Shown when a save is refused with 409. For each field that differs the user
+// picks their copy, the server's, or (where the field can combine) both.
+// Without fields it is a plain overwrite / keep-theirs choice.
+const ConflictDialog = ({
+  title = 'Someone else changed this',
+  message,
+  fields = [],
+  mine,
+  theirs,
+  overwriteLabel = 'Overwrite with mine',
+  discardLabel = 'Keep their version',
+  onOverwrite,
+  onMerge,
+  onDiscard,
+  onCancel
+}) => {
+  const changedFields = fields.filter(
+    field => JSON.stringify(mine?.[field.key]) !== JSON.stringify(theirs?.[field.key])
+  );
+  const [choices, setChoices] = useState(() =>
+    Object.fromEntries(changedFields.map(field => [field.key, field.combine ? 'both' : 'mine']))
+  );
+
+  const applyMerge = () => {
+    const merged = { ...theirs };
+    changedFields.forEach((field) => {
+      const choice = choices[field.key];
+      if (choice === 'mine') {
+        merged[field.key] = mine[field.key];
+      } else if (choice === 'both') {
+        merged[field.key] = field.combine(mine[field.key], theirs[field.key]);
+      }
+    });
+    onMerge(merged);
+  };
+
+  const buttonStyle = {
+    padding: '8px 16px',
+    border: '1px solid #e2e8f0',
+    borderRadius: '6px',
+    background: 'white',
+    cursor: 'pointer'
+  };
+
+  return (
+    <div style={{
+      position: 'fixed',
+      top: 0,
+      left: 0,
+      right: 0,
+      bottom: 0,
+      background: 'rgba(0, 0, 0, 0.5)',
+      display: 'flex',
+      alignItems: 'center',
+      justifyContent: 'center',
+      zIndex: 1100
+    }}>
+      <div style={{
+        background: 'white',
+        borderRadius: '12px',
+        width: '560px',
+        maxWidth: '90vw',
+        padding: '24px'
+      }}>
+        <h2 style={{ margin: 0, marginBottom: '8px', fontSize: '20px', fontWeight: '600' }}>
+          ⚠️ {title}
+        </h2>
+        <p style={{ color: '#64748b', marginBottom: '20px' }}>
+          {message || 'This was changed on the server after you loaded it. Choose how to resolve the conflict.'}
+        </p>
+
+        {onMerge && changedFields.length > 0 && (
+          <div style={{ border: '1px solid #e2e8f0', borderRadius: '8px', marginBottom: '20px' }}>
+            {changedFields.map((field) => (
+              <div
+                key={field.key}
+                style={{
+                  padding: '12px 16px',
+                  borderBottom: '1px solid #f3f4f6',
+                  display: 'flex',
+                  alignItems: 'center',
+                  justifyContent: 'space-between',
+                  gap: '12px'
+                }}
+              >
+                <div>
+                  <div style={{ fontWeight: '500' }}>{field.label}</div>
+                  <div style={{ fontSize: '12px', color: '#64748b' }}>
+                    Yours: {describe(field, mine?.[field.key])} · Theirs: {describe(field, theirs?.[field.key])}
+                  </div>
+                </div>
+                <select
+                  value={choices[field.key]}
+                  onChange={(e) => setChoices({ ...choices, [field.key]: e.target.value })}
+                  style={{
+                    padding: '6px 10px',
+                    border: '1px solid #d1d5db',
+                    borderRadius: '6px'
+                  }}
+                >
+                  <option value="mine">Keep mine</option>
+                  <option value="theirs">Keep theirs</option>
+                  {field.combine && <option value="both">Keep both</option>}
+                </select>
+              </div>
+            ))}
+          </div>
+        )}
+
+        <div style={{ display: 'flex', gap: '12px', justifyContent: 'flex-end', flexWrap: 'wrap' }}>
+          {onCancel && (
+            <button onClick={onCancel} style={buttonStyle}>
+              Cancel
+            </button>
+          )}
+          {onDiscard && (
+            <button onClick={onDiscard} style={buttonStyle}>
+              {discardLabel}
+            </button>
+          )}
+          {onMerge && changedFields.length > 0 && (
+            <button
+              onClick={applyMerge}
+              style={{ ...buttonStyle, border: 'none', background: '#667eea', color: 'white' }}
+            >
+              Save merged
+            </button>
+          )}
+          {onOverwrite && (
+            <button
+              onClick={onOverwrite}
+              style={{ ...buttonStyle, border: 'none', background: '#dc2626', color: 'white' }}
+            >
+              {overwriteLabel}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ConflictDialog;
@@ -3,6 +3,8 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import ConflictDialog from '../components/ConflictDialog';
+import { ifMatchHeaders, FORCE_HEADERS, isConflict, bulkRevisions, sendBulk } from '../utils/revision';
 
 const Dashboard = () => {
   const [projects, setProjects] = useState([]);
@@ -15,6 +17,7 @@ const Dashboard = () => {
   });
   const [loading, setLoading] = useState(true);
   const [showNewProject, setShowNewProject] = useState(false);
+  const [deleteConflict, setDeleteConflict] = useState(null);
   const [newProject, setNewProject] = useState({
     name: '',
     description: '',
@@ -128,18 +131,27 @@ const Dashboard = () => {
     }
   };
 
-  const handleDeleteProject = async (projectId) => {
-    if (window.confirm('Are you sure you want to delete this project?')) {
-      try {
-        await axios.delete(`/api/projects-crud/${projectId}`);
-        setProjects(projects.filter(p => p._id !== projectId));
-        toast.success('Project deleted successfully!');
-      } catch (error) {
+  const deleteProject = async (projectId, headers) => {
+    try {
+      await axios.delete(`/api/projects-crud/${projectId}`, { headers });
+      setProjects(projects => projects.filter(p => p._id !== projectId));
+      toast.success('Project deleted successfully!');
+    } catch (error) {
+      if (isConflict(error)) {
+        setDeleteConflict(error.response.data.project);
+      } else {
         toast.error('Failed to delete project');
       }
     }
   };
 
+  const handleDeleteProject = async (projectId) => {
+    if (window.confirm('Are you sure you want to delete this project?')) {
+      const project = projects.find(p => p._id === projectId);
+      await deleteProject(projectId, ifMatchHeaders(project));
+    }
+  };
+
   const handleDuplicateProject = async (projectId) => {
     try {
       const response = await axios.post(`/api/projects-crud/${projectId}/duplicate`);
@@ -169,51 +181,58 @@ const Dashboard = () => {
     }
   };
 
+  // Items someone else changed since they were loaded are left alone by the
+  // server: they take its copy and stay selected, and the rest are updated
+  const runBulk = async (request, update, message) => {
+    try {
+      const conflicts = await sendBulk(request);
+      const stale = new Map(conflicts.map(p => [p._id, p]));
+      const done = selectedProjects.filter(id => !stale.has(id));
+      setProjects(projects => update(projects.map(p => stale.get(p._id) || p), done));
+      setSelectedProjects([...stale.keys()]);
+      if (done.length > 0) toast.success(message);
+      if (stale.size > 0) {
+        const names = conflicts.map(p => `"${p.name}"`).join(', ');
+        toast.error(`${names} ${stale.size === 1 ? 'was' : 'were'} changed by someone else and left as ${stale.size === 1 ? 'it is' : 'they are'}. Check them and try again.`);
+      }
+    } catch (error) {
+      toast.error('Failed to perform bulk action');
+    }
+  };
+
   const handleBulkAction = async () => {
     if (selectedProjects.length === 0) {
       toast.error('Please select projects first');
       return;
     }
 
-    try {
-      switch (bulkAction) {
-        case 'delete':
-          if (window.confirm(`Are you sure you want to delete ${selectedProjects.length} projects?`)) {
-            await axios.delete('/api/projects-crud/bulk/delete', {
-              data: { projectIds: selectedProjects }
-            });
-            setProjects(projects.filter(p => !selectedProjects.includes(p._id)));
-            setSelectedProjects([]);
-            toast.success('Projects deleted successfully!');
-          }
-          break;
-        case 'archive':
-          await axios.patch('/api/projects-crud/bulk/status', {
-            projectIds: selectedProjects,
-            status: 'archived'
-          });
-          setProjects(projects.map(p => 
-            selectedProjects.includes(p._id) ? { ...p, status: 'archived' } : p
-          ));
-          setSelectedProjects([]);
-          toast.success('Projects archived successfully!');
-          break;
-        case 'activate':
-          await axios.patch('/api/projects-crud/bulk/status', {
-            projectIds: selectedProjects,
-            status: 'in-progress'
-          });
-          setProjects(projects.map(p => 
-            selectedProjects.includes(p._id) ? { ...p, status: 'in-progress' } : p
-          ));
-          setSelectedProjects([]);
-          toast.success('Projects activated successfully!');
-          break;
-        default:
-          toast.error('Please select an action');
-      }
-    } catch (error) {
-      toast.error('Failed to perform bulk action');
+    const revisions = bulkRevisions(projects, selectedProjects);
+    switch (bulkAction) {
+      case 'delete':
+        if (window.confirm(`Are you sure you want to delete ${selectedProjects.length} projects?`)) {
+          await runBulk(
+            () => axios.delete('/api/projects-crud/bulk/delete', { data: { projectIds: selectedProjects, revisions } }),
+            (list, done) => list.filter(p => !done.includes(p._id)),
+            'Projects deleted successfully!'
+          );
+        }
+        break;
+      case 'archive':
+        await runBulk(
+          () => axios.patch('/api/projects-crud/bulk/status', { projectIds: selectedProjects, status: 'archived', revisions }),
+          (list, done) => list.map(p => (done.includes(p._id) ? { ...p, status: 'archived' } : p)),
+          'Projects archived successfully!'
+        );
+        break;
+      case 'activate':
+        await runBulk(
+          () => axios.patch('/api/projects-crud/bulk/status', { projectIds: selectedProjects, status: 'in-progress', revisions }),
+          (list, done) => list.map(p => (done.includes(p._id) ? { ...p, status: 'in-progress' } : p)),
+          'Projects activated successfully!'
+        );
+        break;
+      default:
+        toast.error('Please select an action');
     }
     setBulkAction('');
   };
@@ -713,6 +732,23 @@ const Dashboard = () => {
           )}
         </div>
       </main>
+
+      {deleteConflict && (
+        <ConflictDialog
+          title="This project was changed by someone else"
+          message={`"${deleteConflict.name}" was edited after you loaded it. Delete it anyway, or keep their version?`}
+          overwriteLabel="Delete anyway"
+          onOverwrite={() => {
+            setDeleteConflict(null);
+            deleteProject(deleteConflict._id, FORCE_HEADERS);
+          }}
+          onDiscard={() => {
+            setProjects(projects => projects.map(p => (p._id === deleteConflict._id ? deleteConflict : p)));
+            setDeleteConflict(null);
+          }}
+          onCancel={() => setDeleteConflict(null)}
+        />
+      )}
     </div>
   );
 };
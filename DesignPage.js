@@ -1,11 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
 import SketchEditor from '../components/SketchEditor';
 import Simple3DViewer from '../components/Simple3DViewer';
+import ThreeDViewer from '../components/ThreeDViewer';
 import AIAssistant from '../components/AIAssistant';
 import EnhancedComments from '../components/EnhancedComments';
+import PresenceAvatars from '../components/PresenceAvatars';
+import RoomSchedule from '../components/RoomSchedule';
+import ConflictDialog from '../components/ConflictDialog';
+import { usePresence } from '../hooks/usePresence';
+import { MODEL_FILE_TYPES } from '../utils/modelImport';
+import { getBuildingLevels } from '../utils/levels';
+import { createFurnitureSaver } from '../utils/furniture';
 
 const DesignPage = () => {
   const { designId } = useParams();
@@ -15,6 +23,30 @@ const DesignPage = () => {
   const [activeTab, setActiveTab] = useState('overview');
   const [showSketchEditor, setShowSketchEditor] = useState(false);
   const [show3DViewer, setShow3DViewer] = useState(false);
+  const [viewedModelFile, setViewedModelFile] = useState(null); // an uploaded model shown instead of the design's
+  const [uploadingModel, setUploadingModel] = useState(false);
+  const [furnitureConflict, setFurnitureConflict] = useState(null); // the server's design
+  const modelInputRef = useRef(null);
+  const members = usePresence('design', designId);
+
+  // The latest design, for saves that go out after a render or two
+  const designRef = useRef(design);
+  designRef.current = design;
+  const updateDesign = (change) => {
+    designRef.current = change(designRef.current);
+    setDesign(designRef.current);
+  };
+
+  // Floor plans with walls are built into a 3D model, level by level, from
+  // their saved wall graphs, rooms and stairs; designs without any keep the
+  // simple preview
+  const sketchData = design?.sketchData;
+  const buildingLevels = useMemo(() => getBuildingLevels(sketchData), [sketchData]);
+  const planModelData = useMemo(() => (
+    buildingLevels.some(level => level.plan.walls?.walls?.length)
+      ? { ...design.metadata, levels: buildingLevels }
+      : null
+  ), [design?.metadata, buildingLevels]);
 
   useEffect(() => {
     fetchDesignData();
@@ -33,6 +65,66 @@ const DesignPage = () => {
     }
   };
 
+  const openModelFile = (file) => {
+    setViewedModelFile(file);
+    setShow3DViewer(true);
+  };
+
+  const close3DViewer = () => {
+    setShow3DViewer(false);
+    setViewedModelFile(null);
+  };
+
+  // Uploads a 3D model to the design's files and opens it in the viewer
+  const uploadModel = async (file) => {
+    const form = new FormData();
+    form.append('file', file);
+    const toastId = toast.loading(`Uploading ${file.name}...`);
+    setUploadingModel(true);
+    try {
+      const { data } = await axios.post(`/api/designs/${designId}/models`, form, {
+        onUploadProgress: (event) => {
+          if (event.total) {
+            toast.loading(`Uploading ${file.name}... ${Math.round((event.loaded / event.total) * 100)}%`, { id: toastId });
+          }
+        }
+      });
+      setDesign(prev => ({ ...prev, files: [...(prev.files || []), data.file] }));
+      toast.success(`${file.name} uploaded`, { id: toastId });
+      openModelFile(data.file);
+    } catch (error) {
+      toast.error(error.response?.data?.message || 'The model could not be uploaded', { id: toastId });
+    } finally {
+      setUploadingModel(false);
+    }
+  };
+
+  // Furniture arranged in the 3D viewer is kept in the design's metadata
+  const furnitureSaver = useMemo(() => createFurnitureSaver({
+    getDesign: () => designRef.current,
+    put: async (body, headers) => (await axios.put(`/api/designs/${designId}`, body, { headers })).data.design,
+    onSaved: saved => updateDesign(prev => ({ ...prev, updatedAt: saved?.updatedAt ?? prev.updatedAt })),
+    onConflict: setFurnitureConflict,
+    onError: (error) => {
+      console.error('Failed to save furniture:', error);
+      toast.error('Failed to save the furniture');
+    }
+  }), [designId]);
+
+  const saveModelUpdate = (update) => {
+    if (update.action !== 'furniture') return;
+    updateDesign(prev => ({ ...prev, metadata: { ...prev.metadata, furniture: update.furniture } }));
+    furnitureSaver.save();
+  };
+
+  // Puts our furniture on top of the server's copy, keeping the rest of theirs
+  const overwriteFurniture = () => {
+    const theirs = furnitureConflict;
+    setFurnitureConflict(null);
+    updateDesign(prev => ({ ...theirs, metadata: { ...theirs.metadata, furniture: prev.metadata?.furniture } }));
+    furnitureSaver.save();
+  };
+
   const getTypeIcon = (type) => {
     switch (type) {
       case 'sketch': return '✏️';
@@ -96,6 +188,7 @@ const DesignPage = () => {
             <h1 className="dashboard-title">{design.name}</h1>
           </div>
         </div>
+        <PresenceAvatars members={members} />
       </header>
 
       <main className="dashboard-content">
@@ -226,12 +319,46 @@ const DesignPage = () => {
                 </div>
               )}
             </div>
+
+            <div style={{ background: '#f8fafc', padding: '20px', borderRadius: '8px', marginTop: '20px' }}>
+              <h4 style={{ marginBottom: '12px' }}>Room Schedule</h4>
+              <RoomSchedule levels={buildingLevels} />
+            </div>
           </div>
         )}
 
         {activeTab === 'files' && (
           <div className="projects-section">
-            <h3 style={{ marginBottom: '16px' }}>Files</h3>
+            <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', marginBottom: '16px' }}>
+              <h3 style={{ margin: 0 }}>Files</h3>
+              <button
+                onClick={() => modelInputRef.current.click()}
+                disabled={uploadingModel}
+                title="glTF, GLB, OBJ, FBX or IFC, up to 100 MB"
+                style={{
+                  padding: '8px 12px',
+                  border: '1px solid #e2e8f0',
+                  borderRadius: '6px',
+                  background: 'white',
+                  cursor: uploadingModel ? 'not-allowed' : 'pointer',
+                  opacity: uploadingModel ? 0.5 : 1,
+                  fontSize: '14px'
+                }}
+              >
+                📥 Upload 3D model
+              </button>
+              <input
+                ref={modelInputRef}
+                type="file"
+                accept={MODEL_FILE_TYPES}
+                style={{ display: 'none' }}
+                onChange={(e) => {
+                  const [file] = e.target.files;
+                  e.target.value = '';
+                  if (file) uploadModel(file);
+                }}
+              />
+            </div>
             {design.files && design.files.length > 0 ? (
               <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '16px' }}>
                 {design.files.map((file, index) => (
@@ -242,7 +369,7 @@ const DesignPage = () => {
                     textAlign: 'center'
                   }}>
                     <div style={{ fontSize: '24px', marginBottom: '8px' }}>
-                      {file.type === 'image' ? '🖼️' : '📄'}
+                      {file.type === 'image' ? '🖼️' : file.type === 'model' ? '🧊' : '📄'}
                     </div>
                     <p style={{ fontSize: '14px', fontWeight: '500', marginBottom: '4px' }}>
                       {file.filename}
@@ -250,6 +377,22 @@ const DesignPage = () => {
                     <p style={{ fontSize: '12px', color: '#64748b' }}>
                       {(file.size / 1024).toFixed(1)} KB
                     </p>
+                    {file.type === 'model' && (
+                      <button
+                        onClick={() => openModelFile(file)}
+                        style={{
+                          marginTop: '8px',
+                          padding: '6px 10px',
+                          border: '1px solid #e2e8f0',
+                          borderRadius: '6px',
+                          background: 'white',
+                          cursor: 'pointer',
+                          fontSize: '13px'
+                        }}
+                      >
+                        🏗️ View in 3D
+                      </button>
+                    )}
                   </div>
                 ))}
               </div>
@@ -364,10 +507,10 @@ const DesignPage = () => {
               justifyContent: 'space-between'
             }}>
               <h2 style={{ margin: 0, fontSize: '20px', fontWeight: '600' }}>
-                3D Design Viewer
+                {viewedModelFile ? viewedModelFile.filename : '3D Design Viewer'}
               </h2>
               <button
-                onClick={() => setShow3DViewer(false)}
+                onClick={close3DViewer}
                 style={{
                   background: 'none',
                   border: 'none',
@@ -382,18 +525,40 @@ const DesignPage = () => {
 
             {/* 3D Viewer */}
             <div style={{ flex: 1, position: 'relative' }}>
-              <Simple3DViewer
-                modelData={design?.metadata}
-                onModelUpdate={(update) => {
-                  console.log('3D Model updated:', update);
-                }}
-                readOnly={false}
-              />
+              {viewedModelFile || planModelData ? (
+                <ThreeDViewer
+                  modelData={planModelData}
+                  modelFile={viewedModelFile}
+                  exportName={viewedModelFile ? viewedModelFile.filename.replace(/\.[^.]+$/, '') : design.name}
+                  onModelUpdate={saveModelUpdate}
+                  readOnly={false}
+                />
+              ) : (
+                <Simple3DViewer
+                  modelData={design?.metadata}
+                  exportName={design?.name}
+                  onModelUpdate={saveModelUpdate}
+                  readOnly={false}
+                />
+              )}
             </div>
           </div>
         </div>
       )}
 
+      {furnitureConflict && (
+        <ConflictDialog
+          title="This design was changed by someone else"
+          message="The design was saved elsewhere after you opened it, so your furniture wasn't saved. Save your furniture over theirs, or keep their version?"
+          overwriteLabel="Save my furniture"
+          onOverwrite={overwriteFurniture}
+          onDiscard={() => {
+            updateDesign(() => furnitureConflict);
+            setFurnitureConflict(null);
+          }}
+        />
+      )}
+
       {/* AI Assistant */}
       <AIAssistant 
         designId={designId}
@@ -1,13 +1,57 @@
 import React, { useRef, useEffect, useState } from 'react';
 import { fabric } from 'fabric';
+import RemoteCursors, { useRemoteCursors } from './RemoteCursors';
+import toast from 'react-hot-toast';
+import { useCanvasSync } from '../hooks/useCanvasSync';
+import { useLayers, createLayer } from '../hooks/useLayers';
+import { useCanvasHistory } from '../hooks/useCanvasHistory';
+import { useSnapping } from '../hooks/useSnapping';
+import { useDrawingTools } from '../hooks/useDrawingTools';
+import { useViewport, getExportArea } from '../hooks/useViewport';
+import { useUnderlays, UNDERLAY_LAYER } from '../hooks/useUnderlays';
+import { serializeCanvas, beginExternalChange, endExternalChange } from '../utils/canvasObjects';
+import { DRAWING_SCALES, DEFAULT_SCALE, getGridSteps, formatLength, parseLength, mmToPixels } from '../utils/units';
+import { watchWallLayout, fitSymbolToWall, buildWallGraph, getWallThicknesses } from '../utils/walls';
+import { createRoomLabel, getRoomSchedule } from '../utils/rooms';
+import { getStairSchedule } from '../utils/architecturalSymbols';
+import { exportDxf, readDxf, createObjectsFromDxf } from '../utils/dxf';
+import { createFabricScene, exportPdf, exportSvg, exportFileName, downloadFile } from '../utils/drawingExport';
+import { useAuth } from '../contexts/AuthContext';
+import LayerPanel from './LayerPanel';
+import SymbolPalette from './SymbolPalette';
+import RoomPanel from './RoomPanel';
+import Ruler, { useScaleGrid, RULER_SIZE } from './ScaleRulers';
+import Minimap, { ZoomControls } from './Minimap';
+import ExportOptions from './ExportOptions';
 
-const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
+// Stable ids let collaborators refer to the same object across clients
+const createObjectId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// `level` is the id of the building level whose plan this is, for live sync;
+// null for the design's main plan
+const DrawingCanvas = ({ onSave, initialData, initialHistory, readOnly = false, designId, level = null, drawingInfo = {} }) => {
   const canvasRef = useRef(null);
   const fabricCanvasRef = useRef(null);
+  const addObjectRef = useRef(null);
+  const underlayInputRef = useRef(null);
+  const dxfInputRef = useRef(null);
+  const { user } = useAuth();
+  const units = user?.preferences?.units || 'metric';
+  const [fabricCanvas, setFabricCanvas] = useState(null);
+  const [drawingScale, setDrawingScale] = useState(initialData?.scale || DEFAULT_SCALE);
+  const [gridSnap, setGridSnap] = useState('grid');
+  const [objectSnap, setObjectSnap] = useState(true);
   const [selectedTool, setSelectedTool] = useState('pen');
+  const [symbolType, setSymbolType] = useState('door');
+  const [wallThickness, setWallThickness] = useState(() => getWallThicknesses(units)[2]);
   const [brushSize, setBrushSize] = useState(2);
   const [brushColor, setBrushColor] = useState('#000000');
   const [isDrawing, setIsDrawing] = useState(false);
+  const [showMinimap, setShowMinimap] = useState(true);
+  const [calibration, setCalibration] = useState(null); // { a, b } picked on an underlay
+  const [calibrationLength, setCalibrationLength] = useState('');
+  const [importingUnderlay, setImportingUnderlay] = useState(false);
+  const [showExportOptions, setShowExportOptions] = useState(false);
 
   useEffect(() => {
     if (canvasRef.current) {
@@ -19,10 +63,13 @@ const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
       });
 
       fabricCanvasRef.current = canvas;
+      setFabricCanvas(canvas);
 
       // Load initial data if provided
       if (initialData) {
+        beginExternalChange(canvas);
         canvas.loadFromJSON(initialData, () => {
+          endExternalChange(canvas);
           canvas.renderAll();
         });
       }
@@ -31,6 +78,12 @@ const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
       canvas.freeDrawingBrush.width = brushSize;
       canvas.freeDrawingBrush.color = brushColor;
 
+      canvas.on('object:added', (e) => {
+        if (!e.target.id) {
+          e.target.id = createObjectId();
+        }
+      });
+
       // Handle drawing events
       canvas.on('path:created', (e) => {
         if (!readOnly) {
@@ -52,150 +105,357 @@ const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
       });
 
       return () => {
+        setFabricCanvas(null);
         canvas.dispose();
       };
     }
   }, [readOnly]);
 
+  const remoteCursors = useRemoteCursors(fabricCanvasRef, designId, readOnly, level);
+  // Layers come first: they place new objects before history and sync hear of them
+  const layerControls = useLayers(fabricCanvasRef, {
+    initialLayers: initialData?.layers,
+    readOnly,
+    onChange: (layers, previous) => {
+      canvasSync.sendLayers(layers);
+      history.recordLayers(previous, layers);
+    },
+    onReorder: (obj, from) => {
+      canvasSync.sendReorder(obj);
+      history.recordReorder(obj, from);
+    },
+    batch: fn => history.batch(fn)
+  });
+  const canvasSync = useCanvasSync(fabricCanvasRef, designId, readOnly, {
+    onLayers: layers => layerControls.replaceLayers(layers),
+    onScale: setDrawingScale,
+    level
+  });
+  const history = useCanvasHistory(fabricCanvasRef, {
+    readOnly,
+    initialHistory,
+    onReorder: obj => canvasSync.sendReorder(obj),
+    onLayers: (layers) => {
+      layerControls.replaceLayers(layers);
+      canvasSync.sendLayers(layers);
+    },
+    onScale: (scale) => {
+      setDrawingScale(scale);
+      canvasSync.sendScale(scale);
+    }
+  });
+  const canEditLayer = layerControls.isActiveLayerEditable;
+
+  useScaleGrid(fabricCanvas, { scale: drawingScale, units });
+  const snapping = useSnapping(fabricCanvas, { gridSnap, objectSnap, scale: drawingScale, units, readOnly });
+  const viewport = useViewport(fabricCanvas);
+  const underlays = useUnderlays(fabricCanvas, { designId, layerControls });
+  const underlayLayer = layerControls.layers.find(layer => layer.id === UNDERLAY_LAYER.id);
+
+  // Fixed snap steps and wall thicknesses are listed per unit system
+  useEffect(() => {
+    setGridSnap(current => (typeof current === 'number' ? 'grid' : current));
+    setWallThickness(current => (getWallThicknesses(units).includes(current) ? current : getWallThicknesses(units)[2]));
+  }, [units]);
+
+  // Walls are laid out together, and again only when they change
+  useEffect(() => {
+    if (!fabricCanvas) return;
+    return watchWallLayout(fabricCanvas);
+  }, [fabricCanvas]);
+
+  const changeScale = (scale) => {
+    if (readOnly || scale === drawingScale) return;
+    history.recordScale(drawingScale, scale);
+    canvasSync.sendScale(scale);
+    setDrawingScale(scale);
+  };
+
   useEffect(() => {
     if (fabricCanvasRef.current) {
       fabricCanvasRef.current.freeDrawingBrush.width = brushSize;
       fabricCanvasRef.current.freeDrawingBrush.color = brushColor;
-      fabricCanvasRef.current.isDrawingMode = selectedTool === 'pen' && !readOnly;
+      fabricCanvasRef.current.isDrawingMode = selectedTool === 'pen' && !readOnly && canEditLayer;
+    }
+  }, [brushSize, brushColor, selectedTool, readOnly, canEditLayer]);
+
+  // Puts a new object on the active layer, unless that layer can't take edits
+  const addObject = (obj) => {
+    if (!canEditLayer) {
+      toast.error(`The "${layerControls.activeLayer.name}" layer is hidden or locked`);
+      return false;
     }
-  }, [brushSize, brushColor, selectedTool, readOnly]);
+    fabricCanvasRef.current.add(layerControls.assignActiveLayer(obj));
+    return true;
+  };
+  addObjectRef.current = addObject;
+
+  useDrawingTools(fabricCanvas, {
+    tool: selectedTool,
+    style: { stroke: brushColor, strokeWidth: brushSize },
+    snapping,
+    addObject: obj => addObjectRef.current(obj),
+    onTextPlaced: () => setSelectedTool('select'),
+    symbolType,
+    scale: drawingScale,
+    // Doors and windows placed near a wall line up with it and cut an opening
+    adjustSymbol: symbol => fitSymbolToWall(fabricCanvas, symbol, 10 / fabricCanvas.getZoom()),
+    wallThickness: mmToPixels(wallThickness, drawingScale),
+    onCalibrate: (a, b) => {
+      setCalibration({ a, b });
+      setCalibrationLength('');
+    },
+    readOnly
+  });
 
+  // Shape tools draw through useDrawingTools; only the pen uses fabric's drawing mode
   const handleToolChange = (tool) => {
     setSelectedTool(tool);
+    setCalibration(null);
     if (fabricCanvasRef.current) {
-      switch (tool) {
-        case 'pen':
-          fabricCanvasRef.current.isDrawingMode = true;
-          break;
-        case 'select':
-          fabricCanvasRef.current.isDrawingMode = false;
-          break;
-        case 'text':
-          addText();
-          break;
-        case 'rectangle':
-          addRectangle();
-          break;
-        case 'circle':
-          addCircle();
-          break;
-        case 'line':
-          addLine();
-          break;
-        case 'arrow':
-          addArrow();
-          break;
-        default:
-          fabricCanvasRef.current.isDrawingMode = false;
-      }
+      fabricCanvasRef.current.isDrawingMode = tool === 'pen' && canEditLayer;
     }
   };
 
-  const addText = () => {
-    if (fabricCanvasRef.current && !readOnly) {
-      const text = new fabric.IText('Click to edit text', {
-        left: 100,
-        top: 100,
-        fontFamily: 'Arial',
-        fontSize: 20,
-        fill: brushColor
-      });
-      fabricCanvasRef.current.add(text);
-      fabricCanvasRef.current.setActiveObject(text);
-    }
+  const pickSymbol = (type) => {
+    setSymbolType(type);
+    handleToolChange('symbol');
   };
 
-  const addRectangle = () => {
-    if (fabricCanvasRef.current && !readOnly) {
-      const rect = new fabric.Rect({
-        left: 100,
-        top: 100,
-        width: 100,
-        height: 100,
-        fill: 'transparent',
-        stroke: brushColor,
-        strokeWidth: brushSize
-      });
-      fabricCanvasRef.current.add(rect);
+  // Rooms are named by a label inside them
+  const nameRoom = (room, name) => {
+    if (!room.label) {
+      addObject(createRoomLabel(room, name, drawingScale));
+      return;
+    }
+    if (!room.label.evented) {
+      toast.error(`"${room.name}" is labelled on a hidden or locked layer`);
+      return;
     }
+    room.label.set({ text: name });
+    fabricCanvasRef.current.requestRenderAll();
+    fabricCanvasRef.current.fire('object:modified', { target: room.label });
   };
 
-  const addCircle = () => {
-    if (fabricCanvasRef.current && !readOnly) {
-      const circle = new fabric.Circle({
-        left: 100,
-        top: 100,
-        radius: 50,
-        fill: 'transparent',
-        stroke: brushColor,
-        strokeWidth: brushSize
-      });
-      fabricCanvasRef.current.add(circle);
+  // PDFs are traced one page at a time
+  const handleUnderlayFile = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    if (!underlays.acceptedTypes.includes(file.type)) {
+      toast.error(file.type === 'application/pdf'
+        ? "This server can't read PDFs. Export the page as a PNG or JPEG and upload that instead."
+        : 'Underlays can be PNG or JPEG images');
+      return;
+    }
+
+    let page = 1;
+    if (file.type === 'application/pdf') {
+      const answer = window.prompt('Which page of the PDF do you want to trace?', '1');
+      if (answer === null) return;
+      page = parseInt(answer, 10);
+      if (!(page >= 1)) {
+        toast.error('Enter a page number');
+        return;
+      }
+    }
+
+    setImportingUnderlay(true);
+    try {
+      const upload = await underlays.importUnderlay(file, page);
+      toast.success(upload.pages > 1 ? `Page ${upload.page} of ${upload.pages} added as an underlay` : 'Underlay added');
+      handleToolChange('calibrate');
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setImportingUnderlay(false);
     }
   };
 
-  const addLine = () => {
-    if (fabricCanvasRef.current && !readOnly) {
-      const line = new fabric.Line([50, 100, 200, 100], {
-        stroke: brushColor,
-        strokeWidth: brushSize
-      });
-      fabricCanvasRef.current.add(line);
+  // DXF layers join the drawing's layers of the same name, or become new
+  // ones; layer 0 entities go on the active layer. Like any other edit, the
+  // import needs an editable active layer.
+  const handleDxfFile = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    const canvas = fabricCanvasRef.current;
+    if (!file || !canvas || readOnly) return;
+    if (!canEditLayer) {
+      toast.error(`The "${layerControls.activeLayer.name}" layer is hidden or locked`);
+      return;
     }
+
+    let drawing;
+    try {
+      drawing = readDxf(await file.text());
+    } catch (error) {
+      toast.error(error.message);
+      return;
+    }
+
+    const visible = canvas.calcViewportBoundaries();
+    const objects = createObjectsFromDxf(drawing, {
+      scale: drawingScale,
+      centre: { x: (visible.tl.x + visible.br.x) / 2, y: (visible.tl.y + visible.br.y) / 2 }
+    });
+
+    const layersByName = new Map(layerControls.layers.map(layer => [layer.name.toLowerCase(), layer]));
+    const addedLayers = [];
+    const layerFor = (name) => {
+      if (name === '0') return layerControls.activeLayer;
+      if (!layersByName.has(name.toLowerCase())) {
+        const layer = { ...createLayer(name), visible: drawing.layers.get(name)?.visible !== false };
+        layersByName.set(name.toLowerCase(), layer);
+        addedLayers.push(layer);
+      }
+      return layersByName.get(name.toLowerCase());
+    };
+    objects.forEach((obj) => {
+      obj.layerId = layerFor(obj.dxfLayer).id;
+      delete obj.dxfLayer;
+    });
+    const lockedLayer = layerControls.layers.find(
+      layer => layer.locked && objects.some(obj => obj.layerId === layer.id)
+    );
+    if (lockedLayer) {
+      toast.error(`The "${lockedLayer.name}" layer is locked`);
+      return;
+    }
+
+    layerControls.ensureLayers(addedLayers);
+    history.batch(() => objects.forEach(obj => canvas.add(obj)));
+    viewport.fitToContent();
+    toast.success(`Imported ${objects.length} ${objects.length === 1 ? 'shape' : 'shapes'} from ${file.name}`);
   };
 
-  const addArrow = () => {
-    if (fabricCanvasRef.current && !readOnly) {
-      const arrow = new fabric.Line([50, 100, 200, 100], {
-        stroke: brushColor,
-        strokeWidth: brushSize,
-        strokeDashArray: [5, 5]
-      });
-      fabricCanvasRef.current.add(arrow);
+  const applyCalibration = (e) => {
+    e.preventDefault();
+    const lengthMm = parseLength(calibrationLength, units);
+    if (!lengthMm) {
+      toast.error(units === 'imperial' ? 'Enter a length such as 12\' 6"' : 'Enter a length such as 4.2 m');
+      return;
     }
+    if (!underlays.calibrateUnderlay(calibration.a, calibration.b, lengthMm, drawingScale)) {
+      toast.error('Measure along an underlay to calibrate it');
+      return;
+    }
+    toast.success(`Underlay scaled to 1:${drawingScale}`);
+    setCalibration(null);
+    handleToolChange('select');
   };
 
+  // Clears the active layer; other layers, hidden and locked ones included, are left alone
   const clearCanvas = () => {
+    const canvas = fabricCanvasRef.current;
+    if (!canvas || readOnly) return;
+    if (!canEditLayer) {
+      toast.error(`The "${layerControls.activeLayer.name}" layer is hidden or locked`);
+      return;
+    }
+
+    const { layers, activeLayer } = layerControls;
+    const onActiveLayer = obj => (layers.find(layer => layer.id === obj.layerId) || layers[0]).id === activeLayer.id;
+    canvas.discardActiveObject();
+    history.batch(() => canvas.getObjects().filter(onActiveLayer).forEach(obj => canvas.remove(obj)));
+    canvas.requestRenderAll();
+  };
+
+  const getSelectedObjects = () => {
+    const active = fabricCanvasRef.current?.getActiveObject();
+    if (!active) return [];
+    return active.type === 'activeSelection' ? active.getObjects() : [active];
+  };
+
+  const bringToFront = () => {
     if (fabricCanvasRef.current && !readOnly) {
-      fabricCanvasRef.current.clear();
-      fabricCanvasRef.current.backgroundColor = '#ffffff';
+      history.batch(() => {
+        getSelectedObjects().forEach((obj) => {
+          const from = fabricCanvasRef.current.getObjects().indexOf(obj);
+          fabricCanvasRef.current.bringToFront(obj);
+          canvasSync.sendReorder(obj);
+          history.recordReorder(obj, from);
+        });
+        layerControls.restack(); // back within their layers
+      });
       fabricCanvasRef.current.renderAll();
     }
   };
 
-  const undo = () => {
+  const sendToBack = () => {
     if (fabricCanvasRef.current && !readOnly) {
-      const objects = fabricCanvasRef.current.getObjects();
-      if (objects.length > 0) {
-        fabricCanvasRef.current.remove(objects[objects.length - 1]);
-        fabricCanvasRef.current.renderAll();
-      }
+      history.batch(() => {
+        getSelectedObjects().reverse().forEach((obj) => {
+          const from = fabricCanvasRef.current.getObjects().indexOf(obj);
+          fabricCanvasRef.current.sendToBack(obj);
+          canvasSync.sendReorder(obj);
+          history.recordReorder(obj, from);
+        });
+        layerControls.restack(); // back within their layers
+      });
+      fabricCanvasRef.current.renderAll();
     }
   };
 
   const saveCanvas = () => {
     if (fabricCanvasRef.current && onSave) {
-      const canvasData = fabricCanvasRef.current.toJSON();
-      onSave(canvasData);
+      const canvasData = {
+        ...serializeCanvas(fabricCanvasRef.current),
+        layers: layerControls.layers,
+        scale: drawingScale
+      };
+      onSave(canvasData, history.toJSON(), {
+        walls: buildWallGraph(fabricCanvasRef.current, drawingScale),
+        rooms: getRoomSchedule(fabricCanvasRef.current),
+        stairs: getStairSchedule(fabricCanvasRef.current, drawingScale)
+      });
     }
   };
 
   const exportAsImage = () => {
     if (fabricCanvasRef.current) {
+      // The whole drawing, not just the part in view
       const dataURL = fabricCanvasRef.current.toDataURL({
         format: 'png',
-        quality: 1
+        quality: 1,
+        ...getExportArea(fabricCanvasRef.current)
       });
-      
-      const link = document.createElement('a');
-      link.download = 'sketch.png';
-      link.href = dataURL;
-      link.click();
+      // Exporting renders with its own viewport, which the rulers follow
+      fabricCanvasRef.current.requestRenderAll();
+
+      downloadFile(dataURL, exportFileName(drawingInfo.drawing, 'png'));
+    }
+  };
+
+  // Objects in a multiple selection are positioned relative to it, so vector
+  // exports release the selection first
+  const releaseSelection = () => {
+    fabricCanvasRef.current.discardActiveObject();
+    fabricCanvasRef.current.requestRenderAll();
+  };
+
+  // Real-world coordinates for CAD: millimetres, or inches for imperial users
+  const exportAsDxf = () => {
+    if (fabricCanvasRef.current) {
+      releaseSelection();
+      const dxf = exportDxf(fabricCanvasRef.current, { layers: layerControls.layers, scale: drawingScale, units });
+      downloadFile(dxf, exportFileName(drawingInfo.drawing, 'dxf'), 'application/dxf');
+    }
+  };
+
+  const exportDrawing = (format, options) => {
+    if (!fabricCanvasRef.current) return;
+    releaseSelection();
+    const scene = createFabricScene(fabricCanvasRef.current, { layers: layerControls.layers, scale: drawingScale });
+    try {
+      if (format === 'svg') {
+        downloadFile(exportSvg(scene, options), exportFileName(drawingInfo.drawing, 'svg'), 'image/svg+xml');
+      } else {
+        const info = { ...drawingInfo, date: new Date().toLocaleDateString() };
+        downloadFile(exportPdf(scene, { ...options, info }), exportFileName(drawingInfo.drawing, 'pdf'));
+      }
+      setShowExportOptions(false);
+    } catch (error) {
+      toast.error(error.message);
     }
   };
 
@@ -217,11 +477,14 @@ const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
             {[
               { id: 'pen', label: '✏️ Pen', title: 'Draw' },
               { id: 'select', label: '↖️ Select', title: 'Select' },
-              { id: 'text', label: '📝 Text', title: 'Add Text' },
-              { id: 'rectangle', label: '⬜ Rectangle', title: 'Rectangle' },
-              { id: 'circle', label: '⭕ Circle', title: 'Circle' },
-              { id: 'line', label: '📏 Line', title: 'Line' },
-              { id: 'arrow', label: '➡️ Arrow', title: 'Arrow' }
+              { id: 'text', label: '📝 Text', title: 'Add Text (click to place)' },
+              { id: 'rectangle', label: '⬜ Rectangle', title: 'Rectangle (drag corner to corner; hold Shift for a square)' },
+              { id: 'circle', label: '⭕ Circle', title: 'Circle (drag from the centre)' },
+              { id: 'line', label: '📏 Line', title: 'Line (drag; hold Shift to lock angles)' },
+              { id: 'wall', label: '🧱 Wall', title: 'Wall (click each corner; double-click, Enter or Esc to finish)' },
+              { id: 'polyline', label: '⛓️ Polyline', title: 'Polyline (click each point; double-click or Enter to finish, Esc to cancel)' },
+              { id: 'arrow', label: '➡️ Arrow', title: 'Arrow (drag from tail to head)' },
+              { id: 'dimension', label: '↔️ Dimension', title: 'Measure (drag between two points)' }
             ].map((tool) => (
               <button
                 key={tool.id}
@@ -265,10 +528,193 @@ const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
             />
           </div>
 
+          {selectedTool === 'wall' && (
+            <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+              <label style={{ fontSize: '14px', fontWeight: '500' }}>Wall:</label>
+              <select
+                value={wallThickness}
+                onChange={(e) => setWallThickness(Number(e.target.value))}
+                style={{
+                  padding: '6px 8px',
+                  border: '1px solid #e2e8f0',
+                  borderRadius: '6px',
+                  fontSize: '14px'
+                }}
+                title="Wall thickness"
+              >
+                {getWallThicknesses(units).map(thickness => (
+                  <option key={thickness} value={thickness}>{formatLength(thickness, units)}</option>
+                ))}
+              </select>
+            </div>
+          )}
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <input
+              ref={underlayInputRef}
+              type="file"
+              accept={underlays.acceptedTypes.join(',')}
+              onChange={handleUnderlayFile}
+              style={{ display: 'none' }}
+            />
+            <button
+              onClick={() => underlayInputRef.current.click()}
+              disabled={!designId || importingUnderlay}
+              style={{
+                padding: '8px 12px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: 'white',
+                cursor: designId && !importingUnderlay ? 'pointer' : 'not-allowed',
+                opacity: designId && !importingUnderlay ? 1 : 0.5,
+                fontSize: '14px'
+              }}
+              title={`Trace over a survey or existing plan (${underlays.acceptedTypes.includes('application/pdf') ? 'PNG, JPEG or PDF' : 'PNG or JPEG'})`}
+            >
+              {importingUnderlay ? '⏳ Uploading…' : '🖼️ Underlay'}
+            </button>
+            {underlays.hasUnderlays && (
+              <>
+                <button
+                  onClick={() => handleToolChange('calibrate')}
+                  style={{
+                    padding: '8px 12px',
+                    border: selectedTool === 'calibrate' ? '2px solid #667eea' : '1px solid #e2e8f0',
+                    borderRadius: '6px',
+                    background: selectedTool === 'calibrate' ? '#f0f4ff' : 'white',
+                    cursor: 'pointer',
+                    fontSize: '14px'
+                  }}
+                  title="Calibrate the underlay (drag between two points a known distance apart)"
+                >
+                  📐 Calibrate
+                </button>
+                {underlayLayer && (
+                  <input
+                    type="range"
+                    min="0.1"
+                    max="1"
+                    step="0.05"
+                    value={underlayLayer.opacity}
+                    onChange={(e) => layerControls.setOpacity(UNDERLAY_LAYER.id, parseFloat(e.target.value))}
+                    style={{ width: '80px' }}
+                    title={`Underlay opacity: ${Math.round(underlayLayer.opacity * 100)}%`}
+                  />
+                )}
+              </>
+            )}
+          </div>
+
+          {selectedTool === 'calibrate' && (
+            calibration ? (
+              <form onSubmit={applyCalibration} style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+                <label style={{ fontSize: '14px', fontWeight: '500' }}>Real length:</label>
+                <input
+                  autoFocus
+                  value={calibrationLength}
+                  onChange={(e) => setCalibrationLength(e.target.value)}
+                  placeholder={units === 'imperial' ? `12' 6"` : '4.2 m'}
+                  style={{
+                    width: '90px',
+                    padding: '6px 8px',
+                    border: '1px solid #e2e8f0',
+                    borderRadius: '6px',
+                    fontSize: '14px'
+                  }}
+                />
+                <button
+                  type="submit"
+                  style={{
+                    padding: '8px 12px',
+                    border: 'none',
+                    borderRadius: '6px',
+                    background: '#667eea',
+                    color: 'white',
+                    cursor: 'pointer',
+                    fontSize: '14px'
+                  }}
+                >
+                  Apply
+                </button>
+                <button
+                  type="button"
+                  onClick={() => setCalibration(null)}
+                  style={{
+                    padding: '8px 12px',
+                    border: '1px solid #e2e8f0',
+                    borderRadius: '6px',
+                    background: 'white',
+                    cursor: 'pointer',
+                    fontSize: '14px'
+                  }}
+                >
+                  Cancel
+                </button>
+              </form>
+            ) : (
+              <span style={{ fontSize: '14px', color: '#64748b' }}>
+                Drag between two points on the underlay whose real distance you know
+              </span>
+            )
+          )}
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <label style={{ fontSize: '14px', fontWeight: '500' }}>Scale:</label>
+            <select
+              value={drawingScale}
+              onChange={(e) => changeScale(parseInt(e.target.value))}
+              style={{
+                padding: '6px 8px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                fontSize: '14px'
+              }}
+            >
+              {(DRAWING_SCALES.includes(drawingScale) ? DRAWING_SCALES : [...DRAWING_SCALES, drawingScale]).map(scale => (
+                <option key={scale} value={scale}>1:{scale}</option>
+              ))}
+            </select>
+          </div>
+
+          <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
+            <label style={{ fontSize: '14px', fontWeight: '500' }}>Snap:</label>
+            <select
+              value={gridSnap}
+              onChange={(e) => setGridSnap(['off', 'grid'].includes(e.target.value) ? e.target.value : Number(e.target.value))}
+              style={{
+                padding: '6px 8px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                fontSize: '14px'
+              }}
+              title="Grid snapping"
+            >
+              <option value="off">No grid</option>
+              <option value="grid">Grid lines</option>
+              {getGridSteps(units).slice(0, 6).map(step => (
+                <option key={step} value={step}>{formatLength(step, units)}</option>
+              ))}
+            </select>
+            <button
+              onClick={() => setObjectSnap(!objectSnap)}
+              style={{
+                padding: '8px 12px',
+                border: objectSnap ? '2px solid #667eea' : '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: objectSnap ? '#f0f4ff' : 'white',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+              title="Snap to endpoints, midpoints and intersections (hold Shift to lock angles)"
+            >
+              🧲 Objects
+            </button>
+          </div>
+
           {/* Actions */}
           <div style={{ display: 'flex', gap: '8px', marginLeft: 'auto' }}>
             <button
-              onClick={undo}
+              onClick={bringToFront}
               style={{
                 padding: '8px 12px',
                 border: '1px solid #e2e8f0',
@@ -277,11 +723,59 @@ const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
                 cursor: 'pointer',
                 fontSize: '14px'
               }}
+              title="Bring to Front"
+            >
+              ⤒ Front
+            </button>
+            <button
+              onClick={sendToBack}
+              style={{
+                padding: '8px 12px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: 'white',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+              title="Send to Back"
+            >
+              ⤓ Back
+            </button>
+            <button
+              onClick={history.undo}
+              disabled={!history.canUndo}
+              style={{
+                padding: '8px 12px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: 'white',
+                cursor: history.canUndo ? 'pointer' : 'not-allowed',
+                opacity: history.canUndo ? 1 : 0.5,
+                fontSize: '14px'
+              }}
+              title="Undo (Ctrl+Z)"
             >
               ↶ Undo
             </button>
+            <button
+              onClick={history.redo}
+              disabled={!history.canRedo}
+              style={{
+                padding: '8px 12px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: 'white',
+                cursor: history.canRedo ? 'pointer' : 'not-allowed',
+                opacity: history.canRedo ? 1 : 0.5,
+                fontSize: '14px'
+              }}
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              ↷ Redo
+            </button>
             <button
               onClick={clearCanvas}
+              title={`Remove everything on the "${layerControls.activeLayer.name}" layer`}
               style={{
                 padding: '8px 12px',
                 border: '1px solid #e2e8f0',
@@ -291,7 +785,7 @@ const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
                 fontSize: '14px'
               }}
             >
-              🗑️ Clear
+              🗑️ Clear layer
             </button>
             <button
               onClick={exportAsImage}
@@ -306,6 +800,55 @@ const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
             >
               💾 Export
             </button>
+            <button
+              onClick={exportAsDxf}
+              style={{
+                padding: '8px 12px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: 'white',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+              title="Export as DXF for CAD"
+            >
+              📤 DXF
+            </button>
+            <input
+              ref={dxfInputRef}
+              type="file"
+              accept=".dxf"
+              onChange={handleDxfFile}
+              style={{ display: 'none' }}
+            />
+            <button
+              onClick={() => dxfInputRef.current.click()}
+              style={{
+                padding: '8px 12px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: 'white',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+              title="Import a DXF drawing as editable shapes"
+            >
+              📥 DXF
+            </button>
+            <button
+              onClick={() => setShowExportOptions(shown => !shown)}
+              style={{
+                padding: '8px 12px',
+                border: showExportOptions ? '2px solid #667eea' : '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: showExportOptions ? '#f0f4ff' : 'white',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+              title="Export as a PDF sheet with a title block, or as SVG"
+            >
+              🖨️ PDF / SVG
+            </button>
             <button
               onClick={saveCanvas}
               style={{
@@ -322,12 +865,74 @@ const DrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
               💾 Save
             </button>
           </div>
+
+          {showExportOptions && (
+            <div style={{ flexBasis: '100%' }}>
+              <ExportOptions
+                units={units}
+                defaultScale={drawingScale}
+                onExport={exportDrawing}
+                onClose={() => setShowExportOptions(false)}
+              />
+            </div>
+          )}
         </div>
       )}
 
+      {!readOnly && (
+        <SymbolPalette
+          canvas={fabricCanvas}
+          activeSymbol={selectedTool === 'symbol' ? symbolType : null}
+          onPick={pickSymbol}
+          units={units}
+        />
+      )}
+
       {/* Canvas */}
-      <div style={{ display: 'flex', justifyContent: 'center', background: '#ffffff' }}>
-        <canvas ref={canvasRef} />
+      <div style={{ display: 'flex', background: '#ffffff' }}>
+        <div style={{ flex: 1, display: 'flex', justifyContent: 'center' }}>
+          <div>
+            <div style={{ display: 'flex' }}>
+              <div style={{ width: RULER_SIZE, height: RULER_SIZE, background: '#f8fafc' }} title={`Scale 1:${drawingScale}`} />
+              <Ruler canvas={fabricCanvas} orientation="horizontal" scale={drawingScale} units={units} />
+            </div>
+            <div style={{ display: 'flex' }}>
+              <Ruler canvas={fabricCanvas} orientation="vertical" scale={drawingScale} units={units} />
+              <div style={{ position: 'relative' }}>
+                <canvas ref={canvasRef} />
+                <RemoteCursors cursors={remoteCursors} canvas={fabricCanvas} />
+                {fabricCanvas && showMinimap && (
+                  <Minimap
+                    getScene={viewport.getScene}
+                    subscribe={viewport.subscribe}
+                    onNavigate={viewport.navigate}
+                  />
+                )}
+                {fabricCanvas && (
+                  <ZoomControls
+                    zoom={viewport.zoom}
+                    onZoomIn={viewport.zoomIn}
+                    onZoomOut={viewport.zoomOut}
+                    onReset={viewport.resetZoom}
+                    onFit={viewport.fitToContent}
+                    showMinimap={showMinimap}
+                    onToggleMinimap={() => setShowMinimap(!showMinimap)}
+                  />
+                )}
+              </div>
+            </div>
+          </div>
+        </div>
+        <div style={{ display: 'flex', flexDirection: 'column' }}>
+          <LayerPanel
+            controls={{
+              ...layerControls,
+              moveSelectionToLayer: id => history.batch(() => layerControls.moveSelectionToLayer(id))
+            }}
+            readOnly={readOnly}
+          />
+          <RoomPanel canvas={fabricCanvas} units={units} onNameRoom={nameRoom} readOnly={readOnly} />
+        </div>
       </div>
 
       {readOnly && (
@@ -1,6 +1,8 @@
 import React, { useState, useEffect } from 'react';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { useAuth } from '../contexts/AuthContext';
+import { submitOrQueue, subscribe, discardEntry } from '../utils/offlineOutbox';
 
 const EnhancedComments = ({ designId, onCommentUpdate }) => {
   const [comments, setComments] = useState([]);
@@ -13,12 +15,30 @@ const EnhancedComments = ({ designId, onCommentUpdate }) => {
   const [sort, setSort] = useState('newest');
   const [stats, setStats] = useState(null);
   const [showResolved, setShowResolved] = useState(false);
+  const { user } = useAuth();
 
   useEffect(() => {
     fetchComments();
     fetchStats();
   }, [designId, filter, sort]);
 
+  // Swap placeholders for the real comments once offline posts go through
+  useEffect(() => {
+    return subscribe(({ type, entry }) => {
+      if (entry.kind !== 'comment' || entry.designId !== designId) return;
+      if (type === 'synced') {
+        fetchComments();
+        fetchStats();
+      } else if (type === 'failed') {
+        toast.error('A comment written offline could not be posted');
+        fetchComments();
+      } else if (type === 'undeliverable') {
+        toast.error('A comment written offline could not be posted: you no longer have access to this design');
+        discardEntry(entry.id).then(fetchComments);
+      }
+    });
+  }, [designId, filter, sort]);
+
   const fetchComments = async () => {
     try {
       const response = await axios.get(`/api/comments/design/${designId}`, {
@@ -46,20 +66,40 @@ const EnhancedComments = ({ designId, onCommentUpdate }) => {
     e.preventDefault();
     if (!newComment.trim()) return;
 
+    const commentData = {
+      content: newComment,
+      designId,
+      parentCommentId: replyTo,
+      priority,
+      tags
+    };
+
     try {
-      const response = await axios.post('/api/comments', {
-        content: newComment,
+      const result = await submitOrQueue({
+        kind: 'comment',
         designId,
-        parentCommentId: replyTo,
-        priority,
-        tags
+        method: 'post',
+        url: '/api/comments',
+        data: commentData
       });
 
-      setComments([response.data.comment, ...comments]);
+      if (result.status === 'queued') {
+        // Placeholder until the outbox replays it
+        setComments([{
+          ...commentData,
+          _id: `pending-${result.entry.id}`,
+          author: { firstName: user?.firstName || '', lastName: user?.lastName || '' },
+          createdAt: new Date().toISOString(),
+          isPending: true
+        }, ...comments]);
+        toast('You are offline. The comment will be posted when you reconnect.', { icon: '📡' });
+      } else {
+        setComments([result.response.data.comment, ...comments]);
+        toast.success('Comment added successfully!');
+      }
       setNewComment('');
       setReplyTo(null);
       setTags([]);
-      toast.success('Comment added successfully!');
       
       if (onCommentUpdate) {
         onCommentUpdate();
@@ -398,6 +438,19 @@ const EnhancedComments = ({ designId, onCommentUpdate }) => {
                 </div>
 
                 <div style={{ display: 'flex', gap: '8px', alignItems: 'center' }}>
+                  {comment.isPending && (
+                    <span style={{ 
+                      background: '#94a3b8', 
+                      color: 'white', 
+                      padding: '2px 6px', 
+                      borderRadius: '4px', 
+                      fontSize: '10px',
+                      fontWeight: '600'
+                    }}>
+                      📡 NOT SYNCED
+                    </span>
+                  )}
+
                   {comment.isPinned && (
                     <span style={{ 
                       background: '#f59e0b', 
@@ -499,77 +552,79 @@ const EnhancedComments = ({ designId, onCommentUpdate }) => {
               </div>
 
               {/* Actions */}
-              <div style={{ 
-                display: 'flex', 
-                gap: '8px', 
-                flexWrap: 'wrap',
-                borderTop: '1px solid #f3f4f6',
-                paddingTop: '12px'
-              }}>
-                <button
-                  onClick={() => setReplyTo(comment._id)}
-                  style={{
-                    padding: '4px 8px',
-                    border: '1px solid #e2e8f0',
-                    borderRadius: '4px',
-                    background: 'white',
-                    cursor: 'pointer',
-                    fontSize: '12px',
-                    color: '#64748b'
-                  }}
-                >
-                  💬 Reply
-                </button>
-
-                <button
-                  onClick={() => addReaction(comment._id, 'like')}
-                  style={{
-                    padding: '4px 8px',
-                    border: '1px solid #e2e8f0',
-                    borderRadius: '4px',
-                    background: 'white',
-                    cursor: 'pointer',
-                    fontSize: '12px',
-                    color: '#64748b'
-                  }}
-                >
-                  👍 Like
-                </button>
-
-                {!comment.isResolved && (
+              {!comment.isPending && (
+                <div style={{ 
+                  display: 'flex', 
+                  gap: '8px', 
+                  flexWrap: 'wrap',
+                  borderTop: '1px solid #f3f4f6',
+                  paddingTop: '12px'
+                }}>
                   <button
-                    onClick={() => resolveComment(comment._id)}
+                    onClick={() => setReplyTo(comment._id)}
                     style={{
                       padding: '4px 8px',
-                      border: '1px solid #10b981',
+                      border: '1px solid #e2e8f0',
                       borderRadius: '4px',
-                      background: '#f0fdf4',
+                      background: 'white',
                       cursor: 'pointer',
                       fontSize: '12px',
-                      color: '#10b981'
+                      color: '#64748b'
                     }}
                   >
-                    ✅ Resolve
+                    💬 Reply
                   </button>
-                )}
 
-                {!comment.isPinned && (
                   <button
-                    onClick={() => pinComment(comment._id)}
+                    onClick={() => addReaction(comment._id, 'like')}
                     style={{
                       padding: '4px 8px',
-                      border: '1px solid #f59e0b',
+                      border: '1px solid #e2e8f0',
                       borderRadius: '4px',
-                      background: '#fef3c7',
+                      background: 'white',
                       cursor: 'pointer',
                       fontSize: '12px',
-                      color: '#f59e0b'
+                      color: '#64748b'
                     }}
                   >
-                    📌 Pin
+                    👍 Like
                   </button>
-                )}
-              </div>
+
+                  {!comment.isResolved && (
+                    <button
+                      onClick={() => resolveComment(comment._id)}
+                      style={{
+                        padding: '4px 8px',
+                        border: '1px solid #10b981',
+                        borderRadius: '4px',
+                        background: '#f0fdf4',
+                        cursor: 'pointer',
+                        fontSize: '12px',
+                        color: '#10b981'
+                      }}
+                    >
+                      ✅ Resolve
+                    </button>
+                  )}
+
+                  {!comment.isPinned && (
+                    <button
+                      onClick={() => pinComment(comment._id)}
+                      style={{
+                        padding: '4px 8px',
+                        border: '1px solid #f59e0b',
+                        borderRadius: '4px',
+                        background: '#fef3c7',
+                        cursor: 'pointer',
+                        fontSize: '12px',
+                        color: '#f59e0b'
+                      }}
+                    >
+                      📌 Pin
+                    </button>
+                  )}
+                </div>
+              )}
             </div>
           ))
         )}
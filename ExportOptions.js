@@ -0,0 +1,83 @@
+import React, { useState } from 'react';
+import { DRAWING_SCALES } from '../utils/units';
+import { PAPER_SIZES, DEFAULT_PAPER_SIZE } from '../utils/drawingExport';
+
+const selectStyle = {
+  padding: '6px 8px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  fontSize: '14px'
+};
+
+const buttonStyle = {
+  padding: '8px 12px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+// Paper size, orientation and scale for a PDF or SVG export.
+// onExport(format, { paperSize, orientation, scale }) with format 'pdf' or
+// 'svg' and scale a drawing scale or 'fit'. Drawings that aren't to scale
+// (`scaled` false) are always fitted to the sheet.
+const ExportOptions = ({ units = 'metric', scaled = true, defaultScale = 'fit', busy = false, onExport, onClose }) => {
+  const [paperSize, setPaperSize] = useState(DEFAULT_PAPER_SIZE[units] || DEFAULT_PAPER_SIZE.metric);
+  const [orientation, setOrientation] = useState('landscape');
+  const [scale, setScale] = useState(defaultScale);
+
+  const options = { paperSize, orientation, scale: scaled ? scale : 'fit' };
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap' }}>
+      <label style={{ fontSize: '14px', fontWeight: '500' }}>Paper:</label>
+      <select value={paperSize} onChange={(e) => setPaperSize(e.target.value)} style={selectStyle}>
+        {Object.keys(PAPER_SIZES).map(size => (
+          <option key={size} value={size}>{size}</option>
+        ))}
+      </select>
+      <select value={orientation} onChange={(e) => setOrientation(e.target.value)} style={selectStyle}>
+        <option value="landscape">Landscape</option>
+        <option value="portrait">Portrait</option>
+      </select>
+      {scaled && (
+        <>
+          <label style={{ fontSize: '14px', fontWeight: '500' }}>Print at:</label>
+          <select
+            value={scale}
+            onChange={(e) => setScale(e.target.value === 'fit' ? 'fit' : Number(e.target.value))}
+            style={selectStyle}
+            title="Drawings too big for one sheet at this scale are split over several"
+          >
+            <option value="fit">Fit to sheet</option>
+            {DRAWING_SCALES.map(option => (
+              <option key={option} value={option}>1:{option}</option>
+            ))}
+          </select>
+        </>
+      )}
+      <button
+        onClick={() => onExport('pdf', options)}
+        disabled={busy}
+        style={{ ...buttonStyle, cursor: busy ? 'not-allowed' : 'pointer', opacity: busy ? 0.5 : 1 }}
+      >
+        📄 PDF
+      </button>
+      <button
+        onClick={() => onExport('svg', options)}
+        disabled={busy}
+        style={{ ...buttonStyle, cursor: busy ? 'not-allowed' : 'pointer', opacity: busy ? 0.5 : 1 }}
+      >
+        🖋️ SVG
+      </button>
+      {onClose && (
+        <button onClick={onClose} style={buttonStyle}>
+          Cancel
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ExportOptions;
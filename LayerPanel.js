@@ -0,0 +1,217 @@
+import React, { useState } from 'react';
+
+const iconButtonStyle = {
+  padding: '2px 6px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '4px',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Layer list for DrawingCanvas (see useLayers), top of the stack first.
+// Read-only viewers only get the visibility toggles.
+const LayerPanel = ({ controls, readOnly = false }) => {
+  const [newLayerName, setNewLayerName] = useState('');
+  const [editingId, setEditingId] = useState(null);
+  const [editingName, setEditingName] = useState('');
+
+  const { layers, activeLayer } = controls;
+
+  const finishRename = () => {
+    controls.renameLayer(editingId, editingName);
+    setEditingId(null);
+  };
+
+  const handleAddLayer = (e) => {
+    e.preventDefault();
+    controls.addLayer(newLayerName);
+    setNewLayerName('');
+  };
+
+  return (
+    <div style={{
+      width: '240px',
+      borderLeft: '1px solid #e2e8f0',
+      background: '#f8fafc',
+      display: 'flex',
+      flexDirection: 'column'
+    }}>
+      <div style={{ padding: '12px', borderBottom: '1px solid #e2e8f0', fontWeight: '600', fontSize: '14px' }}>
+        Layers
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto' }}>
+        {layers.map((layer, index) => ({ layer, index })).reverse().map(({ layer, index }) => {
+          const isActive = !readOnly && layer.id === activeLayer.id;
+          const visible = controls.isVisible(layer);
+
+          return (
+            <div
+              key={layer.id}
+              onClick={() => !readOnly && controls.setActiveLayerId(layer.id)}
+              style={{
+                padding: '8px 12px',
+                borderBottom: '1px solid #f3f4f6',
+                background: isActive ? '#f0f4ff' : 'transparent',
+                borderLeft: isActive ? '3px solid #667eea' : '3px solid transparent',
+                cursor: readOnly ? 'default' : 'pointer'
+              }}
+            >
+              <div style={{ display: 'flex', alignItems: 'center', gap: '6px' }}>
+                <button
+                  onClick={(e) => {
+                    e.stopPropagation();
+                    controls.toggleVisibility(layer.id);
+                  }}
+                  style={iconButtonStyle}
+                  title={visible ? 'Hide layer' : 'Show layer'}
+                >
+                  {visible ? '👁️' : '🚫'}
+                </button>
+                {!readOnly && (
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      controls.toggleLock(layer.id);
+                    }}
+                    style={iconButtonStyle}
+                    title={layer.locked ? 'Unlock layer' : 'Lock layer'}
+                  >
+                    {layer.locked ? '🔒' : '🔓'}
+                  </button>
+                )}
+
+                {editingId === layer.id ? (
+                  <input
+                    autoFocus
+                    value={editingName}
+                    onChange={(e) => setEditingName(e.target.value)}
+                    onBlur={finishRename}
+                    onKeyDown={(e) => {
+                      if (e.key === 'Enter') finishRename();
+                      if (e.key === 'Escape') setEditingId(null);
+                    }}
+                    onClick={(e) => e.stopPropagation()}
+                    style={{ flex: 1, minWidth: 0, padding: '2px 4px', fontSize: '13px' }}
+                  />
+                ) : (
+                  <span
+                    onDoubleClick={() => {
+                      if (readOnly) return;
+                      setEditingId(layer.id);
+                      setEditingName(layer.name);
+                    }}
+                    style={{
+                      flex: 1,
+                      fontSize: '13px',
+                      color: visible ? '#1e293b' : '#94a3b8',
+                      overflow: 'hidden',
+                      textOverflow: 'ellipsis',
+                      whiteSpace: 'nowrap'
+                    }}
+                    title={readOnly ? layer.name : 'Double-click to rename'}
+                  >
+                    {layer.name}
+                  </span>
+                )}
+
+                {!readOnly && (
+                  <>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        controls.moveLayer(layer.id, 1);
+                      }}
+                      disabled={index === layers.length - 1}
+                      style={iconButtonStyle}
+                      title="Move layer up"
+                    >
+                      ▲
+                    </button>
+                    <button
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        controls.moveLayer(layer.id, -1);
+                      }}
+                      disabled={index === 0}
+                      style={iconButtonStyle}
+                      title="Move layer down"
+                    >
+                      ▼
+                    </button>
+                  </>
+                )}
+              </div>
+
+              {!readOnly && (
+                <div
+                  style={{ display: 'flex', alignItems: 'center', gap: '6px', marginTop: '6px' }}
+                  onClick={(e) => e.stopPropagation()}
+                >
+                  <span style={{ fontSize: '11px', color: '#64748b' }}>Opacity</span>
+                  <input
+                    type="range"
+                    min="0"
+                    max="100"
+                    value={Math.round(layer.opacity * 100)}
+                    onChange={(e) => controls.setOpacity(layer.id, parseInt(e.target.value) / 100)}
+                    style={{ flex: 1 }}
+                  />
+                  <span style={{ fontSize: '11px', color: '#64748b', width: '32px', textAlign: 'right' }}>
+                    {Math.round(layer.opacity * 100)}%
+                  </span>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+
+      {!readOnly && (
+        <div style={{ padding: '12px', borderTop: '1px solid #e2e8f0', display: 'flex', flexDirection: 'column', gap: '8px' }}>
+          <button
+            onClick={() => controls.moveSelectionToLayer(activeLayer.id)}
+            style={{ ...iconButtonStyle, padding: '6px 8px', fontSize: '13px' }}
+            title="Move the selected objects onto the active layer"
+          >
+            ⇄ Move selection to "{activeLayer.name}"
+          </button>
+          <form onSubmit={handleAddLayer} style={{ display: 'flex', gap: '6px' }}>
+            <input
+              type="text"
+              value={newLayerName}
+              onChange={(e) => setNewLayerName(e.target.value)}
+              placeholder="New layer name"
+              style={{
+                flex: 1,
+                minWidth: 0,
+                padding: '6px 8px',
+                border: '1px solid #d1d5db',
+                borderRadius: '4px',
+                fontSize: '13px'
+              }}
+            />
+            <button
+              type="submit"
+              disabled={!newLayerName.trim()}
+              style={{
+                padding: '6px 10px',
+                border: 'none',
+                borderRadius: '4px',
+                background: '#667eea',
+                color: 'white',
+                cursor: 'pointer',
+                fontSize: '13px'
+              }}
+            >
+              Add
+            </button>
+          </form>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default LayerPanel;
@@ -0,0 +1,91 @@
+import React, { useState, useEffect } from 'react';
+import { formatLength, parseLength } from '../utils/units';
+import { MAIN_LEVEL_ID } from '../utils/levels';
+
+const buttonStyle = {
+  padding: '8px 12px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: '14px'
+};
+
+const fieldStyle = {
+  padding: '6px 8px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  fontSize: '14px'
+};
+
+const labelStyle = { fontSize: '14px', fontWeight: '500' };
+
+// Level picker for the floor plan editor (see utils/levels): which level's
+// plan is being drawn, and that level's name, floor-to-floor height and slab
+// thickness. Edits are committed on Enter or when a field loses focus.
+const LevelBar = ({ levels, activeLevel, units = 'metric', readOnly = false, onSelect, onChange, onAdd, onRemove }) => {
+  const level = levels.find(candidate => candidate.id === activeLevel) || levels[0];
+  const [draft, setDraft] = useState({});
+
+  useEffect(() => {
+    setDraft({
+      name: level.name,
+      height: formatLength(level.height, units),
+      slabThickness: formatLength(level.slabThickness, units)
+    });
+  }, [level.id, level.name, level.height, level.slabThickness, units]);
+
+  const commit = (field) => {
+    const value = field === 'name' ? draft.name.trim() : parseLength(draft[field], units);
+    if (!value || value === level[field]) {
+      setDraft(current => ({
+        ...current,
+        [field]: field === 'name' ? level.name : formatLength(level[field], units)
+      }));
+      return;
+    }
+    onChange(levels.map(candidate => (candidate.id === level.id ? { ...candidate, [field]: value } : candidate)));
+  };
+
+  const fieldProps = field => ({
+    value: draft[field] ?? '',
+    disabled: readOnly,
+    onChange: e => setDraft(current => ({ ...current, [field]: e.target.value })),
+    onBlur: () => commit(field),
+    onKeyDown: e => e.key === 'Enter' && e.target.blur()
+  });
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', marginBottom: '12px' }}>
+      <label style={labelStyle}>Level:</label>
+      <select value={level.id} onChange={(e) => onSelect(e.target.value)} style={fieldStyle}>
+        {[...levels].reverse().map(candidate => (
+          <option key={candidate.id} value={candidate.id}>{candidate.name}</option>
+        ))}
+      </select>
+      <input {...fieldProps('name')} style={{ ...fieldStyle, width: '140px' }} title="Level name" />
+      <label style={labelStyle}>Floor to floor:</label>
+      <input {...fieldProps('height')} style={{ ...fieldStyle, width: '80px' }} />
+      <label style={labelStyle}>Slab:</label>
+      <input {...fieldProps('slabThickness')} style={{ ...fieldStyle, width: '80px' }} />
+      {!readOnly && (
+        <>
+          <button onClick={onAdd} style={buttonStyle} title="Add a level on top of the building">
+            ➕ Level
+          </button>
+          {level.id !== MAIN_LEVEL_ID && (
+            <button
+              onClick={() => onRemove(level.id)}
+              style={{ ...buttonStyle, color: '#ef4444' }}
+              title="Delete this level and its plan"
+            >
+              🗑️
+            </button>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default LevelBar;
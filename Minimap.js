@@ -0,0 +1,153 @@
+import React, { useEffect, useRef } from 'react';
+import { unionBounds } from '../utils/viewport';
+
+const MINIMAP_WIDTH = 160;
+const MINIMAP_HEIGHT = 120;
+const PADDING = 6;
+const REDRAW_DELAY = 150; // ms; the minimap trails the drawing while it is busy
+
+const controlStyle = {
+  padding: '4px 8px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+// Zoom buttons overlaid on a drawing canvas
+export const ZoomControls = ({ zoom, onZoomIn, onZoomOut, onReset, onFit, showMinimap, onToggleMinimap }) => (
+  <div style={{ position: 'absolute', left: '8px', bottom: '8px', display: 'flex', gap: '4px' }}>
+    <button onClick={onZoomOut} style={controlStyle} title="Zoom out (or scroll the mouse wheel)">−</button>
+    <button onClick={onReset} style={{ ...controlStyle, minWidth: '52px' }} title="Reset zoom">
+      {Math.round(zoom * 100)}%
+    </button>
+    <button onClick={onZoomIn} style={controlStyle} title="Zoom in (or scroll the mouse wheel)">+</button>
+    <button onClick={onFit} style={controlStyle} title="Fit the whole drawing in view">⤢ Fit</button>
+    <button
+      onClick={onToggleMinimap}
+      style={{
+        ...controlStyle,
+        border: showMinimap ? '1px solid #667eea' : controlStyle.border,
+        background: showMinimap ? '#f0f4ff' : controlStyle.background
+      }}
+      title="Show or hide the overview map (hold Space and drag to pan)"
+    >
+      🗺️
+    </button>
+  </div>
+);
+
+// Overview of a whole drawing with the part in view outlined. Clicking or
+// dragging on it moves the view there.
+//
+// `getScene()` returns { content, view, draw }: the drawing's bounds (null
+// when empty), the visible bounds, and a function that draws the drawing
+// into a context already transformed to drawing coordinates. `subscribe`
+// registers a listener for changes and returns an unsubscribe function.
+// `onNavigate(point)` centres the view on a drawing point.
+const Minimap = ({ getScene, subscribe, onNavigate }) => {
+  const minimapRef = useRef(null);
+  const sceneRef = useRef({});
+  const transformRef = useRef(null); // { k, x, y }: drawing to minimap coordinates
+  const draggingRef = useRef(false);
+
+  sceneRef.current = { getScene, onNavigate };
+
+  useEffect(() => {
+    const minimap = minimapRef.current;
+    if (!minimap) return;
+
+    let timer = null;
+    const render = () => {
+      const { content, view, draw } = sceneRef.current.getScene();
+      const ctx = minimap.getContext('2d');
+
+      // The map holds still while it is being dragged on
+      if (!draggingRef.current || !transformRef.current) {
+        const bounds = unionBounds(content, view);
+        const k = Math.min(
+          (MINIMAP_WIDTH - 2 * PADDING) / Math.max(bounds.width, 1),
+          (MINIMAP_HEIGHT - 2 * PADDING) / Math.max(bounds.height, 1)
+        );
+        transformRef.current = {
+          k,
+          x: (MINIMAP_WIDTH - bounds.width * k) / 2 - bounds.left * k,
+          y: (MINIMAP_HEIGHT - bounds.height * k) / 2 - bounds.top * k
+        };
+      }
+      const { k, x, y } = transformRef.current;
+
+      ctx.setTransform(1, 0, 0, 1, 0, 0);
+      ctx.clearRect(0, 0, MINIMAP_WIDTH, MINIMAP_HEIGHT);
+      ctx.save();
+      ctx.setTransform(k, 0, 0, k, x, y);
+      draw(ctx);
+      ctx.restore();
+
+      ctx.fillStyle = 'rgba(102, 126, 234, 0.08)';
+      ctx.strokeStyle = '#667eea';
+      ctx.lineWidth = 1;
+      ctx.fillRect(view.left * k + x, view.top * k + y, view.width * k, view.height * k);
+      ctx.strokeRect(view.left * k + x + 0.5, view.top * k + y + 0.5, view.width * k - 1, view.height * k - 1);
+    };
+
+    const scheduleRender = () => {
+      clearTimeout(timer);
+      timer = setTimeout(render, REDRAW_DELAY);
+    };
+
+    render();
+    const unsubscribe = subscribe(scheduleRender);
+    return () => {
+      clearTimeout(timer);
+      unsubscribe();
+    };
+  }, [subscribe]);
+
+  const navigate = (e) => {
+    const transform = transformRef.current;
+    if (!transform) return;
+    const rect = minimapRef.current.getBoundingClientRect();
+    sceneRef.current.onNavigate({
+      x: (e.clientX - rect.left - transform.x) / transform.k,
+      y: (e.clientY - rect.top - transform.y) / transform.k
+    });
+  };
+
+  return (
+    <canvas
+      ref={minimapRef}
+      width={MINIMAP_WIDTH}
+      height={MINIMAP_HEIGHT}
+      onPointerDown={(e) => {
+        e.currentTarget.setPointerCapture(e.pointerId);
+        draggingRef.current = true;
+        navigate(e);
+      }}
+      onPointerMove={(e) => {
+        if (draggingRef.current) navigate(e);
+      }}
+      onPointerUp={() => {
+        draggingRef.current = false;
+      }}
+      onPointerCancel={() => {
+        draggingRef.current = false;
+      }}
+      style={{
+        position: 'absolute',
+        right: '8px',
+        bottom: '8px',
+        background: 'rgba(255, 255, 255, 0.92)',
+        border: '1px solid #e2e8f0',
+        borderRadius: '6px',
+        boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+        cursor: 'pointer',
+        touchAction: 'none'
+      }}
+      title="Overview: click or drag to move the view"
+    />
+  );
+};
+
+export default Minimap;
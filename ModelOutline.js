@@ -0,0 +1,120 @@
+import React, { useState } from 'react';
+
+const MAX_CHILDREN = 200; // listed per node; the rest are summarised
+
+const iconButtonStyle = {
+  padding: '0 4px',
+  border: 'none',
+  background: 'none',
+  cursor: 'pointer',
+  fontSize: '12px'
+};
+
+const labelOf = object => object.name || object.type;
+
+// The objects of a 3D model as a tree, for ThreeDViewer: expand and collapse
+// groups, show and hide objects, click one to select it
+const ModelOutline = ({ root, selected, onSelect }) => {
+  // Open nodes by uuid; the model and its first level start open
+  const [expanded, setExpanded] = useState(() => new Set([root.uuid, ...root.children.map(child => child.uuid)]));
+  // Visibility lives on the three.js objects, so toggles just re-render
+  const [, setRevision] = useState(0);
+
+  const toggleExpanded = (object) => {
+    setExpanded((current) => {
+      const next = new Set(current);
+      if (next.has(object.uuid)) {
+        next.delete(object.uuid);
+      } else {
+        next.add(object.uuid);
+      }
+      return next;
+    });
+  };
+
+  const toggleVisible = (object) => {
+    object.visible = !object.visible;
+    setRevision(revision => revision + 1);
+  };
+
+  const renderNode = (object, depth) => {
+    const hasChildren = object.children.length > 0;
+    const isOpen = expanded.has(object.uuid);
+    const isSelected = selected === object;
+    const hidden = object.children.length - MAX_CHILDREN;
+
+    return (
+      <div key={object.uuid}>
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '2px',
+          paddingLeft: `${depth * 12}px`,
+          background: isSelected ? '#f0f4ff' : 'transparent',
+          borderRadius: '4px'
+        }}>
+          <button
+            onClick={() => toggleExpanded(object)}
+            style={{ ...iconButtonStyle, visibility: hasChildren ? 'visible' : 'hidden' }}
+            title={isOpen ? 'Collapse' : 'Expand'}
+          >
+            {isOpen ? '▾' : '▸'}
+          </button>
+          <button
+            onClick={() => toggleVisible(object)}
+            style={{ ...iconButtonStyle, opacity: object.visible ? 1 : 0.4 }}
+            title={object.visible ? 'Hide' : 'Show'}
+          >
+            👁️
+          </button>
+          <span
+            onClick={() => onSelect(object)}
+            style={{
+              flex: 1,
+              cursor: 'pointer',
+              fontSize: '13px',
+              color: object.visible ? '#1e293b' : '#94a3b8',
+              whiteSpace: 'nowrap',
+              overflow: 'hidden',
+              textOverflow: 'ellipsis'
+            }}
+            title={labelOf(object)}
+          >
+            {labelOf(object)}
+          </span>
+        </div>
+        {hasChildren && isOpen && (
+          <>
+            {object.children.slice(0, MAX_CHILDREN).map(child => renderNode(child, depth + 1))}
+            {hidden > 0 && (
+              <div style={{ paddingLeft: `${(depth + 1) * 12 + 24}px`, fontSize: '12px', color: '#64748b' }}>
+                … {hidden} more
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    );
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      top: '10px',
+      right: '10px',
+      zIndex: 100,
+      width: '260px',
+      maxHeight: '70%',
+      overflowY: 'auto',
+      background: 'rgba(255, 255, 255, 0.95)',
+      border: '1px solid #e2e8f0',
+      borderRadius: '6px',
+      padding: '8px'
+    }}>
+      <div style={{ fontWeight: '600', fontSize: '14px', marginBottom: '6px' }}>Outline</div>
+      {renderNode(root, 0)}
+    </div>
+  );
+};
+
+export default ModelOutline;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { FURNITURE_CATALOGUE } from '../utils/furniture';
+
+const fieldStyle = {
+  width: '100%',
+  boxSizing: 'border-box',
+  padding: '4px 6px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '4px',
+  fontSize: '12px'
+};
+
+const labelStyle = { fontSize: '12px', color: '#64748b' };
+
+// Numeric fields of a furniture item: lengths in m, the rotation in degrees
+const FIELDS = [
+  { key: 'x', label: 'X (m)' },
+  { key: 'z', label: 'Z (m)' },
+  { key: 'y', label: 'Elevation (m)' },
+  { key: 'rotation', label: 'Rotation (°)', toField: value => (value || 0) * (180 / Math.PI), fromField: value => value * (Math.PI / 180) },
+  { key: 'width', label: 'Width (m)', min: 0.05 },
+  { key: 'depth', label: 'Depth (m)', min: 0.05 },
+  { key: 'height', label: 'Height (m)', min: 0.05 }
+];
+
+const formatNumber = value => String(Math.round(value * 1000) / 1000);
+
+const draftOf = item => Object.fromEntries(FIELDS.map(({ key, toField }) => (
+  [key, formatNumber(toField ? toField(item[key]) : item[key] || 0)]
+)));
+
+// The object selected in ThreeDViewer. A furniture `item` can be edited:
+// numbers are committed on Enter or when a field loses focus. Anything else
+// just shows its name and size, with a `note` on where it's edited.
+const ObjectPanel = ({ object, item, size, note, onChange, onDelete }) => {
+  const [draft, setDraft] = useState({});
+
+  useEffect(() => {
+    if (item) setDraft(draftOf(item));
+  }, [item]);
+
+  const commit = ({ key, min, fromField }) => {
+    const value = parseFloat(draft[key]);
+    if (Number.isNaN(value) || (min !== undefined && value < min)) {
+      setDraft(draftOf(item));
+      return;
+    }
+    const next = fromField ? fromField(value) : value;
+    if (next !== item[key]) onChange({ [key]: next });
+  };
+
+  return (
+    <div style={{
+      position: 'absolute',
+      bottom: '10px',
+      left: '10px',
+      zIndex: 100,
+      width: '220px',
+      background: 'rgba(255, 255, 255, 0.95)',
+      border: '1px solid #e2e8f0',
+      borderRadius: '6px',
+      padding: '12px',
+      fontSize: '14px'
+    }}>
+      <div style={{ fontWeight: '600', marginBottom: '8px' }}>{object.name || object.type}</div>
+
+      {item ? (
+        <>
+          <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '6px', marginBottom: '8px' }}>
+            <label style={{ ...labelStyle, gridColumn: '1 / -1' }}>
+              Type
+              <select
+                value={item.type}
+                onChange={(e) => onChange({ type: e.target.value })}
+                style={fieldStyle}
+              >
+                {!FURNITURE_CATALOGUE[item.type] && <option value={item.type}>{item.type}</option>}
+                {Object.entries(FURNITURE_CATALOGUE).map(([type, { label }]) => (
+                  <option key={type} value={type}>{label}</option>
+                ))}
+              </select>
+            </label>
+            {FIELDS.map(field => (
+              <label key={field.key} style={labelStyle}>
+                {field.label}
+                <input
+                  type="number"
+                  step={field.key === 'rotation' ? 15 : 0.05}
+                  min={field.min}
+                  value={draft[field.key] ?? ''}
+                  onChange={(e) => setDraft(current => ({ ...current, [field.key]: e.target.value }))}
+                  onBlur={() => commit(field)}
+                  onKeyDown={e => e.key === 'Enter' && e.target.blur()}
+                  style={fieldStyle}
+                />
+              </label>
+            ))}
+            <label style={labelStyle}>
+              Colour
+              <input
+                type="color"
+                value={item.color || '#654321'}
+                onChange={(e) => onChange({ color: e.target.value })}
+                style={{ ...fieldStyle, padding: '0 2px', height: '26px' }}
+              />
+            </label>
+          </div>
+          <button
+            onClick={onDelete}
+            style={{
+              width: '100%',
+              padding: '6px 8px',
+              border: '1px solid #e2e8f0',
+              borderRadius: '4px',
+              background: 'white',
+              color: '#ef4444',
+              cursor: 'pointer',
+              fontSize: '12px'
+            }}
+          >
+            🗑️ Delete
+          </button>
+        </>
+      ) : (
+        <>
+          {size && (
+            <div style={{ color: '#64748b' }}>
+              Size: {size.x.toFixed(2)} × {size.z.toFixed(2)} × {size.y.toFixed(2)} m
+            </div>
+          )}
+          {note && <div style={{ color: '#64748b', fontSize: '12px', marginTop: '6px' }}>{note}</div>}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ObjectPanel;
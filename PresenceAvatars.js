@@ -0,0 +1,41 @@
+import React from 'react';
+
+const USER_COLORS = ['#667eea', '#10b981', '#f59e0b', '#ef4444', '#8b5cf6', '#0ea5e9', '#ec4899', '#14b8a6'];
+
+// Stable per-user colour so avatars, cursors and selections match
+export const getUserColor = (userId = '') => {
+  let hash = 0;
+  for (let i = 0; i < userId.length; i++) {
+    hash = (hash * 31 + userId.charCodeAt(i)) | 0;
+  }
+  return USER_COLORS[Math.abs(hash) % USER_COLORS.length];
+};
+
+const PresenceAvatars = ({ members, max = 5 }) => {
+  if (!members || members.length === 0) return null;
+
+  const visible = members.slice(0, max);
+  const overflow = members.length - visible.length;
+
+  return (
+    <div className="presence-avatars">
+      {visible.map((member) => (
+        <div
+          key={member.userId}
+          className={`user-avatar presence-avatar ${member.status === 'idle' ? 'presence-idle' : ''}`}
+          style={{ background: getUserColor(member.userId) }}
+          title={`${member.firstName} ${member.lastName}${member.status === 'idle' ? ' (idle)' : ''}`}
+        >
+          {member.firstName?.[0]}{member.lastName?.[0]}
+        </div>
+      ))}
+      {overflow > 0 && (
+        <div className="user-avatar presence-avatar" style={{ background: '#94a3b8' }}>
+          +{overflow}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default PresenceAvatars;
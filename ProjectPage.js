@@ -2,6 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import PresenceAvatars from '../components/PresenceAvatars';
+import { usePresence } from '../hooks/usePresence';
+import ConflictDialog from '../components/ConflictDialog';
+import { ifMatchHeaders, FORCE_HEADERS, isConflict, bulkRevisions, sendBulk } from '../utils/revision';
 
 const ProjectPage = () => {
   const { projectId } = useParams();
@@ -11,6 +15,7 @@ const ProjectPage = () => {
   const [filteredDesigns, setFilteredDesigns] = useState([]);
   const [loading, setLoading] = useState(true);
   const [showNewDesign, setShowNewDesign] = useState(false);
+  const [deleteConflict, setDeleteConflict] = useState(null);
   const [newDesign, setNewDesign] = useState({
     name: '',
     type: 'sketch',
@@ -26,6 +31,7 @@ const ProjectPage = () => {
   const [sortBy, setSortBy] = useState('updatedAt');
   const [sortOrder, setSortOrder] = useState('desc');
   const [viewMode, setViewMode] = useState('grid');
+  const members = usePresence('project', projectId);
 
   useEffect(() => {
     fetchProjectData();
@@ -116,18 +122,27 @@ const ProjectPage = () => {
     }
   };
 
-  const handleDeleteDesign = async (designId) => {
-    if (window.confirm('Are you sure you want to delete this design?')) {
-      try {
-        await axios.delete(`/api/designs-crud/${designId}`);
-        setDesigns(designs.filter(d => d._id !== designId));
-        toast.success('Design deleted successfully!');
-      } catch (error) {
+  const deleteDesign = async (designId, headers) => {
+    try {
+      await axios.delete(`/api/designs-crud/${designId}`, { headers });
+      setDesigns(designs => designs.filter(d => d._id !== designId));
+      toast.success('Design deleted successfully!');
+    } catch (error) {
+      if (isConflict(error)) {
+        setDeleteConflict(error.response.data.design);
+      } else {
         toast.error('Failed to delete design');
       }
     }
   };
 
+  const handleDeleteDesign = async (designId) => {
+    if (window.confirm('Are you sure you want to delete this design?')) {
+      const design = designs.find(d => d._id === designId);
+      await deleteDesign(designId, ifMatchHeaders(design));
+    }
+  };
+
   const handleDuplicateDesign = async (designId) => {
     try {
       const response = await axios.post(`/api/designs-crud/${designId}/duplicate`);
@@ -167,51 +182,58 @@ const ProjectPage = () => {
     }
   };
 
+  // Items someone else changed since they were loaded are left alone by the
+  // server: they take its copy and stay selected, and the rest are updated
+  const runBulk = async (request, update, message) => {
+    try {
+      const conflicts = await sendBulk(request);
+      const stale = new Map(conflicts.map(d => [d._id, d]));
+      const done = selectedDesigns.filter(id => !stale.has(id));
+      setDesigns(designs => update(designs.map(d => stale.get(d._id) || d), done));
+      setSelectedDesigns([...stale.keys()]);
+      if (done.length > 0) toast.success(message);
+      if (stale.size > 0) {
+        const names = conflicts.map(d => `"${d.name}"`).join(', ');
+        toast.error(`${names} ${stale.size === 1 ? 'was' : 'were'} changed by someone else and left as ${stale.size === 1 ? 'it is' : 'they are'}. Check them and try again.`);
+      }
+    } catch (error) {
+      toast.error('Failed to perform bulk action');
+    }
+  };
+
   const handleBulkAction = async () => {
     if (selectedDesigns.length === 0) {
       toast.error('Please select designs first');
       return;
     }
 
-    try {
-      switch (bulkAction) {
-        case 'delete':
-          if (window.confirm(`Are you sure you want to delete ${selectedDesigns.length} designs?`)) {
-            await axios.delete('/api/designs-crud/bulk/delete', {
-              data: { designIds: selectedDesigns }
-            });
-            setDesigns(designs.filter(d => !selectedDesigns.includes(d._id)));
-            setSelectedDesigns([]);
-            toast.success('Designs deleted successfully!');
-          }
-          break;
-        case 'approve':
-          await axios.patch('/api/designs-crud/bulk/status', {
-            designIds: selectedDesigns,
-            status: 'approved'
-          });
-          setDesigns(designs.map(d => 
-            selectedDesigns.includes(d._id) ? { ...d, status: 'approved' } : d
-          ));
-          setSelectedDesigns([]);
-          toast.success('Designs approved successfully!');
-          break;
-        case 'review':
-          await axios.patch('/api/designs-crud/bulk/status', {
-            designIds: selectedDesigns,
-            status: 'review'
-          });
-          setDesigns(designs.map(d => 
-            selectedDesigns.includes(d._id) ? { ...d, status: 'review' } : d
-          ));
-          setSelectedDesigns([]);
-          toast.success('Designs moved to review successfully!');
-          break;
-        default:
-          toast.error('Please select an action');
-      }
-    } catch (error) {
-      toast.error('Failed to perform bulk action');
+    const revisions = bulkRevisions(designs, selectedDesigns);
+    switch (bulkAction) {
+      case 'delete':
+        if (window.confirm(`Are you sure you want to delete ${selectedDesigns.length} designs?`)) {
+          await runBulk(
+            () => axios.delete('/api/designs-crud/bulk/delete', { data: { designIds: selectedDesigns, revisions } }),
+            (list, done) => list.filter(d => !done.includes(d._id)),
+            'Designs deleted successfully!'
+          );
+        }
+        break;
+      case 'approve':
+        await runBulk(
+          () => axios.patch('/api/designs-crud/bulk/status', { designIds: selectedDesigns, status: 'approved', revisions }),
+          (list, done) => list.map(d => (done.includes(d._id) ? { ...d, status: 'approved' } : d)),
+          'Designs approved successfully!'
+        );
+        break;
+      case 'review':
+        await runBulk(
+          () => axios.patch('/api/designs-crud/bulk/status', { designIds: selectedDesigns, status: 'review', revisions }),
+          (list, done) => list.map(d => (done.includes(d._id) ? { ...d, status: 'review' } : d)),
+          'Designs moved to review successfully!'
+        );
+        break;
+      default:
+        toast.error('Please select an action');
     }
     setBulkAction('');
   };
@@ -303,6 +325,7 @@ const ProjectPage = () => {
           </button>
           <h1 className="dashboard-title">{project.name}</h1>
         </div>
+        <PresenceAvatars members={members} />
       </header>
 
       <main className="dashboard-content">
@@ -746,6 +769,23 @@ const ProjectPage = () => {
           )}
         </div>
       </main>
+
+      {deleteConflict && (
+        <ConflictDialog
+          title="This design was changed by someone else"
+          message={`"${deleteConflict.name}" was edited after you loaded it. Delete it anyway, or keep their version?`}
+          overwriteLabel="Delete anyway"
+          onOverwrite={() => {
+            setDeleteConflict(null);
+            deleteDesign(deleteConflict._id, FORCE_HEADERS);
+          }}
+          onDiscard={() => {
+            setDesigns(designs => designs.map(d => (d._id === deleteConflict._id ? deleteConflict : d)));
+            setDeleteConflict(null);
+          }}
+          onCancel={() => setDeleteConflict(null)}
+        />
+      )}
     </div>
   );
 };
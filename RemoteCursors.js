@@ -0,0 +1,180 @@
+import React, { useEffect, useRef, useState } from 'react';
+import { fabric } from 'fabric';
+import { useSocket } from '../contexts/SocketContext';
+import { getUserColor } from './PresenceAvatars';
+
+const CURSOR_THROTTLE = 50; // ms between cursor broadcasts
+
+// Shares this user's pointer and active selection with the design room and
+// tracks everyone else's. The page hosting the canvas must have joined the
+// design room (see usePresence); this hook only sends and listens.
+export const useRemoteCursors = (fabricCanvasRef, designId, readOnly, level = null) => {
+  const socket = useSocket();
+  const [cursors, setCursors] = useState({});
+  const selectionsRef = useRef({});
+
+  useEffect(() => {
+    const canvas = fabricCanvasRef.current;
+    if (!socket || !designId || !canvas) return;
+
+    const room = `design:${designId}`;
+    let lastSent = 0;
+
+    const handleMouseMove = (e) => {
+      const now = Date.now();
+      if (now - lastSent < CURSOR_THROTTLE) return;
+      lastSent = now;
+
+      const pointer = canvas.getPointer(e.e);
+      socket.emit('cursor-move', { designId, level, x: pointer.x, y: pointer.y });
+    };
+
+    const handleMouseOut = () => {
+      socket.emit('cursor-move', { designId, level, x: null, y: null });
+    };
+
+    const sendSelection = () => {
+      const objectIds = canvas.getActiveObjects().map(obj => obj.id).filter(Boolean);
+      socket.emit('selection-change', { designId, level, objectIds });
+    };
+
+    const removeUser = (userId) => {
+      delete selectionsRef.current[userId];
+      setCursors(prev => {
+        const { [userId]: removed, ...rest } = prev;
+        return rest;
+      });
+      canvas.requestRenderAll();
+    };
+
+    const handleRemoteCursor = (data) => {
+      if (data.designId !== designId) return;
+      // Someone on another level's plan isn't on this one
+      if (data.x === null || (data.level || null) !== level) {
+        setCursors(prev => {
+          const { [data.userId]: removed, ...rest } = prev;
+          return rest;
+        });
+        return;
+      }
+      setCursors(prev => ({ ...prev, [data.userId]: data }));
+    };
+
+    const handleRemoteSelection = (data) => {
+      if (data.designId !== designId) return;
+      if ((data.level || null) !== level) {
+        delete selectionsRef.current[data.userId];
+      } else {
+        selectionsRef.current[data.userId] = data;
+      }
+      canvas.requestRenderAll();
+    };
+
+    const handlePresenceLeave = (data) => {
+      if (data.room === room) removeUser(data.member.userId);
+    };
+
+    // Outline what others have selected. Only on the live canvas, so
+    // toDataURL exports don't pick up other people's selections.
+    const drawRemoteSelections = ({ ctx }) => {
+      if (ctx !== canvas.contextContainer) return;
+
+      const objectsById = new Map(canvas.getObjects().map(obj => [obj.id, obj]));
+      Object.values(selectionsRef.current).forEach((selection) => {
+        const color = getUserColor(selection.userId);
+        selection.objectIds.forEach((id) => {
+          const obj = objectsById.get(id);
+          if (!obj) return;
+
+          const rect = obj.getBoundingRect();
+          ctx.save();
+          ctx.strokeStyle = color;
+          ctx.lineWidth = 2;
+          ctx.setLineDash([6, 4]);
+          ctx.strokeRect(rect.left - 4, rect.top - 4, rect.width + 8, rect.height + 8);
+          ctx.setLineDash([]);
+          ctx.fillStyle = color;
+          ctx.font = '11px Arial';
+          ctx.fillText(selection.name, rect.left - 4, rect.top - 8);
+          ctx.restore();
+        });
+      });
+    };
+
+    canvas.on('mouse:move', handleMouseMove);
+    canvas.on('mouse:out', handleMouseOut);
+    canvas.on('after:render', drawRemoteSelections);
+    if (!readOnly) {
+      canvas.on('selection:created', sendSelection);
+      canvas.on('selection:updated', sendSelection);
+      canvas.on('selection:cleared', sendSelection);
+    }
+    socket.on('cursor-move', handleRemoteCursor);
+    socket.on('selection-change', handleRemoteSelection);
+    socket.on('presence-leave', handlePresenceLeave);
+
+    return () => {
+      canvas.off('mouse:move', handleMouseMove);
+      canvas.off('mouse:out', handleMouseOut);
+      canvas.off('after:render', drawRemoteSelections);
+      canvas.off('selection:created', sendSelection);
+      canvas.off('selection:updated', sendSelection);
+      canvas.off('selection:cleared', sendSelection);
+      socket.off('cursor-move', handleRemoteCursor);
+      socket.off('selection-change', handleRemoteSelection);
+      socket.off('presence-leave', handlePresenceLeave);
+      selectionsRef.current = {};
+      setCursors({});
+    };
+  }, [socket, designId, readOnly, level]);
+
+  return cursors;
+};
+
+// Labelled pointers drawn over the canvas element, in screen coordinates
+const RemoteCursors = ({ cursors, canvas }) => {
+  if (!canvas) return null;
+
+  return (
+    <div style={{ position: 'absolute', inset: 0, pointerEvents: 'none', overflow: 'hidden' }}>
+      {Object.values(cursors).map((cursor) => {
+        const color = getUserColor(cursor.userId);
+        const point = fabric.util.transformPoint(
+          new fabric.Point(cursor.x, cursor.y),
+          canvas.viewportTransform
+        );
+
+        return (
+          <div
+            key={cursor.userId}
+            style={{
+              position: 'absolute',
+              left: point.x,
+              top: point.y,
+              transition: 'left 0.05s linear, top 0.05s linear'
+            }}
+          >
+            <svg width="16" height="16" viewBox="0 0 16 16">
+              <path d="M0 0 L0 14 L4 10 L7 16 L9 15 L6 9 L12 9 Z" fill={color} stroke="white" strokeWidth="1" />
+            </svg>
+            <span style={{
+              position: 'absolute',
+              left: '14px',
+              top: '12px',
+              background: color,
+              color: 'white',
+              fontSize: '11px',
+              padding: '2px 6px',
+              borderRadius: '4px',
+              whiteSpace: 'nowrap'
+            }}>
+              {cursor.name}
+            </span>
+          </div>
+        );
+      })}
+    </div>
+  );
+};
+
+export default RemoteCursors;
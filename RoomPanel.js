@@ -0,0 +1,111 @@
+import React, { useEffect, useState } from 'react';
+import { getRooms } from '../utils/rooms';
+import { formatArea, formatLength } from '../utils/units';
+
+// Summary used to tell whether the room list needs redrawing
+const describeRooms = rooms => JSON.stringify(rooms.map(room => [
+  room.id,
+  room.name,
+  Math.round(room.area / 1000),
+  Math.round(room.perimeter)
+]));
+
+// Rooms found from the walls of DrawingCanvas (see rooms.js) with their
+// areas and perimeters. Naming a room places or renames its room label.
+const RoomPanel = ({ canvas, units, onNameRoom, readOnly = false }) => {
+  const [rooms, setRooms] = useState([]);
+
+  useEffect(() => {
+    if (!canvas) return;
+
+    let summary = null;
+    const refresh = () => {
+      const current = getRooms(canvas);
+      const next = describeRooms(current);
+      if (next !== summary) {
+        summary = next;
+        setRooms(current);
+      }
+    };
+
+    refresh();
+    canvas.on('after:render', refresh);
+    return () => {
+      canvas.off('after:render', refresh);
+    };
+  }, [canvas]);
+
+  const totalArea = rooms.reduce((sum, room) => sum + room.area, 0);
+
+  const commitName = (room, value) => {
+    if (value.trim() && value.trim() !== room.name) onNameRoom(room, value.trim());
+  };
+
+  return (
+    <div style={{
+      width: '240px',
+      borderLeft: '1px solid #e2e8f0',
+      borderTop: '1px solid #e2e8f0',
+      background: '#f8fafc',
+      display: 'flex',
+      flexDirection: 'column',
+      maxHeight: '260px'
+    }}>
+      <div style={{ padding: '12px', borderBottom: '1px solid #e2e8f0', fontWeight: '600', fontSize: '14px' }}>
+        Rooms
+      </div>
+
+      <div style={{ flex: 1, overflowY: 'auto' }}>
+        {rooms.length === 0 && (
+          <p style={{ padding: '12px', margin: 0, fontSize: '12px', color: '#64748b' }}>
+            Enclose an area with walls to make a room.
+          </p>
+        )}
+        {rooms.map(room => (
+          <div key={`${room.id}:${room.name}`} style={{ padding: '8px 12px', borderBottom: '1px solid #f3f4f6' }}>
+            <input
+              defaultValue={room.name}
+              disabled={readOnly}
+              onBlur={(e) => commitName(room, e.target.value)}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter') e.target.blur();
+              }}
+              style={{
+                width: '100%',
+                boxSizing: 'border-box',
+                padding: '2px 4px',
+                border: '1px solid transparent',
+                borderRadius: '4px',
+                background: 'transparent',
+                fontSize: '13px',
+                fontWeight: room.label ? '500' : '400',
+                color: room.label ? '#1e293b' : '#64748b'
+              }}
+              title={readOnly ? room.name : 'Name this room'}
+            />
+            <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '11px', color: '#64748b', padding: '0 4px' }}>
+              <span>{formatArea(room.area, units)}</span>
+              <span>{formatLength(room.perimeter, units)} perimeter</span>
+            </div>
+          </div>
+        ))}
+      </div>
+
+      {rooms.length > 0 && (
+        <div style={{
+          padding: '8px 12px',
+          borderTop: '1px solid #e2e8f0',
+          display: 'flex',
+          justifyContent: 'space-between',
+          fontSize: '12px',
+          fontWeight: '500'
+        }}>
+          <span>{rooms.length} {rooms.length === 1 ? 'room' : 'rooms'}</span>
+          <span>{formatArea(totalArea, units)}</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RoomPanel;
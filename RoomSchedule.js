@@ -0,0 +1,84 @@
+import React from 'react';
+import { useAuth } from '../contexts/AuthContext';
+import { formatArea, formatLength } from '../utils/units';
+
+const cellStyle = {
+  padding: '8px 12px',
+  borderBottom: '1px solid #e2e8f0',
+  fontSize: '14px',
+  textAlign: 'left'
+};
+
+const numberStyle = { ...cellStyle, textAlign: 'right' };
+
+const countOf = rooms => `${rooms.length} ${rooms.length === 1 ? 'room' : 'rooms'}`;
+const areaOf = rooms => rooms.reduce((sum, room) => sum + room.area, 0);
+
+// Room schedule from the floor plans' last saves: each room's net floor area
+// and perimeter in the viewer's units, grouped by level (`levels` as
+// getBuildingLevels gives them) with each level's floor area and the
+// building's total
+const RoomSchedule = ({ levels = [] }) => {
+  const { user } = useAuth();
+  const units = user?.preferences?.units || 'metric';
+
+  const groups = levels
+    .map(level => ({ level, rooms: level.plan?.rooms || [] }))
+    .filter(({ rooms }) => rooms.length > 0);
+  const rooms = groups.flatMap(group => group.rooms);
+
+  if (rooms.length === 0) {
+    return (
+      <p style={{ color: '#64748b', margin: 0 }}>
+        No rooms yet. Draw enclosing walls on the floor plan and save it to list its rooms here.
+      </p>
+    );
+  }
+
+  // A single-storey building needs no level headings
+  const grouped = levels.length > 1;
+
+  return (
+    <table style={{ width: '100%', borderCollapse: 'collapse' }}>
+      <thead>
+        <tr style={{ color: '#64748b' }}>
+          <th style={cellStyle}>Room</th>
+          <th style={numberStyle}>Area</th>
+          <th style={numberStyle}>Perimeter</th>
+        </tr>
+      </thead>
+      {groups.map(({ level, rooms: levelRooms }) => (
+        <tbody key={level.id}>
+          {grouped && (
+            <tr style={{ background: '#f1f5f9', fontWeight: '600' }}>
+              <td style={cellStyle} colSpan={3}>{level.name}</td>
+            </tr>
+          )}
+          {levelRooms.map(room => (
+            <tr key={room.id}>
+              <td style={cellStyle}>{room.name}</td>
+              <td style={numberStyle}>{formatArea(room.area, units)}</td>
+              <td style={numberStyle}>{formatLength(room.perimeter, units)}</td>
+            </tr>
+          ))}
+          {grouped && (
+            <tr style={{ color: '#64748b' }}>
+              <td style={cellStyle}>{level.name} ({countOf(levelRooms)})</td>
+              <td style={numberStyle}>{formatArea(areaOf(levelRooms), units)}</td>
+              <td style={numberStyle} />
+            </tr>
+          )}
+        </tbody>
+      ))}
+      <tfoot>
+        <tr style={{ fontWeight: '600' }}>
+          <td style={cellStyle}>Total ({countOf(rooms)})</td>
+          <td style={numberStyle}>{formatArea(areaOf(rooms), units)}</td>
+          <td style={numberStyle} />
+        </tr>
+      </tfoot>
+    </table>
+  );
+};
+
+export default RoomSchedule;
@@ -0,0 +1,157 @@
+import React, { useEffect, useRef } from 'react';
+import { mmToPixels, getGridStep, formatLength, MAJOR_GRID_EVERY } from '../utils/units';
+
+export const RULER_SIZE = 22;
+
+const GRID_MINOR = '#f1f5f9';
+const GRID_MAJOR = '#e2e8f0';
+
+// Grid lines (in canvas coordinates) covering the visible part of one axis
+const visibleGridLines = (start, end, stepPx) => {
+  const lines = [];
+  for (let index = Math.ceil(start / stepPx); index * stepPx <= end; index += 1) {
+    lines.push({ index, position: index * stepPx });
+  }
+  return lines;
+};
+
+// Tells the canvas its drawing scale and the viewer's units (dimension lines
+// read both) and draws a grid in real units behind the drawing. The grid is
+// only drawn on the live canvas, so image exports don't include it. It goes
+// in once the drawing is done, behind it, so the canvas's background colour
+// is left out of the render and painted behind the grid instead.
+export const useScaleGrid = (canvas, { scale, units, showGrid = true }) => {
+  useEffect(() => {
+    if (!canvas) return;
+
+    canvas.drawingScale = scale;
+    canvas.displayUnits = units;
+    if (!showGrid) return;
+
+    let background = null;
+
+    const holdBackground = ({ ctx }) => {
+      if (ctx !== canvas.contextContainer) return;
+      background = canvas.backgroundColor;
+      canvas.backgroundColor = '';
+    };
+
+    const drawGrid = ({ ctx } = {}) => {
+      if (!ctx || ctx !== canvas.contextContainer) return;
+      canvas.backgroundColor = background;
+
+      const [zoom, , , , offsetX, offsetY] = canvas.viewportTransform;
+      const stepPx = mmToPixels(getGridStep(scale, units, zoom), scale);
+      const width = canvas.getWidth();
+      const height = canvas.getHeight();
+
+      ctx.save();
+      ctx.globalCompositeOperation = 'destination-over';
+      ctx.lineWidth = 1;
+      visibleGridLines(-offsetX / zoom, (width - offsetX) / zoom, stepPx).forEach(({ index, position }) => {
+        const x = Math.round(position * zoom + offsetX) + 0.5;
+        ctx.strokeStyle = index % MAJOR_GRID_EVERY === 0 ? GRID_MAJOR : GRID_MINOR;
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, height);
+        ctx.stroke();
+      });
+      visibleGridLines(-offsetY / zoom, (height - offsetY) / zoom, stepPx).forEach(({ index, position }) => {
+        const y = Math.round(position * zoom + offsetY) + 0.5;
+        ctx.strokeStyle = index % MAJOR_GRID_EVERY === 0 ? GRID_MAJOR : GRID_MINOR;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+      });
+      if (typeof background === 'string' && background) {
+        ctx.fillStyle = background;
+        ctx.fillRect(0, 0, width, height);
+      }
+      ctx.restore();
+    };
+
+    canvas.on('before:render', holdBackground);
+    canvas.on('after:render', drawGrid);
+    canvas.requestRenderAll();
+
+    return () => {
+      canvas.off('before:render', holdBackground);
+      canvas.off('after:render', drawGrid);
+      canvas.requestRenderAll();
+    };
+  }, [canvas, scale, units, showGrid]);
+};
+
+// Ruler along the top ('horizontal') or left ('vertical') edge of a fabric
+// canvas, labelled in real units and kept in step with the canvas viewport.
+const Ruler = ({ canvas, orientation, scale, units }) => {
+  const rulerRef = useRef(null);
+  const horizontal = orientation === 'horizontal';
+
+  useEffect(() => {
+    const ruler = rulerRef.current;
+    if (!canvas || !ruler) return;
+
+    const draw = () => {
+      const length = horizontal ? canvas.getWidth() : canvas.getHeight();
+      const width = horizontal ? length : RULER_SIZE;
+      const height = horizontal ? RULER_SIZE : length;
+      if (ruler.width !== width || ruler.height !== height) {
+        ruler.width = width;
+        ruler.height = height;
+      }
+
+      const ctx = ruler.getContext('2d');
+      const vpt = canvas.viewportTransform;
+      const zoom = vpt[0];
+      const offset = horizontal ? vpt[4] : vpt[5];
+      const stepMm = getGridStep(scale, units, zoom);
+      const stepPx = mmToPixels(stepMm, scale);
+
+      ctx.fillStyle = '#f8fafc';
+      ctx.fillRect(0, 0, ruler.width, ruler.height);
+      ctx.strokeStyle = '#94a3b8';
+      ctx.fillStyle = '#64748b';
+      ctx.font = '10px Arial';
+      ctx.lineWidth = 1;
+
+      visibleGridLines(-offset / zoom, (length - offset) / zoom, stepPx).forEach(({ index, position }) => {
+        const at = Math.round(position * zoom + offset) + 0.5;
+        const major = index % MAJOR_GRID_EVERY === 0;
+        const tick = major ? RULER_SIZE : RULER_SIZE / 3;
+
+        ctx.beginPath();
+        if (horizontal) {
+          ctx.moveTo(at, RULER_SIZE);
+          ctx.lineTo(at, RULER_SIZE - tick);
+        } else {
+          ctx.moveTo(RULER_SIZE, at);
+          ctx.lineTo(RULER_SIZE - tick, at);
+        }
+        ctx.stroke();
+
+        if (major) {
+          const label = formatLength(index * stepMm, units);
+          if (horizontal) {
+            ctx.fillText(label, at + 3, 10);
+          } else {
+            ctx.save();
+            ctx.translate(10, at + 3);
+            ctx.rotate(Math.PI / 2);
+            ctx.fillText(label, 0, 0);
+            ctx.restore();
+          }
+        }
+      });
+    };
+
+    draw();
+    canvas.on('after:render', draw);
+    return () => canvas.off('after:render', draw);
+  }, [canvas, horizontal, scale, units]);
+
+  return <canvas ref={rulerRef} style={{ display: 'block' }} />;
+};
+
+export default Ruler;
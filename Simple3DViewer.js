@@ -1,12 +1,16 @@
 import React, { useState, useEffect } from 'react';
 import toast from 'react-hot-toast';
+import { createModelGroup } from '../utils/buildingModel';
+import { MODEL_FORMATS, createModelFiles } from '../utils/modelExport';
+import { downloadFile } from '../utils/drawingExport';
 
-const Simple3DViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
+const Simple3DViewer = ({ modelData, onModelUpdate, readOnly = false, exportName }) => {
   const [viewMode, setViewMode] = useState('perspective');
   const [rotation, setRotation] = useState({ x: 0, y: 0 });
   const [zoom, setZoom] = useState(1);
   const [isDragging, setIsDragging] = useState(false);
   const [dragStart, setDragStart] = useState({ x: 0, y: 0 });
+  const [exportFormat, setExportFormat] = useState('glb');
 
   const handleMouseDown = (e) => {
     if (readOnly) return;
@@ -63,8 +67,16 @@ const Simple3DViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
     setZoom(1);
   };
 
-  const exportModel = () => {
-    toast.success('3D model export functionality would be implemented here');
+  // Exports the building this preview stands for, built as a real 3D model
+  const exportModel = async () => {
+    try {
+      const files = await createModelFiles(createModelGroup(buildingData), exportFormat, exportName);
+      files.forEach(({ data, fileName, type }) => downloadFile(data, fileName, type));
+      toast.success(`Model exported as ${MODEL_FORMATS[exportFormat].label}`);
+    } catch (error) {
+      console.error('Failed to export model:', error);
+      toast.error('Failed to export the model');
+    }
   };
 
   // Generate building data if not provided
@@ -133,6 +145,21 @@ const Simple3DViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
         </button>
 
         {/* Export */}
+        <select
+          value={exportFormat}
+          onChange={(e) => setExportFormat(e.target.value)}
+          style={{
+            padding: '6px 8px',
+            border: '1px solid #e2e8f0',
+            borderRadius: '4px',
+            background: 'white',
+            fontSize: '12px'
+          }}
+        >
+          {Object.entries(MODEL_FORMATS).map(([format, { label }]) => (
+            <option key={format} value={format}>{label}</option>
+          ))}
+        </select>
         <button
           onClick={exportModel}
           style={{
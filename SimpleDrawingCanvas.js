@@ -1,106 +1,577 @@
-import React, { useRef, useEffect, useState } from 'react';
+import React, { useRef, useEffect, useState, useCallback } from 'react';
+import toast from 'react-hot-toast';
+import { createCommandHistory, handleHistoryShortcut, isTypingTarget, getHistorySessionId } from '../utils/commandHistory';
+import {
+  DEFAULT_VIEW,
+  ZOOM_STEP,
+  clampZoom,
+  zoomViewAt,
+  wheelZoomFactor,
+  fitView,
+  centreViewOn,
+  getVisibleBounds,
+  unionBounds
+} from '../utils/viewport';
+import { exportPdf, exportSvg, exportFileName, downloadFile } from '../utils/drawingExport';
+import Minimap, { ZoomControls } from './Minimap';
+import ExportOptions from './ExportOptions';
 
-const SimpleDrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
+const HISTORY_LIMIT = 50;
+const DEFAULT_PRESSURE = 0.5; // what mice and fingers report while pressed
+const SMOOTHING = 0.5; // how far each sample moves towards the pointer (1 = no smoothing)
+const MIN_SAMPLE_DISTANCE = 1; // canvas px
+const PALM_SIZE = 40; // css px; touches wider than this are a resting hand
+const EXPORT_MARGIN = 20; // canvas px around the sketch in image exports
+
+const loadImage = (src) => new Promise((resolve, reject) => {
+  const img = new Image();
+  img.onload = () => resolve(img);
+  img.onerror = reject;
+  img.src = src;
+});
+
+// Line width at a sample: the brush size at normal pressure, down to a
+// quarter of it for the lightest touch and up to 1.75× pressed hard
+const widthAt = (size, [, , pressure = DEFAULT_PRESSURE]) => size * (0.25 + 1.5 * pressure);
+
+const midpoint = (a, b) => [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2];
+
+// Strokes are drawn as quadratic curves through the midpoints between their
+// samples, in pieces so a stroke can be drawn while it grows: piece k (1 to
+// points.length) can be drawn once sample k exists, and the last piece once
+// the stroke has ended. Each piece takes its width from its own sample.
+const drawStrokePiece = (ctx, command, k) => {
+  const { points } = command;
+  const last = points.length - 1;
+  let from;
+  let control = null;
+  let to;
+  let sample;
+  if (k === 1) {
+    [from, sample] = [points[0], points[0]];
+    to = midpoint(points[0], points[1]);
+  } else if (k <= last) {
+    from = midpoint(points[k - 2], points[k - 1]);
+    control = points[k - 1];
+    to = midpoint(points[k - 1], points[k]);
+    sample = control;
+  } else {
+    from = midpoint(points[last - 1], points[last]);
+    [to, sample] = [points[last], points[last]];
+  }
+
+  ctx.save();
+  ctx.lineCap = 'round';
+  ctx.lineJoin = 'round';
+  ctx.strokeStyle = command.color;
+  ctx.lineWidth = widthAt(command.size, sample);
+  ctx.globalCompositeOperation = command.tool === 'eraser' ? 'destination-out' : 'source-over';
+  ctx.beginPath();
+  ctx.moveTo(from[0], from[1]);
+  if (control) {
+    ctx.quadraticCurveTo(control[0], control[1], to[0], to[1]);
+  } else {
+    ctx.lineTo(to[0], to[1]);
+  }
+  ctx.stroke();
+  ctx.restore();
+};
+
+const drawStroke = (ctx, stroke) => {
+  for (let k = 1; k <= stroke.points.length; k += 1) {
+    drawStrokePiece(ctx, stroke, k);
+  }
+};
+
+// Samples are stored rounded, which is plenty for a sketch and keeps saves small
+const toSample = (pos, pressure) => [
+  Math.round(pos.x * 10) / 10,
+  Math.round(pos.y * 10) / 10,
+  Math.round(pressure * 100) / 100
+];
+
+// A saved sketch: its strokes, and the PNG it was drawn over when it dates from
+// before sketches were saved as strokes
+const readDocument = (data) => {
+  if (typeof data === 'string') return { background: data, strokes: [] };
+  return {
+    background: data?.background || data?.imageData || null,
+    strokes: data?.strokes || []
+  };
+};
+
+// The undo history saved with a sketch: how many of its last strokes can still
+// be undone after a reload in the same browser session. The strokes themselves
+// are only saved once, in the sketch; clears and redos last as long as the
+// editor is open.
+const toSavedHistory = (history) => {
+  const commands = history.getCommands();
+  const lastClear = commands.map(command => command.type).lastIndexOf('clear');
+  return { sessionId: getHistorySessionId(), strokes: commands.length - lastClear - 1 };
+};
+
+const savedUndoCount = (saved, sketch) => (
+  saved && saved.sessionId === getHistorySessionId() && Number.isInteger(saved.strokes)
+    ? Math.max(0, Math.min(saved.strokes, sketch.strokes.length, HISTORY_LIMIT))
+    : 0
+);
+
+// Bounds of the sketch's ink, in canvas px, or null when there is none.
+// Erasing doesn't shrink them.
+const getSketchBounds = ({ strokes }, backgroundImage) => strokes.reduce((bounds, stroke) => {
+  const reach = stroke.size;
+  const xs = stroke.points.map(([x]) => x);
+  const ys = stroke.points.map(([, y]) => y);
+  const left = Math.min(...xs) - reach;
+  const top = Math.min(...ys) - reach;
+  return unionBounds(bounds, {
+    left,
+    top,
+    width: Math.max(...xs) + reach - left,
+    height: Math.max(...ys) + reach - top
+  });
+}, backgroundImage ? { left: 0, top: 0, width: backgroundImage.width, height: backgroundImage.height } : null);
+
+// A scene (see drawingExport) for a saved sketch, for exporting it. Sketches
+// aren't drawn to scale.
+export const createSketchScene = async (data) => {
+  const sketch = readDocument(data);
+  const backgroundImage = sketch.background ? await loadImage(sketch.background).catch(() => null) : null;
+  return {
+    content: getSketchBounds(sketch, backgroundImage),
+    mmPerPixel: null,
+    draw: (ctx) => {
+      if (backgroundImage) ctx.drawImage(backgroundImage, 0, 0);
+      sketch.strokes.forEach(stroke => drawStroke(ctx, stroke));
+    }
+  };
+};
+
+// A resting palm shows up as a touch with a large contact area
+const isPalm = e => e.pointerType === 'touch' && Math.max(e.width || 0, e.height || 0) > PALM_SIZE;
+
+const distanceBetween = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+const centreOf = (a, b) => ({ x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 });
+
+// Sketches are saved as their strokes (points, width, colour and tool) and
+// drawn again on load; PNG is only an export. The sketch is the base (the
+// loaded sketch plus any strokes too old to keep in the history) followed by
+// the history, and is redrawn from those whenever it changes other than by a
+// new stroke.
+//
+// The sketch has no edges: the canvas is a view onto it that the mouse wheel
+// zooms, Space-drag (or a middle-button drag) pans, and a minimap overviews.
+//
+// Input is Pointer Events, so mice, fingers and pens all draw; pens draw with
+// their pressure. Once a pen has been used, touches no longer draw (palm
+// rejection), and two fingers pinch to zoom and pan the view.
+const SimpleDrawingCanvas = ({ onSave, initialData, initialHistory, readOnly = false, drawingInfo = {} }) => {
   const canvasRef = useRef(null);
-  const [isDrawing, setIsDrawing] = useState(false);
+  const baseDocumentRef = useRef({ background: null, strokes: [] });
+  const backgroundRef = useRef(null); // { src, img } of a loaded background
+  const historyRef = useRef(null);
+  const strokeRef = useRef(null);
+  const strokePointerRef = useRef(null);
+  const savedDataRef = useRef(null);
+  const touchesRef = useRef(new Map());
+  const pinchRef = useRef(null);
+  const panRef = useRef(null);
+  const penSeenRef = useRef(false);
+  const viewRef = useRef(DEFAULT_VIEW);
+  const sceneListenersRef = useRef(new Set());
   const [selectedTool, setSelectedTool] = useState('pen');
   const [brushSize, setBrushSize] = useState(2);
   const [brushColor, setBrushColor] = useState('#000000');
-  const [startPos, setStartPos] = useState(null);
+  const [view, setView] = useState(DEFAULT_VIEW);
+  const [spaceHeld, setSpaceHeld] = useState(false);
+  const [showMinimap, setShowMinimap] = useState(true);
+  const [showExportOptions, setShowExportOptions] = useState(false);
+  const [historyStatus, setHistoryStatus] = useState({ canUndo: false, canRedo: false });
+
+  // The base followed by the history, with anything before a clear left out
+  const getDocument = () => {
+    let { background, strokes } = baseDocumentRef.current;
+    strokes = [...strokes];
+    historyRef.current.getCommands().forEach((command) => {
+      if (command.type === 'clear') {
+        background = null;
+        strokes = [];
+      } else {
+        strokes.push(command);
+      }
+    });
+    return { background, strokes };
+  };
+
+  const getBackgroundImage = (background) => {
+    const loaded = backgroundRef.current;
+    return background && loaded && loaded.src === background ? loaded.img : null;
+  };
+
+  // Draws the sketch through the view, leaving the context transformed to
+  // canvas px so a stroke in progress can carry on drawing
+  const redraw = () => {
+    const canvas = canvasRef.current;
+    const ctx = canvas.getContext('2d');
+    const { zoom, x, y } = viewRef.current;
+    const sketch = getDocument();
+    const backgroundImage = getBackgroundImage(sketch.background);
+
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.setTransform(zoom, 0, 0, zoom, x, y);
+    if (backgroundImage) ctx.drawImage(backgroundImage, 0, 0);
+    sketch.strokes.forEach(stroke => drawStroke(ctx, stroke));
+    if (strokeRef.current && strokeRef.current.points.length > 1) {
+      drawStroke(ctx, strokeRef.current);
+    }
+    sceneListenersRef.current.forEach(listener => listener());
+  };
+
+  useEffect(() => {
+    const history = createCommandHistory({
+      limit: HISTORY_LIMIT,
+      apply: () => redraw(),
+      // Strokes falling out of the history become part of the base
+      onDrop: (command) => {
+        if (command.type === 'clear') {
+          baseDocumentRef.current = { background: null, strokes: [] };
+        } else {
+          baseDocumentRef.current.strokes.push(command);
+        }
+      }
+    });
+    historyRef.current = history;
+
+    const unsubscribe = history.subscribe(() => {
+      setHistoryStatus({ canUndo: history.canUndo(), canRedo: history.canRedo() });
+    });
+    return unsubscribe;
+  }, []);
+
+  useEffect(() => {
+    viewRef.current = view;
+    redraw();
+  }, [view]);
 
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.code === 'Space' && !isTypingTarget(e.target)) {
+        // Space would otherwise scroll the page
+        e.preventDefault();
+        setSpaceHeld(true);
+        return;
+      }
+      if (!readOnly) handleHistoryShortcut(e, historyRef.current);
+    };
+    const handleKeyUp = (e) => {
+      if (e.code === 'Space') setSpaceHeld(false);
+    };
+    const handleBlur = () => setSpaceHeld(false);
+
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', handleBlur);
+    return () => {
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', handleBlur);
+    };
+  }, [readOnly]);
+
+  // The wheel zooms about the pointer. React's wheel listeners are passive,
+  // so this one is added directly to be able to stop the page scrolling.
   useEffect(() => {
     const canvas = canvasRef.current;
     if (!canvas) return;
 
-    const ctx = canvas.getContext('2d');
-    ctx.lineCap = 'round';
-    ctx.lineJoin = 'round';
-
-    // Load initial data if provided
-    if (initialData && initialData.imageData) {
-      const img = new Image();
-      img.onload = () => {
-        ctx.drawImage(img, 0, 0);
-      };
-      img.src = initialData.imageData;
-    }
-  }, [initialData]);
+    const handleWheel = (e) => {
+      e.preventDefault();
+      const pos = getFramePos(e);
+      const factor = wheelZoomFactor(e);
+      setView(current => zoomViewAt(current, pos, current.zoom * factor));
+    };
+    canvas.addEventListener('wheel', handleWheel, { passive: false });
+    return () => canvas.removeEventListener('wheel', handleWheel);
+  }, []);
 
-  const getMousePos = (e) => {
+  useEffect(() => {
     const canvas = canvasRef.current;
-    const rect = canvas.getBoundingClientRect();
-    return {
-      x: e.clientX - rect.left,
-      y: e.clientY - rect.top
+    if (!canvas) return;
+
+    // Our own save coming back from the parent; the canvas already shows it
+    if (initialData && initialData === savedDataRef.current) return;
+
+    const history = historyRef.current;
+    let cancelled = false;
+
+    // Load initial data if provided, with its last strokes undoable again when
+    // it was saved earlier in this browser session (see toSavedHistory)
+    const load = async () => {
+      const sketch = readDocument(initialData);
+      const undoable = savedUndoCount(initialHistory, sketch);
+      const kept = sketch.strokes.length - undoable;
+      const img = sketch.background ? await loadImage(sketch.background) : null;
+      if (cancelled) return;
+
+      history.clear();
+      if (undoable > 0) {
+        history.load({ sessionId: getHistorySessionId(), undo: sketch.strokes.slice(kept), redo: [] });
+      }
+      const base = { background: sketch.background, strokes: sketch.strokes.slice(0, kept) };
+      baseDocumentRef.current = base;
+      backgroundRef.current = img ? { src: base.background, img } : null;
+      redraw();
+    };
+
+    load().catch(error => console.error('Failed to load sketch:', error));
+    return () => {
+      cancelled = true;
     };
+  }, [initialData]);
+
+  // Position of a pointer on the canvas element, in css px
+  const getFramePos = (e) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top };
   };
 
-  const startDrawing = (e) => {
-    if (readOnly) return;
-    
-    setIsDrawing(true);
-    const pos = getMousePos(e);
-    setStartPos(pos);
-    
-    const ctx = canvasRef.current.getContext('2d');
-    ctx.beginPath();
-    ctx.moveTo(pos.x, pos.y);
+  // Sketch coordinates of a pointer
+  const getPointerPos = (e) => {
+    const { zoom, x, y } = viewRef.current;
+    const pos = getFramePos(e);
+    return { x: (pos.x - x) / zoom, y: (pos.y - y) / zoom };
+  };
+
+  const getPressure = e => (e.pointerType === 'pen' ? e.pressure : DEFAULT_PRESSURE);
+
+  // Drops a stroke in progress, e.g. when a second finger turns it into a pinch
+  const cancelStroke = () => {
+    if (!strokeRef.current) return;
+    strokeRef.current = null;
+    strokePointerRef.current = null;
+    redraw();
+  };
+
+  const startStroke = (e) => {
+    const pos = getPointerPos(e);
+    canvasRef.current.setPointerCapture(e.pointerId);
+    strokePointerRef.current = e.pointerId;
+    strokeRef.current = {
+      type: 'stroke',
+      tool: selectedTool,
+      color: brushColor,
+      size: brushSize,
+      points: [toSample(pos, getPressure(e))]
+    };
   };
 
-  const draw = (e) => {
-    if (!isDrawing || readOnly) return;
-    
-    const pos = getMousePos(e);
+  // Adds the pointer's samples since the last event, smoothed, and draws the
+  // pieces of the stroke they complete
+  const extendStroke = (e) => {
+    const stroke = strokeRef.current;
     const ctx = canvasRef.current.getContext('2d');
-    
-    ctx.strokeStyle = brushColor;
-    ctx.lineWidth = brushSize;
-    
-    if (selectedTool === 'pen') {
-      ctx.lineTo(pos.x, pos.y);
-      ctx.stroke();
-    } else if (selectedTool === 'eraser') {
-      ctx.globalCompositeOperation = 'destination-out';
-      ctx.lineTo(pos.x, pos.y);
-      ctx.stroke();
-      ctx.globalCompositeOperation = 'source-over';
+    const samples = e.nativeEvent.getCoalescedEvents ? e.nativeEvent.getCoalescedEvents() : [];
+
+    (samples.length > 0 ? samples : [e]).forEach((sample) => {
+      const pos = getPointerPos(sample);
+      const [px, py] = stroke.points[stroke.points.length - 1];
+      const smoothed = { x: px + (pos.x - px) * SMOOTHING, y: py + (pos.y - py) * SMOOTHING };
+      if (Math.hypot(smoothed.x - px, smoothed.y - py) < MIN_SAMPLE_DISTANCE) return;
+
+      stroke.points.push(toSample(smoothed, getPressure(sample)));
+      drawStrokePiece(ctx, stroke, stroke.points.length - 1);
+    });
+  };
+
+  const finishStroke = () => {
+    const stroke = strokeRef.current;
+    strokeRef.current = null;
+    strokePointerRef.current = null;
+    if (stroke && stroke.points.length > 1) {
+      drawStrokePiece(canvasRef.current.getContext('2d'), stroke, stroke.points.length);
+      historyRef.current.record(stroke);
+      sceneListenersRef.current.forEach(listener => listener());
     }
   };
 
-  const stopDrawing = () => {
-    setIsDrawing(false);
+  const startPan = (e) => {
+    canvasRef.current.setPointerCapture(e.pointerId);
+    panRef.current = { pointerId: e.pointerId, start: getFramePos(e), view: viewRef.current };
+  };
+
+  const updatePan = (e) => {
+    const { start, view: startView } = panRef.current;
+    const pos = getFramePos(e);
+    setView({ ...startView, x: startView.x + pos.x - start.x, y: startView.y + pos.y - start.y });
+  };
+
+  const startPinch = () => {
+    const [a, b] = [...touchesRef.current.values()];
+    pinchRef.current = { distance: distanceBetween(a, b) || 1, centre: centreOf(a, b), view: viewRef.current };
+  };
+
+  // Zooms about the fingers' starting centre and pans with their movement
+  const updatePinch = () => {
+    const [a, b] = [...touchesRef.current.values()];
+    const { distance, centre, view: start } = pinchRef.current;
+    const zoom = clampZoom((start.zoom * distanceBetween(a, b)) / distance);
+    const now = centreOf(a, b);
+    const anchor = { x: (centre.x - start.x) / start.zoom, y: (centre.y - start.y) / start.zoom };
+    setView({ zoom, x: now.x - anchor.x * zoom, y: now.y - anchor.y * zoom });
+  };
+
+  const handlePointerDown = (e) => {
+    if (e.pointerType === 'pen') {
+      penSeenRef.current = true;
+    }
+
+    if (e.pointerType === 'touch') {
+      if (isPalm(e)) return;
+      touchesRef.current.set(e.pointerId, getFramePos(e));
+      if (touchesRef.current.size === 2) {
+        if (touchesRef.current.has(strokePointerRef.current)) cancelStroke();
+        startPinch();
+        return;
+      }
+      // With a pen around, fingers only pinch
+      if (penSeenRef.current || touchesRef.current.size > 2) return;
+    } else if (e.pointerType === 'mouse' && e.button === 1) {
+      e.preventDefault();
+      startPan(e);
+      return;
+    } else if (e.pointerType === 'mouse' && e.button !== 0) {
+      return;
+    }
+
+    if (strokeRef.current || panRef.current) return;
+    e.preventDefault();
+    // Read-only sketches pan without needing Space
+    if (spaceHeld || readOnly) {
+      startPan(e);
+    } else {
+      startStroke(e);
+    }
+  };
+
+  const handlePointerMove = (e) => {
+    if (touchesRef.current.has(e.pointerId)) {
+      touchesRef.current.set(e.pointerId, getFramePos(e));
+      if (pinchRef.current) {
+        updatePinch();
+        return;
+      }
+    }
+
+    if (panRef.current && e.pointerId === panRef.current.pointerId) {
+      updatePan(e);
+    } else if (strokeRef.current && e.pointerId === strokePointerRef.current) {
+      extendStroke(e);
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    touchesRef.current.delete(e.pointerId);
+    if (touchesRef.current.size < 2) {
+      pinchRef.current = null;
+    }
+
+    if (panRef.current && e.pointerId === panRef.current.pointerId) {
+      panRef.current = null;
+    }
+    if (e.pointerId === strokePointerRef.current) {
+      finishStroke();
+    }
+  };
+
+  const getFrameSize = () => ({ width: canvasRef.current.width, height: canvasRef.current.height });
+
+  const zoomTo = (getZoom) => {
+    const { width, height } = getFrameSize();
+    setView(current => zoomViewAt(current, { x: width / 2, y: height / 2 }, getZoom(current.zoom)));
+  };
+
+  const fitToContent = () => {
+    const sketch = getDocument();
+    const { width, height } = getFrameSize();
+    setView(fitView(getSketchBounds(sketch, getBackgroundImage(sketch.background)), width, height));
+  };
+
+  const getScene = () => {
+    const sketch = getDocument();
+    const backgroundImage = getBackgroundImage(sketch.background);
+    const { width, height } = getFrameSize();
+    return {
+      content: getSketchBounds(sketch, backgroundImage),
+      view: getVisibleBounds(viewRef.current, width, height),
+      draw: (ctx) => {
+        if (backgroundImage) ctx.drawImage(backgroundImage, 0, 0);
+        sketch.strokes.forEach(stroke => drawStroke(ctx, stroke));
+      }
+    };
+  };
+
+  const subscribeToScene = useCallback((listener) => {
+    sceneListenersRef.current.add(listener);
+    return () => sceneListenersRef.current.delete(listener);
+  }, []);
+
+  const navigate = (point) => {
+    const { width, height } = getFrameSize();
+    setView(current => centreViewOn(current, point, width, height));
   };
 
   const clearCanvas = () => {
     if (readOnly) return;
-    
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext('2d');
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+
+    historyRef.current.record({ type: 'clear' });
+    redraw();
   };
 
   const saveCanvas = () => {
-    const canvas = canvasRef.current;
-    const dataURL = canvas.toDataURL('image/png');
-    
+    const { background, strokes } = getDocument();
+
     const canvasData = {
-      imageData: dataURL,
+      strokes,
+      ...(background ? { background } : {}),
       timestamp: new Date().toISOString()
     };
-    
+
     if (onSave) {
-      onSave(canvasData);
+      savedDataRef.current = canvasData;
+      onSave(canvasData, toSavedHistory(historyRef.current));
     }
   };
 
+  // Exports the whole sketch at 1:1, wherever the view is
   const exportAsImage = () => {
-    const canvas = canvasRef.current;
-    const dataURL = canvas.toDataURL('image/png');
-    
-    const link = document.createElement('a');
-    link.download = 'sketch.png';
-    link.href = dataURL;
-    link.click();
+    const sketch = getDocument();
+    const backgroundImage = getBackgroundImage(sketch.background);
+    const bounds = getSketchBounds(sketch, backgroundImage) || { left: 0, top: 0, ...getFrameSize() };
+
+    const image = document.createElement('canvas');
+    image.width = Math.ceil(bounds.width + 2 * EXPORT_MARGIN);
+    image.height = Math.ceil(bounds.height + 2 * EXPORT_MARGIN);
+    const ctx = image.getContext('2d');
+    ctx.translate(EXPORT_MARGIN - bounds.left, EXPORT_MARGIN - bounds.top);
+    if (backgroundImage) ctx.drawImage(backgroundImage, 0, 0);
+    sketch.strokes.forEach(stroke => drawStroke(ctx, stroke));
+    downloadFile(image.toDataURL('image/png'), exportFileName(drawingInfo.drawing, 'png'));
+  };
+
+  const exportDrawing = async (format, options) => {
+    const scene = await createSketchScene(getDocument());
+    try {
+      if (format === 'svg') {
+        downloadFile(exportSvg(scene), exportFileName(drawingInfo.drawing, 'svg'), 'image/svg+xml');
+      } else {
+        const info = { ...drawingInfo, date: new Date().toLocaleDateString() };
+        downloadFile(exportPdf(scene, { ...options, info }), exportFileName(drawingInfo.drawing, 'pdf'));
+      }
+      setShowExportOptions(false);
+    } catch (error) {
+      toast.error(error.message);
+    }
   };
 
   return (
@@ -166,6 +637,38 @@ const SimpleDrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
 
           {/* Actions */}
           <div style={{ display: 'flex', gap: '8px', marginLeft: 'auto' }}>
+            <button
+              onClick={() => historyRef.current.undo()}
+              disabled={!historyStatus.canUndo}
+              style={{
+                padding: '8px 12px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: 'white',
+                cursor: historyStatus.canUndo ? 'pointer' : 'not-allowed',
+                opacity: historyStatus.canUndo ? 1 : 0.5,
+                fontSize: '14px'
+              }}
+              title="Undo (Ctrl+Z)"
+            >
+              ↶ Undo
+            </button>
+            <button
+              onClick={() => historyRef.current.redo()}
+              disabled={!historyStatus.canRedo}
+              style={{
+                padding: '8px 12px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: 'white',
+                cursor: historyStatus.canRedo ? 'pointer' : 'not-allowed',
+                opacity: historyStatus.canRedo ? 1 : 0.5,
+                fontSize: '14px'
+              }}
+              title="Redo (Ctrl+Shift+Z)"
+            >
+              ↷ Redo
+            </button>
             <button
               onClick={clearCanvas}
               style={{
@@ -192,6 +695,20 @@ const SimpleDrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
             >
               💾 Export
             </button>
+            <button
+              onClick={() => setShowExportOptions(shown => !shown)}
+              style={{
+                padding: '8px 12px',
+                border: showExportOptions ? '2px solid #667eea' : '1px solid #e2e8f0',
+                borderRadius: '6px',
+                background: showExportOptions ? '#f0f4ff' : 'white',
+                cursor: 'pointer',
+                fontSize: '14px'
+              }}
+              title="Export as a PDF sheet with a title block, or as SVG"
+            >
+              🖨️ PDF / SVG
+            </button>
             <button
               onClick={saveCanvas}
               style={{
@@ -208,24 +725,56 @@ const SimpleDrawingCanvas = ({ onSave, initialData, readOnly = false }) => {
               💾 Save
             </button>
           </div>
+
+          {showExportOptions && (
+            <div style={{ flexBasis: '100%' }}>
+              <ExportOptions
+                scaled={false}
+                onExport={exportDrawing}
+                onClose={() => setShowExportOptions(false)}
+              />
+            </div>
+          )}
         </div>
       )}
 
       {/* Canvas */}
       <div style={{ display: 'flex', justifyContent: 'center', background: '#ffffff' }}>
-        <canvas
-          ref={canvasRef}
-          width={800}
-          height={600}
-          onMouseDown={startDrawing}
-          onMouseMove={draw}
-          onMouseUp={stopDrawing}
-          onMouseLeave={stopDrawing}
-          style={{
-            cursor: readOnly ? 'default' : (selectedTool === 'pen' ? 'crosshair' : 'grab'),
-            border: '1px solid #e2e8f0'
-          }}
-        />
+        <div style={{
+          position: 'relative',
+          width: '800px',
+          height: '600px',
+          overflow: 'hidden',
+          border: '1px solid #e2e8f0'
+        }}>
+          <canvas
+            ref={canvasRef}
+            width={800}
+            height={600}
+            onPointerDown={handlePointerDown}
+            onPointerMove={handlePointerMove}
+            onPointerUp={handlePointerUp}
+            onPointerCancel={handlePointerUp}
+            style={{
+              display: 'block',
+              cursor: spaceHeld || readOnly ? 'grab' : 'crosshair',
+              // Gestures are ours, not the browser's scrolling and zooming
+              touchAction: 'none'
+            }}
+          />
+          {showMinimap && (
+            <Minimap getScene={getScene} subscribe={subscribeToScene} onNavigate={navigate} />
+          )}
+          <ZoomControls
+            zoom={view.zoom}
+            onZoomIn={() => zoomTo(current => current * ZOOM_STEP)}
+            onZoomOut={() => zoomTo(current => current / ZOOM_STEP)}
+            onReset={() => zoomTo(() => 1)}
+            onFit={fitToContent}
+            showMinimap={showMinimap}
+            onToggleMinimap={() => setShowMinimap(!showMinimap)}
+          />
+        </div>
       </div>
 
       {readOnly && (
@@ -1,14 +1,61 @@
 import React, { useState, useEffect } from 'react';
-import SimpleDrawingCanvas from './SimpleDrawingCanvas';
+import SimpleDrawingCanvas, { createSketchScene } from './SimpleDrawingCanvas';
+import DrawingCanvas from './DrawingCanvas';
+import ExportOptions from './ExportOptions';
 import axios from 'axios';
 import toast from 'react-hot-toast';
+import { submitOrQueue, subscribe, discardEntry, flushOutbox } from '../utils/offlineOutbox';
+import { useOutbox } from '../hooks/useOutbox';
+import { isConflict } from '../utils/revision';
+import { loadPlanScene, exportPng, exportPdf, exportSvg, exportFileName, downloadFile } from '../utils/drawingExport';
+import ConflictDialog from './ConflictDialog';
+import LevelBar from './LevelBar';
+import {
+  MAIN_LEVEL_ID,
+  getLevels,
+  getLevelPlan,
+  levelPlanChanges,
+  createLevel,
+  removeLevelChanges
+} from '../utils/levels';
+import { useAuth } from '../contexts/AuthContext';
+
+const SKETCH_CONFLICT_FIELDS = [
+  {
+    key: 'canvas',
+    label: 'Freehand sketch',
+    describe: canvas => (canvas?.timestamp ? `saved ${new Date(canvas.timestamp).toLocaleString()}` : '—')
+  },
+  {
+    key: 'annotations',
+    label: 'Annotations',
+    describe: annotations => `${annotations?.length || 0} annotations`,
+    combine: (mine = [], theirs = []) => [
+      ...theirs,
+      ...mine.filter(annotation => !theirs.some(other => other.id === annotation.id))
+    ]
+  }
+];
+
+// The revision a save is checked against on the server (see versionCheck).
+// Live plan edits move `lastModified` on but not `lastSaved`.
+const savedRevision = sketch => (sketch?.lastSaved !== undefined ? sketch.lastSaved : sketch?.lastModified) || null;
 
 const SketchEditor = ({ designId, onSave, onClose }) => {
+  const { user } = useAuth();
+  const units = user?.preferences?.units || 'metric';
   const [sketchData, setSketchData] = useState(null);
   const [annotations, setAnnotations] = useState([]);
   const [newAnnotation, setNewAnnotation] = useState('');
   const [loading, setLoading] = useState(false);
   const [activeTab, setActiveTab] = useState('sketch');
+  const [conflict, setConflict] = useState(null);
+  const [drawingInfo, setDrawingInfo] = useState({}); // for export title blocks
+  const [exportSource, setExportSource] = useState('plan');
+  const [exporting, setExporting] = useState(false);
+  const [activeLevel, setActiveLevel] = useState(MAIN_LEVEL_ID); // whose plan the Floor Plan tab shows
+
+  const outbox = useOutbox(entry => entry.kind === 'sketch' && entry.designId === designId);
 
   useEffect(() => {
     if (designId) {
@@ -16,10 +63,30 @@ const SketchEditor = ({ designId, onSave, onClose }) => {
     }
   }, [designId]);
 
+  // Report on offline saves for this design as they are replayed
+  useEffect(() => {
+    return subscribe(({ type, entry }) => {
+      if (entry.kind !== 'sketch' || entry.designId !== designId) return;
+      if (type === 'synced') {
+        toast.success('Offline sketch changes synced');
+      } else if (type === 'conflict') {
+        toast.error('An offline sketch save conflicts with newer changes on the server');
+      } else if (type === 'undeliverable') {
+        toast.error('An offline sketch save was turned away: you no longer have access to this design');
+      }
+    });
+  }, [designId]);
+
   const fetchDesignData = async () => {
     try {
       const response = await axios.get(`/api/designs/${designId}`);
       const design = response.data.design;
+      setDrawingInfo({
+        project: design.project?.name,
+        drawing: design.name,
+        version: design.version !== undefined ? String(design.version) : undefined,
+        author: design.creator ? `${design.creator.firstName} ${design.creator.lastName}` : undefined
+      });
       
       if (design.sketchData) {
         setSketchData(design.sketchData);
@@ -31,34 +98,131 @@ const SketchEditor = ({ designId, onSave, onClose }) => {
     }
   };
 
-  const handleSketchSave = async (canvasData) => {
+  // baseLastModified is the sketch revision we are editing on top of; null
+  // (no sketch yet) must still match, undefined skips the check (overwrite).
+  const submitSketchData = async (updatedSketchData, baseLastModified) => {
     setLoading(true);
     try {
-      const updatedSketchData = {
-        ...sketchData,
-        canvas: canvasData,
-        annotations: annotations,
-        lastModified: new Date().toISOString()
-      };
-
-      await axios.put(`/api/designs/${designId}`, {
-        sketchData: updatedSketchData
+      const result = await submitOrQueue({
+        kind: 'sketch',
+        designId,
+        method: 'put',
+        url: `/api/designs/${designId}`,
+        data: baseLastModified === undefined
+          ? { sketchData: updatedSketchData }
+          : { sketchData: updatedSketchData, baseLastModified }
       });
 
       setSketchData(updatedSketchData);
-      toast.success('Sketch saved successfully!');
+      if (result.status === 'queued') {
+        toast('You are offline. The sketch is saved on this device and will sync when you reconnect.', { icon: '📡' });
+      } else {
+        toast.success('Sketch saved successfully!');
+      }
       
       if (onSave) {
         onSave(updatedSketchData);
       }
     } catch (error) {
       console.error('Failed to save sketch:', error);
-      toast.error('Failed to save sketch');
+      if (isConflict(error)) {
+        setConflict({ mine: updatedSketchData, theirs: error.response.data.sketchData });
+      } else {
+        toast.error('Failed to save sketch');
+      }
     } finally {
       setLoading(false);
     }
   };
 
+  const saveSketchData = (changes) => {
+    const lastModified = new Date().toISOString();
+    return submitSketchData({
+      ...sketchData,
+      ...changes,
+      annotations: annotations,
+      lastModified,
+      lastSaved: lastModified
+    }, savedRevision(sketchData));
+  };
+
+  const resolveConflict = async (resolution, merged) => {
+    const { mine, theirs, entryId } = conflict;
+    setConflict(null);
+    if (entryId) {
+      await discardEntry(entryId);
+    }
+
+    if (resolution === 'theirs') {
+      setSketchData(theirs);
+      setAnnotations(theirs?.annotations || []);
+      return;
+    }
+
+    const lastModified = new Date().toISOString();
+    if (resolution === 'overwrite') {
+      await submitSketchData({ ...mine, lastModified, lastSaved: lastModified });
+    } else {
+      setAnnotations(merged.annotations || []);
+      await submitSketchData({ ...merged, lastModified, lastSaved: lastModified }, savedRevision(theirs));
+    }
+  };
+
+  const discardUndeliverable = async (entries) => {
+    if (!window.confirm(`Discard ${entries.length} sketch ${entries.length === 1 ? 'save' : 'saves'} the server turned away?`)) return;
+    await Promise.all(entries.map(entry => discardEntry(entry.id)));
+  };
+
+  const reviewOutboxConflict = (entry) => {
+    setConflict({
+      mine: entry.data.sketchData,
+      theirs: entry.conflict?.sketchData,
+      entryId: entry.id
+    });
+  };
+
+  // Each canvas's undo history is saved next to the sketch (see commandHistory)
+  const withHistory = (key, history) => (
+    history === undefined ? {} : { history: { ...sketchData?.history, [key]: history } }
+  );
+
+  const handleSketchSave = (canvasData, history) => saveSketchData({
+    canvas: canvasData,
+    ...withHistory('canvas', history)
+  });
+
+  // Floor plans are drawn on the fabric canvas and stored as fabric JSON. Live edits
+  // are merged and persisted per object on the server, which keeps the stored plan
+  // over the copy saved here. The wall graph, room schedule and stairs are worked
+  // out from the plan when it is saved and stored next to it.
+  // Each level of the building has its own plan (see utils/levels).
+  const levels = getLevels(sketchData);
+  const planHistoryKey = activeLevel === MAIN_LEVEL_ID ? 'plan' : `plan:${activeLevel}`;
+  const activeLevelName = levels.find(level => level.id === activeLevel)?.name;
+  // Plan sheets of a building with several levels say which level they show
+  const planDrawingInfo = levels.length > 1
+    ? { ...drawingInfo, drawing: [drawingInfo.drawing, activeLevelName].filter(Boolean).join(' – ') }
+    : drawingInfo;
+
+  const handlePlanSave = (planData, history, derived = {}) => saveSketchData({
+    ...levelPlanChanges(sketchData, activeLevel, { plan: planData, ...derived }),
+    ...withHistory(planHistoryKey, history)
+  });
+
+  const addLevel = () => {
+    const level = createLevel(levels);
+    saveSketchData({ levels: [...levels, level] });
+    setActiveLevel(level.id);
+  };
+
+  const removeLevel = (levelId) => {
+    const level = levels.find(candidate => candidate.id === levelId);
+    if (!window.confirm(`Delete ${level.name} and its floor plan?`)) return;
+    const { [`plan:${levelId}`]: removed, ...history } = sketchData?.history || {};
+    saveSketchData({ ...removeLevelChanges(sketchData, levelId), history });
+    setActiveLevel(MAIN_LEVEL_ID);
+  };
+
   const addAnnotation = () => {
     if (newAnnotation.trim()) {
       const annotation = {
@@ -77,9 +241,42 @@ const SketchEditor = ({ designId, onSave, onClose }) => {
     setAnnotations(annotations.filter(ann => ann.id !== id));
   };
 
-  const exportSketch = () => {
-    // This would trigger the canvas export
-    toast.success('Export functionality would be implemented here');
+  // Exports the saved sketch: the floor plan or the freehand sketch as an
+  // image, PDF or SVG, or all of it as JSON
+  const exportSketch = async (format, options = {}) => {
+    if (format === 'json') {
+      if (!sketchData) {
+        toast.error('Save a sketch before exporting it');
+        return;
+      }
+      downloadFile(JSON.stringify({ ...sketchData, annotations }, null, 2), exportFileName(drawingInfo.drawing, 'json'), 'application/json');
+      return;
+    }
+
+    const saved = exportSource === 'plan' ? getLevelPlan(sketchData, activeLevel).plan : sketchData?.canvas;
+    if (!saved) {
+      toast.error(`Save the ${exportSource === 'plan' ? 'floor plan' : 'freehand sketch'} before exporting it`);
+      return;
+    }
+
+    setExporting(true);
+    try {
+      const scene = exportSource === 'plan' ? await loadPlanScene(saved) : await createSketchScene(saved);
+      const sheetInfo = exportSource === 'plan' ? planDrawingInfo : drawingInfo;
+      const fileName = extension => exportFileName(sheetInfo.drawing, extension);
+      if (format === 'png') {
+        downloadFile(exportPng(scene), fileName('png'));
+      } else if (format === 'svg') {
+        downloadFile(exportSvg(scene, options), fileName('svg'), 'image/svg+xml');
+      } else {
+        const info = { ...sheetInfo, date: new Date().toLocaleDateString() };
+        downloadFile(exportPdf(scene, { ...options, info }), fileName('pdf'));
+      }
+    } catch (error) {
+      toast.error(error.message);
+    } finally {
+      setExporting(false);
+    }
   };
 
   return (
@@ -138,6 +335,7 @@ const SketchEditor = ({ designId, onSave, onClose }) => {
         }}>
           {[
             { id: 'sketch', label: '✏️ Sketch' },
+            { id: 'plan', label: '📐 Floor Plan' },
             { id: 'annotations', label: '📝 Annotations' },
             { id: 'export', label: '💾 Export' }
           ].map((tab) => (
@@ -166,6 +364,32 @@ const SketchEditor = ({ designId, onSave, onClose }) => {
               <SimpleDrawingCanvas
                 onSave={handleSketchSave}
                 initialData={sketchData?.canvas}
+                initialHistory={sketchData?.history?.canvas}
+                drawingInfo={drawingInfo}
+                readOnly={false}
+              />
+            </div>
+          )}
+
+          {activeTab === 'plan' && (
+            <div style={{ flex: 1, padding: '20px', overflow: 'auto' }}>
+              <LevelBar
+                levels={levels}
+                activeLevel={activeLevel}
+                units={units}
+                onSelect={setActiveLevel}
+                onChange={changed => saveSketchData({ levels: changed })}
+                onAdd={addLevel}
+                onRemove={removeLevel}
+              />
+              <DrawingCanvas
+                key={activeLevel}
+                onSave={handlePlanSave}
+                initialData={getLevelPlan(sketchData, activeLevel).plan}
+                initialHistory={sketchData?.history?.[planHistoryKey]}
+                designId={designId}
+                level={activeLevel === MAIN_LEVEL_ID ? null : activeLevel}
+                drawingInfo={planDrawingInfo}
                 readOnly={false}
               />
             </div>
@@ -253,45 +477,50 @@ const SketchEditor = ({ designId, onSave, onClose }) => {
           )}
 
           {activeTab === 'export' && (
-            <div style={{ flex: 1, padding: '20px' }}>
-              <h3 style={{ marginBottom: '20px' }}>Export Options</h3>
-              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px' }}>
-                <button
-                  onClick={exportSketch}
+            <div style={{ flex: 1, padding: '20px', overflowY: 'auto' }}>
+              <h3 style={{ marginBottom: '8px' }}>Export Options</h3>
+              <p style={{ margin: '0 0 20px', color: '#64748b', fontSize: '14px' }}>
+                Exports are made from the last saved version of the sketch.
+              </p>
+              <div style={{ display: 'flex', alignItems: 'center', gap: '8px', marginBottom: '20px' }}>
+                <label style={{ fontSize: '14px', fontWeight: '500' }}>Drawing:</label>
+                <select
+                  value={exportSource}
+                  onChange={(e) => setExportSource(e.target.value)}
                   style={{
-                    padding: '20px',
+                    padding: '6px 8px',
                     border: '1px solid #e2e8f0',
-                    borderRadius: '8px',
-                    background: 'white',
-                    cursor: 'pointer',
-                    textAlign: 'center',
-                    transition: 'all 0.2s'
+                    borderRadius: '6px',
+                    fontSize: '14px'
                   }}
                 >
-                  <div style={{ fontSize: '32px', marginBottom: '8px' }}>📄</div>
-                  <div style={{ fontWeight: '500' }}>PNG Image</div>
-                  <div style={{ fontSize: '14px', color: '#64748b' }}>High quality image</div>
-                </button>
-                
+                  <option value="plan">
+                    Floor plan{levels.length > 1 ? ` (${activeLevelName})` : ''}
+                  </option>
+                  <option value="sketch">Freehand sketch</option>
+                </select>
+              </div>
+              <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: '16px' }}>
                 <button
-                  onClick={exportSketch}
+                  onClick={() => exportSketch('png')}
+                  disabled={exporting}
                   style={{
                     padding: '20px',
                     border: '1px solid #e2e8f0',
                     borderRadius: '8px',
                     background: 'white',
-                    cursor: 'pointer',
+                    cursor: exporting ? 'not-allowed' : 'pointer',
                     textAlign: 'center',
                     transition: 'all 0.2s'
                   }}
                 >
-                  <div style={{ fontSize: '32px', marginBottom: '8px' }}>📋</div>
-                  <div style={{ fontWeight: '500' }}>PDF Document</div>
-                  <div style={{ fontSize: '14px', color: '#64748b' }}>Printable format</div>
+                  <div style={{ fontSize: '32px', marginBottom: '8px' }}>📄</div>
+                  <div style={{ fontWeight: '500' }}>PNG Image</div>
+                  <div style={{ fontSize: '14px', color: '#64748b' }}>High quality image</div>
                 </button>
                 
                 <button
-                  onClick={exportSketch}
+                  onClick={() => exportSketch('json')}
                   style={{
                     padding: '20px',
                     border: '1px solid #e2e8f0',
@@ -307,6 +536,19 @@ const SketchEditor = ({ designId, onSave, onClose }) => {
                   <div style={{ fontSize: '14px', color: '#64748b' }}>Editable format</div>
                 </button>
               </div>
+
+              <h4 style={{ margin: '24px 0 4px' }}>📋 PDF Document or SVG</h4>
+              <p style={{ margin: '0 0 12px', color: '#64748b', fontSize: '14px' }}>
+                Printable sheets with a title block, or a vector drawing for other design tools
+              </p>
+              <ExportOptions
+                key={exportSource}
+                units={units}
+                scaled={exportSource === 'plan'}
+                defaultScale={getLevelPlan(sketchData, activeLevel).plan?.scale || 'fit'}
+                busy={exporting}
+                onExport={exportSketch}
+              />
             </div>
           )}
         </div>
@@ -319,8 +561,58 @@ const SketchEditor = ({ designId, onSave, onClose }) => {
           justifyContent: 'space-between',
           alignItems: 'center'
         }}>
-          <div style={{ color: '#64748b', fontSize: '14px' }}>
-            {loading ? 'Saving...' : 'Ready to sketch'}
+          <div style={{ display: 'flex', alignItems: 'center', gap: '12px', color: '#64748b', fontSize: '14px' }}>
+            <span>{loading ? 'Saving...' : 'Ready to sketch'}</span>
+            {outbox.pending.length > 0 && (
+              <button
+                onClick={() => flushOutbox()}
+                style={{
+                  padding: '4px 8px',
+                  border: '1px solid #f59e0b',
+                  borderRadius: '4px',
+                  background: '#fef3c7',
+                  color: '#92400e',
+                  cursor: 'pointer',
+                  fontSize: '12px'
+                }}
+                title="Retry now"
+              >
+                📡 {outbox.pending.length} unsynced {outbox.pending.length === 1 ? 'save' : 'saves'}
+              </button>
+            )}
+            {outbox.conflicts.length > 0 && (
+              <button
+                onClick={() => reviewOutboxConflict(outbox.conflicts[0])}
+                style={{
+                  padding: '4px 8px',
+                  border: '1px solid #dc2626',
+                  borderRadius: '4px',
+                  background: '#fee2e2',
+                  color: '#dc2626',
+                  cursor: 'pointer',
+                  fontSize: '12px'
+                }}
+              >
+                ⚠️ {outbox.conflicts.length} conflicting {outbox.conflicts.length === 1 ? 'save' : 'saves'}
+              </button>
+            )}
+            {outbox.undeliverable.length > 0 && (
+              <button
+                onClick={() => discardUndeliverable(outbox.undeliverable)}
+                style={{
+                  padding: '4px 8px',
+                  border: '1px solid #dc2626',
+                  borderRadius: '4px',
+                  background: '#fee2e2',
+                  color: '#dc2626',
+                  cursor: 'pointer',
+                  fontSize: '12px'
+                }}
+                title="You no longer have access to save these. Click to discard them."
+              >
+                ⛔ {outbox.undeliverable.length} undeliverable {outbox.undeliverable.length === 1 ? 'save' : 'saves'}
+              </button>
+            )}
           </div>
           <div style={{ display: 'flex', gap: '12px' }}>
             <button
@@ -352,6 +644,20 @@ const SketchEditor = ({ designId, onSave, onClose }) => {
           </div>
         </div>
       </div>
+
+      {conflict && (
+        <ConflictDialog
+          title="This sketch was changed by someone else"
+          message="Pick which version of each part to keep, overwrite theirs with yours, or take their version."
+          fields={SKETCH_CONFLICT_FIELDS}
+          mine={conflict.mine}
+          theirs={conflict.theirs}
+          onMerge={merged => resolveConflict('merge', merged)}
+          onOverwrite={() => resolveConflict('overwrite')}
+          onDiscard={() => resolveConflict('theirs')}
+          onCancel={() => setConflict(null)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,46 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { io } from 'socket.io-client';
+import { useAuth } from './AuthContext';
+
+const SocketContext = createContext(null);
+
+const SOCKET_URL = process.env.REACT_APP_SOCKET_URL || 'http://localhost:8000';
+
+export const useSocket = () => useContext(SocketContext);
+
+export const SocketProvider = ({ children }) => {
+  const { token, isAuthenticated } = useAuth();
+  const [socket, setSocket] = useState(null);
+
+  // Connect with the same JWT AuthContext puts on axios; reconnect when it changes
+  useEffect(() => {
+    if (!token || !isAuthenticated) {
+      setSocket(null);
+      return;
+    }
+
+    const newSocket = io(SOCKET_URL, {
+      auth: { token }
+    });
+
+    newSocket.on('connect_error', (error) => {
+      console.error('Socket connection failed:', error.message);
+    });
+
+    newSocket.on('join-denied', ({ projectId, message }) => {
+      console.error(`Could not join project ${projectId}:`, message);
+    });
+
+    setSocket(newSocket);
+
+    return () => {
+      newSocket.disconnect();
+    };
+  }, [token, isAuthenticated]);
+
+  return (
+    <SocketContext.Provider value={socket}>
+      {children}
+    </SocketContext.Provider>
+  );
+};
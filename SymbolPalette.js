@@ -0,0 +1,139 @@
+import React, { useEffect, useState } from 'react';
+import { SYMBOLS } from '../utils/architecturalSymbols';
+import { formatLength } from '../utils/units';
+
+const buttonStyle = {
+  padding: '6px 10px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  background: 'white',
+  cursor: 'pointer',
+  fontSize: '13px'
+};
+
+const activeButtonStyle = {
+  ...buttonStyle,
+  border: '2px solid #667eea',
+  background: '#f0f4ff'
+};
+
+const selectStyle = {
+  padding: '4px 6px',
+  border: '1px solid #e2e8f0',
+  borderRadius: '6px',
+  fontSize: '13px'
+};
+
+// The selected object when it is a single architectural symbol
+const getSelectedSymbol = (canvas) => {
+  const active = canvas?.getActiveObject();
+  return active && active.type === 'archSymbol' ? active : null;
+};
+
+// Symbol palette for DrawingCanvas: pick a symbol to place it with a click
+// (see useDrawingTools), and edit the parameters of the selected symbol.
+const SymbolPalette = ({ canvas, activeSymbol, onPick, units }) => {
+  const [selected, setSelected] = useState(null);
+  const [, setRevision] = useState(0);
+
+  useEffect(() => {
+    if (!canvas) return;
+
+    const refresh = () => {
+      setSelected(getSelectedSymbol(canvas));
+      setRevision(revision => revision + 1);
+    };
+
+    canvas.on('selection:created', refresh);
+    canvas.on('selection:updated', refresh);
+    canvas.on('selection:cleared', refresh);
+    canvas.on('object:modified', refresh);
+    canvas.on('object:removed', refresh);
+
+    return () => {
+      canvas.off('selection:created', refresh);
+      canvas.off('selection:updated', refresh);
+      canvas.off('selection:cleared', refresh);
+      canvas.off('object:modified', refresh);
+      canvas.off('object:removed', refresh);
+    };
+  }, [canvas]);
+
+  // Edits go through object:modified so they sync and can be undone
+  const updateSelected = (props) => {
+    selected.set(props);
+    selected.setCoords();
+    canvas.requestRenderAll();
+    canvas.fire('object:modified', { target: selected });
+  };
+
+  const definition = selected && SYMBOLS[selected.symbolType];
+  const size = selected && selected.getSizeMm();
+
+  return (
+    <div style={{
+      padding: '8px 12px',
+      borderBottom: '1px solid #e2e8f0',
+      background: '#f8fafc',
+      display: 'flex',
+      alignItems: 'center',
+      gap: '8px',
+      flexWrap: 'wrap'
+    }}>
+      <span style={{ fontSize: '14px', fontWeight: '500' }}>Symbols:</span>
+      {Object.entries(SYMBOLS).map(([symbolType, symbol]) => (
+        <button
+          key={symbolType}
+          onClick={() => onPick(symbolType)}
+          style={activeSymbol === symbolType ? activeButtonStyle : buttonStyle}
+          title={`Place ${symbol.label.toLowerCase()} (click on the canvas)`}
+        >
+          {symbol.icon} {symbol.label}
+        </button>
+      ))}
+
+      {definition && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          gap: '8px',
+          marginLeft: 'auto',
+          paddingLeft: '12px',
+          borderLeft: '1px solid #e2e8f0'
+        }}>
+          <span style={{ fontSize: '13px', fontWeight: '500' }}>{definition.label}</span>
+          {size && (
+            <span style={{ fontSize: '12px', color: '#64748b' }}>
+              {formatLength(size.width, units)} × {formatLength(size.height, units)}
+            </span>
+          )}
+          {Object.entries(definition.paramOptions).map(([param, { label, options }]) => (
+            <label key={param} style={{ display: 'flex', alignItems: 'center', gap: '4px', fontSize: '13px' }}>
+              {label}
+              <select
+                value={selected.params[param]}
+                onChange={(e) => {
+                  const [value] = options.find(([option]) => `${option}` === e.target.value);
+                  updateSelected({ params: { ...selected.params, [param]: value } });
+                }}
+                style={selectStyle}
+              >
+                {options.map(([value, optionLabel]) => (
+                  <option key={value} value={value}>{optionLabel}</option>
+                ))}
+              </select>
+            </label>
+          ))}
+          <button onClick={() => updateSelected({ flipX: !selected.flipX })} style={buttonStyle} title="Mirror left to right">
+            ⇋ Flip
+          </button>
+          <button onClick={() => updateSelected({ flipY: !selected.flipY })} style={buttonStyle} title="Mirror top to bottom">
+            ⇅ Flip
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default SymbolPalette;
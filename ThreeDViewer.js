@@ -1,36 +1,111 @@
 import React, { useRef, useEffect, useState } from 'react';
 import * as THREE from 'three';
 import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls';
-
-const ThreeDViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
+import { TransformControls } from 'three/examples/jsm/controls/TransformControls';
+import toast from 'react-hot-toast';
+import {
+  createModelGroup,
+  getBuildingModel,
+  getLevelGroups,
+  setLevelDisplay,
+  getFurnitureGroup,
+  createFurnitureMesh,
+  updateFurnitureMesh,
+  furnitureFromMesh
+} from '../utils/buildingModel';
+import { FURNITURE_CATALOGUE, createFurnitureItem, snapFurniture } from '../utils/furniture';
+import { MODEL_FORMATS, createModelFiles } from '../utils/modelExport';
+import { downloadFile } from '../utils/drawingExport';
+import { MODEL_UNITS, loadModelFile, setModelUnit } from '../utils/modelImport';
+import ModelOutline from './ModelOutline';
+import ObjectPanel from './ObjectPanel';
+
+const DEFAULT_VIEW_DISTANCE = 10;
+const CLICK_TOLERANCE = 4; // px the pointer can move in a click that selects
+
+const TRANSFORM_MODES = [
+  { id: 'translate', label: '✥', title: 'Move' },
+  { id: 'rotate', label: '🔄', title: 'Rotate' },
+  { id: 'scale', label: '⤢', title: 'Resize' }
+];
+
+// Shows the design's model (modelData, see createModelGroup) or, when
+// `modelFile` is given, a model file uploaded to the design (see modelImport).
+// The design's furniture can be added, moved, turned, resized and deleted;
+// each change is passed to onModelUpdate({ action: 'furniture', furniture })
+// for the design to save.
+const ThreeDViewer = ({ modelData, modelFile, onModelUpdate, readOnly = false, exportName }) => {
   const mountRef = useRef(null);
   const sceneRef = useRef(null);
   const rendererRef = useRef(null);
   const cameraRef = useRef(null);
   const controlsRef = useRef(null);
+  const viewDistanceRef = useRef(DEFAULT_VIEW_DISTANCE);
+  const modelRef = useRef(null);
+  const loadRequestRef = useRef(0);
+  const clickHandlerRef = useRef(null);
+  const pointerDownRef = useRef(null);
+  const draggedRef = useRef(false); // the gizmo was dragged since the pointer went down
+  const transformRef = useRef(null);
+  const transformHandlersRef = useRef({});
+  const selectionBoxRef = useRef(null);
+  const buildingRef = useRef(null); // the building description, for snapping
+  const shownRef = useRef(null); // { modelData, modelFile } last loaded
   const [isLoading, setIsLoading] = useState(false);
   const [selectedObject, setSelectedObject] = useState(null);
   const [viewMode, setViewMode] = useState('perspective');
   const [lighting, setLighting] = useState('default');
+  const [exportFormat, setExportFormat] = useState('glb');
+  const [exporting, setExporting] = useState(false);
+  const [loadProgress, setLoadProgress] = useState(null);
+  const [importInfo, setImportInfo] = useState(null); // { unit, unitGuessed } of a model file
+  const [showOutline, setShowOutline] = useState(false);
+  const [levels, setLevels] = useState([]); // { id, name } of the levels of a building model
+  const [levelView, setLevelView] = useState(null); // the level on show, null for all of them
+  const [levelMode, setLevelMode] = useState('isolate'); // how the other levels are shown
+  const [furniture, setFurniture] = useState([]); // the items the furniture group shows
+  const [transformMode, setTransformMode] = useState('translate');
+  const [snapping, setSnapping] = useState(true);
+
+  const canEdit = !readOnly && !modelFile && !!onModelUpdate;
+  const isFurniture = object => !!object && object.userData.kind === 'furniture' &&
+    !!modelRef.current && object.parent === getFurnitureGroup(modelRef.current);
+  const selectedItem = canEdit && isFurniture(selectedObject) ? furniture[selectedObject.userData.index] : null;
 
   useEffect(() => {
     if (mountRef.current) {
-      initThreeJS();
-      loadModel();
-      
-      return () => {
-        if (rendererRef.current) {
-          rendererRef.current.dispose();
-        }
-      };
+      return initThreeJS();
     }
   }, []);
 
   useEffect(() => {
-    if (modelData && sceneRef.current) {
-      loadModel();
+    if (!sceneRef.current) return;
+    // Furniture changed here comes back as new modelData, already on show
+    if (isFurnitureEcho()) {
+      shownRef.current = { modelData, modelFile };
+      return;
+    }
+    loadModel();
+  }, [modelData, modelFile]);
+
+  useEffect(() => {
+    if (!selectedItem) return undefined;
+    const onKeyDown = (event) => {
+      if (['INPUT', 'SELECT', 'TEXTAREA'].includes(event.target.tagName)) return;
+      if (event.key === 'Delete' || event.key === 'Backspace') deleteSelected();
+    };
+    window.addEventListener('keydown', onKeyDown);
+    return () => window.removeEventListener('keydown', onKeyDown);
+  }, [selectedItem, furniture]);
+
+  const isFurnitureEcho = () => {
+    const shown = shownRef.current;
+    if (!shown || !shown.modelData || !modelData || shown.modelFile !== modelFile || modelData.furniture !== furniture) {
+      return false;
     }
-  }, [modelData]);
+    return Object.keys({ ...shown.modelData, ...modelData })
+      .every(key => key === 'furniture' || shown.modelData[key] === modelData[key]);
+  };
 
   const initThreeJS = () => {
     // Scene
@@ -62,6 +137,27 @@ const ThreeDViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
     controls.dampingFactor = 0.05;
     controlsRef.current = controls;
 
+    // Selection. Ahead of the gizmo's own pointerdown, so a drag it starts
+    // is still marked when the click that ends it comes.
+    const onPointerDown = (event) => {
+      pointerDownRef.current = { x: event.clientX, y: event.clientY };
+      draggedRef.current = false;
+    };
+    const onClick = event => clickHandlerRef.current(event);
+    renderer.domElement.addEventListener('pointerdown', onPointerDown);
+    renderer.domElement.addEventListener('click', onClick);
+
+    // Gizmo for moving, turning and resizing the selected furniture
+    const transform = new TransformControls(camera, renderer.domElement);
+    transform.addEventListener('dragging-changed', (event) => {
+      controls.enabled = !event.value;
+      if (event.value) draggedRef.current = true;
+    });
+    transform.addEventListener('objectChange', () => transformHandlersRef.current.change());
+    transform.addEventListener('mouseUp', () => transformHandlersRef.current.end());
+    scene.add(transform);
+    transformRef.current = transform;
+
     // Lighting
     setupLighting();
 
@@ -70,8 +166,9 @@ const ThreeDViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
     scene.add(gridHelper);
 
     // Animation loop
+    let frame;
     const animate = () => {
-      requestAnimationFrame(animate);
+      frame = requestAnimationFrame(animate);
       controls.update();
       renderer.render(scene, camera);
     };
@@ -86,6 +183,17 @@ const ThreeDViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
       renderer.setSize(width, height);
     };
     window.addEventListener('resize', handleResize);
+
+    return () => {
+      cancelAnimationFrame(frame);
+      window.removeEventListener('resize', handleResize);
+      renderer.domElement.removeEventListener('pointerdown', onPointerDown);
+      renderer.domElement.removeEventListener('click', onClick);
+      transform.dispose();
+      controls.dispose();
+      renderer.dispose();
+      renderer.domElement.remove();
+    };
   };
 
   const setupLighting = () => {
@@ -130,187 +238,244 @@ const ThreeDViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
     }
   };
 
-  const loadModel = () => {
-    if (!sceneRef.current || !modelData) return;
+  const loadModel = async () => {
+    if (!sceneRef.current || (!modelData && !modelFile)) return;
+
+    // Only the latest request gets shown if model files load out of order
+    loadRequestRef.current += 1;
+    const request = loadRequestRef.current;
+    const isCurrent = () => request === loadRequestRef.current;
 
     setIsLoading(true);
+    selectObject(null);
+    shownRef.current = { modelData, modelFile };
 
     // Clear existing models
     const models = sceneRef.current.children.filter(child => 
-      child.type === 'Group' || child.type === 'Mesh'
+      (child.type === 'Group' || child.type === 'Mesh') && child !== transformRef.current
     );
     models.forEach(model => {
       if (model.type !== 'GridHelper') {
         sceneRef.current.remove(model);
       }
     });
+    modelRef.current = null;
+    setLevels([]);
 
     try {
-      // Create a simple building model based on data
-      createBuildingModel(modelData);
+      if (modelFile) {
+        setLoadProgress(0);
+        const { object, unit, unitGuessed } = await loadModelFile(modelFile, {
+          onProgress: fraction => isCurrent() && setLoadProgress(fraction)
+        });
+        if (!isCurrent()) return;
+        buildingRef.current = null;
+        setFurniture([]);
+        showModel(object);
+        setImportInfo({ unit, unitGuessed });
+        if (unitGuessed) {
+          toast(`${modelFile.filename} looks to be in ${MODEL_UNITS[unit].label.toLowerCase()}. Change the units if it's the wrong size.`, { icon: '📏' });
+        }
+      } else {
+        setImportInfo(null);
+        buildingRef.current = getBuildingModel(modelData);
+        setFurniture(modelData.furniture || []);
+        showModel(createModelGroup(modelData));
+      }
     } catch (error) {
       console.error('Error loading model:', error);
+      toast.error(modelFile ? error.message : 'Failed to build the 3D model');
     } finally {
-      setIsLoading(false);
+      if (isCurrent()) {
+        setIsLoading(false);
+        setLoadProgress(null);
+      }
     }
   };
 
-  const createBuildingModel = (data) => {
-    const group = new THREE.Group();
-
-    // Create walls
-    if (data.dimensions) {
-      const { width, height, depth } = data.dimensions;
-      
-      // Floor
-      const floorGeometry = new THREE.PlaneGeometry(width, depth);
-      const floorMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
-      const floor = new THREE.Mesh(floorGeometry, floorMaterial);
-      floor.rotation.x = -Math.PI / 2;
-      floor.receiveShadow = true;
-      group.add(floor);
-
-      // Walls
-      const wallMaterial = new THREE.MeshLambertMaterial({ color: 0xffffff });
-      
-      // Front wall
-      const frontWallGeometry = new THREE.PlaneGeometry(width, height);
-      const frontWall = new THREE.Mesh(frontWallGeometry, wallMaterial);
-      frontWall.position.set(0, height / 2, depth / 2);
-      group.add(frontWall);
-
-      // Back wall
-      const backWall = new THREE.Mesh(frontWallGeometry, wallMaterial);
-      backWall.position.set(0, height / 2, -depth / 2);
-      backWall.rotation.y = Math.PI;
-      group.add(backWall);
-
-      // Left wall
-      const leftWallGeometry = new THREE.PlaneGeometry(depth, height);
-      const leftWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
-      leftWall.position.set(-width / 2, height / 2, 0);
-      leftWall.rotation.y = Math.PI / 2;
-      group.add(leftWall);
-
-      // Right wall
-      const rightWall = new THREE.Mesh(leftWallGeometry, wallMaterial);
-      rightWall.position.set(width / 2, height / 2, 0);
-      rightWall.rotation.y = -Math.PI / 2;
-      group.add(rightWall);
-
-      // Roof
-      const roofGeometry = new THREE.PlaneGeometry(width, depth);
-      const roofMaterial = new THREE.MeshLambertMaterial({ color: 0x8B0000 });
-      const roof = new THREE.Mesh(roofGeometry, roofMaterial);
-      roof.position.set(0, height, 0);
-      roof.rotation.x = Math.PI / 2;
-      group.add(roof);
-    }
+  const showModel = (group) => {
+    sceneRef.current.add(group);
+    modelRef.current = group;
+    frameModel(group);
+    setLevels(getLevelGroups(group).map(level => ({ id: level.userData.levelId, name: level.name })));
+    setLevelView(null);
+  };
+
+  const changeUnit = (unit) => {
+    if (!modelRef.current) return;
+    setModelUnit(modelRef.current, unit);
+    frameModel(modelRef.current);
+    setImportInfo(info => ({ ...info, unit }));
+  };
 
-    // Add windows and doors
-    addWindowsAndDoors(group, data);
+  const changeLevelDisplay = (levelId, mode) => {
+    setLevelView(levelId);
+    setLevelMode(mode);
+    if (modelRef.current) setLevelDisplay(modelRef.current, levelId, mode);
+  };
+
+  // Sizes the views to the model and points the camera at its middle
+  const frameModel = (group) => {
+    const bounds = new THREE.Box3().setFromObject(group);
+    if (bounds.isEmpty()) return;
+    const size = bounds.getSize(new THREE.Vector3());
+    viewDistanceRef.current = Math.max(DEFAULT_VIEW_DISTANCE, Math.max(size.x, size.y, size.z) * 1.2);
+    controlsRef.current.target.copy(bounds.getCenter(new THREE.Vector3()));
+    changeViewMode(viewMode);
+  };
+
+  const selectObject = (selected) => {
+    setSelectedObject(selected);
 
-    // Add furniture if specified
-    if (data.furniture) {
-      addFurniture(group, data.furniture);
+    // Outlined rather than tinted: building parts share their level's materials
+    if (selectionBoxRef.current) {
+      sceneRef.current.remove(selectionBoxRef.current);
+      selectionBoxRef.current.geometry.dispose();
+      selectionBoxRef.current = null;
     }
+    transformRef.current.detach();
+    if (!selected) return;
 
-    sceneRef.current.add(group);
+    selectionBoxRef.current = new THREE.BoxHelper(selected, 0x667eea);
+    sceneRef.current.add(selectionBoxRef.current);
+    if (canEdit && isFurniture(selected)) {
+      transformRef.current.attach(selected);
+    }
 
-    // Enable object selection
-    if (!readOnly) {
-      enableObjectSelection(group);
+    if (onModelUpdate) {
+      onModelUpdate({ selectedObject: selected, action: 'select' });
     }
   };
 
-  const addWindowsAndDoors = (group, data) => {
-    // Simple window representation
-    const windowGeometry = new THREE.PlaneGeometry(1, 1.5);
-    const windowMaterial = new THREE.MeshLambertMaterial({ 
-      color: 0x87CEEB,
-      transparent: true,
-      opacity: 0.7
-    });
+  // Objects in hidden groups, or in levels ghosted behind the one on show,
+  // can't be picked
+  const isPickable = (object) => {
+    for (let current = object; current; current = current.parent) {
+      if (!current.visible) return false;
+      if (levelView && current.userData.kind === 'level' && current.userData.levelId !== levelView) return false;
+    }
+    return true;
+  };
 
-    // Add windows to front wall
-    const window1 = new THREE.Mesh(windowGeometry, windowMaterial);
-    window1.position.set(-2, 2, 2.01);
-    group.add(window1);
-
-    const window2 = new THREE.Mesh(windowGeometry, windowMaterial);
-    window2.position.set(2, 2, 2.01);
-    group.add(window2);
-
-    // Door
-    const doorGeometry = new THREE.PlaneGeometry(1, 2.5);
-    const doorMaterial = new THREE.MeshLambertMaterial({ color: 0x8B4513 });
-    const door = new THREE.Mesh(doorGeometry, doorMaterial);
-    door.position.set(0, 1.25, 2.01);
-    group.add(door);
+  // Clicking an object selects it and clicking empty space clears the
+  // selection; drags (orbiting, or moving the gizmo) select nothing
+  clickHandlerRef.current = (event) => {
+    const down = pointerDownRef.current;
+    const dragged = draggedRef.current || !down ||
+      Math.hypot(event.clientX - down.x, event.clientY - down.y) > CLICK_TOLERANCE;
+    draggedRef.current = false;
+    if (readOnly || dragged || !modelRef.current) return;
+
+    const rect = mountRef.current.getBoundingClientRect();
+    const mouse = new THREE.Vector2(
+      ((event.clientX - rect.left) / rect.width) * 2 - 1,
+      -((event.clientY - rect.top) / rect.height) * 2 + 1
+    );
+    const raycaster = new THREE.Raycaster();
+    raycaster.setFromCamera(mouse, cameraRef.current);
+    const hit = raycaster.intersectObjects(modelRef.current.children, true).find(({ object }) => isPickable(object));
+    selectObject(hit ? hit.object : null);
   };
 
-  const addFurniture = (group, furniture) => {
-    furniture.forEach(item => {
-      const geometry = new THREE.BoxGeometry(item.width, item.height, item.depth);
-      const material = new THREE.MeshLambertMaterial({ color: item.color || 0x654321 });
-      const mesh = new THREE.Mesh(geometry, material);
-      mesh.position.set(item.x, item.y, item.z);
-      mesh.castShadow = true;
-      group.add(mesh);
-    });
+  const commitFurniture = (items) => {
+    setFurniture(items);
+    onModelUpdate({ action: 'furniture', furniture: items });
   };
 
-  const enableObjectSelection = (group) => {
-    const raycaster = new THREE.Raycaster();
-    const mouse = new THREE.Vector2();
-
-    const onMouseClick = (event) => {
-      const rect = mountRef.current.getBoundingClientRect();
-      mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
-      mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
-
-      raycaster.setFromCamera(mouse, cameraRef.current);
-      const intersects = raycaster.intersectObjects(group.children, true);
-
-      if (intersects.length > 0) {
-        const selected = intersects[0].object;
-        setSelectedObject(selected);
-        
-        // Highlight selected object
-        selected.material.emissive = new THREE.Color(0x444444);
-        
-        if (onModelUpdate) {
-          onModelUpdate({ selectedObject: selected, action: 'select' });
-        }
+  const replaceItem = (index, item) => commitFurniture(furniture.map((current, i) => (i === index ? item : current)));
+
+  // While the gizmo is dragged the item snaps to the floor and, when moved,
+  // to walls; when it's let go the item is saved
+  transformHandlersRef.current = {
+    change: () => {
+      const mesh = transformRef.current.object;
+      if (!mesh) return;
+      if (snapping && transformMode !== 'rotate') {
+        const item = furnitureFromMesh(furniture[mesh.userData.index], mesh);
+        const snapped = snapFurniture(item, buildingRef.current, { walls: transformMode === 'translate' });
+        mesh.position.set(snapped.x, snapped.y + item.height / 2, snapped.z);
+        mesh.rotation.set(0, snapped.rotation, 0);
       }
-    };
+      selectionBoxRef.current.update();
+    },
+    end: () => {
+      const mesh = transformRef.current.object;
+      if (!mesh) return;
+      const item = furnitureFromMesh(furniture[mesh.userData.index], mesh);
+      updateFurnitureMesh(mesh, item);
+      selectionBoxRef.current.update();
+      replaceItem(mesh.userData.index, item);
+    }
+  };
+
+  const changeTransformMode = (mode) => {
+    setTransformMode(mode);
+    transformRef.current.setMode(mode);
+    // Furniture only turns about the vertical
+    transformRef.current.showX = mode !== 'rotate';
+    transformRef.current.showZ = mode !== 'rotate';
+  };
+
+  // Edits from the object panel are taken as typed, without snapping
+  const changeSelectedItem = (changes) => {
+    const item = { ...selectedItem, ...changes };
+    updateFurnitureMesh(selectedObject, item);
+    selectionBoxRef.current.update();
+    replaceItem(selectedObject.userData.index, item);
+  };
 
-    mountRef.current.addEventListener('click', onMouseClick);
+  // A new item goes in the middle of the view, on the level on show
+  const addFurniture = (type) => {
+    const level = levelView && buildingRef.current
+      ? buildingRef.current.levels.find(candidate => candidate.id === levelView)
+      : null;
+    const { target } = controlsRef.current;
+    let item = createFurnitureItem(type, {
+      x: Math.round(target.x * 1000) / 1000,
+      y: level ? level.elevation : 0,
+      z: Math.round(target.z * 1000) / 1000
+    });
+    if (snapping) item = snapFurniture(item, buildingRef.current);
+
+    const mesh = createFurnitureMesh(item, furniture.length);
+    getFurnitureGroup(modelRef.current).add(mesh);
+    commitFurniture([...furniture, item]);
+    selectObject(mesh);
+  };
+
+  const deleteSelected = () => {
+    const mesh = selectedObject;
+    const group = mesh.parent;
+    selectObject(null);
+    group.remove(mesh);
+    mesh.geometry.dispose();
+    mesh.material.dispose();
+    group.children.forEach((child, index) => { child.userData.index = index; });
+    commitFurniture(furniture.filter((item, index) => index !== mesh.userData.index));
   };
 
   const changeViewMode = (mode) => {
     setViewMode(mode);
     
     if (cameraRef.current) {
+      const target = controlsRef.current ? controlsRef.current.target : new THREE.Vector3();
+      const distance = viewDistanceRef.current;
       switch (mode) {
         case 'top':
-          cameraRef.current.position.set(0, 20, 0);
-          cameraRef.current.lookAt(0, 0, 0);
+          cameraRef.current.position.set(target.x, target.y + distance * 2, target.z);
           break;
         case 'front':
-          cameraRef.current.position.set(0, 0, 20);
-          cameraRef.current.lookAt(0, 0, 0);
+          cameraRef.current.position.set(target.x, target.y, target.z + distance * 2);
           break;
         case 'side':
-          cameraRef.current.position.set(20, 0, 0);
-          cameraRef.current.lookAt(0, 0, 0);
+          cameraRef.current.position.set(target.x + distance * 2, target.y, target.z);
           break;
         case 'perspective':
         default:
-          cameraRef.current.position.set(10, 10, 10);
-          cameraRef.current.lookAt(0, 0, 0);
+          cameraRef.current.position.set(target.x + distance, target.y + distance, target.z + distance);
           break;
       }
+      cameraRef.current.lookAt(target);
     }
   };
 
@@ -319,10 +484,21 @@ const ThreeDViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
     setupLighting();
   };
 
-  const exportModel = () => {
-    if (sceneRef.current) {
-      // Export as GLTF or OBJ
-      toast.success('3D model export functionality would be implemented here');
+  const exportModel = async () => {
+    if (!modelRef.current) {
+      toast.error('There is no model to export');
+      return;
+    }
+    setExporting(true);
+    try {
+      const files = await createModelFiles(modelRef.current, exportFormat, exportName);
+      files.forEach(({ data, fileName, type }) => downloadFile(data, fileName, type));
+      toast.success(`Model exported as ${MODEL_FORMATS[exportFormat].label}`);
+    } catch (error) {
+      console.error('Failed to export model:', error);
+      toast.error('Failed to export the model');
+    } finally {
+      setExporting(false);
     }
   };
 
@@ -382,20 +558,166 @@ const ThreeDViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
           </select>
         </div>
 
-        {/* Export */}
+        {/* Units of an imported model */}
+        {importInfo && (
+          <select
+            value={importInfo.unit}
+            onChange={(e) => changeUnit(e.target.value)}
+            title={importInfo.unitGuessed ? 'Guessed from the size of the model' : 'Set by the file format'}
+            style={{
+              padding: '6px 8px',
+              border: '1px solid #e2e8f0',
+              borderRadius: '4px',
+              background: 'white',
+              fontSize: '12px'
+            }}
+          >
+            {Object.entries(MODEL_UNITS).map(([unit, { label }]) => (
+              <option key={unit} value={unit}>📏 {label}</option>
+            ))}
+          </select>
+        )}
+
+        {/* Levels of a multi-storey building */}
+        {levels.length > 1 && (
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <select
+              value={levelView || ''}
+              onChange={(e) => changeLevelDisplay(e.target.value || null, levelMode)}
+              style={{
+                padding: '6px 8px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '4px',
+                background: 'white',
+                fontSize: '12px'
+              }}
+            >
+              <option value="">🏢 All levels</option>
+              {[...levels].reverse().map(level => (
+                <option key={level.id} value={level.id}>{level.name}</option>
+              ))}
+            </select>
+            {levelView && (
+              <select
+                value={levelMode}
+                onChange={(e) => changeLevelDisplay(levelView, e.target.value)}
+                title="How the other levels are shown"
+                style={{
+                  padding: '6px 8px',
+                  border: '1px solid #e2e8f0',
+                  borderRadius: '4px',
+                  background: 'white',
+                  fontSize: '12px'
+                }}
+              >
+                <option value="isolate">Others hidden</option>
+                <option value="ghost">Others ghosted</option>
+              </select>
+            )}
+          </div>
+        )}
+
+        {/* Furniture */}
+        {canEdit && modelRef.current && !isLoading && (
+          <div style={{ display: 'flex', gap: '4px' }}>
+            <select
+              value=""
+              onChange={(e) => e.target.value && addFurniture(e.target.value)}
+              style={{
+                padding: '6px 8px',
+                border: '1px solid #e2e8f0',
+                borderRadius: '4px',
+                background: 'white',
+                fontSize: '12px'
+              }}
+            >
+              <option value="">➕ Add furniture</option>
+              {Object.entries(FURNITURE_CATALOGUE).map(([type, { label }]) => (
+                <option key={type} value={type}>{label}</option>
+              ))}
+            </select>
+            {selectedItem && TRANSFORM_MODES.map(mode => (
+              <button
+                key={mode.id}
+                onClick={() => changeTransformMode(mode.id)}
+                style={{
+                  padding: '6px 8px',
+                  border: transformMode === mode.id ? '2px solid #667eea' : '1px solid #e2e8f0',
+                  borderRadius: '4px',
+                  background: transformMode === mode.id ? '#f0f4ff' : 'white',
+                  cursor: 'pointer',
+                  fontSize: '12px'
+                }}
+                title={mode.title}
+              >
+                {mode.label}
+              </button>
+            ))}
+            <button
+              onClick={() => setSnapping(!snapping)}
+              style={{
+                padding: '6px 8px',
+                border: snapping ? '2px solid #667eea' : '1px solid #e2e8f0',
+                borderRadius: '4px',
+                background: snapping ? '#f0f4ff' : 'white',
+                cursor: 'pointer',
+                fontSize: '12px'
+              }}
+              title="Snap furniture to the floor and walls"
+            >
+              🧲 Snap
+            </button>
+          </div>
+        )}
+
+        {/* Outline */}
         <button
-          onClick={exportModel}
+          onClick={() => setShowOutline(!showOutline)}
           style={{
             padding: '6px 8px',
-            border: '1px solid #e2e8f0',
+            border: showOutline ? '2px solid #667eea' : '1px solid #e2e8f0',
             borderRadius: '4px',
-            background: 'white',
+            background: showOutline ? '#f0f4ff' : 'white',
             cursor: 'pointer',
             fontSize: '12px'
           }}
         >
-          💾 Export
+          🌳 Outline
         </button>
+
+        {/* Export */}
+        <div style={{ display: 'flex', gap: '4px' }}>
+          <select
+            value={exportFormat}
+            onChange={(e) => setExportFormat(e.target.value)}
+            style={{
+              padding: '6px 8px',
+              border: '1px solid #e2e8f0',
+              borderRadius: '4px',
+              background: 'white',
+              fontSize: '12px'
+            }}
+          >
+            {Object.entries(MODEL_FORMATS).map(([format, { label }]) => (
+              <option key={format} value={format}>{label}</option>
+            ))}
+          </select>
+          <button
+            onClick={exportModel}
+            disabled={exporting}
+            style={{
+              padding: '6px 8px',
+              border: '1px solid #e2e8f0',
+              borderRadius: '4px',
+              background: 'white',
+              cursor: exporting ? 'not-allowed' : 'pointer',
+              opacity: exporting ? 0.5 : 1,
+              fontSize: '12px'
+            }}
+          >
+            💾 Export
+          </button>
+        </div>
       </div>
 
       {/* Loading Indicator */}
@@ -420,30 +742,32 @@ const ThreeDViewer = ({ modelData, onModelUpdate, readOnly = false }) => {
             animation: 'spin 1s linear infinite',
             margin: '0 auto 10px'
           }} />
-          <div>Loading 3D model...</div>
+          <div>Loading 3D model...{loadProgress !== null && ` ${Math.round(loadProgress * 100)}%`}</div>
         </div>
       )}
 
-      {/* Info Panel */}
+      {/* Scene Outline */}
+      {showOutline && modelRef.current && !isLoading && (
+        <ModelOutline
+          key={modelRef.current.uuid}
+          root={modelRef.current}
+          selected={selectedObject}
+          onSelect={selectObject}
+        />
+      )}
+
+      {/* Selected object */}
       {selectedObject && (
-        <div style={{
-          position: 'absolute',
-          bottom: '10px',
-          left: '10px',
-          background: 'rgba(255, 255, 255, 0.9)',
-          padding: '12px',
-          borderRadius: '6px',
-          fontSize: '14px',
-          maxWidth: '200px'
-        }}>
-          <div style={{ fontWeight: '600', marginBottom: '4px' }}>Selected Object</div>
-          <div style={{ color: '#64748b' }}>
-            Type: {selectedObject.type}
-          </div>
-          <div style={{ color: '#64748b' }}>
-            Position: {selectedObject.position.x.toFixed(2)}, {selectedObject.position.y.toFixed(2)}, {selectedObject.position.z.toFixed(2)}
-          </div>
-        </div>
+        <ObjectPanel
+          object={selectedObject}
+          item={selectedItem}
+          size={new THREE.Box3().setFromObject(selectedObject).getSize(new THREE.Vector3())}
+          note={selectedItem || readOnly ? null : (modelFile
+            ? 'Imported models are shown as uploaded.'
+            : 'Part of the building: change it in the floor plan.')}
+          onChange={changeSelectedItem}
+          onDelete={deleteSelected}
+        />
       )}
 
       {/* 3D Canvas */}
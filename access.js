@@ -0,0 +1,62 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Design = require('./models/Design');
+
+// Shared helpers for checks that run outside the route files (socket handlers,
+// pre-route middleware). Tokens are the same JWTs the REST API issues.
+
+// Returns the user id carried by a valid token, or null
+const getTokenUserId = (token) => {
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return (decoded.userId || decoded.id || '').toString() || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+const getBearerToken = (header) => (header && header.startsWith('Bearer ') ? header.slice(7) : null);
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref)?.toString();
+
+const isProjectMember = (project, userId) => {
+  if (idOf(project.owner) === userId) {
+    return true;
+  }
+
+  return (project.collaborators || []).some(
+    (collaborator) => idOf(collaborator.user || collaborator) === userId
+  );
+};
+
+// Route middleware for uploads to a design (underlays, 3D models): only
+// people who can edit the design's project get through
+const checkDesignAccess = async (req, res, next) => {
+  const userId = getTokenUserId(getBearerToken(req.headers.authorization));
+  if (!userId) {
+    return res.status(401).json({ message: 'Not authorized' });
+  }
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(404).json({ message: 'Design not found' });
+  }
+
+  try {
+    const design = await Design.findById(req.params.id).select('project').populate('project');
+    if (!design || !design.project) {
+      return res.status(404).json({ message: 'Design not found' });
+    }
+    if (!isProjectMember(design.project, userId)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+    req.userId = userId;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { getTokenUserId, getBearerToken, isProjectMember, checkDesignAccess };
@@ -0,0 +1,297 @@
+import { fabric } from 'fabric';
+import { mmToPixels, pixelsToMm, DEFAULT_SCALE } from './units';
+
+// Parametric architectural symbols for the sketch canvas. Each symbol is one
+// typed fabric object (`archSymbol`) carrying its `symbolType` and `params`,
+// drawn from those each time rather than stored as paths, so it stays
+// editable and can be read back by other tools (3D, quantity takeoffs).
+//
+// Sizes are real-world mm, turned into canvas px at the drawing scale when
+// placed. The north arrow is a paper-space symbol and ignores the scale.
+export const SYMBOLS = {
+  door: {
+    label: 'Door',
+    icon: '🚪',
+    width: 900,
+    height: 900,
+    params: { leaves: 1 },
+    paramOptions: { leaves: { label: 'Leaves', options: [[1, 'Single'], [2, 'Double']] } }
+  },
+  window: {
+    label: 'Window',
+    icon: '🪟',
+    width: 1200,
+    height: 150,
+    params: { panes: 2 },
+    paramOptions: { panes: { label: 'Panes', options: [[1, '1'], [2, '2'], [3, '3'], [4, '4']] } }
+  },
+  stairs: {
+    label: 'Stairs',
+    icon: '🪜',
+    width: 1000,
+    height: 3000,
+    params: { steps: 14 },
+    paramOptions: { steps: { label: 'Steps', options: [8, 10, 12, 14, 16, 18, 20].map(n => [n, `${n}`]) } }
+  },
+  column: {
+    label: 'Column',
+    icon: '⬛',
+    width: 300,
+    height: 300,
+    params: { shape: 'square' },
+    paramOptions: { shape: { label: 'Shape', options: [['square', 'Square'], ['round', 'Round']] } }
+  },
+  toilet: {
+    label: 'Toilet',
+    icon: '🚽',
+    width: 400,
+    height: 700,
+    params: {},
+    paramOptions: {}
+  },
+  kitchenUnit: {
+    label: 'Kitchen unit',
+    icon: '🍳',
+    width: 600,
+    height: 600,
+    params: { fitting: 'cabinet' },
+    paramOptions: {
+      fitting: { label: 'Fitting', options: [['cabinet', 'Cabinet'], ['sink', 'Sink'], ['hob', 'Hob']] }
+    }
+  },
+  northArrow: {
+    label: 'North arrow',
+    icon: '🧭',
+    width: 48,
+    height: 48,
+    paperSpace: true,
+    params: {},
+    paramOptions: {}
+  }
+};
+
+// Each draws in the object's own box, centred on 0,0. `stroke` strokes the
+// current path with the object's stroke settings; `fill` fills it with the
+// stroke colour.
+const DRAWERS = {
+  // Hinged at the bottom corner(s), swinging open from the wall line along the bottom edge
+  door: (ctx, w, h, { leaves }, { stroke }) => {
+    const hinges = leaves === 2 ? [[-w / 2, 1], [w / 2, -1]] : [[-w / 2, 1]];
+    const reach = w / hinges.length;
+    ctx.beginPath();
+    hinges.forEach(([x, direction]) => {
+      ctx.moveTo(x, h / 2);
+      ctx.lineTo(x, -h / 2);
+      ctx.ellipse(x, h / 2, reach, h, 0, -Math.PI / 2, direction > 0 ? 0 : -Math.PI, direction < 0);
+    });
+    stroke();
+  },
+
+  // Frame with the glass along the middle and a mullion between panes
+  window: (ctx, w, h, { panes }, { stroke }) => {
+    ctx.beginPath();
+    ctx.rect(-w / 2, -h / 2, w, h);
+    ctx.moveTo(-w / 2, 0);
+    ctx.lineTo(w / 2, 0);
+    for (let i = 1; i < panes; i += 1) {
+      const x = -w / 2 + (w * i) / panes;
+      ctx.moveTo(x, -h / 2);
+      ctx.lineTo(x, h / 2);
+    }
+    stroke();
+  },
+
+  // Treads across the run, with the arrow pointing up the flight
+  stairs: (ctx, w, h, { steps }, { stroke, fill }) => {
+    ctx.beginPath();
+    ctx.rect(-w / 2, -h / 2, w, h);
+    for (let i = 1; i < steps; i += 1) {
+      const y = -h / 2 + (h * i) / steps;
+      ctx.moveTo(-w / 2, y);
+      ctx.lineTo(w / 2, y);
+    }
+    ctx.moveTo(0, h / 2 - h / steps / 2);
+    ctx.lineTo(0, -h / 2 + h / steps);
+    stroke();
+
+    const head = Math.min(w / 4, h / steps);
+    ctx.beginPath();
+    ctx.moveTo(0, -h / 2 + h / steps / 2);
+    ctx.lineTo(head / 2, -h / 2 + h / steps / 2 + head);
+    ctx.lineTo(-head / 2, -h / 2 + h / steps / 2 + head);
+    ctx.closePath();
+    fill();
+  },
+
+  // Outline crossed through, the usual mark for a structural member in section
+  column: (ctx, w, h, { shape }, { stroke }) => {
+    ctx.beginPath();
+    if (shape === 'round') {
+      ctx.ellipse(0, 0, w / 2, h / 2, 0, 0, Math.PI * 2);
+      const dx = (w / 2) * Math.SQRT1_2;
+      const dy = (h / 2) * Math.SQRT1_2;
+      ctx.moveTo(-dx, -dy);
+      ctx.lineTo(dx, dy);
+      ctx.moveTo(dx, -dy);
+      ctx.lineTo(-dx, dy);
+    } else {
+      ctx.rect(-w / 2, -h / 2, w, h);
+      ctx.moveTo(-w / 2, -h / 2);
+      ctx.lineTo(w / 2, h / 2);
+      ctx.moveTo(w / 2, -h / 2);
+      ctx.lineTo(-w / 2, h / 2);
+    }
+    stroke();
+  },
+
+  // Cistern against the wall at the top, bowl below
+  toilet: (ctx, w, h, params, { stroke }) => {
+    const cistern = h / 4;
+    const bowlY = -h / 2 + cistern + (h - cistern) / 2;
+    ctx.beginPath();
+    ctx.rect(-w / 2, -h / 2, w, cistern);
+    ctx.moveTo(w * 0.45, bowlY);
+    ctx.ellipse(0, bowlY, w * 0.45, (h - cistern) / 2, 0, 0, Math.PI * 2);
+    stroke();
+  },
+
+  // Base unit with the worktop front edge; sinks and hobs drawn in
+  kitchenUnit: (ctx, w, h, { fitting }, { stroke }) => {
+    ctx.beginPath();
+    ctx.rect(-w / 2, -h / 2, w, h);
+    ctx.moveTo(-w / 2, h / 2 - h * 0.08);
+    ctx.lineTo(w / 2, h / 2 - h * 0.08);
+    if (fitting === 'sink') {
+      ctx.rect(-w * 0.35, -h * 0.35, w * 0.7, h * 0.6);
+      ctx.moveTo(w * 0.05, -h * 0.05);
+      ctx.ellipse(0, -h * 0.05, w * 0.05, h * 0.05, 0, 0, Math.PI * 2);
+    } else if (fitting === 'hob') {
+      [[-1, -1], [1, -1], [-1, 1], [1, 1]].forEach(([sx, sy]) => {
+        const cx = sx * w * 0.2;
+        const cy = sy * h * 0.18 - h * 0.05;
+        ctx.moveTo(cx + w * 0.12, cy);
+        ctx.ellipse(cx, cy, w * 0.12, h * 0.12, 0, 0, Math.PI * 2);
+      });
+    }
+    stroke();
+  },
+
+  northArrow: (ctx, w, h, params, { stroke, fill }) => {
+    ctx.beginPath();
+    ctx.ellipse(0, 0, w / 2, h / 2, 0, 0, Math.PI * 2);
+    stroke();
+
+    ctx.beginPath();
+    ctx.moveTo(0, -h * 0.42);
+    ctx.lineTo(w * 0.16, h * 0.05);
+    ctx.lineTo(0, -h * 0.05);
+    ctx.lineTo(-w * 0.16, h * 0.05);
+    ctx.closePath();
+    fill();
+
+    ctx.save();
+    ctx.scale(w / 48, h / 48);
+    ctx.font = 'bold 12px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = ctx.strokeStyle;
+    ctx.fillText('N', 0, 12);
+    ctx.restore();
+  }
+};
+
+fabric.ArchSymbol = fabric.util.createClass(fabric.Object, {
+  type: 'archSymbol',
+
+  cacheProperties: fabric.Object.prototype.cacheProperties.concat('symbolType', 'params'),
+
+  // Rotation snaps to 15° steps when close to one
+  snapAngle: 15,
+  snapThreshold: 5,
+
+  initialize(options = {}) {
+    this.callSuper('initialize', {
+      fill: '',
+      stroke: '#1f2937',
+      strokeWidth: 1,
+      strokeUniform: true,
+      ...options
+    });
+    this.params = { ...(SYMBOLS[this.symbolType]?.params || {}), ...(options.params || {}) };
+  },
+
+  // Real-world size of the symbol, including any resizing, in mm
+  getSizeMm() {
+    if (SYMBOLS[this.symbolType]?.paperSpace) return null;
+    const scale = this.canvas?.drawingScale || DEFAULT_SCALE;
+    return {
+      width: pixelsToMm(this.width * Math.abs(this.scaleX), scale),
+      height: pixelsToMm(this.height * Math.abs(this.scaleY), scale)
+    };
+  },
+
+  _render(ctx) {
+    const draw = DRAWERS[this.symbolType];
+    if (!draw) return;
+
+    ctx.save();
+    ctx.strokeStyle = this.stroke;
+    draw(ctx, this.width, this.height, this.params, {
+      stroke: () => this._renderStroke(ctx),
+      fill: () => {
+        ctx.fillStyle = this.stroke;
+        ctx.fill();
+      }
+    });
+    ctx.restore();
+  },
+
+  toObject(propertiesToInclude) {
+    return {
+      ...this.callSuper('toObject', propertiesToInclude),
+      symbolType: this.symbolType,
+      params: { ...this.params }
+    };
+  }
+});
+
+fabric.ArchSymbol.fromObject = (object, callback) => {
+  fabric.Object._fromObject('ArchSymbol', object, callback);
+};
+
+// A new symbol of the given type centred on left/top, sized for the drawing scale
+export const createSymbol = (symbolType, { scale = DEFAULT_SCALE, ...options } = {}) => {
+  const definition = SYMBOLS[symbolType];
+  const toPixels = mm => (definition.paperSpace ? mm : mmToPixels(mm, scale));
+  return new fabric.ArchSymbol({
+    symbolType,
+    width: toPixels(definition.width),
+    height: toPixels(definition.height),
+    originX: 'center',
+    originY: 'center',
+    ...options
+  });
+};
+
+// The flights of stairs on the plan in real units (mm at the drawing scale),
+// for the 3D model: each runs from its foot to its head, where the arrow
+// points. Hidden layers are left out.
+export const getStairSchedule = (canvas, scale = DEFAULT_SCALE) => canvas.getObjects()
+  .filter(obj => obj.type === 'archSymbol' && obj.symbolType === 'stairs' && obj.visible && obj.layerVisible !== false)
+  .map((stair) => {
+    const matrix = stair.calcTransformMatrix();
+    const mm = px => Math.round(pixelsToMm(px, scale));
+    const point = (y) => {
+      const p = fabric.util.transformPoint(new fabric.Point(0, y), matrix);
+      return { x: mm(p.x), y: mm(p.y) };
+    };
+    return {
+      id: stair.id,
+      foot: point(stair.height / 2),
+      head: point(-stair.height / 2),
+      width: mm(stair.width * Math.abs(stair.scaleX)),
+      steps: stair.params.steps
+    };
+  });
+
+export default fabric.ArchSymbol;
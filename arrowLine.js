@@ -0,0 +1,47 @@
+import { fabric } from 'fabric';
+
+const HEAD_LENGTH = 4; // multiples of the stroke width
+const MIN_HEAD_LENGTH = 10;
+
+// Line with a filled arrowhead at its end point (x2, y2)
+fabric.Arrow = fabric.util.createClass(fabric.Line, {
+  type: 'arrow',
+
+  initialize(points, options = {}) {
+    this.callSuper('initialize', points, {
+      // The head reaches past the line's bounding box, which a cache would clip
+      objectCaching: false,
+      ...options
+    });
+  },
+
+  _render(ctx) {
+    this.callSuper('_render', ctx);
+
+    const { x1, y1, x2, y2 } = this.calcLinePoints();
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const length = Math.max(MIN_HEAD_LENGTH, this.strokeWidth * HEAD_LENGTH);
+
+    ctx.save();
+    ctx.translate(x2, y2);
+    ctx.rotate(angle);
+    ctx.beginPath();
+    ctx.moveTo(0, 0);
+    ctx.lineTo(-length, length / 2);
+    ctx.lineTo(-length, -length / 2);
+    ctx.closePath();
+    ctx.fillStyle = this.stroke;
+    ctx.fill();
+    ctx.restore();
+  }
+});
+
+fabric.Arrow.fromObject = (object, callback) => {
+  const options = { ...object, points: [object.x1, object.y1, object.x2, object.y2] };
+  fabric.Object._fromObject('Arrow', options, (instance) => {
+    delete instance.points;
+    if (callback) callback(instance);
+  }, 'points');
+};
+
+export default fabric.Arrow;
@@ -0,0 +1,4 @@
+// Lets jest run the frontend's ES modules alongside the CommonJS server code
+module.exports = {
+  presets: [['@babel/preset-env', { targets: { node: 'current' } }]]
+};
@@ -0,0 +1,477 @@
+import * as THREE from 'three';
+
+// The 3D massing model of a building's floor plans. A building is a stack of
+// levels, lowest first, each
+//   { id, name, height, slabThickness, plan: { walls, rooms, stairs } }
+// with heights in mm (`height` is floor to floor) and the plan data saved with
+// each level's floor plan (see buildWallGraph, getRoomSchedule and
+// getStairSchedule). These are turned into a building description in metres,
+// and that into three.js meshes: per level, walls extruded up to the slab
+// above at their drawn thickness and cut by their doors and windows, a floor
+// slab under each room, and flights of stairs rising to the next level
+// through a hole in its slab.
+//
+// Plan x runs to the right and y down the sheet; in the model x stays x, the
+// plan's y becomes z and y points up. The model is centred on the plans'
+// extent, so it sits on the origin whatever part of the sheet was drawn on.
+//
+// createModelGroup puts together everything a 3D viewer shows for a design,
+// so the viewers and the model exports all work from the same objects.
+
+// Heights in mm
+export const BUILDING_HEIGHTS = {
+  floorToFloor: 3000,
+  slab: 200,
+  door: 2100,
+  windowSill: 900,
+  windowHead: 2100
+};
+
+const DEFAULT_STEPS = 14;
+
+const MATERIALS = {
+  wall: { name: 'Wall', color: 0xf5f5f4 },
+  floor: { name: 'Floor', color: 0xc8b99a },
+  stair: { name: 'Stair', color: 0xd6d3d1 },
+  glass: { name: 'Glass', color: 0x87ceeb, transparent: true, opacity: 0.4 }
+};
+
+// Opacity of levels ghosted by setLevelDisplay, as a share of their own
+const GHOST_OPACITY = 0.15;
+
+// The simple box a design without a plan is shown as
+const BOX_MATERIALS = {
+  wall: { name: 'Wall', color: 0xffffff },
+  floor: { name: 'Floor', color: 0x8b4513 },
+  roof: { name: 'Roof', color: 0x8b0000 },
+  glass: { name: 'Glass', color: 0x87ceeb, transparent: true, opacity: 0.7 },
+  door: { name: 'Door', color: 0x8b4513 }
+};
+
+const GLASS_THICKNESS = 0.02; // m
+const MIN_PIECE = 1; // mm; shorter or lower wall pieces are left out
+
+const toMetres = mm => mm / 1000;
+const spanInMetres = ({ start, end, bottom, top }) => ({
+  start: toMetres(start), end: toMetres(end), bottom: toMetres(bottom), top: toMetres(top)
+});
+
+// How far each end of a wall reaches past its node: half the thickness of the
+// thickest other wall there, so corners and tees close up instead of leaving
+// a notch. The walls overlap where they meet, which solids don't mind.
+const endExtensions = (graph) => {
+  const byNode = new Map();
+  const thicknessOf = new Map(graph.walls.map(wall => [wall.id, wall.thickness]));
+  graph.walls.forEach((wall) => {
+    [wall.start, wall.end].forEach((node) => {
+      if (!byNode.has(node)) byNode.set(node, []);
+      byNode.get(node).push(wall);
+    });
+  });
+  const reach = (wall, node) => {
+    const others = byNode.get(node).filter(other => other !== wall).map(other => other.thickness);
+    (graph.tees || []).forEach((tee) => {
+      if (tee.node === node && tee.wall !== wall.id && thicknessOf.has(tee.wall)) others.push(thicknessOf.get(tee.wall));
+    });
+    return others.length ? Math.max(...others) / 2 : 0;
+  };
+  return new Map(graph.walls.map(wall => [wall.id, { start: reach(wall, wall.start), end: reach(wall, wall.end) }]));
+};
+
+// The solid parts of a wall, as spans along it and up it (mm), with the
+// openings left out: full height between openings, and over doors, and below
+// and over windows
+const wallPieces = (length, extension, openings, wallHeight) => {
+  const pieces = [];
+  const piece = (start, end, bottom, top) => {
+    if (end - start > MIN_PIECE && top - bottom > MIN_PIECE) pieces.push({ start, end, bottom, top });
+  };
+  let from = -extension.start;
+  [...openings].sort((a, b) => a.start - b.start).forEach((opening) => {
+    piece(from, opening.start, 0, wallHeight);
+    piece(opening.start, opening.end, 0, opening.bottom);
+    piece(opening.start, opening.end, opening.top, wallHeight);
+    from = Math.max(from, opening.end);
+  });
+  piece(from, length + extension.end, 0, wallHeight);
+  return pieces;
+};
+
+const levelWalls = (graph, wallHeight, toModel) => {
+  if (!graph || !graph.walls) return [];
+  const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+  const extensions = endExtensions(graph);
+
+  return graph.walls.filter(wall => wall.length > 0).map((wall) => {
+    const start = nodes.get(wall.start);
+    const end = nodes.get(wall.end);
+    const openings = (wall.openings || []).map(opening => ({
+      symbolId: opening.symbolId,
+      type: opening.type,
+      start: Math.max(0, opening.offset),
+      end: Math.min(wall.length, opening.offset + opening.width),
+      bottom: opening.type === 'window' ? Math.min(BUILDING_HEIGHTS.windowSill, wallHeight) : 0,
+      top: Math.min(opening.type === 'window' ? BUILDING_HEIGHTS.windowHead : BUILDING_HEIGHTS.door, wallHeight)
+    })).filter(opening => opening.end > opening.start);
+    return {
+      id: wall.id,
+      from: toModel(start.x, start.y),
+      to: toModel(end.x, end.y),
+      thickness: toMetres(wall.thickness),
+      pieces: wallPieces(wall.length, extensions.get(wall.id), openings, wallHeight).map(spanInMetres),
+      openings: openings.map(({ symbolId, type, ...span }) => ({ symbolId, type, ...spanInMetres(span) }))
+    };
+  });
+};
+
+// The corners of a flight's footprint, in model coordinates
+const stairFootprint = ({ from, to, width }) => {
+  const length = Math.hypot(to.x - from.x, to.z - from.z) || 1;
+  const across = { x: (-(to.z - from.z) / length) * (width / 2), z: ((to.x - from.x) / length) * (width / 2) };
+  return [
+    { x: from.x + across.x, z: from.z + across.z },
+    { x: to.x + across.x, z: to.z + across.z },
+    { x: to.x - across.x, z: to.z - across.z },
+    { x: from.x - across.x, z: from.z - across.z }
+  ];
+};
+
+const insideOutline = (outline, { x, z }) => {
+  let inside = false;
+  for (let i = 0, j = outline.length - 1; i < outline.length; j = i, i += 1) {
+    const a = outline[i];
+    const b = outline[j];
+    if ((a.z > z) !== (b.z > z) && x < ((b.x - a.x) * (z - a.z)) / (b.z - a.z) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// The plan of a single-plan design as a one-level building
+const singleLevel = plan => [{ id: 'main', name: 'Ground floor', plan }];
+
+// The building for a stack of levels, in metres. Returns null when none of
+// the levels has walls.
+export const createBuildingModel = (levels) => {
+  const hasWalls = level => level.plan && level.plan.walls && level.plan.walls.walls && level.plan.walls.walls.length > 0;
+  if (!levels || !levels.some(hasWalls)) return null;
+
+  const points = levels.flatMap(level => [
+    ...((level.plan && level.plan.walls && level.plan.walls.nodes) || []),
+    ...((level.plan && level.plan.stairs) || []).flatMap(stair => [stair.foot, stair.head])
+  ]);
+  const xs = points.map(point => point.x);
+  const ys = points.map(point => point.y);
+  const centre = { x: (Math.min(...xs) + Math.max(...xs)) / 2, y: (Math.min(...ys) + Math.max(...ys)) / 2 };
+  const toModel = (x, y) => ({ x: toMetres(x - centre.x), z: toMetres(y - centre.y) });
+
+  let elevation = 0;
+  const built = levels.map((level, index) => {
+    const height = level.height || BUILDING_HEIGHTS.floorToFloor;
+    const slabThickness = level.slabThickness !== undefined ? level.slabThickness : BUILDING_HEIGHTS.slab;
+    const above = levels[index + 1];
+    const slabAbove = above && above.slabThickness !== undefined ? above.slabThickness : slabThickness;
+    const plan = level.plan || {};
+
+    const result = {
+      id: level.id,
+      name: level.name || `Level ${index + 1}`,
+      elevation: toMetres(elevation),
+      height: toMetres(height),
+      slabThickness: toMetres(slabThickness),
+      walls: levelWalls(plan.walls, Math.max(0, height - slabAbove), toModel),
+      floors: (plan.rooms || []).filter(room => room.polygon && room.polygon.length >= 3).map(room => ({
+        id: room.id,
+        name: room.name,
+        outline: room.polygon.map(([x, y]) => toModel(x, y)),
+        holes: []
+      })),
+      stairs: (plan.stairs || []).map(stair => ({
+        id: stair.id,
+        from: toModel(stair.foot.x, stair.foot.y),
+        to: toModel(stair.head.x, stair.head.y),
+        width: toMetres(stair.width),
+        steps: stair.steps || DEFAULT_STEPS,
+        rise: toMetres(height)
+      }))
+    };
+    elevation += height;
+    return result;
+  });
+
+  // Each flight comes up through the floor it reaches
+  built.forEach((level, index) => {
+    const above = built[index + 1];
+    if (!above) return;
+    level.stairs.forEach((stair) => {
+      const footprint = stairFootprint(stair);
+      const floor = above.floors.find(candidate => footprint.every(corner => insideOutline(candidate.outline, corner)));
+      if (floor) floor.holes.push(footprint);
+    });
+  });
+
+  return { levels: built };
+};
+
+const createMaterials = (definitions = MATERIALS) => Object.fromEntries(Object.entries(definitions).map(([key, options]) => (
+  [key, new THREE.MeshLambertMaterial(options)]
+)));
+
+// A box along the line from `from` to `to` (a wall or a flight), from
+// `start` to `end` (m from its start), `bottom` to `top` high and
+// `thickness` through
+const boxAlong = (line, { start, end, bottom, top }, thickness, material) => {
+  const dx = line.to.x - line.from.x;
+  const dz = line.to.z - line.from.z;
+  const length = Math.hypot(dx, dz);
+  const middle = (start + end) / 2;
+  const mesh = new THREE.Mesh(new THREE.BoxGeometry(end - start, top - bottom, thickness), material);
+  mesh.position.set(
+    line.from.x + (dx / length) * middle,
+    (bottom + top) / 2,
+    line.from.z + (dz / length) * middle
+  );
+  mesh.rotation.y = Math.atan2(-dz, dx);
+  mesh.castShadow = true;
+  mesh.receiveShadow = true;
+  return mesh;
+};
+
+// The floor slab under a room: its outline, less any stair holes, extruded
+// down from floor level
+const createSlab = (floor, thickness, material) => {
+  const toVector = ({ x, z }) => new THREE.Vector2(x, z);
+  const shape = new THREE.Shape(floor.outline.map(toVector));
+  shape.holes = floor.holes.map(hole => new THREE.Path(hole.map(toVector)));
+  const geometry = new THREE.ExtrudeGeometry(shape, { depth: thickness, bevelEnabled: false });
+  const mesh = new THREE.Mesh(geometry, material);
+  // The shape is drawn in x/y and extruded along z; turned so its y is the
+  // plan's z and the extrusion runs down
+  mesh.rotation.x = Math.PI / 2;
+  mesh.receiveShadow = true;
+  return mesh;
+};
+
+// A flight of stairs as solid steps, each rising from the floor
+const createStair = (stair, material) => {
+  const group = new THREE.Group();
+  group.name = 'Stair';
+  group.userData = { kind: 'stair', symbolId: stair.id };
+  const run = Math.hypot(stair.to.x - stair.from.x, stair.to.z - stair.from.z);
+  for (let i = 0; i < stair.steps; i += 1) {
+    const step = boxAlong(stair, {
+      start: (run * i) / stair.steps,
+      end: (run * (i + 1)) / stair.steps,
+      bottom: 0,
+      top: (stair.rise * (i + 1)) / stair.steps
+    }, stair.width, material);
+    step.name = `Step ${i + 1}`;
+    group.add(step);
+  }
+  return group;
+};
+
+// three.js objects for a building from createBuildingModel: a group per level
+// at its elevation, holding a group per wall (its pieces and any glazing), a
+// slab per room, named after the room, and the stairs. userData ties each
+// back to the level, wall, symbol or room it came from. Every level has its
+// own materials, so levels can be ghosted one by one.
+export const createBuildingGroup = (model) => {
+  const building = new THREE.Group();
+  building.name = 'Building';
+  building.userData = { kind: 'building' };
+
+  model.levels.forEach((level) => {
+    const materials = createMaterials();
+    const levelGroup = new THREE.Group();
+    levelGroup.name = level.name;
+    levelGroup.position.y = level.elevation;
+    levelGroup.userData = { kind: 'level', levelId: level.id };
+
+    level.walls.forEach((wall, index) => {
+      const group = new THREE.Group();
+      group.name = `Wall ${index + 1}`;
+      group.userData = { kind: 'wall', wallId: wall.id };
+      wall.pieces.forEach((piece) => {
+        const mesh = boxAlong(wall, piece, wall.thickness, materials.wall);
+        mesh.name = group.name;
+        group.add(mesh);
+      });
+      wall.openings.filter(opening => opening.type === 'window').forEach((opening) => {
+        const pane = boxAlong(wall, opening, GLASS_THICKNESS, materials.glass);
+        pane.name = 'Window';
+        pane.castShadow = false;
+        pane.userData = { kind: 'window', symbolId: opening.symbolId };
+        group.add(pane);
+      });
+      levelGroup.add(group);
+    });
+
+    level.floors.forEach((floor) => {
+      const slab = createSlab(floor, level.slabThickness, materials.floor);
+      slab.name = floor.name || 'Floor';
+      slab.userData = { kind: 'floor', roomId: floor.id };
+      levelGroup.add(slab);
+    });
+
+    level.stairs.forEach(stair => levelGroup.add(createStair(stair, materials.stair)));
+
+    building.add(levelGroup);
+  });
+
+  return building;
+};
+
+// The levels of a model group from createModelGroup, lowest first
+export const getLevelGroups = model => model.children
+  .filter(child => child.userData.kind === 'building')
+  .flatMap(building => building.children.filter(child => child.userData.kind === 'level'));
+
+const setGhosted = (group, ghosted) => group.traverse((object) => {
+  if (!object.isMesh) return;
+  const { material } = object;
+  if (!material.userData.shown) {
+    material.userData.shown = { transparent: material.transparent, opacity: material.opacity, depthWrite: material.depthWrite };
+  }
+  const shown = material.userData.shown;
+  material.transparent = ghosted || shown.transparent;
+  material.opacity = ghosted ? shown.opacity * GHOST_OPACITY : shown.opacity;
+  material.depthWrite = ghosted ? false : shown.depthWrite;
+  material.needsUpdate = true;
+});
+
+// Shows one level of a model group and hides (`isolate`) or ghosts (`ghost`)
+// the others. A null levelId shows every level.
+export const setLevelDisplay = (model, levelId, mode = 'isolate') => {
+  getLevelGroups(model).forEach((level) => {
+    const isOther = levelId !== null && level.userData.levelId !== levelId;
+    level.visible = !(isOther && mode === 'isolate');
+    setGhosted(level, isOther && mode === 'ghost');
+  });
+};
+
+const namedMesh = (name, geometry, material) => {
+  const mesh = new THREE.Mesh(geometry, material);
+  mesh.name = name;
+  return mesh;
+};
+
+// A box building from `dimensions` (m), open faced, with a door and two
+// windows on its front
+const createBoxGroup = ({ width, height, depth }) => {
+  const materials = createMaterials(BOX_MATERIALS);
+  const building = new THREE.Group();
+  building.name = 'Building';
+
+  const floor = namedMesh('Floor', new THREE.PlaneGeometry(width, depth), materials.floor);
+  floor.rotation.x = -Math.PI / 2;
+  floor.receiveShadow = true;
+
+  const frontGeometry = new THREE.PlaneGeometry(width, height);
+  const sideGeometry = new THREE.PlaneGeometry(depth, height);
+  const front = namedMesh('Front wall', frontGeometry, materials.wall);
+  front.position.set(0, height / 2, depth / 2);
+  const back = namedMesh('Back wall', frontGeometry, materials.wall);
+  back.position.set(0, height / 2, -depth / 2);
+  back.rotation.y = Math.PI;
+  const left = namedMesh('Left wall', sideGeometry, materials.wall);
+  left.position.set(-width / 2, height / 2, 0);
+  left.rotation.y = Math.PI / 2;
+  const right = namedMesh('Right wall', sideGeometry, materials.wall);
+  right.position.set(width / 2, height / 2, 0);
+  right.rotation.y = -Math.PI / 2;
+
+  const roof = namedMesh('Roof', new THREE.PlaneGeometry(width, depth), materials.roof);
+  roof.position.set(0, height, 0);
+  roof.rotation.x = Math.PI / 2;
+
+  const windowGeometry = new THREE.PlaneGeometry(1, 1.5);
+  const window1 = namedMesh('Window', windowGeometry, materials.glass);
+  window1.position.set(-2, 2, depth / 2 + 0.01);
+  const window2 = namedMesh('Window', windowGeometry, materials.glass);
+  window2.position.set(2, 2, depth / 2 + 0.01);
+  const door = namedMesh('Door', new THREE.PlaneGeometry(1, 2.5), materials.door);
+  door.position.set(0, 1.25, depth / 2 + 0.01);
+
+  building.add(floor, front, back, left, right, roof, window1, window2, door);
+  return building;
+};
+
+// Furniture items are { type, x, y, z, width, height, depth, color, rotation }
+// in m: x and z the middle of the item in plan, y the level its base stands
+// on, and rotation its turn about the vertical in radians. Each is a box
+// named after its type.
+const MIN_FURNITURE_SIZE = 0.05; // m
+
+// Sets a furniture item's box to `item`, replacing its geometry so the box
+// is unscaled at the item's size
+export const updateFurnitureMesh = (mesh, item) => {
+  const width = Math.max(MIN_FURNITURE_SIZE, item.width);
+  const height = Math.max(MIN_FURNITURE_SIZE, item.height);
+  const depth = Math.max(MIN_FURNITURE_SIZE, item.depth);
+  if (mesh.geometry) mesh.geometry.dispose();
+  mesh.geometry = new THREE.BoxGeometry(width, height, depth);
+  mesh.name = item.type || mesh.name;
+  mesh.material.name = item.type || 'Furniture';
+  mesh.material.color.set(item.color || 0x654321);
+  mesh.position.set(item.x, (item.y || 0) + height / 2, item.z);
+  mesh.rotation.set(0, item.rotation || 0, 0);
+  mesh.scale.set(1, 1, 1);
+};
+
+export const createFurnitureMesh = (item, index) => {
+  const mesh = namedMesh(`Item ${index + 1}`, new THREE.BufferGeometry(), new THREE.MeshLambertMaterial());
+  mesh.castShadow = true;
+  mesh.userData = { kind: 'furniture', index };
+  updateFurnitureMesh(mesh, item);
+  return mesh;
+};
+
+// The item a furniture box now shows, after it was moved, turned or scaled
+// (by a transform gizmo) from `item`. Sizes and positions are rounded to the mm.
+export const furnitureFromMesh = (item, mesh) => {
+  const toMm = value => Math.round(value * 1000) / 1000;
+  const height = toMm(Math.max(MIN_FURNITURE_SIZE, item.height * mesh.scale.y));
+  const facing = new THREE.Vector3(0, 0, 1).applyQuaternion(mesh.quaternion);
+  return {
+    ...item,
+    x: toMm(mesh.position.x),
+    y: toMm(mesh.position.y - height / 2),
+    z: toMm(mesh.position.z),
+    width: toMm(Math.max(MIN_FURNITURE_SIZE, item.width * mesh.scale.x)),
+    height,
+    depth: toMm(Math.max(MIN_FURNITURE_SIZE, item.depth * mesh.scale.z)),
+    rotation: Math.atan2(facing.x, facing.z)
+  };
+};
+
+export const createFurnitureGroup = (items) => {
+  const furniture = new THREE.Group();
+  furniture.name = 'Furniture';
+  furniture.userData = { kind: 'furnitureGroup' };
+  items.forEach((item, index) => furniture.add(createFurnitureMesh(item, index)));
+  return furniture;
+};
+
+// The furniture group of a model group from createModelGroup
+export const getFurnitureGroup = model => model.children.find(child => child.userData.kind === 'furnitureGroup');
+
+// The building (see createBuildingModel) of a design's modelData, from its
+// `levels` or a single `plan`
+export const getBuildingModel = data => createBuildingModel(data.levels || (data.plan && singleLevel(data.plan)));
+
+// Everything the 3D viewers show for a design's modelData: the building when
+// it has walls, otherwise a box from `dimensions`, and its furniture
+export const createModelGroup = (data) => {
+  const model = new THREE.Group();
+  model.name = 'Model';
+  const building = getBuildingModel(data);
+  if (building) {
+    model.add(createBuildingGroup(building));
+  } else if (data.dimensions) {
+    model.add(createBoxGroup(data.dimensions));
+  }
+  model.add(createFurnitureGroup(data.furniture || []));
+  return model;
+};
@@ -0,0 +1,105 @@
+import { createBuildingModel, createModelGroup, getLevelGroups } from './buildingModel';
+
+// A wall graph (see buildWallGraph) with a single 4 m wall along y = 0
+const singleWall = (openings = []) => ({
+  nodes: [{ id: 'n1', x: 0, y: 0 }, { id: 'n2', x: 4000, y: 0 }],
+  walls: [{ id: 'a', start: 'n1', end: 'n2', length: 4000, thickness: 200, openings }],
+  tees: [],
+  crossings: []
+});
+
+const level = (walls, { plan, ...props } = {}) => ({ id: 'ground', name: 'Ground floor', plan: { walls, ...plan }, ...props });
+
+// Pieces rounded to the mm, as [start, end, bottom, top] (-0 as 0)
+const piecesOf = wall => wall.pieces.map(({ start, end, bottom, top }) => (
+  [start, end, bottom, top].map(m => Math.round(m * 1000) || 0)
+));
+
+describe('createBuildingModel', () => {
+  it('has nothing to build without walls', () => {
+    expect(createBuildingModel([])).toBeNull();
+    expect(createBuildingModel([level({ nodes: [], walls: [] })])).toBeNull();
+  });
+
+  it('raises walls to the slab above, centred on the plan', () => {
+    const [ground] = createBuildingModel([level(singleWall())]).levels;
+
+    const [wall] = ground.walls;
+    expect(wall.from).toEqual({ x: -2, z: 0 });
+    expect(wall.to).toEqual({ x: 2, z: 0 });
+    expect(wall.thickness).toBe(0.2);
+    expect(piecesOf(wall)).toEqual([[0, 4000, 0, 2800]]);
+  });
+
+  it('leaves a door open to its head, with wall over it', () => {
+    const [ground] = createBuildingModel([level(singleWall([
+      { symbolId: 'd', type: 'door', offset: 1000, width: 900 }
+    ]))]).levels;
+
+    expect(piecesOf(ground.walls[0])).toEqual([
+      [0, 1000, 0, 2800],
+      [1000, 1900, 2100, 2800],
+      [1900, 4000, 0, 2800]
+    ]);
+  });
+
+  it('builds wall under and over a window, and keeps its span for the glazing', () => {
+    const [ground] = createBuildingModel([level(singleWall([
+      { symbolId: 'w', type: 'window', offset: 1000, width: 1200 }
+    ]))]).levels;
+
+    const [wall] = ground.walls;
+    expect(piecesOf(wall)).toEqual([
+      [0, 1000, 0, 2800],
+      [1000, 2200, 0, 900],
+      [1000, 2200, 2100, 2800],
+      [2200, 4000, 0, 2800]
+    ]);
+    expect(wall.openings).toEqual([{ symbolId: 'w', type: 'window', start: 1, end: 2.2, bottom: 0.9, top: 2.1 }]);
+  });
+
+  it('runs walls past a shared corner so the corner closes up', () => {
+    const graph = {
+      nodes: [{ id: 'n1', x: 0, y: 0 }, { id: 'n2', x: 4000, y: 0 }, { id: 'n3', x: 4000, y: 3000 }],
+      walls: [
+        { id: 'a', start: 'n1', end: 'n2', length: 4000, thickness: 200, openings: [] },
+        { id: 'b', start: 'n2', end: 'n3', length: 3000, thickness: 300, openings: [] }
+      ],
+      tees: [],
+      crossings: []
+    };
+
+    const [a, b] = createBuildingModel([level(graph)]).levels[0].walls;
+
+    expect(piecesOf(a)).toEqual([[0, 4150, 0, 2800]]);
+    expect(piecesOf(b)).toEqual([[-100, 3000, 0, 2800]]);
+  });
+
+  it('stacks levels on each other and cuts the stair hole in the floor above', () => {
+    const stair = { id: 's', foot: { x: 1000, y: 500 }, head: { x: 1000, y: 2500 }, width: 1000, steps: 16 };
+    const floor = { id: 'r', name: 'Hall', polygon: [[0, 0], [4000, 0], [4000, 3000], [0, 3000]] };
+
+    const [ground, upper] = createBuildingModel([
+      level(singleWall(), { plan: { stairs: [stair] } }),
+      level(singleWall(), { id: 'upper', name: 'First floor', height: 2700, plan: { rooms: [floor] } })
+    ]).levels;
+
+    expect(ground.elevation).toBe(0);
+    expect(upper.elevation).toBe(3);
+    expect(piecesOf(upper.walls[0])).toEqual([[0, 4000, 0, 2500]]);
+    expect(ground.stairs[0]).toMatchObject({ steps: 16, rise: 3, width: 1 });
+    expect(upper.floors[0].holes).toHaveLength(1);
+  });
+});
+
+describe('createModelGroup', () => {
+  it('gives each wall a mesh per piece and a pane per window', () => {
+    const model = createModelGroup({ plan: { walls: singleWall([{ symbolId: 'w', type: 'window', offset: 1000, width: 1200 }]) } });
+
+    const [ground] = getLevelGroups(model);
+    const [wall] = ground.children;
+    expect(wall.userData).toEqual({ kind: 'wall', wallId: 'a' });
+    expect(wall.children.filter(mesh => mesh.name === 'Wall 1')).toHaveLength(4);
+    expect(wall.children.filter(mesh => mesh.userData.kind === 'window').map(mesh => mesh.userData.symbolId)).toEqual(['w']);
+  });
+});
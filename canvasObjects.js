@@ -0,0 +1,75 @@
+// Helpers shared by the fabric canvas hooks (live sync, undo history, layers)
+
+// Extra fabric properties that must survive serialisation
+export const SERIALIZED_PROPS = ['id', 'layerId'];
+
+// Layers (see useLayers) show objects through fabric's own `opacity` and
+// `visible`: an object on a half-transparent layer is drawn at half its own
+// opacity, and one on a hidden layer isn't drawn. These are the object's own
+// values, as saved, whatever its layer makes of them. A value someone set
+// since the layer last did is the object's own.
+export const ownDisplay = (obj) => {
+  const shown = obj.layerShown;
+  return {
+    opacity: shown && obj.opacity === shown.opacity ? obj.ownOpacity : obj.opacity,
+    visible: shown && obj.visible === shown.visible ? obj.ownVisible : obj.visible
+  };
+};
+
+// Shows an object as its layer (`{ opacity, visible }`) would have it
+export const applyLayerDisplay = (obj, layer) => {
+  const own = ownDisplay(obj);
+  obj.ownOpacity = own.opacity;
+  obj.ownVisible = own.visible;
+  obj.opacity = own.opacity * layer.opacity;
+  obj.visible = own.visible && layer.visible;
+  obj.layerShown = { opacity: obj.opacity, visible: obj.visible };
+};
+
+// Runs `fn` with `objects` showing their own opacity and visibility
+export const withOwnDisplay = (objects, fn) => {
+  const shown = objects.filter(obj => obj.layerShown).map(obj => [obj, ownDisplay(obj), obj.layerShown]);
+  shown.forEach(([obj, own]) => {
+    obj.opacity = own.opacity;
+    obj.visible = own.visible;
+  });
+  try {
+    return fn();
+  } finally {
+    shown.forEach(([obj, , layerShown]) => {
+      obj.opacity = layerShown.opacity;
+      obj.visible = layerShown.visible;
+    });
+  }
+};
+
+export const serializeObject = (obj) => ({ ...obj.toObject(SERIALIZED_PROPS), ...ownDisplay(obj) });
+
+// The whole canvas as fabric JSON, objects as serializeObject has them
+export const serializeCanvas = (canvas) => ({
+  ...canvas.toJSON(SERIALIZED_PROPS),
+  objects: canvas.getObjects().filter(obj => !obj.excludeFromExport).map(serializeObject)
+});
+
+// The properties of `after` that differ from `before`
+export const diffProps = (before = {}, after) => {
+  const changed = {};
+  Object.keys(after).forEach((key) => {
+    if (JSON.stringify(before[key]) !== JSON.stringify(after[key])) {
+      changed[key] = after[key];
+    }
+  });
+  return changed;
+};
+
+// Changes that didn't come from this user's edits (loading a drawing,
+// collaborators' ops) are wrapped in these so they aren't recorded for undo.
+export const beginExternalChange = (canvas) => {
+  canvas.externalChangeDepth = (canvas.externalChangeDepth || 0) + 1;
+};
+
+export const endExternalChange = (canvas) => {
+  canvas.externalChangeDepth = Math.max(0, (canvas.externalChangeDepth || 0) - 1);
+};
+
+export const isExternalChange = (canvas) => canvas.externalChangeDepth > 0;
@@ -0,0 +1,236 @@
+const User = require('./models/User');
+const Project = require('./models/Project');
+const Design = require('./models/Design');
+const presence = require('./presence');
+const sceneSync = require('./sceneSync');
+const { getTokenUserId, getBearerToken, isProjectMember } = require('./access');
+
+// Reject any socket that doesn't carry a valid JWT for an existing user.
+// The client sends the token in `auth`; the Authorization header axios uses works too.
+const authenticateSocket = async (socket, next) => {
+  const { auth, headers } = socket.handshake;
+  const token = (auth && auth.token) || getBearerToken(headers && headers.authorization);
+  if (!token) {
+    return next(new Error('Authentication required'));
+  }
+
+  const userId = getTokenUserId(token);
+  if (!userId) {
+    return next(new Error('Invalid token'));
+  }
+
+  try {
+    const user = await User.findById(userId).select('-password');
+    if (!user) {
+      return next(new Error('User not found'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    next(new Error('Authentication failed'));
+  }
+};
+
+const designRoom = (designId) => `design:${designId}`;
+
+const joinRoom = (io, socket, room) => {
+  socket.join(room);
+
+  const { member, isNew } = presence.addMember(room, socket);
+  socket.emit('presence-roster', { room, members: presence.getRoster(room) });
+  if (isNew) {
+    socket.to(room).emit('presence-join', { room, member });
+  }
+};
+
+const leaveRoom = (io, socket, room) => {
+  socket.leave(room);
+
+  const member = presence.removeMember(room, socket);
+  if (member) {
+    io.to(room).emit('presence-leave', { room, member });
+  }
+
+  if (room.startsWith('design:') && presence.getRoster(room).length === 0) {
+    sceneSync.releaseScene(room.slice('design:'.length))
+      .catch(error => console.error('releaseScene error:', error.message));
+  }
+};
+
+// Resolves to true when the user may open the design
+const canAccessDesign = async (designId, userId) => {
+  const design = await Design.findById(designId).populate('project');
+  return !!(design && design.project && isProjectMember(design.project, userId));
+};
+
+const setupCollaboration = (io) => {
+  io.use(authenticateSocket);
+
+  io.on('connection', (socket) => {
+    const userId = socket.user._id.toString();
+    console.log(`User connected: ${socket.id} (${socket.user.email})`);
+
+    socket.on('join-project', async (projectId) => {
+      try {
+        const project = await Project.findById(projectId);
+
+        if (!project || !isProjectMember(project, userId)) {
+          socket.emit('join-denied', { projectId, message: 'Access denied' });
+          return;
+        }
+
+        joinRoom(io, socket, projectId);
+        console.log(`User ${socket.id} joined project ${projectId}`);
+      } catch (error) {
+        console.error('join-project error:', error.message);
+        socket.emit('join-denied', { projectId, message: 'Unable to join project' });
+      }
+    });
+
+    socket.on('join-design', async (designId) => {
+      try {
+        if (!(await canAccessDesign(designId, userId))) {
+          socket.emit('join-denied', { designId, message: 'Access denied' });
+          return;
+        }
+
+        joinRoom(io, socket, designRoom(designId));
+        console.log(`User ${socket.id} joined design ${designId}`);
+      } catch (error) {
+        console.error('join-design error:', error.message);
+        socket.emit('join-denied', { designId, message: 'Unable to join design' });
+      }
+    });
+
+    socket.on('leave-project', (projectId) => {
+      leaveRoom(io, socket, projectId);
+    });
+
+    socket.on('leave-design', (designId) => {
+      leaveRoom(io, socket, designRoom(designId));
+    });
+
+    // Clients report 'active' / 'idle' for every room they have open
+    socket.on('presence-status', (status) => {
+      if (status !== 'active' && status !== 'idle') {
+        return;
+      }
+
+      socket.rooms.forEach((room) => {
+        const member = presence.setStatus(room, userId, status);
+        if (member) {
+          io.to(room).emit('presence-idle', { room, member });
+        }
+      });
+    });
+
+    // Cursor and selection sharing is ephemeral: relayed to the design room, never stored.
+    // They carry the level of the plan they are on, so other levels can ignore them.
+    const relayToDesign = (event, data, payload) => {
+      if (!data || !socket.rooms.has(designRoom(data.designId))) {
+        return;
+      }
+
+      socket.to(designRoom(data.designId)).emit(event, {
+        designId: data.designId,
+        level: typeof data.level === 'string' ? data.level : null,
+        userId,
+        name: `${socket.user.firstName} ${socket.user.lastName}`,
+        ...payload
+      });
+    };
+
+    socket.on('cursor-move', (data) => {
+      const hidden = data && data.x === null;
+      if (!hidden && !(data && Number.isFinite(data.x) && Number.isFinite(data.y))) {
+        return;
+      }
+
+      relayToDesign('cursor-move', data, { x: hidden ? null : data.x, y: hidden ? null : data.y });
+    });
+
+    socket.on('selection-change', (data) => {
+      if (!data || !Array.isArray(data.objectIds)) {
+        return;
+      }
+
+      relayToDesign('selection-change', data, {
+        objectIds: data.objectIds.filter(id => typeof id === 'string').slice(0, 500)
+      });
+    });
+
+    // Object-level floor plan sync, per level of the design (see sceneSync).
+    // 'canvas-sync' also joins the design room, so a reconnecting canvas can
+    // resync before the page rejoins.
+    socket.on('canvas-sync', async (data, ack) => {
+      if (typeof ack !== 'function' || !data) {
+        return;
+      }
+
+      try {
+        const room = designRoom(data.designId);
+        if (!socket.rooms.has(room)) {
+          if (!(await canAccessDesign(data.designId, userId))) {
+            ack({ error: 'Access denied' });
+            return;
+          }
+          joinRoom(io, socket, room);
+        }
+
+        ack(await sceneSync.getSync(data.designId.toString(), data.sinceSeq, data.level));
+      } catch (error) {
+        console.error('canvas-sync error:', error.message);
+        ack({ error: 'Unable to sync canvas' });
+      }
+    });
+
+    socket.on('canvas-op', async (data, ack) => {
+      const reply = typeof ack === 'function' ? ack : () => {};
+      if (!data || !socket.rooms.has(designRoom(data.designId))) {
+        reply({ error: 'Not joined' });
+        return;
+      }
+
+      try {
+        const entry = await sceneSync.applyOp(data.designId.toString(), data.op, data.level);
+        if (entry) {
+          socket.to(designRoom(data.designId)).emit('canvas-op', {
+            designId: data.designId,
+            level: data.level || null,
+            op: entry,
+            userId
+          });
+        }
+        reply({ seq: entry ? entry.seq : null });
+      } catch (error) {
+        console.error('canvas-op error:', error.message);
+        reply({ error: 'Unable to apply change' });
+      }
+    });
+
+    socket.on('design-update', (data) => {
+      // Only relay into rooms this socket was authorised to join
+      if (!data || !socket.rooms.has(data.projectId)) {
+        return;
+      }
+
+      socket.to(data.projectId).emit('design-update', { ...data, userId });
+    });
+
+    // socket.rooms is still populated here, unlike in 'disconnect'
+    socket.on('disconnecting', () => {
+      Array.from(socket.rooms).forEach((room) => {
+        if (room !== socket.id) {
+          leaveRoom(io, socket, room);
+        }
+      });
+    });
+
+    socket.on('disconnect', () => {
+      console.log('User disconnected:', socket.id);
+    });
+  });
+};
+
+module.exports = { setupCollaboration, authenticateSocket };
@@ -0,0 +1,189 @@
+const jwt = require('jsonwebtoken');
+
+jest.mock('./models/User', () => ({ findById: jest.fn() }), { virtual: true });
+jest.mock('./models/Project', () => ({ findById: jest.fn() }), { virtual: true });
+jest.mock('./models/Design', () => ({ findById: jest.fn() }), { virtual: true });
+jest.mock('./sceneSync', () => ({
+  applyOp: jest.fn(),
+  getSync: jest.fn(),
+  releaseScene: jest.fn(() => Promise.resolve())
+}));
+
+const User = require('./models/User');
+const Project = require('./models/Project');
+const Design = require('./models/Design');
+const sceneSync = require('./sceneSync');
+const { setupCollaboration, authenticateSocket } = require('./collaboration');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60001';
+const STRANGER_ID = '64b7f0c2a1b2c3d4e5f60002';
+const PROJECT_ID = '64b7f0c2a1b2c3d4e5f60100';
+const DESIGN_ID = '64b7f0c2a1b2c3d4e5f60200';
+
+const userOf = id => ({ _id: id, email: `${id}@example.com`, firstName: 'Ada', lastName: 'Lovelace' });
+const project = { _id: PROJECT_ID, owner: MEMBER_ID, collaborators: [] };
+
+// Just enough of socket.io's server and sockets for the handlers: rooms, and
+// what was emitted to the socket itself or relayed to a room
+const createServer = () => {
+  let onConnection;
+  const io = {
+    use: () => {},
+    on: (event, handler) => {
+      onConnection = handler;
+    },
+    to: () => ({ emit: () => {} })
+  };
+  setupCollaboration(io);
+
+  let count = 0;
+  const connect = (userId) => {
+    count += 1;
+    const handlers = {};
+    const socket = {
+      id: `socket-${count}`,
+      user: userOf(userId),
+      rooms: new Set([`socket-${count}`]),
+      emitted: [],
+      relayed: [],
+      on: (event, handler) => {
+        handlers[event] = handler;
+      },
+      join: room => socket.rooms.add(room),
+      leave: room => socket.rooms.delete(room),
+      emit: (event, payload) => socket.emitted.push({ event, payload }),
+      to: room => ({ emit: (event, payload) => socket.relayed.push({ room, event, payload }) }),
+      trigger: (event, ...args) => handlers[event](...args)
+    };
+    onConnection(socket);
+    return socket;
+  };
+  return { connect };
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  User.findById.mockImplementation(id => ({ select: () => Promise.resolve(id === MEMBER_ID ? userOf(id) : null) }));
+  Project.findById.mockImplementation(id => Promise.resolve(id === PROJECT_ID ? project : null));
+  Design.findById.mockImplementation(id => ({
+    populate: () => Promise.resolve(id === DESIGN_ID ? { _id: DESIGN_ID, project } : null)
+  }));
+  sceneSync.applyOp.mockResolvedValue({ type: 'add', objectId: 'a', seq: 1 });
+  sceneSync.getSync.mockResolvedValue({ seq: 0, ops: [] });
+});
+
+afterEach(() => {
+  console.log.mockRestore();
+});
+
+describe('authenticateSocket', () => {
+  const authenticate = async (handshake) => {
+    const socket = { handshake: { headers: {}, ...handshake } };
+    const next = jest.fn();
+    await authenticateSocket(socket, next);
+    return { socket, error: next.mock.calls[0][0] };
+  };
+
+  it('lets in a socket with a valid token for an existing user', async () => {
+    const token = jwt.sign({ userId: MEMBER_ID }, process.env.JWT_SECRET);
+
+    const fromAuth = await authenticate({ auth: { token } });
+    const fromHeader = await authenticate({ headers: { authorization: `Bearer ${token}` } });
+
+    expect(fromAuth.error).toBeUndefined();
+    expect(fromAuth.socket.user._id).toBe(MEMBER_ID);
+    expect(fromHeader.error).toBeUndefined();
+  });
+
+  it('turns away a handshake without a token', async () => {
+    expect((await authenticate({})).error.message).toBe('Authentication required');
+  });
+
+  it('turns away invalid and expired tokens', async () => {
+    const forged = jwt.sign({ userId: MEMBER_ID }, 'another-secret');
+    const expired = jwt.sign({ userId: MEMBER_ID }, process.env.JWT_SECRET, { expiresIn: -10 });
+
+    expect((await authenticate({ auth: { token: forged } })).error.message).toBe('Invalid token');
+    expect((await authenticate({ auth: { token: expired } })).error.message).toBe('Invalid token');
+    expect((await authenticate({ auth: { token: 'not-a-jwt' } })).error.message).toBe('Invalid token');
+  });
+
+  it('turns away tokens of users that no longer exist', async () => {
+    const token = jwt.sign({ userId: STRANGER_ID }, process.env.JWT_SECRET);
+
+    expect((await authenticate({ auth: { token } })).error.message).toBe('User not found');
+  });
+});
+
+describe('joining rooms', () => {
+  it('lets project members join the project and its designs', async () => {
+    const socket = createServer().connect(MEMBER_ID);
+
+    await socket.trigger('join-project', PROJECT_ID);
+    await socket.trigger('join-design', DESIGN_ID);
+
+    expect(socket.rooms.has(PROJECT_ID)).toBe(true);
+    expect(socket.rooms.has(`design:${DESIGN_ID}`)).toBe(true);
+    expect(socket.emitted.map(({ event }) => event)).not.toContain('join-denied');
+  });
+
+  it('refuses anyone else', async () => {
+    const socket = createServer().connect(STRANGER_ID);
+
+    await socket.trigger('join-project', PROJECT_ID);
+    await socket.trigger('join-design', DESIGN_ID);
+
+    expect(socket.rooms.has(PROJECT_ID)).toBe(false);
+    expect(socket.rooms.has(`design:${DESIGN_ID}`)).toBe(false);
+    expect(socket.emitted).toEqual([
+      { event: 'join-denied', payload: { projectId: PROJECT_ID, message: 'Access denied' } },
+      { event: 'join-denied', payload: { designId: DESIGN_ID, message: 'Access denied' } }
+    ]);
+  });
+
+  it('refuses to sync the canvas of a design the user is not a member of', async () => {
+    const socket = createServer().connect(STRANGER_ID);
+    const ack = jest.fn();
+
+    await socket.trigger('canvas-sync', { designId: DESIGN_ID }, ack);
+
+    expect(ack).toHaveBeenCalledWith({ error: 'Access denied' });
+    expect(sceneSync.getSync).not.toHaveBeenCalled();
+  });
+});
+
+describe('relaying', () => {
+  it('drops cursor moves, canvas ops and design updates for rooms the socket has not joined', async () => {
+    const socket = createServer().connect(MEMBER_ID);
+    const ack = jest.fn();
+
+    socket.trigger('cursor-move', { designId: DESIGN_ID, x: 10, y: 20 });
+    await socket.trigger('canvas-op', { designId: DESIGN_ID, op: { type: 'add', objectId: 'a', object: {} } }, ack);
+    socket.trigger('design-update', { projectId: PROJECT_ID, designId: DESIGN_ID });
+
+    expect(socket.relayed).toEqual([]);
+    expect(ack).toHaveBeenCalledWith({ error: 'Not joined' });
+    expect(sceneSync.applyOp).not.toHaveBeenCalled();
+  });
+
+  it('relays them once the socket has joined', async () => {
+    const socket = createServer().connect(MEMBER_ID);
+    await socket.trigger('join-project', PROJECT_ID);
+    await socket.trigger('join-design', DESIGN_ID);
+    const ack = jest.fn();
+
+    socket.trigger('cursor-move', { designId: DESIGN_ID, x: 10, y: 20 });
+    await socket.trigger('canvas-op', { designId: DESIGN_ID, op: { type: 'add', objectId: 'a', object: {} } }, ack);
+    socket.trigger('design-update', { projectId: PROJECT_ID, designId: DESIGN_ID });
+
+    expect(socket.relayed.map(({ room, event }) => [room, event])).toEqual([
+      [`design:${DESIGN_ID}`, 'cursor-move'],
+      [`design:${DESIGN_ID}`, 'canvas-op'],
+      [PROJECT_ID, 'design-update']
+    ]);
+    expect(ack).toHaveBeenCalledWith({ seq: 1 });
+  });
+});
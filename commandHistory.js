@@ -0,0 +1,175 @@
+// Command-pattern undo/redo shared by the drawing canvases.
+// A command is plain data ({ type, ...payload }) so the history can be saved
+// with the sketch; each canvas supplies `apply(command, direction)`, which
+// performs the command ('redo') or reverses it ('undo'). Batches group several
+// commands into one undo step.
+//
+// The history is bounded by entry count and by the serialised size of its
+// commands; the oldest entries are dropped first (and handed to `onDrop`).
+
+const SESSION_KEY = 'sketch-history-session';
+const DEFAULT_LIMIT = 100;
+const DEFAULT_MAX_SIZE = 512 * 1024; // characters of JSON
+
+// Saved histories only replay in the browser session that recorded them
+export const getHistorySessionId = () => {
+  let id = sessionStorage.getItem(SESSION_KEY);
+  if (!id) {
+    id = `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+    sessionStorage.setItem(SESSION_KEY, id);
+  }
+  return id;
+};
+
+const sizeOf = (command) => JSON.stringify(command).length;
+
+export const createCommandHistory = ({
+  apply,
+  limit = DEFAULT_LIMIT,
+  maxSize = DEFAULT_MAX_SIZE,
+  onDrop
+}) => {
+  let undoStack = []; // { command, size }, oldest first
+  let redoStack = [];
+  let batchCommands = null;
+  let replaying = false;
+  let running = Promise.resolve();
+  const listeners = new Set();
+
+  const notify = () => listeners.forEach(listener => listener());
+
+  const totalSize = () => [...undoStack, ...redoStack].reduce((sum, entry) => sum + entry.size, 0);
+
+  const trim = () => {
+    while (undoStack.length > 0 && (undoStack.length > limit || totalSize() > maxSize)) {
+      const [dropped] = undoStack.splice(0, 1);
+      if (onDrop) onDrop(dropped.command);
+    }
+    // A single oversized step can't be kept either
+    while (redoStack.length > 0 && totalSize() > maxSize) {
+      redoStack.splice(0, 1);
+    }
+  };
+
+  const push = (command) => {
+    undoStack.push({ command, size: sizeOf(command) });
+    redoStack = [];
+    trim();
+    notify();
+  };
+
+  const record = (command) => {
+    if (replaying) return;
+    if (batchCommands) {
+      batchCommands.push(command);
+    } else {
+      push(command);
+    }
+  };
+
+  // Everything recorded while fn runs becomes one undo step
+  const batch = (fn) => {
+    if (batchCommands) return fn();
+
+    batchCommands = [];
+    try {
+      return fn();
+    } finally {
+      const commands = batchCommands;
+      batchCommands = null;
+      if (commands.length === 1) {
+        push(commands[0]);
+      } else if (commands.length > 1) {
+        push({ type: 'batch', commands });
+      }
+    }
+  };
+
+  const run = async (command, direction) => {
+    if (command.type === 'batch') {
+      const commands = direction === 'undo' ? [...command.commands].reverse() : command.commands;
+      for (const child of commands) {
+        await run(child, direction);
+      }
+      return;
+    }
+    await apply(command, direction);
+  };
+
+  // Steps run one at a time; the canvas must not record what they change
+  const step = (from, to, direction) => {
+    running = running.then(async () => {
+      const entry = from().pop();
+      if (!entry) return;
+
+      replaying = true;
+      try {
+        await run(entry.command, direction);
+      } catch (error) {
+        console.error(`Failed to ${direction}:`, error);
+      } finally {
+        replaying = false;
+      }
+      to().push(entry);
+      notify();
+    });
+    return running;
+  };
+
+  return {
+    record,
+    batch,
+    undo: () => step(() => undoStack, () => redoStack, 'undo'),
+    redo: () => step(() => redoStack, () => undoStack, 'redo'),
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+    isReplaying: () => replaying,
+    // Commands still to undo, oldest first
+    getCommands: () => undoStack.map(entry => entry.command),
+    clear: () => {
+      undoStack = [];
+      redoStack = [];
+      notify();
+    },
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    toJSON: () => ({
+      sessionId: getHistorySessionId(),
+      undo: undoStack.map(entry => entry.command),
+      redo: redoStack.map(entry => entry.command)
+    }),
+    // Restores a saved history; ignored if it came from another session
+    load: (saved) => {
+      if (!saved || saved.sessionId !== getHistorySessionId()) return false;
+
+      undoStack = (saved.undo || []).map(command => ({ command, size: sizeOf(command) }));
+      redoStack = (saved.redo || []).map(command => ({ command, size: sizeOf(command) }));
+      trim();
+      notify();
+      return true;
+    }
+  };
+};
+
+// Form fields, and canvas text being edited (fabric edits text in a hidden
+// textarea), keep their keys to themselves
+export const isTypingTarget = target => Boolean(target && (
+  target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+));
+
+// Ctrl/Cmd+Z undoes, Ctrl/Cmd+Shift+Z (or Ctrl+Y) redoes. Keys typed into form
+// fields, or into canvas text being edited, are left alone.
+export const handleHistoryShortcut = (e, history) => {
+  if (!(e.ctrlKey || e.metaKey) || isTypingTarget(e.target)) return;
+
+  const key = e.key.toLowerCase();
+  if (key === 'z' && !e.shiftKey) {
+    e.preventDefault();
+    history.undo();
+  } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+    e.preventDefault();
+    history.redo();
+  }
+};
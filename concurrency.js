@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const Design = require('./models/Design');
+const Project = require('./models/Project');
+const { getTokenUserId, getBearerToken, isProjectMember } = require('./access');
+
+// Optimistic concurrency for design and project routes.
+// A document's revision is its `updatedAt`, quoted like an ETag, and is sent
+// as the ETag of any response carrying the document. Clients send the
+// revision they last saw in If-Match on PUT/PATCH/DELETE; if the document has
+// changed since, we answer 409 with the current copy instead of letting the
+// route apply the write. Writes without If-Match, or with `If-Match: *`, pass
+// through unchanged, as do requests we can't authorise here (the route's own
+// auth rejects those).
+//
+// Checking the revision and then letting the route write would leave a gap
+// for a second writer with the same If-Match. Instead the write claims the
+// revision: `updatedAt` only moves on if it still matches If-Match, so of two
+// such writers one gets 409. A claim whose route then fails is handed back.
+//
+// Bulk routes take the revision of each item as `revisions: { <id>: updatedAt }`
+// in the body, and claim each the same way. Stale items are taken out of the
+// request and sent back as `conflicts`, their current copies, alongside the
+// route's answer; when every item is stale the answer is 409.
+
+const WRITE_METHODS = ['PUT', 'PATCH', 'DELETE'];
+
+const revisionOf = (doc) => `"${new Date(doc.updatedAt).getTime()}"`;
+
+// The revisions named in an If-Match header, as dates
+const revisionDates = header => header.split(',')
+  .map(tag => Number(tag.trim().replace(/^W\//, '').replace(/^"(.*)"$/, '$1')))
+  .filter(Number.isFinite)
+  .map(time => new Date(time));
+
+// Sets the ETag of responses carrying the document as `body[key]`
+const tagResponses = (res, key) => {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const doc = body && body[key];
+    if (doc && doc.updatedAt && !res.get('ETag')) {
+      res.set('ETag', revisionOf(doc));
+    }
+    return json(body);
+  };
+};
+
+// Moves a document's revision on if it is still one of `dates`. Resolves to
+// a function that hands the claim back, or null when the document has changed.
+const claimRevision = async (Model, doc, dates, key) => {
+  const claimed = new Date(Math.max(Date.now(), new Date(doc.updatedAt).getTime() + 1));
+  const previous = await Model.findOneAndUpdate(
+    { _id: doc._id, updatedAt: { $in: dates } },
+    { $set: { updatedAt: claimed } },
+    { timestamps: false }
+  ).select('updatedAt');
+  if (!previous) return null;
+
+  return () => Model.updateOne(
+    { _id: doc._id, updatedAt: claimed },
+    { $set: { updatedAt: previous.updatedAt } },
+    { timestamps: false }
+  ).catch(error => console.error(`Failed to restore ${key} revision:`, error.message));
+};
+
+// Hands claims back once the route has answered with an error
+const releaseOnFailure = (res, releases) => {
+  res.on('finish', () => {
+    if (res.statusCode >= 400) releases.forEach(release => release());
+  });
+};
+
+const checkRevision = ({ Model, load, canAccess, key }) => async (req, res, next) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next();
+  }
+  tagResponses(res, key);
+
+  const ifMatch = req.headers['if-match'];
+  if (!WRITE_METHODS.includes(req.method) || !ifMatch || ifMatch.trim() === '*') {
+    return next();
+  }
+
+  try {
+    const userId = getTokenUserId(getBearerToken(req.headers.authorization));
+    const doc = await load(req.params.id);
+    if (!userId || !doc || !doc.updatedAt || !canAccess(doc, userId)) {
+      return next();
+    }
+
+    const release = await claimRevision(Model, doc, revisionDates(ifMatch), key);
+    if (!release) {
+      const current = (await load(req.params.id)) || doc;
+      const revision = revisionOf(current);
+      res.set('ETag', revision);
+      return res.status(409).json({
+        message: `This ${key} was changed by someone else`,
+        revision,
+        [key]: current
+      });
+    }
+
+    releaseOnFailure(res, [release]);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// The bulk counterpart of checkRevision, for routes taking their ids as
+// `req.body[idsKey]`
+const checkRevisions = ({ Model, load, canAccess, key, idsKey }) => async (req, res, next) => {
+  const ids = req.body && req.body[idsKey];
+  const revisions = req.body && req.body.revisions;
+  if (!Array.isArray(ids) || !revisions || typeof revisions !== 'object') {
+    return next();
+  }
+
+  try {
+    const userId = getTokenUserId(getBearerToken(req.headers.authorization));
+    if (!userId) {
+      return next();
+    }
+
+    const releases = [];
+    const conflicts = [];
+    const results = await Promise.all(ids.map(async (id) => {
+      const date = new Date(revisions[id]);
+      if (!mongoose.Types.ObjectId.isValid(id) || !revisions[id] || Number.isNaN(date.getTime())) return true;
+      const doc = await load(id);
+      if (!doc || !doc.updatedAt || !canAccess(doc, userId)) return true;
+
+      const release = await claimRevision(Model, doc, [date], key);
+      if (release) {
+        releases.push(release);
+        return true;
+      }
+      conflicts.push((await load(id)) || doc);
+      return false;
+    }));
+    delete req.body.revisions;
+
+    if (conflicts.length === 0) {
+      releaseOnFailure(res, releases);
+      return next();
+    }
+
+    req.body[idsKey] = ids.filter((id, index) => results[index]);
+    if (req.body[idsKey].length === 0) {
+      return res.status(409).json({ message: `These ${key}s were changed by someone else`, conflicts });
+    }
+
+    releaseOnFailure(res, releases);
+    const json = res.json.bind(res);
+    res.json = body => json(body && typeof body === 'object' && !Array.isArray(body) ? { ...body, conflicts } : body);
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const designs = {
+  key: 'design',
+  Model: Design,
+  load: id => Design.findById(id).populate('project'),
+  canAccess: (design, userId) => !!design.project && isProjectMember(design.project, userId)
+};
+
+const projects = {
+  key: 'project',
+  Model: Project,
+  load: id => Project.findById(id),
+  canAccess: (project, userId) => isProjectMember(project, userId)
+};
+
+const checkDesignRevision = checkRevision(designs);
+const checkProjectRevision = checkRevision(projects);
+const checkDesignRevisions = checkRevisions({ ...designs, idsKey: 'designIds' });
+const checkProjectRevisions = checkRevisions({ ...projects, idsKey: 'projectIds' });
+
+module.exports = {
+  checkDesignRevision,
+  checkProjectRevision,
+  checkDesignRevisions,
+  checkProjectRevisions,
+  revisionOf
+};
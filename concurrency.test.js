@@ -0,0 +1,221 @@
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('./models/Design', () => ({
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}), { virtual: true });
+jest.mock('./models/Project', () => ({}), { virtual: true });
+
+const Design = require('./models/Design');
+const { checkDesignRevision, checkDesignRevisions } = require('./concurrency');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const DESIGN_ID = '64b7f0c2a1b2c3d4e5f60718';
+const OWNER_ID = '64b7f0c2a1b2c3d4e5f60001';
+const token = jwt.sign({ userId: OWNER_ID }, process.env.JWT_SECRET);
+const auth = { Authorization: `Bearer ${token}` };
+
+const etagOf = date => `"${date.getTime()}"`;
+
+// One stored design; findOneAndUpdate matches on it as MongoDB would
+let stored;
+
+const copy = () => ({ ...stored, updatedAt: new Date(stored.updatedAt) });
+
+const matches = filter => Object.entries(filter).every(([key, value]) => {
+  if (key === '_id') return value === DESIGN_ID;
+  if (value && value.$in) return value.$in.some(date => date.getTime() === stored[key].getTime());
+  return stored[key].getTime() === value.getTime();
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  stored = { _id: DESIGN_ID, name: 'Plan', updatedAt: new Date('2024-03-01T10:00:00Z'), project: { owner: OWNER_ID } };
+
+  Design.findById.mockImplementation(() => ({ populate: () => Promise.resolve(copy()) }));
+  Design.findOneAndUpdate.mockImplementation((filter, update) => ({
+    select: () => {
+      if (!matches(filter)) return Promise.resolve(null);
+      const previous = copy();
+      stored.updatedAt = update.$set.updatedAt;
+      return Promise.resolve(previous);
+    }
+  }));
+  Design.updateOne.mockImplementation((filter, update) => {
+    if (matches(filter)) stored.updatedAt = update.$set.updatedAt;
+    return Promise.resolve({});
+  });
+});
+
+// The design routes stand-in: writes move updatedAt on, as mongoose's timestamps do
+const createApp = ({ failWrites = false } = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.all('/api/designs/:id', checkDesignRevision);
+  app.get('/api/designs/:id', (req, res) => res.json({ design: copy() }));
+  app.put('/api/designs/:id', async (req, res) => {
+    await new Promise(resolve => setImmediate(resolve));
+    if (failWrites) return res.status(400).json({ message: 'Invalid design' });
+    stored = { ...stored, ...req.body, updatedAt: new Date(stored.updatedAt.getTime() + 1000) };
+    res.json({ design: copy() });
+  });
+  return app;
+};
+
+describe('checkDesignRevision', () => {
+  it('sends the revision as the ETag of a design', async () => {
+    const res = await request(createApp()).get(`/api/designs/${DESIGN_ID}`).set(auth);
+
+    expect(res.status).toBe(200);
+    expect(res.headers.etag).toBe(etagOf(stored.updatedAt));
+  });
+
+  it('lets a write through when If-Match names the current revision', async () => {
+    const res = await request(createApp())
+      .put(`/api/designs/${DESIGN_ID}`)
+      .set({ ...auth, 'If-Match': etagOf(stored.updatedAt) })
+      .send({ name: 'Ground floor' });
+
+    expect(res.status).toBe(200);
+    expect(stored.name).toBe('Ground floor');
+    expect(res.headers.etag).toBe(etagOf(stored.updatedAt));
+  });
+
+  it('answers 409 with the current design on a stale If-Match', async () => {
+    const stale = etagOf(new Date('2024-02-01T10:00:00Z'));
+
+    const res = await request(createApp())
+      .put(`/api/designs/${DESIGN_ID}`)
+      .set({ ...auth, 'If-Match': stale })
+      .send({ name: 'Ground floor' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.revision).toBe(etagOf(stored.updatedAt));
+    expect(res.body.design.name).toBe('Plan');
+    expect(res.headers.etag).toBe(etagOf(stored.updatedAt));
+    expect(stored.name).toBe('Plan');
+  });
+
+  it('lets only one of two writes made from the same revision through', async () => {
+    const app = createApp();
+    const ifMatch = etagOf(stored.updatedAt);
+
+    const responses = await Promise.all(['First', 'Second'].map(name => request(app)
+      .put(`/api/designs/${DESIGN_ID}`)
+      .set({ ...auth, 'If-Match': ifMatch })
+      .send({ name })));
+
+    expect(responses.map(res => res.status).sort()).toEqual([200, 409]);
+  });
+
+  it('hands the revision back when the route turns the write down', async () => {
+    const original = stored.updatedAt;
+
+    const res = await request(createApp({ failWrites: true }))
+      .put(`/api/designs/${DESIGN_ID}`)
+      .set({ ...auth, 'If-Match': etagOf(original) })
+      .send({ name: '' });
+
+    expect(res.status).toBe(400);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(stored.updatedAt).toEqual(original);
+  });
+
+  it('leaves writes without If-Match, or with If-Match: *, alone', async () => {
+    const app = createApp();
+
+    expect((await request(app).put(`/api/designs/${DESIGN_ID}`).set(auth).send({ name: 'A' })).status).toBe(200);
+    expect((await request(app).put(`/api/designs/${DESIGN_ID}`).set({ ...auth, 'If-Match': '*' }).send({ name: 'B' })).status).toBe(200);
+    expect(Design.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('checkDesignRevisions', () => {
+  const OTHER_ID = '64b7f0c2a1b2c3d4e5f60719';
+  const original = new Date('2024-03-01T10:00:00Z');
+  let designs;
+
+  beforeEach(() => {
+    designs = new Map([DESIGN_ID, OTHER_ID].map(id => [id, {
+      _id: id, name: `Design ${id.slice(-2)}`, status: 'draft', updatedAt: original, project: { owner: OWNER_ID }
+    }]));
+    const copyOf = id => designs.has(id) && { ...designs.get(id), updatedAt: new Date(designs.get(id).updatedAt) };
+
+    Design.findById.mockImplementation(id => ({ populate: () => Promise.resolve(copyOf(id)) }));
+    Design.findOneAndUpdate.mockImplementation((filter, update) => ({
+      select: () => {
+        const design = designs.get(filter._id);
+        if (!filter.updatedAt.$in.some(date => date.getTime() === design.updatedAt.getTime())) return Promise.resolve(null);
+        const previous = copyOf(filter._id);
+        design.updatedAt = update.$set.updatedAt;
+        return Promise.resolve(previous);
+      }
+    }));
+    Design.updateOne.mockImplementation((filter, update) => {
+      const design = designs.get(filter._id);
+      if (design && design.updatedAt.getTime() === filter.updatedAt.getTime()) design.updatedAt = update.$set.updatedAt;
+      return Promise.resolve({});
+    });
+  });
+
+  // The bulk status route stand-in
+  const createBulkApp = ({ failWrites = false } = {}) => {
+    const app = express();
+    app.use(express.json());
+    app.patch('/api/designs-crud/bulk/status', checkDesignRevisions, (req, res) => {
+      if (failWrites) return res.status(500).json({ message: 'Failed' });
+      req.body.designIds.forEach((id) => {
+        designs.set(id, { ...designs.get(id), status: req.body.status, updatedAt: new Date() });
+      });
+      res.json({ success: true, modified: req.body.designIds.length });
+    });
+    return app;
+  };
+
+  const bulkStatus = (app, revisions) => request(app)
+    .patch('/api/designs-crud/bulk/status')
+    .set(auth)
+    .send({ designIds: [DESIGN_ID, OTHER_ID], status: 'approved', revisions });
+
+  it('changes every item whose revision is current', async () => {
+    const res = await bulkStatus(createBulkApp(), { [DESIGN_ID]: original.toISOString(), [OTHER_ID]: original.toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ success: true, modified: 2 });
+    expect([...designs.values()].map(design => design.status)).toEqual(['approved', 'approved']);
+  });
+
+  it('leaves stale items out and sends them back as conflicts', async () => {
+    designs.get(OTHER_ID).updatedAt = new Date('2024-03-02T10:00:00Z');
+
+    const res = await bulkStatus(createBulkApp(), { [DESIGN_ID]: original.toISOString(), [OTHER_ID]: original.toISOString() });
+
+    expect(res.status).toBe(200);
+    expect(res.body.modified).toBe(1);
+    expect(res.body.conflicts.map(design => design._id)).toEqual([OTHER_ID]);
+    expect(designs.get(DESIGN_ID).status).toBe('approved');
+    expect(designs.get(OTHER_ID).status).toBe('draft');
+  });
+
+  it('answers 409 when every item is stale', async () => {
+    const stale = new Date('2024-02-01T10:00:00Z').toISOString();
+
+    const res = await bulkStatus(createBulkApp(), { [DESIGN_ID]: stale, [OTHER_ID]: stale });
+
+    expect(res.status).toBe(409);
+    expect(res.body.conflicts).toHaveLength(2);
+    expect([...designs.values()].map(design => design.status)).toEqual(['draft', 'draft']);
+  });
+
+  it('hands the revisions back when the route fails', async () => {
+    const res = await bulkStatus(createBulkApp({ failWrites: true }), { [DESIGN_ID]: original.toISOString() });
+
+    expect(res.status).toBe(500);
+    await new Promise(resolve => setImmediate(resolve));
+    expect(designs.get(DESIGN_ID).updatedAt).toEqual(original);
+  });
+});
@@ -0,0 +1,85 @@
+import { fabric } from 'fabric';
+import { pixelsToMm, formatLength, DEFAULT_SCALE } from './units';
+
+const TICK_SIZE = 6;
+const LABEL_FONT = '12px Arial';
+
+// Dimension line: a line with end ticks and a label showing its real length.
+// The label is worked out each time it is drawn from the line's length in
+// canvas coordinates and the canvas's `drawingScale` / `displayUnits`, so it
+// follows edits live and every viewer reads it in their own units.
+fabric.DimensionLine = fabric.util.createClass(fabric.Line, {
+  type: 'dimensionLine',
+
+  initialize(points, options = {}) {
+    this.callSuper('initialize', points, {
+      stroke: '#1e40af',
+      strokeWidth: 1,
+      fill: '#1e40af',
+      strokeUniform: true,
+      // The label reaches outside the line's bounding box, which a cache would clip
+      objectCaching: false,
+      ...options
+    });
+  },
+
+  // Length in canvas pixels, including any scaling applied since it was drawn
+  getCanvasLength() {
+    const { x1, y1, x2, y2 } = this.calcLinePoints();
+    return Math.hypot((x2 - x1) * this.scaleX, (y2 - y1) * this.scaleY);
+  },
+
+  getLengthMm() {
+    return pixelsToMm(this.getCanvasLength(), this.canvas?.drawingScale || DEFAULT_SCALE);
+  },
+
+  getLabel() {
+    return formatLength(this.getLengthMm(), this.canvas?.displayUnits);
+  },
+
+  _render(ctx) {
+    this.callSuper('_render', ctx);
+
+    const { x1, y1, x2, y2 } = this.calcLinePoints();
+    const angle = Math.atan2(y2 - y1, x2 - x1);
+    const normalX = -Math.sin(angle) * TICK_SIZE;
+    const normalY = Math.cos(angle) * TICK_SIZE;
+
+    ctx.save();
+    ctx.beginPath();
+    [[x1, y1], [x2, y2]].forEach(([x, y]) => {
+      ctx.moveTo(x - normalX, y - normalY);
+      ctx.lineTo(x + normalX, y + normalY);
+    });
+    ctx.lineWidth = this.strokeWidth;
+    ctx.strokeStyle = this.stroke;
+    ctx.stroke();
+
+    // Undo the object's own scaling so the label keeps its size
+    ctx.translate((x1 + x2) / 2, (y1 + y2) / 2);
+    ctx.scale(1 / this.scaleX, 1 / this.scaleY);
+    const screenAngle = Math.atan2((y2 - y1) * this.scaleY, (x2 - x1) * this.scaleX);
+    ctx.rotate(Math.abs(screenAngle) > Math.PI / 2 ? screenAngle + Math.PI : screenAngle);
+
+    const label = this.getLabel();
+    ctx.font = LABEL_FONT;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'bottom';
+    const width = ctx.measureText(label).width;
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.85)';
+    ctx.fillRect(-width / 2 - 2, -18, width + 4, 15);
+    ctx.fillStyle = this.stroke;
+    ctx.fillText(label, 0, -4);
+    ctx.restore();
+  }
+});
+
+fabric.DimensionLine.fromObject = (object, callback) => {
+  const options = { ...object, points: [object.x1, object.y1, object.x2, object.y2] };
+  fabric.Object._fromObject('DimensionLine', options, (instance) => {
+    delete instance.points;
+    if (callback) callback(instance);
+  }, 'points');
+};
+
+export default fabric.DimensionLine;
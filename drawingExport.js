@@ -0,0 +1,447 @@
+import { fabric } from 'fabric';
+import { DRAWING_SCALES, DEFAULT_SCALE, pixelsToMm } from './units';
+import { unionBounds } from './viewport';
+import { createRecordingContext, withVectorRendering, transformPoint } from './recordingContext';
+import { applyLayerDisplay } from './canvasObjects';
+import { createPdf, pdfString, textWidth, formatNumber, FONTS, PT_PER_MM } from './pdfWriter';
+
+// Vector exports of drawings: SVG, and PDF sheets with a title block at a
+// chosen paper size and scale. Both work from a scene, the same description
+// of a drawing the minimap uses:
+//
+//   { content, draw(ctx), mmPerPixel }
+//
+// `content` is the drawing's bounds in canvas px and `draw` draws it on a 2D
+// context in canvas px. `mmPerPixel` is the real-world size of a canvas px,
+// or null for drawings that aren't to scale (freehand sketches).
+
+// Landscape; portrait sheets turn them round
+export const PAPER_SIZES = {
+  A4: { width: 297, height: 210 },
+  A3: { width: 420, height: 297 },
+  A2: { width: 594, height: 420 },
+  A1: { width: 841, height: 594 },
+  Letter: { width: 279.4, height: 215.9 },
+  Tabloid: { width: 431.8, height: 279.4 }
+};
+
+export const DEFAULT_PAPER_SIZE = { metric: 'A3', imperial: 'Tabloid' };
+
+const SCREEN_MM_PER_PIXEL = pixelsToMm(1, 1); // canvas px at their size on screen
+const EXPORT_MARGIN = 20; // canvas px around the drawing in SVG and PNG exports
+const SHEET_MARGIN = 10; // mm from the paper edge to the frame
+const DRAWING_PADDING = 5; // mm inside the frame around the drawing
+const TITLE_BLOCK_HEIGHT = 18; // mm
+const MAX_SHEETS = 24;
+const MAX_IMAGE_SIZE = 4096; // px a side images are embedded at, at most
+const CIRCLE_KAPPA = 0.5523; // Bézier handle length for quarter circles
+
+const round = value => Math.round(value * 100) / 100;
+
+// A scene for a fabric canvas as its layers show it (see applyLayerDisplay):
+// in stack order, without hidden objects
+export const createFabricScene = (canvas, { layers = [], scale }) => {
+  const order = new Map(layers.map((layer, index) => [layer.id, index]));
+  const rankOf = obj => order.get(obj.layerId) ?? 0;
+  const shown = canvas.getObjects()
+    .map((obj, index) => ({ obj, index }))
+    .filter(({ obj }) => obj.visible)
+    .sort((a, b) => rankOf(a.obj) - rankOf(b.obj) || a.index - b.index)
+    .map(({ obj }) => obj);
+
+  return {
+    content: shown.reduce((bounds, obj) => unionBounds(bounds, obj.getBoundingRect(true, true)), null),
+    mmPerPixel: pixelsToMm(1, scale),
+    draw: ctx => withVectorRendering(canvas, () => shown.forEach(obj => obj.render(ctx)))
+  };
+};
+
+// A scene for a saved floor plan (fabric JSON with its layers and scale),
+// for exporting it without an editor open
+export const loadPlanScene = plan => new Promise((resolve) => {
+  const canvas = new fabric.StaticCanvas(null, { renderOnAddRemove: false });
+  canvas.loadFromJSON(plan, () => {
+    const layers = plan.layers || [];
+    canvas.getObjects().forEach((obj) => {
+      const layer = layers.find(candidate => candidate.id === obj.layerId) || layers[0];
+      if (layer) applyLayerDisplay(obj, layer);
+    });
+    resolve(createFabricScene(canvas, { layers, scale: plan.scale || DEFAULT_SCALE }));
+  });
+});
+
+const recordScene = (scene) => {
+  if (!scene.content) {
+    throw new Error('There is nothing to export yet');
+  }
+  const shapes = [];
+  scene.draw(createRecordingContext(shape => shapes.push(shape)));
+  return shapes;
+};
+
+// The part of an image that is drawn, as a canvas at most MAX_IMAGE_SIZE a
+// side, or null when it can't be read back (a cross-origin image). `opaque`
+// puts it on white paper, for JPEG.
+const rasterise = ({ image, crop }, { opaque = false } = {}) => {
+  const fit = Math.min(1, MAX_IMAGE_SIZE / Math.max(crop.width, crop.height));
+  const raster = document.createElement('canvas');
+  raster.width = Math.max(1, Math.round(crop.width * fit));
+  raster.height = Math.max(1, Math.round(crop.height * fit));
+  const ctx = raster.getContext('2d');
+  if (opaque) {
+    ctx.fillStyle = '#ffffff';
+    ctx.fillRect(0, 0, raster.width, raster.height);
+  }
+  ctx.drawImage(image, crop.x, crop.y, crop.width, crop.height, 0, 0, raster.width, raster.height);
+  try {
+    raster.toDataURL();
+  } catch (error) {
+    return null;
+  }
+  return raster;
+};
+
+// The drawing at `pixelRatio` × its canvas size, as a PNG data URL
+export const exportPng = (scene, { pixelRatio = 2, margin = EXPORT_MARGIN } = {}) => {
+  if (!scene.content) {
+    throw new Error('There is nothing to export yet');
+  }
+  const { left, top, width, height } = scene.content;
+  const image = document.createElement('canvas');
+  image.width = Math.ceil((width + 2 * margin) * pixelRatio);
+  image.height = Math.ceil((height + 2 * margin) * pixelRatio);
+  const ctx = image.getContext('2d');
+  ctx.fillStyle = '#ffffff';
+  ctx.fillRect(0, 0, image.width, image.height);
+  ctx.setTransform(pixelRatio, 0, 0, pixelRatio, (margin - left) * pixelRatio, (margin - top) * pixelRatio);
+  scene.draw(ctx);
+  return image.toDataURL('image/png');
+};
+
+// SVG
+
+const escapeXml = text => String(text).replace(/[<>&"']/g, char => `&#${char.charCodeAt(0)};`);
+const rgb = ([r, g, b]) => `rgb(${r},${g},${b})`;
+
+const SVG_ANCHOR = { left: 'start', start: 'start', center: 'middle', right: 'end', end: 'end' };
+const SVG_BASELINE = {
+  alphabetic: 'alphabetic',
+  ideographic: 'alphabetic',
+  middle: 'middle',
+  top: 'hanging',
+  hanging: 'hanging',
+  bottom: 'text-after-edge'
+};
+
+const svgPathData = subpaths => subpaths
+  .filter(subpath => !subpath.circle)
+  .map(({ points, closed }) => `M${points.map(p => `${round(p.x)} ${round(p.y)}`).join('L')}${closed ? 'Z' : ''}`)
+  .join('');
+
+const svgPaint = (shape) => {
+  // Erasing paints the paper back
+  const color = shape.erase ? 'rgb(255,255,255)' : rgb(shape.color);
+  const opacity = shape.alpha < 1 ? `opacity="${round(shape.alpha)}"` : '';
+  if (shape.paint === 'fill') return [`fill="${color}" stroke="none"`, opacity].filter(Boolean).join(' ');
+  return [
+    `fill="none" stroke="${color}" stroke-width="${round(shape.lineWidth)}"`,
+    `stroke-linecap="${shape.lineCap}" stroke-linejoin="${shape.lineJoin}"`,
+    shape.lineDash.length ? `stroke-dasharray="${shape.lineDash.map(round).join(' ')}"` : '',
+    opacity
+  ].filter(Boolean).join(' ');
+};
+
+const svgElement = (shape) => {
+  if (shape.type === 'path') {
+    const paint = svgPaint(shape);
+    const circles = shape.subpaths
+      .filter(subpath => subpath.circle)
+      .map(({ circle }) => `<circle cx="${round(circle.x)}" cy="${round(circle.y)}" r="${round(circle.r)}" ${paint}/>`);
+    const d = svgPathData(shape.subpaths);
+    return [...(d ? [`<path d="${d}" ${paint}/>`] : []), ...circles].join('\n');
+  }
+  if (shape.type === 'text') {
+    const x = round(shape.x);
+    const y = round(shape.y);
+    const rotation = shape.rotation ? ` transform="rotate(${round((shape.rotation * 180) / Math.PI)} ${x} ${y})"` : '';
+    return `<text x="${x}" y="${y}" font-family="Helvetica, Arial, sans-serif" font-size="${round(shape.size)}"`
+      + `${shape.bold ? ' font-weight="bold"' : ''}${shape.italic ? ' font-style="italic"' : ''}`
+      + ` text-anchor="${SVG_ANCHOR[shape.align] || 'start'}" dominant-baseline="${SVG_BASELINE[shape.baseline] || 'alphabetic'}"`
+      + ` fill="${rgb(shape.color)}"${shape.alpha < 1 ? ` opacity="${round(shape.alpha)}"` : ''}${rotation}>`
+      + `${escapeXml(shape.text)}</text>`;
+  }
+  const raster = rasterise(shape);
+  if (!raster) return '';
+  return `<image href="${raster.toDataURL('image/png')}" width="1" height="1" preserveAspectRatio="none"`
+    + ` transform="matrix(${shape.matrix.map(v => Math.round(v * 10000) / 10000).join(' ')})"`
+    + `${shape.alpha < 1 ? ` opacity="${round(shape.alpha)}"` : ''}/>`;
+};
+
+// The drawing as an SVG document (a string), sized on paper for 1:`scale`.
+// Otherwise ('fit') it is the size it is drawn, which for a plan is its own
+// drawing scale.
+export const exportSvg = (scene, { scale = 'fit' } = {}) => {
+  const shapes = recordScene(scene);
+  const mmPerPixel = scene.mmPerPixel && typeof scale === 'number' ? scene.mmPerPixel / scale : SCREEN_MM_PER_PIXEL;
+  const left = scene.content.left - EXPORT_MARGIN;
+  const top = scene.content.top - EXPORT_MARGIN;
+  const width = scene.content.width + 2 * EXPORT_MARGIN;
+  const height = scene.content.height + 2 * EXPORT_MARGIN;
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${round(width * mmPerPixel)}mm" height="${round(height * mmPerPixel)}mm"`
+      + ` viewBox="${round(left)} ${round(top)} ${round(width)} ${round(height)}">`,
+    `<rect x="${round(left)}" y="${round(top)}" width="${round(width)}" height="${round(height)}" fill="#ffffff"/>`,
+    ...shapes.map(svgElement).filter(Boolean),
+    '</svg>',
+    ''
+  ].join('\n');
+};
+
+// PDF
+
+// Where a sheet's drawing goes and how large it is drawn: `mmPerPixel` on
+// paper, and the scale to put in the title block. Drawings to scale are
+// drawn at `scale`, or with 'fit' at the largest standard scale that fits
+// one sheet (or exactly to fit, when even 1:1000 is too big).
+const layoutSheet = (scene, paper, scale) => {
+  const frame = {
+    left: SHEET_MARGIN,
+    top: SHEET_MARGIN,
+    width: paper.width - 2 * SHEET_MARGIN,
+    height: paper.height - 2 * SHEET_MARGIN
+  };
+  const area = {
+    left: frame.left + DRAWING_PADDING,
+    top: frame.top + DRAWING_PADDING,
+    width: frame.width - 2 * DRAWING_PADDING,
+    height: frame.height - TITLE_BLOCK_HEIGHT - 2 * DRAWING_PADDING
+  };
+
+  const { width, height } = scene.content;
+  const fitted = Math.min(area.width / Math.max(width, 1), area.height / Math.max(height, 1));
+  const fits = mmPerPixel => width * mmPerPixel <= area.width && height * mmPerPixel <= area.height;
+
+  let mmPerPixel = fitted;
+  let scaleLabel = 'Not to scale';
+  if (scene.mmPerPixel && scale !== 'fit') {
+    mmPerPixel = scene.mmPerPixel / scale;
+    scaleLabel = `1:${scale}`;
+  } else if (scene.mmPerPixel) {
+    const standard = DRAWING_SCALES.find(candidate => fits(scene.mmPerPixel / candidate));
+    mmPerPixel = standard ? scene.mmPerPixel / standard : fitted;
+    scaleLabel = `1:${standard || Math.round(scene.mmPerPixel / fitted)}`;
+  }
+  return { frame, area, mmPerPixel, scaleLabel };
+};
+
+const pdfColor = ([r, g, b], operator) => `${[r, g, b].map(v => formatNumber(v / 255)).join(' ')} ${operator}`;
+
+const LINE_CAPS = { butt: 0, round: 1, square: 2 };
+const LINE_JOINS = { miter: 0, round: 1, bevel: 2 };
+const ALIGN_SHARE = { left: 0, start: 0, center: 0.5, right: 1, end: 1 };
+// How far below the text's y its baseline is, in ems
+const BASELINE_DROP = { alphabetic: 0, ideographic: 0, middle: 0.35, top: 0.75, hanging: 0.75, bottom: -0.2 };
+
+// Title block cells: [label, value, share of the width]
+const titleCells = (info, scaleLabel, sheet, sheets) => [
+  ['Project', info.project, 3],
+  ['Drawing', info.drawing, 3],
+  ['Version', info.version, 1],
+  ['Drawn by', info.author, 2],
+  ['Date', info.date, 1.5],
+  ['Scale', scaleLabel, 1.2],
+  ['Sheet', `${sheet} of ${sheets}`, 1.2]
+];
+
+// Text cut down with an ellipsis to fit `width`
+const fitText = (text, size, width, bold) => {
+  let fitted = String(text ?? '—');
+  while (fitted.length > 1 && textWidth(fitted, size, bold) > width) {
+    fitted = `${fitted.slice(0, -2)}…`;
+  }
+  return fitted;
+};
+
+// The drawing as a PDF (a Blob) on `paperSize` sheets, with `info` ({
+// project, drawing, version, author, date }) in each sheet's title block. A
+// drawing too big for one sheet at its scale is tiled over several.
+export const exportPdf = (scene, { paperSize = 'A3', orientation = 'landscape', scale = 'fit', info = {} } = {}) => {
+  const shapes = recordScene(scene);
+  const sheet = PAPER_SIZES[paperSize] || PAPER_SIZES.A3;
+  const paper = orientation === 'portrait' ? { width: sheet.height, height: sheet.width } : sheet;
+  const { frame, area, mmPerPixel, scaleLabel } = layoutSheet(scene, paper, scale);
+
+  // Tiles of the drawing, centred on the sheets they cover together
+  const { content } = scene;
+  const tileWidth = area.width / mmPerPixel;
+  const tileHeight = area.height / mmPerPixel;
+  const columns = Math.max(1, Math.ceil(content.width / tileWidth - 1e-9));
+  const rows = Math.max(1, Math.ceil(content.height / tileHeight - 1e-9));
+  const originX = content.left - (columns * tileWidth - content.width) / 2;
+  const originY = content.top - (rows * tileHeight - content.height) / 2;
+  if (rows * columns > MAX_SHEETS) {
+    throw new Error(`At ${scaleLabel} this drawing needs ${rows * columns} ${paperSize} sheets. Choose a smaller scale or larger paper.`);
+  }
+
+  const pdf = createPdf({ title: info.drawing });
+  const pt = mm => formatNumber(mm * PT_PER_MM);
+  const ptY = mm => formatNumber((paper.height - mm) * PT_PER_MM);
+  const images = new Map(); // image -> name, or null when it can't be embedded
+
+  const imageName = (shape) => {
+    const key = `${shape.crop.x},${shape.crop.y},${shape.crop.width},${shape.crop.height}`;
+    const cached = images.get(shape.image)?.[key];
+    if (cached !== undefined) return cached;
+    const raster = rasterise(shape, { opaque: true });
+    let name = null;
+    if (raster) {
+      const bytes = Uint8Array.from(atob(raster.toDataURL('image/jpeg', 0.9).split(',')[1]), char => char.charCodeAt(0));
+      name = pdf.addJpeg(bytes, raster.width, raster.height);
+    }
+    images.set(shape.image, { ...images.get(shape.image), [key]: name });
+    return name;
+  };
+
+  const drawSheet = (tileLeft, tileTop) => {
+    // canvas px -> page pt
+    const toPage = ({ x, y }) => ({
+      x: (area.left + (x - tileLeft) * mmPerPixel) * PT_PER_MM,
+      y: (paper.height - area.top - (y - tileTop) * mmPerPixel) * PT_PER_MM
+    });
+    const toPt = length => length * mmPerPixel * PT_PER_MM;
+    const xy = p => `${formatNumber(p.x)} ${formatNumber(p.y)}`;
+
+    const shapeOps = (shape) => {
+      const ops = ['q'];
+      if (shape.alpha < 1) ops.push(`/${pdf.useAlpha(shape.alpha)} gs`);
+
+      if (shape.type === 'path') {
+        shape.subpaths.forEach((subpath) => {
+          if (subpath.circle) {
+            const c = toPage(subpath.circle);
+            const r = toPt(subpath.circle.r);
+            const k = r * CIRCLE_KAPPA;
+            ops.push(
+              `${xy({ x: c.x + r, y: c.y })} m`,
+              `${xy({ x: c.x + r, y: c.y + k })} ${xy({ x: c.x + k, y: c.y + r })} ${xy({ x: c.x, y: c.y + r })} c`,
+              `${xy({ x: c.x - k, y: c.y + r })} ${xy({ x: c.x - r, y: c.y + k })} ${xy({ x: c.x - r, y: c.y })} c`,
+              `${xy({ x: c.x - r, y: c.y - k })} ${xy({ x: c.x - k, y: c.y - r })} ${xy({ x: c.x, y: c.y - r })} c`,
+              `${xy({ x: c.x + k, y: c.y - r })} ${xy({ x: c.x + r, y: c.y - k })} ${xy({ x: c.x + r, y: c.y })} c h`
+            );
+          } else {
+            ops.push(subpath.points.map((p, i) => `${xy(toPage(p))} ${i === 0 ? 'm' : 'l'}`).join(' ') + (subpath.closed ? ' h' : ''));
+          }
+        });
+        const color = shape.erase ? [255, 255, 255] : shape.color;
+        if (shape.paint === 'fill') {
+          ops.push(pdfColor(color, 'rg'), 'f');
+        } else {
+          ops.push(
+            pdfColor(color, 'RG'),
+            `${formatNumber(toPt(shape.lineWidth))} w ${LINE_CAPS[shape.lineCap] ?? 0} J ${LINE_JOINS[shape.lineJoin] ?? 0} j`,
+            `[${shape.lineDash.map(length => formatNumber(toPt(length))).join(' ')}] 0 d`,
+            'S'
+          );
+        }
+      } else if (shape.type === 'text') {
+        // Placed by its baseline's left end, worked out in canvas px
+        const text = shape.text.replace(/\s+/g, ' ');
+        const along = -textWidth(text, shape.size, shape.bold) * (ALIGN_SHARE[shape.align] ?? 0);
+        const down = shape.size * (BASELINE_DROP[shape.baseline] ?? 0);
+        const cos = Math.cos(shape.rotation);
+        const sin = Math.sin(shape.rotation);
+        const origin = toPage({ x: shape.x + along * cos - down * sin, y: shape.y + along * sin + down * cos });
+        // Page y points up, so the text turns the other way
+        const matrix = [cos, -sin, sin, cos, origin.x, origin.y].map(formatNumber).join(' ');
+        ops.push(
+          pdfColor(shape.color, 'rg'),
+          `BT /${shape.bold ? FONTS.bold : FONTS.regular} ${formatNumber(toPt(shape.size))} Tf ${matrix} Tm ${pdfString(text)} Tj ET`
+        );
+      } else {
+        const name = imageName(shape);
+        if (!name) return '';
+        // Image space runs up from the image's bottom left
+        const m = shape.matrix;
+        const bottomLeft = toPage(transformPoint(m, 0, 1));
+        const bottomRight = toPage(transformPoint(m, 1, 1));
+        const topLeft = toPage(transformPoint(m, 0, 0));
+        const matrix = [
+          bottomRight.x - bottomLeft.x, bottomRight.y - bottomLeft.y,
+          topLeft.x - bottomLeft.x, topLeft.y - bottomLeft.y,
+          bottomLeft.x, bottomLeft.y
+        ].map(formatNumber).join(' ');
+        ops.push(`${matrix} cm /${name} Do`);
+      }
+      ops.push('Q');
+      return ops.join('\n');
+    };
+
+    return [
+      'q',
+      `${pt(area.left)} ${ptY(area.top + area.height)} ${pt(area.width)} ${pt(area.height)} re W n`,
+      ...shapes.map(shapeOps).filter(Boolean),
+      'Q'
+    ];
+  };
+
+  const drawTitleBlock = (sheetNumber, sheets) => {
+    const top = frame.top + frame.height - TITLE_BLOCK_HEIGHT;
+    const cells = titleCells(info, scaleLabel, sheetNumber, sheets);
+    const shares = cells.reduce((total, [, , share]) => total + share, 0);
+    const ops = [
+      '0 0 0 RG 0 0 0 rg',
+      `${formatNumber(0.5 * PT_PER_MM)} w`,
+      `${pt(frame.left)} ${ptY(frame.top + frame.height)} ${pt(frame.width)} ${pt(frame.height)} re S`,
+      `${formatNumber(0.25 * PT_PER_MM)} w`,
+      `${pt(frame.left)} ${ptY(top)} m ${pt(frame.left + frame.width)} ${ptY(top)} l S`
+    ];
+
+    let left = frame.left;
+    cells.forEach(([label, value, share], i) => {
+      const width = (frame.width * share) / shares;
+      if (i > 0) ops.push(`${pt(left)} ${ptY(top)} m ${pt(left)} ${ptY(top + TITLE_BLOCK_HEIGHT)} l S`);
+      const labelSize = 2 * PT_PER_MM;
+      const valueSize = 3.5 * PT_PER_MM;
+      const textLeft = left + 2;
+      const room = (width - 4) * PT_PER_MM;
+      ops.push(
+        `0.4 0.45 0.55 rg BT /${FONTS.regular} ${formatNumber(labelSize)} Tf ${pt(textLeft)} ${ptY(top + 5)} Td ${pdfString(fitText(label, labelSize, room))} Tj ET`,
+        `0 0 0 rg BT /${FONTS.bold} ${formatNumber(valueSize)} Tf ${pt(textLeft)} ${ptY(top + 12)} Td ${pdfString(fitText(value, valueSize, room, true))} Tj ET`
+      );
+      left += width;
+    });
+    return ops;
+  };
+
+  const sheets = rows * columns;
+  for (let row = 0; row < rows; row += 1) {
+    for (let column = 0; column < columns; column += 1) {
+      const content = [
+        ...drawSheet(originX + column * tileWidth, originY + row * tileHeight),
+        ...drawTitleBlock(row * columns + column + 1, sheets)
+      ].join('\n');
+      pdf.addPage(paper.width * PT_PER_MM, paper.height * PT_PER_MM, content);
+    }
+  }
+  return pdf.toBlob();
+};
+
+// A file name for an export of the drawing called `name`
+export const exportFileName = (name, extension) => {
+  const base = String(name || '').trim().replace(/[^\w\- ]+/g, '').replace(/\s+/g, '-').toLowerCase();
+  return `${base || 'sketch'}.${extension}`;
+};
+
+// Saves `data` (a Blob, a data URL or text) as a download
+export const downloadFile = (data, fileName, type = 'application/octet-stream') => {
+  const isUrl = typeof data === 'string' && data.startsWith('data:');
+  const url = isUrl ? data : URL.createObjectURL(data instanceof Blob ? data : new Blob([data], { type }));
+
+  const link = document.createElement('a');
+  link.download = fileName;
+  link.href = url;
+  link.click();
+  if (!isUrl) URL.revokeObjectURL(url);
+};
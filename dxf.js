@@ -0,0 +1,581 @@
+import { fabric } from 'fabric';
+import { pixelsToMm, mmToPixels, MM_PER_INCH, DEFAULT_SCALE } from './units';
+import {
+  IDENTITY,
+  createRecordingContext,
+  withVectorRendering,
+  ellipsePoints,
+  transformPoint,
+  isUniform
+} from './recordingContext';
+import { withOwnDisplay } from './canvasObjects';
+
+// DXF exchange for the fabric drawing canvas, for consultants working in CAD.
+//
+// Export writes AutoCAD R12 ASCII DXF, which every CAD package reads. Objects
+// are exported by rendering them into a recording context that turns their
+// drawing calls into DXF entities, so custom objects (walls, symbols,
+// dimensions) come out as they look. Coordinates are real-world: millimetres,
+// or inches for imperial users, with Y pointing up.
+//
+// Import reads lines, polylines, circles, arcs, ellipses, splines, text and
+// block references (including dimensions) from any DXF version and turns them
+// into editable fabric objects, one drawing layer per DXF layer.
+
+const CAP_HEIGHT = 0.7; // DXF text height is cap height, about 0.7 of the font size
+const MAX_BLOCK_DEPTH = 8;
+const MAX_SHAPES = 20000; // more than this would bog the canvas down
+const PRECISION = 10000; // DXF coordinates are rounded to 4 decimal places
+
+const multiply = fabric.util.multiplyTransformMatrices;
+
+// $INSUNITS codes we read, in mm. 0 (unitless) is taken as mm.
+const DXF_UNITS_MM = { 0: 1, 1: MM_PER_INCH, 2: MM_PER_INCH * 12, 4: 1, 5: 10, 6: 1000 };
+
+// AutoCAD Color Index: the standard colours. 7 is black on a white sheet.
+const ACI_COLORS = {
+  1: [255, 0, 0],
+  2: [255, 255, 0],
+  3: [0, 255, 0],
+  4: [0, 255, 255],
+  5: [0, 0, 255],
+  6: [255, 0, 255],
+  7: [0, 0, 0],
+  8: [128, 128, 128],
+  9: [192, 192, 192]
+};
+
+const toAci = (rgb) => {
+  if (!rgb) return 7;
+  let best = 7;
+  let bestDistance = Infinity;
+  Object.entries(ACI_COLORS).forEach(([index, [r, g, b]]) => {
+    const distance = (r - rgb[0]) ** 2 + (g - rgb[1]) ** 2 + (b - rgb[2]) ** 2;
+    if (distance < bestDistance) {
+      best = Number(index);
+      bestDistance = distance;
+    }
+  });
+  return best;
+};
+
+const toHex = ([r, g, b]) => `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`;
+
+// DXF layer names are limited to letters, digits, $, - and _
+const toDxfLayerNames = (layers) => {
+  const used = new Set();
+  return new Map(layers.map((layer) => {
+    const base = (layer.name.replace(/[^A-Za-z0-9$_-]+/g, '_') || 'LAYER').slice(0, 31);
+    let name = base;
+    for (let n = 2; used.has(name.toUpperCase()); n += 1) name = `${base.slice(0, 27)}_${n}`;
+    used.add(name.toUpperCase());
+    return [layer.id, name];
+  }));
+};
+
+const DXF_TEXT_ALIGN = { left: 0, start: 0, center: 1, right: 2, end: 2 };
+const DXF_TEXT_BASELINE = { alphabetic: 0, ideographic: 0, bottom: 1, middle: 2, hanging: 3, top: 3 };
+
+// The drawing on `canvas` as a DXF file (a string), on the drawing's `layers`.
+// Images, such as underlays, are left out.
+export const exportDxf = (canvas, { layers, scale = DEFAULT_SCALE, units = 'metric' }) => {
+  const unitMm = units === 'imperial' ? MM_PER_INCH : 1;
+  const round = value => Math.round(value * PRECISION) / PRECISION;
+  const toDxfX = x => round(pixelsToMm(x, scale) / unitMm);
+  const toDxfY = y => round(-pixelsToMm(y, scale) / unitMm);
+  const toDxfLength = length => round(pixelsToMm(length, scale) / unitMm);
+
+  const layerNames = toDxfLayerNames(layers);
+  const layerOf = obj => layerNames.get(obj.layerId) || layerNames.get(layers[0].id);
+
+  const entities = [];
+  const addSubpath = (subpath, common, layer) => {
+    if (subpath.circle) {
+      const { x, y, r } = subpath.circle;
+      entities.push(0, 'CIRCLE', ...common, 10, toDxfX(x), 20, toDxfY(y), 30, 0, 40, toDxfLength(r));
+    } else if (subpath.points.length === 2 && !subpath.closed) {
+      const [a, b] = subpath.points;
+      entities.push(0, 'LINE', ...common, 10, toDxfX(a.x), 20, toDxfY(a.y), 30, 0, 11, toDxfX(b.x), 21, toDxfY(b.y), 31, 0);
+    } else {
+      entities.push(0, 'POLYLINE', ...common, 66, 1, 10, 0, 20, 0, 30, 0, 70, subpath.closed ? 1 : 0);
+      subpath.points.forEach((p) => {
+        entities.push(0, 'VERTEX', 8, layer, 10, toDxfX(p.x), 20, toDxfY(p.y), 30, 0);
+      });
+      entities.push(0, 'SEQEND', 8, layer);
+    }
+  };
+
+  // Outlines are written once per path, however it was painted. Backgrounds
+  // and erasing have no place in CAD linework.
+  let lastSubpaths = null;
+  const addShape = (shape, layer, { fills }) => {
+    const common = [8, layer, 62, toAci(shape.color)];
+    if (shape.type === 'path') {
+      if (shape.background || shape.erase || (shape.paint === 'fill' && !fills) || shape.subpaths === lastSubpaths) return;
+      lastSubpaths = shape.subpaths;
+      shape.subpaths.forEach(subpath => addSubpath(subpath, common, layer));
+    } else if (shape.type === 'text') {
+      const halign = DXF_TEXT_ALIGN[shape.align] || 0;
+      const valign = DXF_TEXT_BASELINE[shape.baseline] || 0;
+      const x = toDxfX(shape.x);
+      const y = toDxfY(shape.y);
+      entities.push(
+        0, 'TEXT', ...common,
+        10, x, 20, y, 30, 0,
+        40, toDxfLength(shape.size * CAP_HEIGHT),
+        1, shape.text.replace(/[\r\n]+/g, ' '),
+        50, round((-shape.rotation * 180) / Math.PI),
+        72, halign,
+        ...(halign || valign ? [11, x, 21, y, 31, 0] : []),
+        73, valign
+      );
+    }
+  };
+
+  // Hidden layers are exported turned off, so their objects are drawn as their own
+  withOwnDisplay(canvas.getObjects(), () => withVectorRendering(canvas, () => canvas.getObjects().forEach((obj) => {
+    if (obj.type === 'image') return;
+
+    const layer = layerOf(obj);
+    // A wall's fill is its poché; CAD draws walls as their outlines
+    obj.render(createRecordingContext(shape => addShape(shape, layer, { fills: obj.type !== 'wall' })));
+  })));
+
+  const layerTable = layers.flatMap(layer => [
+    0, 'LAYER',
+    2, layerNames.get(layer.id),
+    70, layer.locked ? 4 : 0,
+    // A negative colour turns the layer off
+    62, layer.visible ? 7 : -7,
+    6, 'CONTINUOUS'
+  ]);
+
+  const pairs = [
+    0, 'SECTION', 2, 'HEADER',
+    9, '$ACADVER', 1, 'AC1009',
+    9, '$INSUNITS', 70, units === 'imperial' ? 1 : 4,
+    9, '$MEASUREMENT', 70, units === 'imperial' ? 0 : 1,
+    0, 'ENDSEC',
+    0, 'SECTION', 2, 'TABLES',
+    0, 'TABLE', 2, 'LTYPE', 70, 1,
+    0, 'LTYPE', 2, 'CONTINUOUS', 70, 0, 3, 'Solid line', 72, 65, 73, 0, 40, 0,
+    0, 'ENDTAB',
+    0, 'TABLE', 2, 'LAYER', 70, layers.length,
+    ...layerTable,
+    0, 'ENDTAB',
+    0, 'ENDSEC',
+    0, 'SECTION', 2, 'ENTITIES',
+    ...entities,
+    0, 'ENDSEC',
+    0, 'EOF'
+  ];
+
+  const lines = [];
+  for (let i = 0; i < pairs.length; i += 2) {
+    lines.push(String(pairs[i]).padStart(3, ' '), String(pairs[i + 1]));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Reading
+
+// A DXF file as records: { type, codes: [[code, value], ...] } per entity or
+// table entry, grouped by section name
+const readSections = (text) => {
+  const lines = text.split(/\r\n|\r|\n/);
+  const sections = {};
+  let section = null;
+  let record = null;
+
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    const code = parseInt(lines[i], 10);
+    const value = lines[i + 1].trim();
+    if (Number.isNaN(code)) {
+      throw new Error('This is not a text DXF file');
+    }
+
+    if (code === 0) {
+      if (value === 'SECTION') {
+        section = null;
+        record = null;
+      } else if (value === 'ENDSEC') {
+        section = null;
+        record = null;
+      } else if (value === 'EOF') {
+        break;
+      } else if (section) {
+        record = { type: value, codes: [] };
+        section.push(record);
+      }
+    } else if (code === 2 && !section && !record) {
+      sections[value] = sections[value] || [];
+      section = sections[value];
+      // Header variables come as code 9 pairs rather than records
+      if (value === 'HEADER') {
+        record = { type: 'HEADER', codes: [] };
+        section.push(record);
+      }
+    } else if (record) {
+      record.codes.push([code, value]);
+    }
+  }
+  return sections;
+};
+
+const first = (record, code, fallback = undefined) => {
+  const pair = record.codes.find(([c]) => c === code);
+  return pair ? pair[1] : fallback;
+};
+const num = (record, code, fallback = 0) => {
+  const value = parseFloat(first(record, code));
+  return Number.isNaN(value) ? fallback : value;
+};
+const all = (record, code) => record.codes.filter(([c]) => c === code).map(([, value]) => parseFloat(value));
+
+const readHeaderVariable = (header, name) => {
+  if (!header) return undefined;
+  const index = header.codes.findIndex(([code, value]) => code === 9 && value === name);
+  return index === -1 ? undefined : header.codes[index + 1]?.[1];
+};
+
+// Vertices of a polyline with bulges (arcs between vertices) as points
+const bulgePoints = (vertices, closed) => {
+  const points = [];
+  const count = closed ? vertices.length : vertices.length - 1;
+  vertices.forEach((vertex, i) => {
+    points.push({ x: vertex.x, y: vertex.y });
+    if (i >= count || !vertex.bulge) return;
+
+    const next = vertices[(i + 1) % vertices.length];
+    const angle = 4 * Math.atan(vertex.bulge);
+    const chord = Math.hypot(next.x - vertex.x, next.y - vertex.y);
+    if (chord === 0) return;
+    const radius = chord / (2 * Math.sin(angle / 2));
+    // The centre lies to the left of the chord for positive bulges
+    const mid = { x: (vertex.x + next.x) / 2, y: (vertex.y + next.y) / 2 };
+    const offset = radius * Math.cos(angle / 2);
+    const normal = { x: -(next.y - vertex.y) / chord, y: (next.x - vertex.x) / chord };
+    const centre = { x: mid.x + normal.x * offset, y: mid.y + normal.y * offset };
+    const start = Math.atan2(vertex.y - centre.y, vertex.x - centre.x);
+    const arc = ellipsePoints(centre.x, centre.y, Math.abs(radius), Math.abs(radius), 0, start, angle);
+    points.push(...arc.slice(1, -1));
+  });
+  return points;
+};
+
+const MTEXT_ATTACHMENT = {
+  1: ['left', 'top'], 2: ['center', 'top'], 3: ['right', 'top'],
+  4: ['left', 'middle'], 5: ['center', 'middle'], 6: ['right', 'middle'],
+  7: ['left', 'bottom'], 8: ['center', 'bottom'], 9: ['right', 'bottom']
+};
+const TEXT_ALIGN = ['left', 'center', 'right', 'left', 'center', 'left'];
+const TEXT_BASELINE = ['bottom', 'bottom', 'middle', 'top'];
+
+// MTEXT formatting codes stripped down to plain text
+const plainMText = text => text
+  .replace(/\\P/g, '\n')
+  .replace(/\\[ACcFfHhQTtWw][^;]*;/g, '')
+  .replace(/\\[LlOoKk]/g, '')
+  .replace(/\\S([^;]*);/g, (match, stacked) => stacked.replace(/[#^]/, '/'))
+  .replace(/[{}]/g, '')
+  .replace(/\\\\/g, '\\');
+
+// An entity's layer and colour: an ACI index or a hex string, null for
+// BYLAYER and 0 for BYBLOCK
+const entityStyle = (record) => {
+  const trueColor = parseInt(first(record, 420), 10);
+  const aci = parseInt(first(record, 62, '256'), 10);
+  return {
+    layer: first(record, 8, '0'),
+    color: Number.isNaN(trueColor)
+      ? (aci === 256 ? null : aci)
+      : toHex([(trueColor >> 16) & 255, (trueColor >> 8) & 255, trueColor & 255])
+  };
+};
+
+// Shapes in DXF coordinates from one entity: { kind: 'polyline', points,
+// closed } / { kind: 'circle', x, y, r } / { kind: 'text', text, x, y, height,
+// rotation, align, baseline }, each with the entity's layer and colour
+const readEntity = (record, vertices) => {
+  const shape = props => [{ ...entityStyle(record), ...props }];
+
+  switch (record.type) {
+    case 'LINE':
+      return shape({
+        kind: 'polyline',
+        points: [{ x: num(record, 10), y: num(record, 20) }, { x: num(record, 11), y: num(record, 21) }],
+        closed: false
+      });
+    case 'LWPOLYLINE': {
+      const xs = all(record, 10);
+      const ys = all(record, 20);
+      // Bulges follow the vertex they belong to
+      const points = [];
+      record.codes.forEach(([code, value]) => {
+        if (code === 10) points.push({ x: parseFloat(value), y: ys[points.length], bulge: 0 });
+        if (code === 42 && points.length) points[points.length - 1].bulge = parseFloat(value);
+      });
+      const closed = (num(record, 70) & 1) === 1;
+      return xs.length >= 2 ? shape({ kind: 'polyline', points: bulgePoints(points, closed), closed }) : [];
+    }
+    case 'POLYLINE': {
+      const flags = num(record, 70);
+      // Meshes and polyface meshes aren't outlines
+      if (flags & (16 | 64) || vertices.length < 2) return [];
+      const closed = (flags & 1) === 1;
+      const points = vertices.map(vertex => ({ x: num(vertex, 10), y: num(vertex, 20), bulge: num(vertex, 42) }));
+      return shape({ kind: 'polyline', points: bulgePoints(points, closed), closed });
+    }
+    case 'CIRCLE':
+      return shape({ kind: 'circle', x: num(record, 10), y: num(record, 20), r: num(record, 40) });
+    case 'ARC': {
+      const start = (num(record, 50) * Math.PI) / 180;
+      let end = (num(record, 51) * Math.PI) / 180;
+      if (end <= start) end += Math.PI * 2;
+      const r = num(record, 40);
+      return shape({
+        kind: 'polyline',
+        points: ellipsePoints(num(record, 10), num(record, 20), r, r, 0, start, end - start),
+        closed: false
+      });
+    }
+    case 'ELLIPSE': {
+      const major = { x: num(record, 11), y: num(record, 21) };
+      const rx = Math.hypot(major.x, major.y);
+      const start = num(record, 41, 0);
+      let end = num(record, 42, Math.PI * 2);
+      if (end <= start) end += Math.PI * 2;
+      const closed = end - start >= Math.PI * 2 - 1e-9;
+      const points = ellipsePoints(
+        num(record, 10), num(record, 20), rx, rx * num(record, 40, 1), Math.atan2(major.y, major.x), start, end - start
+      );
+      return shape({ kind: 'polyline', points: closed ? points.slice(0, -1) : points, closed });
+    }
+    case 'SPLINE': {
+      // Through its fit points when it has them, else along its control points
+      const fitX = all(record, 11);
+      const useFit = fitX.length >= 2;
+      const xs = useFit ? fitX : all(record, 10);
+      const ys = useFit ? all(record, 21) : all(record, 20);
+      const points = xs.map((x, i) => ({ x, y: ys[i] }));
+      return points.length >= 2 ? shape({ kind: 'polyline', points, closed: (num(record, 70) & 1) === 1 }) : [];
+    }
+    case 'TEXT': {
+      const halign = num(record, 72);
+      const valign = num(record, 73);
+      const aligned = halign !== 0 || valign !== 0;
+      return shape({
+        kind: 'text',
+        text: first(record, 1, '').replace(/%%[cC]/g, 'Ø').replace(/%%[dD]/g, '°').replace(/%%[pP]/g, '±'),
+        x: num(record, aligned ? 11 : 10),
+        y: num(record, aligned ? 21 : 20),
+        height: num(record, 40, 1),
+        rotation: num(record, 50),
+        align: TEXT_ALIGN[halign] || 'left',
+        baseline: TEXT_BASELINE[valign] || 'bottom'
+      });
+    }
+    case 'MTEXT': {
+      const text = [...record.codes.filter(([code]) => code === 3), ...record.codes.filter(([code]) => code === 1)]
+        .map(([, value]) => value)
+        .join('');
+      const [align, baseline] = MTEXT_ATTACHMENT[num(record, 71, 1)] || MTEXT_ATTACHMENT[1];
+      const direction = first(record, 11) !== undefined
+        ? (Math.atan2(num(record, 21), num(record, 11)) * 180) / Math.PI
+        : num(record, 50);
+      return shape({
+        kind: 'text',
+        text: plainMText(text),
+        x: num(record, 10),
+        y: num(record, 20),
+        height: num(record, 40, 1),
+        rotation: direction,
+        align,
+        baseline
+      });
+    }
+    default:
+      return [];
+  }
+};
+
+// Entity records with each POLYLINE's VERTEX records attached
+const groupEntities = (records) => {
+  const entities = [];
+  let polyline = null;
+  records.forEach((record) => {
+    if (record.type === 'VERTEX' && polyline) {
+      polyline.vertices.push(record);
+    } else if (record.type === 'SEQEND') {
+      polyline = null;
+    } else {
+      const entity = { record, vertices: [] };
+      entities.push(entity);
+      polyline = record.type === 'POLYLINE' ? entity : null;
+    }
+  });
+  return entities;
+};
+
+// A shape moved through a 2D affine transform (DXF coordinates)
+const transformShape = (shape, m) => {
+  const map = p => transformPoint(m, p.x, p.y);
+  if (shape.kind === 'polyline') {
+    return { ...shape, points: shape.points.map(map) };
+  }
+  if (shape.kind === 'circle') {
+    if (isUniform(m)) {
+      return { ...shape, ...map(shape), r: shape.r * Math.hypot(m[0], m[1]) };
+    }
+    const points = ellipsePoints(shape.x, shape.y, shape.r, shape.r, 0, 0, Math.PI * 2).slice(0, -1);
+    return { ...shape, kind: 'polyline', points: points.map(map), closed: true };
+  }
+  return {
+    ...shape,
+    ...map(shape),
+    height: shape.height * Math.hypot(m[2], m[3]),
+    rotation: shape.rotation + (Math.atan2(m[1], m[0]) * 180) / Math.PI
+  };
+};
+
+// Every shape in a DXF file, in the file's units with Y up, and its layers
+// as { name, color, visible }
+export const readDxf = (text) => {
+  const sections = readSections(text);
+  if (!sections.ENTITIES) {
+    throw new Error('This DXF file has no drawing in it');
+  }
+
+  const header = (sections.HEADER || [])[0];
+  const unitMm = DXF_UNITS_MM[parseInt(readHeaderVariable(header, '$INSUNITS'), 10)] || 1;
+
+  const layers = new Map();
+  (sections.TABLES || []).filter(record => record.type === 'LAYER').forEach((record) => {
+    const color = parseInt(first(record, 62, '7'), 10);
+    const flags = num(record, 70);
+    layers.set(first(record, 2, '0'), {
+      name: first(record, 2, '0'),
+      color: Math.abs(color) || 7,
+      visible: color >= 0 && (flags & 1) === 0
+    });
+  });
+
+  // Blocks: name -> { base, entities }
+  const blocks = new Map();
+  let block = null;
+  (sections.BLOCKS || []).forEach((record) => {
+    if (record.type === 'BLOCK') {
+      block = { base: { x: num(record, 10), y: num(record, 20) }, records: [] };
+      blocks.set(first(record, 2), block);
+    } else if (record.type === 'ENDBLK') {
+      block = null;
+    } else if (block) {
+      block.records.push(record);
+    }
+  });
+
+  const tooDetailed = () => new Error(`This DXF file is too detailed to import (over ${MAX_SHAPES.toLocaleString()} shapes)`);
+
+  // Block contents on layer 0, or coloured BYBLOCK, take the insert's. Shapes
+  // are counted as they are read, blocks once per insert, so a file that
+  // inserts blocks many times over is given up on before it fills memory.
+  let count = 0;
+  const readEntities = (records, depth) => groupEntities(records).flatMap(({ record, vertices }) => {
+    if (record.type !== 'INSERT' && record.type !== 'DIMENSION') {
+      const read = readEntity(record, vertices);
+      count += read.length;
+      if (count > MAX_SHAPES) throw tooDetailed();
+      return read;
+    }
+
+    const inserted = blocks.get(first(record, 2));
+    if (!inserted || depth >= MAX_BLOCK_DEPTH) return [];
+    const insert = entityStyle(record);
+    // Dimension blocks are drawn where they belong already
+    const m = record.type === 'DIMENSION' ? IDENTITY : (() => {
+      const angle = (num(record, 50) * Math.PI) / 180;
+      const sx = num(record, 41, 1);
+      const sy = num(record, 42, 1);
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      return multiply(
+        [cos * sx, sin * sx, -sin * sy, cos * sy, num(record, 10), num(record, 20)],
+        [1, 0, 0, 1, -inserted.base.x, -inserted.base.y]
+      );
+    })();
+
+    return readEntities(inserted.records, depth + 1).map(shape => ({
+      ...transformShape(shape, m),
+      layer: shape.layer === '0' ? insert.layer : shape.layer,
+      color: shape.color === 0 ? insert.color : shape.color
+    }));
+  });
+
+  const shapes = readEntities(sections.ENTITIES, 0)
+    // Defpoints holds construction points that never print
+    .filter(shape => shape.layer.toLowerCase() !== 'defpoints');
+  if (shapes.length === 0) {
+    throw new Error('This DXF file has nothing that can be imported');
+  }
+  return { shapes, layers, unitMm };
+};
+
+// Fabric objects for the shapes of a DXF file, sized for the drawing scale,
+// with their DXF layer name as `dxfLayer`. Centred on `centre` (canvas px).
+export const createObjectsFromDxf = ({ shapes, layers, unitMm }, { scale = DEFAULT_SCALE, centre = { x: 0, y: 0 } } = {}) => {
+  const toPx = value => mmToPixels(value * unitMm, scale);
+
+  const bounds = shapes.reduce((box, shape) => {
+    const points = shape.kind === 'polyline'
+      ? shape.points
+      : [{ x: shape.x - (shape.r || 0), y: shape.y - (shape.r || 0) }, { x: shape.x + (shape.r || 0), y: shape.y + (shape.r || 0) }];
+    points.forEach(({ x, y }) => {
+      box.minX = Math.min(box.minX, x);
+      box.minY = Math.min(box.minY, y);
+      box.maxX = Math.max(box.maxX, x);
+      box.maxY = Math.max(box.maxY, y);
+    });
+    return box;
+  }, { minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity });
+  const middle = { x: (bounds.minX + bounds.maxX) / 2, y: (bounds.minY + bounds.maxY) / 2 };
+
+  // DXF Y points up
+  const toCanvas = ({ x, y }) => ({ x: centre.x + toPx(x - middle.x), y: centre.y - toPx(y - middle.y) });
+
+  const colorOf = (shape) => {
+    let { color } = shape;
+    if (color === null || color === 0) color = layers.get(shape.layer)?.color || 7;
+    if (typeof color === 'string') return color;
+    return toHex(ACI_COLORS[color] || ACI_COLORS[7]);
+  };
+
+  return shapes.map((shape) => {
+    const stroke = colorOf(shape);
+    let obj;
+    if (shape.kind === 'circle') {
+      const c = toCanvas(shape);
+      const r = toPx(shape.r);
+      obj = new fabric.Circle({ left: c.x - r, top: c.y - r, radius: r, fill: 'transparent', stroke, strokeWidth: 1 });
+    } else if (shape.kind === 'polyline' && shape.points.length === 2 && !shape.closed) {
+      const [a, b] = shape.points.map(toCanvas);
+      obj = new fabric.Line([a.x, a.y, b.x, b.y], { stroke, strokeWidth: 1 });
+    } else if (shape.kind === 'polyline') {
+      const Klass = shape.closed ? fabric.Polygon : fabric.Polyline;
+      obj = new Klass(shape.points.map(toCanvas), { fill: '', stroke, strokeWidth: 1, objectCaching: false });
+    } else {
+      const p = toCanvas(shape);
+      obj = new fabric.IText(shape.text, {
+        left: p.x,
+        top: p.y,
+        originX: shape.align,
+        originY: { bottom: 'bottom', middle: 'center', top: 'top' }[shape.baseline],
+        angle: -shape.rotation,
+        fontFamily: 'Arial',
+        fontSize: toPx(shape.height) / CAP_HEIGHT,
+        fill: stroke
+      });
+    }
+    obj.dxfLayer = shape.layer;
+    return obj;
+  });
+};
@@ -0,0 +1,128 @@
+/**
+ * @jest-environment jsdom
+ */
+import { fabric } from 'fabric';
+import { exportDxf, readDxf, createObjectsFromDxf } from './dxf';
+import { applyLayerDisplay } from './canvasObjects';
+import { mmToPixels } from './units';
+
+const LAYERS = [
+  { id: 'walls', name: 'Walls', visible: true, opacity: 1 },
+  { id: 'notes', name: 'Site notes', visible: false, opacity: 1 }
+];
+
+// exportDxf only asks a canvas for its objects
+const canvasOf = objects => ({ getObjects: () => objects, skipOffscreen: true });
+
+// Objects placed by their middles, in mm at 1:100, so fabric's stroke
+// offset doesn't move them
+const centred = { originX: 'center', originY: 'center', strokeWidth: 1, stroke: '#000000', fill: '' };
+const line = (layerId, [x1, y1, x2, y2]) => Object.assign(
+  new fabric.Line([x1, y1, x2, y2].map(mm => mmToPixels(mm)), centred),
+  { layerId }
+);
+
+const round = ({ x, y }) => ({ x: Math.round(x), y: Math.round(y) });
+
+// The text of a DXF file from its group code/value pairs
+const dxfOf = pairs => `${pairs.map(String).join('\r\n')}\r\n`;
+
+describe('exportDxf and readDxf', () => {
+  it('read back the lines, rectangles and circles they write, in mm with Y up', () => {
+    const rect = Object.assign(new fabric.Rect({
+      ...centred, left: mmToPixels(2000), top: mmToPixels(1500), width: mmToPixels(4000), height: mmToPixels(3000)
+    }), { layerId: 'walls' });
+    const circle = Object.assign(new fabric.Circle({
+      ...centred, left: mmToPixels(1000), top: mmToPixels(1000), radius: mmToPixels(500)
+    }), { layerId: 'walls' });
+
+    const { shapes, unitMm } = readDxf(exportDxf(canvasOf([line('walls', [0, 0, 4000, 3000]), rect, circle]), { layers: LAYERS }));
+
+    expect(unitMm).toBe(1);
+    expect(shapes).toHaveLength(3);
+    const [diagonal, outline, ring] = shapes;
+    expect(diagonal.points.map(round)).toEqual([{ x: 0, y: 0 }, { x: 4000, y: -3000 }]);
+    expect(outline.closed).toBe(true);
+    expect(outline.points.map(round)).toEqual([{ x: 0, y: 0 }, { x: 4000, y: 0 }, { x: 4000, y: -3000 }, { x: 0, y: -3000 }]);
+    expect(ring).toMatchObject({ kind: 'circle', layer: 'Walls' });
+    expect(round(ring)).toEqual({ x: 1000, y: -1000 });
+    expect(ring.r).toBeCloseTo(500);
+  });
+
+  it('keep layers, turning hidden ones off without losing what is on them', () => {
+    const note = line('notes', [0, 0, 1000, 0]);
+    applyLayerDisplay(note, LAYERS[1]);
+
+    const { shapes, layers } = readDxf(exportDxf(canvasOf([line('walls', [0, 0, 0, 1000]), note]), { layers: LAYERS }));
+
+    expect(shapes.map(shape => shape.layer)).toEqual(['Walls', 'Site_notes']);
+    expect(layers.get('Walls')).toMatchObject({ visible: true });
+    expect(layers.get('Site_notes')).toMatchObject({ visible: false });
+    expect(note.visible).toBe(false);
+  });
+
+  it('write inches for imperial drawings', () => {
+    const text = exportDxf(canvasOf([line('walls', [0, 0, 254, 0])]), { layers: LAYERS, units: 'imperial' });
+
+    const { shapes, unitMm } = readDxf(text);
+
+    expect(unitMm).toBeCloseTo(25.4);
+    expect(shapes[0].points.map(round)).toEqual([{ x: 0, y: 0 }, { x: 10, y: 0 }]);
+  });
+});
+
+describe('readDxf', () => {
+  it('places block contents where they are inserted', () => {
+    const { shapes } = readDxf(dxfOf([
+      0, 'SECTION', 2, 'BLOCKS',
+      0, 'BLOCK', 2, 'DOOR', 10, 0, 20, 0,
+      0, 'LINE', 8, '0', 10, 0, 20, 0, 11, 100, 21, 0,
+      0, 'ENDBLK',
+      0, 'ENDSEC',
+      0, 'SECTION', 2, 'ENTITIES',
+      0, 'INSERT', 8, 'Doors', 2, 'DOOR', 10, 500, 20, 200, 50, 90,
+      0, 'ENDSEC',
+      0, 'EOF'
+    ]));
+
+    expect(shapes).toHaveLength(1);
+    expect(shapes[0].layer).toBe('Doors');
+    expect(shapes[0].points.map(round)).toEqual([{ x: 500, y: 200 }, { x: 500, y: 300 }]);
+  });
+
+  it('gives up on files that insert blocks into too many shapes', () => {
+    const lines = Array.from({ length: 200 }, (_, i) => [0, 'LINE', 8, '0', 10, i, 20, 0, 11, i, 21, 10]).flat();
+    const inserts = Array.from({ length: 101 }, (_, i) => [0, 'INSERT', 8, '0', 2, 'ROW', 10, 0, 20, i * 20]).flat();
+
+    expect(() => readDxf(dxfOf([
+      0, 'SECTION', 2, 'BLOCKS',
+      0, 'BLOCK', 2, 'ROW', 10, 0, 20, 0,
+      ...lines,
+      0, 'ENDBLK',
+      0, 'ENDSEC',
+      0, 'SECTION', 2, 'ENTITIES',
+      ...inserts,
+      0, 'ENDSEC',
+      0, 'EOF'
+    ]))).toThrow('too detailed');
+  });
+
+  it('turns down files with nothing it can import', () => {
+    expect(() => readDxf(dxfOf([0, 'SECTION', 2, 'ENTITIES', 0, 'ENDSEC', 0, 'EOF']))).toThrow('nothing that can be imported');
+    expect(() => readDxf('not a drawing\r\n')).toThrow('not a text DXF file');
+  });
+});
+
+describe('createObjectsFromDxf', () => {
+  it('turns shapes into fabric objects centred where asked, sized for the scale', () => {
+    const dxf = readDxf(exportDxf(canvasOf([line('walls', [0, 0, 2000, 0])]), { layers: LAYERS }));
+
+    const [obj] = createObjectsFromDxf(dxf, { centre: { x: 300, y: 200 } });
+
+    expect(obj.type).toBe('line');
+    expect(obj.dxfLayer).toBe('Walls');
+    expect(obj.x2 - obj.x1).toBeCloseTo(mmToPixels(2000));
+    expect((obj.x1 + obj.x2) / 2).toBeCloseTo(300);
+    expect((obj.y1 + obj.y2) / 2).toBeCloseTo(200);
+  });
+});
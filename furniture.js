@@ -0,0 +1,116 @@
+import { ifMatchHeaders, isConflict } from './revision';
+
+// Furniture placed in a design's 3D model (see createFurnitureGroup for what
+// an item is), snapping it to the building: down onto the floor of the level
+// it is on, and back against a wall it is brought up to, and saving it into
+// the design's metadata.
+
+// What can be added, with its size in m
+export const FURNITURE_CATALOGUE = {
+  sofa: { label: 'Sofa', width: 2, depth: 0.9, height: 0.8, color: '#4169e1' },
+  armchair: { label: 'Armchair', width: 0.9, depth: 0.9, height: 0.8, color: '#4169e1' },
+  table: { label: 'Table', width: 1.6, depth: 0.9, height: 0.75, color: '#8b4513' },
+  chair: { label: 'Chair', width: 0.5, depth: 0.5, height: 0.9, color: '#654321' },
+  desk: { label: 'Desk', width: 1.4, depth: 0.7, height: 0.75, color: '#a0522d' },
+  bed: { label: 'Bed', width: 1.6, depth: 2.1, height: 0.5, color: '#e2e8f0' },
+  wardrobe: { label: 'Wardrobe', width: 1.2, depth: 0.6, height: 2, color: '#d2b48c' },
+  bookcase: { label: 'Bookcase', width: 0.9, depth: 0.3, height: 1.8, color: '#8b4513' }
+};
+
+// How close (m) an item has to come to a floor or wall to snap to it
+export const SNAP_DISTANCE = 0.3;
+
+export const createFurnitureItem = (type, { x = 0, y = 0, z = 0 } = {}) => {
+  const { label, ...size } = FURNITURE_CATALOGUE[type];
+  return { type, x, y, z, ...size, rotation: 0 };
+};
+
+// The level of `building` (see createBuildingModel) an item stands on: the
+// highest whose floor is below its base, give or take the snap distance
+const levelUnder = (item, building) => {
+  const below = building.levels.filter(level => level.elevation <= item.y + SNAP_DISTANCE);
+  return below.length ? below[below.length - 1] : building.levels[0];
+};
+
+// The wall face nearest an item's middle, if the item's back would be within
+// the snap distance of it once turned to face away from the wall
+const nearestWallFace = (item, walls) => {
+  let nearest = null;
+  walls.forEach((wall) => {
+    const dx = wall.to.x - wall.from.x;
+    const dz = wall.to.z - wall.from.z;
+    const length = Math.hypot(dx, dz);
+    if (!length) return;
+    const along = ((item.x - wall.from.x) * dx + (item.z - wall.from.z) * dz) / length;
+    if (along < 0 || along > length) return;
+
+    const normal = { x: -dz / length, z: dx / length };
+    const offset = (item.x - wall.from.x) * normal.x + (item.z - wall.from.z) * normal.z;
+    const side = offset < 0 ? -1 : 1;
+    const gap = Math.abs(offset) - wall.thickness / 2 - item.depth / 2;
+    if (Math.abs(gap) > SNAP_DISTANCE || (nearest && Math.abs(gap) >= Math.abs(nearest.gap))) return;
+
+    nearest = {
+      gap,
+      // Where the item's middle goes, and which way it faces
+      x: wall.from.x + (dx / length) * along + normal.x * side * (wall.thickness / 2 + item.depth / 2),
+      z: wall.from.z + (dz / length) * along + normal.z * side * (wall.thickness / 2 + item.depth / 2),
+      rotation: Math.atan2(normal.x * side, normal.z * side)
+    };
+  });
+  return nearest;
+};
+
+// `item` snapped to the floor under it and, with `walls`, to a wall near it.
+// Without a building, the floor is the ground.
+export const snapFurniture = (item, building, { walls = true } = {}) => {
+  if (!building) return { ...item, y: 0 };
+
+  const level = levelUnder(item, building);
+  const snapped = { ...item, y: level.elevation };
+  const face = walls && nearestWallFace(snapped, level.walls);
+  return face ? { ...snapped, x: face.x, z: face.z, rotation: face.rotation } : snapped;
+};
+
+// Saves a design's furniture into its metadata, one save at a time. Each goes
+// out with the rest of the metadata and the revision (If-Match) as they are
+// when it is sent, read through `getDesign`, so quick edits don't overwrite
+// each other or anyone else's metadata. Edits made while a save is in flight
+// are folded into one more save of the latest furniture.
+// - put(body, headers) makes the request and resolves to the saved design
+// - onSaved(design) takes the new revision
+// - onConflict(theirs) gets the server's design when someone else changed it
+//   first; nothing more is saved until `save` is called again
+// - onError(error) gets any other failure
+export const createFurnitureSaver = ({ getDesign, put, onSaved, onConflict, onError }) => {
+  let running = false;
+  let again = false;
+
+  const save = async () => {
+    if (running) {
+      again = true;
+      return;
+    }
+    running = true;
+    try {
+      do {
+        again = false;
+        const design = getDesign();
+        try {
+          onSaved(await put({ metadata: { ...design.metadata } }, ifMatchHeaders(design)));
+        } catch (error) {
+          again = false;
+          if (isConflict(error)) {
+            onConflict(error.response.data.design);
+          } else {
+            onError(error);
+          }
+        }
+      } while (again);
+    } finally {
+      running = false;
+    }
+  };
+
+  return { save };
+};
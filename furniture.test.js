@@ -0,0 +1,116 @@
+import { createFurnitureItem, snapFurniture, createFurnitureSaver } from './furniture';
+
+const revisionOf = updatedAt => `"${new Date(updatedAt).getTime()}"`;
+
+describe('snapFurniture', () => {
+  const building = {
+    levels: [
+      { elevation: 0, walls: [{ from: { x: 0, z: 0 }, to: { x: 4, z: 0 }, thickness: 0.2 }] },
+      { elevation: 3, walls: [] }
+    ]
+  };
+
+  it('sets an item down on the floor of the level it is on', () => {
+    expect(snapFurniture({ ...createFurnitureItem('chair'), x: 2, z: 2, y: 0.2 }, building).y).toBe(0);
+    expect(snapFurniture({ ...createFurnitureItem('chair'), x: 2, z: 2, y: 3.1 }, building).y).toBe(3);
+    expect(snapFurniture({ ...createFurnitureItem('chair'), y: 5 }, null).y).toBe(0);
+  });
+
+  it('backs an item up against a wall brought near it', () => {
+    const sofa = { ...createFurnitureItem('sofa'), x: 2, z: 0.7 };
+
+    const snapped = snapFurniture(sofa, building);
+
+    expect(snapped.x).toBeCloseTo(2);
+    expect(snapped.z).toBeCloseTo(0.1 + 0.45);
+    expect(snapped.rotation).toBeCloseTo(0);
+    expect(snapFurniture(sofa, building, { walls: false }).z).toBe(0.7);
+  });
+});
+
+describe('createFurnitureSaver', () => {
+  let design; // the page's copy
+  let server; // the stored copy
+  let saver;
+  let put;
+  let onConflict;
+  let onError;
+
+  // Each save the server takes moves the revision on a second
+  const accept = (body) => {
+    server = { ...server, ...body, updatedAt: new Date(new Date(server.updatedAt).getTime() + 1000).toISOString() };
+    return Promise.resolve(server);
+  };
+
+  beforeEach(() => {
+    design = { _id: 'd1', updatedAt: '2024-03-01T10:00:00.000Z', metadata: { style: 'Modern', furniture: [] } };
+    server = design;
+    put = jest.fn(accept);
+    onConflict = jest.fn();
+    onError = jest.fn();
+    saver = createFurnitureSaver({
+      getDesign: () => design,
+      put,
+      onSaved: (saved) => {
+        design = { ...design, updatedAt: saved.updatedAt };
+      },
+      onConflict,
+      onError
+    });
+  });
+
+  it('saves the latest metadata under the current revision', async () => {
+    design = { ...design, metadata: { ...design.metadata, furniture: [createFurnitureItem('bed')] } };
+
+    await saver.save();
+
+    expect(put).toHaveBeenCalledWith(
+      { metadata: { style: 'Modern', furniture: [createFurnitureItem('bed')] } },
+      { 'If-Match': revisionOf('2024-03-01T10:00:00.000Z') }
+    );
+    expect(design.updatedAt).toBe('2024-03-01T10:00:01.000Z');
+  });
+
+  it('sends quick edits one after another, each on the revision the last one left', async () => {
+    let finishFirst;
+    put.mockImplementationOnce(body => new Promise((resolve) => {
+      finishFirst = () => resolve(accept(body));
+    }));
+
+    const first = saver.save();
+    design = { ...design, metadata: { ...design.metadata, furniture: [createFurnitureItem('desk')] } };
+    saver.save();
+    design = { ...design, metadata: { ...design.metadata, furniture: [createFurnitureItem('desk'), createFurnitureItem('chair')] } };
+    saver.save();
+    expect(put).toHaveBeenCalledTimes(1);
+
+    finishFirst();
+    await first;
+
+    expect(put).toHaveBeenCalledTimes(2);
+    const [body, headers] = put.mock.calls[1];
+    expect(body.metadata.furniture.map(item => item.type)).toEqual(['desk', 'chair']);
+    expect(headers).toEqual({ 'If-Match': revisionOf('2024-03-01T10:00:01.000Z') });
+  });
+
+  it("hands a 409 over with the server's design and stops saving", async () => {
+    const theirs = { ...design, updatedAt: '2024-03-01T11:00:00.000Z', metadata: { style: 'Rustic' } };
+    put.mockRejectedValueOnce({ response: { status: 409, data: { design: theirs } } });
+
+    await saver.save();
+
+    expect(onConflict).toHaveBeenCalledWith(theirs);
+    expect(onError).not.toHaveBeenCalled();
+    expect(put).toHaveBeenCalledTimes(1);
+  });
+
+  it('reports other failures', async () => {
+    const error = { response: { status: 500 } };
+    put.mockRejectedValueOnce(error);
+
+    await saver.save();
+
+    expect(onError).toHaveBeenCalledWith(error);
+    expect(onConflict).not.toHaveBeenCalled();
+  });
+});
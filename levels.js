@@ -0,0 +1,63 @@
+// The levels (storeys) of a design's building. `sketchData.levels` lists
+// them from the lowest up as { id, name, height, slabThickness }, heights in
+// mm and `height` floor to floor. The main level's plan is the design's plan,
+// kept where it was before there were levels (`sketchData.plan`, with its
+// `walls`, `rooms` and `stairs` alongside); every other level's plan and plan
+// data are in `sketchData.levelPlans[id]`. Designs saved without levels have
+// just the main level.
+
+export const MAIN_LEVEL_ID = 'main';
+
+export const LEVEL_DEFAULTS = {
+  height: 3000,
+  slabThickness: 200
+};
+
+export const getLevels = sketchData => (
+  sketchData?.levels?.length
+    ? sketchData.levels
+    : [{ id: MAIN_LEVEL_ID, name: 'Ground floor', ...LEVEL_DEFAULTS }]
+);
+
+// { plan, walls, rooms, stairs } of a level; empty for a level not drawn yet
+export const getLevelPlan = (sketchData, levelId) => {
+  if (levelId === MAIN_LEVEL_ID) {
+    const { plan, walls, rooms, stairs } = sketchData || {};
+    return { plan, walls, rooms, stairs };
+  }
+  return sketchData?.levelPlans?.[levelId] || {};
+};
+
+// The changes to sketchData that store `levelPlan` as the level's plan
+export const levelPlanChanges = (sketchData, levelId, levelPlan) => (
+  levelId === MAIN_LEVEL_ID
+    ? levelPlan
+    : { levelPlans: { ...sketchData?.levelPlans, [levelId]: { ...getLevelPlan(sketchData, levelId), ...levelPlan } } }
+);
+
+// A new level to go on top of `levels`, the same height as the one below it
+export const createLevel = (levels) => {
+  const top = levels[levels.length - 1] || LEVEL_DEFAULTS;
+  return {
+    id: `level-${Date.now().toString(36)}`,
+    name: `Level ${levels.length}`,
+    height: top.height,
+    slabThickness: top.slabThickness
+  };
+};
+
+// The changes to sketchData that drop a level and its plan
+export const removeLevelChanges = (sketchData, levelId) => {
+  const { [levelId]: removed, ...levelPlans } = sketchData?.levelPlans || {};
+  return {
+    levels: getLevels(sketchData).filter(level => level.id !== levelId),
+    levelPlans
+  };
+};
+
+// The building's levels with their plan data, as the 3D model takes them
+// (see createBuildingModel)
+export const getBuildingLevels = sketchData => getLevels(sketchData).map((level) => {
+  const { walls, rooms, stairs } = getLevelPlan(sketchData, level.id);
+  return { ...level, plan: { walls, rooms, stairs } };
+});
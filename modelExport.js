@@ -0,0 +1,125 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter';
+import { STLExporter } from 'three/examples/jsm/exporters/STLExporter';
+import { exportFileName } from './drawingExport';
+
+// Exports of a 3D model (a three.js object, usually from createModelGroup) in
+// formats other tools open. Models are in metres: glTF says so, and OBJ and
+// STL have no units, so importers that assume mm need a scale of 1000.
+
+export const MODEL_FORMATS = {
+  glb: { label: 'glTF binary (.glb)' },
+  gltf: { label: 'glTF (.gltf)' },
+  obj: { label: 'OBJ + MTL' },
+  stl: { label: 'STL' }
+};
+
+// OBJ and MTL names end at whitespace
+const objName = name => String(name || '').trim().replace(/\s+/g, '_') || 'unnamed';
+
+const formatNumber = value => String(Math.round(value * 1e6) / 1e6);
+
+const toGltf = (object, binary) => new Promise((resolve, reject) => {
+  new GLTFExporter().parse(object, resolve, reject, { binary });
+});
+
+// Every visible mesh as its own OBJ object in world coordinates, using the
+// materials written to the MTL file alongside
+const writeObj = (object, mtlFileName) => {
+  const lines = [`mtllib ${mtlFileName}`];
+  const materials = new Map(); // material -> MTL name
+  const usedNames = new Set();
+  const materialName = (material) => {
+    if (!materials.has(material)) {
+      const base = objName(material.name || 'Material');
+      let name = base;
+      for (let n = 2; usedNames.has(name); n += 1) name = `${base}_${n}`;
+      usedNames.add(name);
+      materials.set(material, name);
+    }
+    return materials.get(material);
+  };
+
+  const vertex = new THREE.Vector3();
+  const normal = new THREE.Vector3();
+  const normalMatrix = new THREE.Matrix3();
+  let vertexBase = 1;
+  let normalBase = 1;
+
+  object.traverseVisible((mesh) => {
+    if (!mesh.isMesh) return;
+    const { geometry } = mesh;
+    const positions = geometry.getAttribute('position');
+    if (!positions) return;
+    const normals = geometry.getAttribute('normal');
+    const index = geometry.getIndex();
+    const material = Array.isArray(mesh.material) ? mesh.material[0] : mesh.material;
+
+    lines.push(`o ${objName(mesh.name || 'Mesh')}`, `usemtl ${materialName(material)}`);
+    for (let i = 0; i < positions.count; i += 1) {
+      vertex.fromBufferAttribute(positions, i).applyMatrix4(mesh.matrixWorld);
+      lines.push(`v ${formatNumber(vertex.x)} ${formatNumber(vertex.y)} ${formatNumber(vertex.z)}`);
+    }
+    if (normals) {
+      normalMatrix.getNormalMatrix(mesh.matrixWorld);
+      for (let i = 0; i < normals.count; i += 1) {
+        normal.fromBufferAttribute(normals, i).applyMatrix3(normalMatrix).normalize();
+        lines.push(`vn ${formatNumber(normal.x)} ${formatNumber(normal.y)} ${formatNumber(normal.z)}`);
+      }
+    }
+    const count = index ? index.count : positions.count;
+    const corner = (i) => {
+      const n = index ? index.getX(i) : i;
+      return normals ? `${vertexBase + n}//${normalBase + n}` : `${vertexBase + n}`;
+    };
+    for (let i = 0; i + 2 < count; i += 3) {
+      lines.push(`f ${corner(i)} ${corner(i + 1)} ${corner(i + 2)}`);
+    }
+    vertexBase += positions.count;
+    if (normals) normalBase += normals.count;
+  });
+
+  const mtl = [...materials].flatMap(([material, name]) => {
+    const hex = material.color ? material.color.getHex() : 0xffffff;
+    const channel = shift => formatNumber(((hex >> shift) & 0xff) / 255);
+    const opacity = material.transparent ? material.opacity : 1;
+    return [
+      `newmtl ${name}`,
+      `Kd ${channel(16)} ${channel(8)} ${channel(0)}`,
+      'Ks 0 0 0',
+      `d ${formatNumber(opacity)}`,
+      'illum 1',
+      ''
+    ];
+  });
+
+  return { obj: `${lines.join('\n')}\n`, mtl: mtl.join('\n') };
+};
+
+// The files for `object` in `format` (a MODEL_FORMATS key), named after
+// `name`: [{ data, fileName, type }], two for OBJ (the model and its
+// materials), one otherwise
+export const createModelFiles = async (object, format, name) => {
+  object.updateMatrixWorld(true);
+  const fileName = extension => exportFileName(name || 'model', extension);
+
+  switch (format) {
+    case 'glb':
+      return [{ data: await toGltf(object, true), fileName: fileName('glb'), type: 'model/gltf-binary' }];
+    case 'gltf': {
+      const json = await toGltf(object, false);
+      return [{ data: JSON.stringify(json), fileName: fileName('gltf'), type: 'model/gltf+json' }];
+    }
+    case 'obj': {
+      const { obj, mtl } = writeObj(object, fileName('mtl'));
+      return [
+        { data: obj, fileName: fileName('obj'), type: 'text/plain' },
+        { data: mtl, fileName: fileName('mtl'), type: 'text/plain' }
+      ];
+    }
+    case 'stl':
+      return [{ data: new STLExporter().parse(object, { binary: true }), fileName: fileName('stl'), type: 'model/stl' }];
+    default:
+      throw new Error(`Unknown model format: ${format}`);
+  }
+};
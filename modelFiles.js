@@ -0,0 +1,118 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const Design = require('./models/Design');
+const { checkDesignAccess } = require('./access');
+
+// 3D models consultants send (glTF/GLB, OBJ, FBX, IFC), uploaded to a design
+// to view in the 3D viewer. Uploads are streamed to disk as they come in,
+// under a random name keeping the extension the viewer picks a loader by. The
+// design's `files` only lists them (`type: 'model'`, with the URL and size):
+// models can be far bigger than a document may be.
+const MODEL_DIR = path.join(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'), 'models');
+const MAX_UPLOAD_SIZE = 100 * 1024 * 1024;
+// Browsers send most of these as application/octet-stream, so go by extension
+const MODEL_FORMATS = ['glb', 'gltf', 'obj', 'fbx', 'ifc'];
+const FILE_NAME = /^[a-f0-9]{32}\.(glb|gltf|obj|fbx|ifc)$/;
+
+const formatOf = fileName => path.extname(fileName || '').slice(1).toLowerCase();
+
+const upload = multer({
+  storage: multer.diskStorage({
+    destination: (req, file, cb) => {
+      fs.mkdir(MODEL_DIR, { recursive: true }).then(() => cb(null, MODEL_DIR), cb);
+    },
+    filename: (req, file, cb) => {
+      cb(null, `${crypto.randomBytes(16).toString('hex')}.${formatOf(file.originalname)}`);
+    }
+  }),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, MODEL_FORMATS.includes(formatOf(file.originalname)))
+});
+
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        message: tooLarge ? 'Models can be at most 100 MB' : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+const router = express.Router();
+
+// POST /api/designs/:id/models (multipart: `file`) -> the new entry in the
+// design's files: { _id, filename, url, size, type: 'model', format, ... }
+router.post('/designs/:id/models', checkDesignAccess, receiveFile, async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ message: 'Upload a glTF, GLB, OBJ, FBX or IFC file' });
+  }
+
+  const name = req.file.filename;
+  try {
+    const design = await Design.findByIdAndUpdate(
+      req.params.id,
+      {
+        $push: {
+          files: {
+            filename: req.file.originalname,
+            url: `/api/models/${name}`,
+            size: req.file.size,
+            mimetype: req.file.mimetype,
+            type: 'model',
+            format: formatOf(name),
+            uploadedBy: req.userId,
+            uploadedAt: new Date()
+          }
+        }
+      },
+      { new: true }
+    ).select('files');
+
+    res.status(201).json({ file: design.files[design.files.length - 1] });
+  } catch (error) {
+    await fs.unlink(req.file.path).catch(() => {});
+    next(error);
+  }
+});
+
+// GET /api/models/:name. Like underlays, served to anyone holding the
+// unguessable URL and cached for good.
+router.get('/models/:name', (req, res) => {
+  if (!FILE_NAME.test(req.params.name)) {
+    return res.status(404).json({ message: 'Model not found' });
+  }
+
+  // The viewer's loaders fetch these from the frontend's origin
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.sendFile(path.join(MODEL_DIR, req.params.name), { maxAge: '1y', immutable: true }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ message: 'Model not found' });
+    }
+  });
+});
+
+// GET /api/models/web-ifc/web-ifc.wasm: the wasm build of web-ifc, which the
+// viewer reads IFC files with, straight from the installed package so it's
+// always the version the frontend's web-ifc JavaScript was built against
+router.get('/models/web-ifc/:name', (req, res) => {
+  if (req.params.name !== 'web-ifc.wasm') {
+    return res.status(404).json({ message: 'Not found' });
+  }
+
+  let wasmPath;
+  try {
+    wasmPath = require.resolve('web-ifc/web-ifc.wasm');
+  } catch (error) {
+    return res.status(404).json({ message: 'The IFC reader is not installed' });
+  }
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.sendFile(wasmPath);
+});
+
+module.exports = { modelRoutes: router };
@@ -0,0 +1,120 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('./models/Design', () => ({ findById: jest.fn(), findByIdAndUpdate: jest.fn() }), { virtual: true });
+
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'models-'));
+const MODEL_DIR = path.join(UPLOAD_DIR, 'models');
+process.env.UPLOAD_DIR = UPLOAD_DIR;
+process.env.JWT_SECRET = 'test-secret';
+
+const Design = require('./models/Design');
+const { modelRoutes } = require('./modelFiles');
+
+const DESIGN_ID = '64b7f0c2a1b2c3d4e5f60718';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60001';
+const STRANGER_ID = '64b7f0c2a1b2c3d4e5f60002';
+const authAs = userId => ({ Authorization: `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}` });
+
+const app = express();
+app.use('/api', modelRoutes);
+
+const upload = (filename, data = Buffer.from('glTF'), headers = authAs(MEMBER_ID)) => request(app)
+  .post(`/api/designs/${DESIGN_ID}/models`)
+  .set(headers)
+  .attach('file', data, { filename, contentType: 'application/octet-stream' });
+
+const storedModels = () => (fs.existsSync(MODEL_DIR) ? fs.readdirSync(MODEL_DIR) : []);
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  fs.rmSync(MODEL_DIR, { recursive: true, force: true });
+  Design.findById.mockImplementation(() => ({
+    select: () => ({
+      populate: () => Promise.resolve({ _id: DESIGN_ID, project: { owner: MEMBER_ID, collaborators: [] } })
+    })
+  }));
+  Design.findByIdAndUpdate.mockImplementation((id, update) => ({
+    select: () => Promise.resolve({ files: [update.$push.files] })
+  }));
+});
+
+afterAll(() => {
+  fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+});
+
+describe('POST /api/designs/:id/models', () => {
+  it('stores a model from a project member and lists it on the design', async () => {
+    const response = await upload('Structure.GLB');
+
+    expect(response.status).toBe(201);
+    expect(response.body.file).toMatchObject({ filename: 'Structure.GLB', type: 'model', format: 'glb', size: 4 });
+    expect(response.body.file.url).toMatch(/^\/api\/models\/[a-f0-9]{32}\.glb$/);
+    expect(storedModels()).toEqual([response.body.file.url.split('/').pop()]);
+  });
+
+  it('needs a token', async () => {
+    expect((await upload('model.glb', undefined, {})).status).toBe(401);
+    expect((await upload('model.glb', undefined, { Authorization: 'Bearer forged' })).status).toBe(401);
+    expect(storedModels()).toEqual([]);
+  });
+
+  it('turns away anyone outside the project', async () => {
+    expect((await upload('model.glb', undefined, authAs(STRANGER_ID))).status).toBe(403);
+    expect(storedModels()).toEqual([]);
+  });
+
+  it('only takes the model formats the viewer opens', async () => {
+    const responses = await Promise.all(['model.exe', 'model.glb.html', 'model'].map(name => upload(name)));
+
+    responses.forEach((response) => {
+      expect(response.status).toBe(400);
+      expect(response.body.message).toBe('Upload a glTF, GLB, OBJ, FBX or IFC file');
+    });
+    expect(Design.findByIdAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('turns away files over 100 MB without keeping any of them', async () => {
+    const response = await upload('model.ifc', Buffer.alloc(100 * 1024 * 1024 + 1));
+
+    expect(response.status).toBe(413);
+    expect(response.body.message).toBe('Models can be at most 100 MB');
+    expect(storedModels()).toEqual([]);
+  });
+});
+
+describe('GET /api/models/:name', () => {
+  it('serves stored models to anyone holding the URL', async () => {
+    const { body } = await upload('model.obj', Buffer.from('v 0 0 0'));
+    const response = await request(app).get(body.file.url);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cross-origin-resource-policy']).toBe('cross-origin');
+  });
+
+  it('only serves names it hands out', async () => {
+    fs.writeFileSync(path.join(UPLOAD_DIR, 'secret.txt'), 'secret');
+
+    const names = [
+      '..%2Fsecret.txt',
+      '..%2F..%2Fpackage.json',
+      `${'a'.repeat(32)}.exe`,
+      `${'a'.repeat(32)}.glb.txt`,
+      `${'a'.repeat(32)}.glb`
+    ];
+    const responses = await Promise.all(names.map(name => request(app).get(`/api/models/${name}`)));
+
+    responses.forEach(response => expect(response.status).toBe(404));
+  });
+
+  it("serves nothing of web-ifc's package but its wasm", async () => {
+    const names = ['package.json', 'web-ifc-api.js', 'web-ifc-mt.wasm', '..%2F..%2Fpackage.json'];
+    const responses = await Promise.all(names.map(name => request(app).get(`/api/models/web-ifc/${name}`)));
+
+    responses.forEach(response => expect(response.status).toBe(404));
+  });
+});
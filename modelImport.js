@@ -0,0 +1,190 @@
+import * as THREE from 'three';
+import axios from 'axios';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader';
+import { OBJLoader } from 'three/examples/jsm/loaders/OBJLoader';
+import { FBXLoader } from 'three/examples/jsm/loaders/FBXLoader';
+
+// Loading 3D models uploaded to a design (see modelFiles on the server) into
+// the viewer. A loaded model is wrapped in a group that scales it to metres
+// and stands it on the origin: centred in plan, its lowest point at floor
+// level, whatever coordinates it was modelled in.
+
+export const MODEL_FILE_TYPES = '.glb,.gltf,.obj,.fbx,.ifc';
+
+// Length units a model can be in, in metres
+export const MODEL_UNITS = {
+  m: { label: 'Metres', metres: 1 },
+  cm: { label: 'Centimetres', metres: 0.01 },
+  mm: { label: 'Millimetres', metres: 0.001 },
+  ft: { label: 'Feet', metres: 0.3048 },
+  in: { label: 'Inches', metres: 0.0254 }
+};
+
+// glTF is in metres by definition and web-ifc converts IFC to metres; OBJ and
+// FBX carry no usable unit and are guessed from their size
+const FORMAT_UNITS = { glb: 'm', gltf: 'm', ifc: 'm' };
+
+// Where web-ifc's wasm is served from: the backend serves it straight out of
+// its node_modules/web-ifc (see modelFiles), the same version bundled here
+const IFC_WASM_PATH = '/api/models/web-ifc/';
+
+// Buildings are metres to a few hundred metres across: anything much bigger
+// is taken to be in cm or mm
+const guessUnit = (size) => {
+  const extent = Math.max(size.x, size.y, size.z);
+  if (extent >= 2000) return 'mm';
+  if (extent >= 200) return 'cm';
+  return 'm';
+};
+
+export const formatOf = file => (file.format || file.filename.split('.').pop()).toLowerCase();
+
+const parseGltf = (buffer) => new Promise((resolve, reject) => {
+  new GLTFLoader().parse(buffer, '', gltf => resolve(gltf.scene), reject);
+});
+
+let ifcApi = null;
+
+// web-ifc is large, so it's only fetched (with its wasm) for the first IFC
+// file. Failing to load it is reported as such, not as an unreadable file.
+const loadIfcApi = () => {
+  if (!ifcApi) {
+    ifcApi = (async () => {
+      const { IfcAPI } = await import('web-ifc');
+      const api = new IfcAPI();
+      api.SetWasmPath(IFC_WASM_PATH, true);
+      // The multithreaded build needs cross-origin isolation the app doesn't have
+      await api.Init(undefined, true);
+      return api;
+    })().catch((error) => {
+      console.error('Failed to load the IFC reader:', error);
+      ifcApi = null;
+      const unavailable = new Error("IFC files can't be opened: the IFC reader failed to load. Reload the page to try again.");
+      unavailable.readerUnavailable = true;
+      throw unavailable;
+    });
+  }
+  return ifcApi;
+};
+
+const ifcMaterial = (materials, { x, y, z, w }) => {
+  const key = [x, y, z, w].join();
+  if (!materials.has(key)) {
+    materials.set(key, new THREE.MeshLambertMaterial({
+      color: new THREE.Color(x, y, z),
+      opacity: w,
+      transparent: w < 1,
+      side: THREE.DoubleSide
+    }));
+  }
+  return materials.get(key);
+};
+
+// Every placed geometry of the model as a mesh, in metres (web-ifc applies the
+// file's length unit) and with three's Y up, as web-ifc already gives them
+const parseIfc = async (buffer) => {
+  const api = await loadIfcApi();
+  const modelID = api.OpenModel(new Uint8Array(buffer));
+  const model = new THREE.Group();
+  const materials = new Map();
+
+  try {
+    api.StreamAllMeshes(modelID, (mesh) => {
+      for (let i = 0; i < mesh.geometries.size(); i += 1) {
+        const placed = mesh.geometries.get(i);
+        const ifcGeometry = api.GetGeometry(modelID, placed.geometryExpressID);
+        // Vertices come interleaved: x, y, z, then the normal's x, y, z
+        const vertices = api.GetVertexArray(ifcGeometry.GetVertexData(), ifcGeometry.GetVertexDataSize());
+        const indices = api.GetIndexArray(ifcGeometry.GetIndexData(), ifcGeometry.GetIndexDataSize());
+        const positions = new Float32Array(vertices.length / 2);
+        const normals = new Float32Array(vertices.length / 2);
+        for (let v = 0; v < vertices.length; v += 6) {
+          positions.set(vertices.subarray(v, v + 3), v / 2);
+          normals.set(vertices.subarray(v + 3, v + 6), v / 2);
+        }
+        ifcGeometry.delete();
+
+        const geometry = new THREE.BufferGeometry();
+        geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        geometry.setAttribute('normal', new THREE.BufferAttribute(normals, 3));
+        // Copied: the arrays are views of web-ifc's memory
+        geometry.setIndex(new THREE.BufferAttribute(indices.slice(), 1));
+        geometry.applyMatrix4(new THREE.Matrix4().fromArray(placed.flatTransformation));
+
+        const object = new THREE.Mesh(geometry, ifcMaterial(materials, placed.color));
+        object.userData.expressID = mesh.expressID;
+        model.add(object);
+      }
+    });
+  } finally {
+    api.CloseModel(modelID);
+  }
+  return model;
+};
+
+const PARSERS = {
+  glb: parseGltf,
+  gltf: parseGltf,
+  obj: async buffer => new OBJLoader().parse(new TextDecoder().decode(buffer)),
+  fbx: async buffer => new FBXLoader().parse(buffer, ''),
+  ifc: parseIfc
+};
+
+// Scales the wrapped model to `unit` and puts it back on the origin
+export const setModelUnit = (wrapper, unit) => {
+  const [model] = wrapper.children;
+  const scale = MODEL_UNITS[unit].metres;
+  wrapper.userData.unit = unit;
+  model.position.set(0, 0, 0);
+  model.scale.setScalar(scale);
+  model.updateMatrixWorld(true);
+
+  const bounds = new THREE.Box3().setFromObject(model);
+  if (bounds.isEmpty()) return;
+  const centre = bounds.getCenter(new THREE.Vector3());
+  model.position.set(-centre.x, -bounds.min.y, -centre.z);
+};
+
+// Downloads and parses a model file ({ url, filename, format? }) into a group
+// named after the file, scaled to metres and centred. onProgress(fraction)
+// follows the download. Resolves to { object, unit, unitGuessed }.
+export const loadModelFile = async (file, { onProgress } = {}) => {
+  const format = formatOf(file);
+  const parse = PARSERS[format];
+  if (!parse) {
+    throw new Error(`${file.filename} isn't a model the viewer can open`);
+  }
+
+  let buffer;
+  try {
+    ({ data: buffer } = await axios.get(file.url, {
+      responseType: 'arraybuffer',
+      onDownloadProgress: (event) => {
+        if (onProgress && event.total) onProgress(event.loaded / event.total);
+      }
+    }));
+  } catch (error) {
+    throw new Error(`${file.filename} could not be downloaded`);
+  }
+
+  let model;
+  try {
+    model = await parse(buffer);
+  } catch (error) {
+    if (error.readerUnavailable) throw error;
+    console.error('Failed to parse model:', error);
+    throw new Error(format === 'gltf'
+      ? `${file.filename} could not be read. glTF files that refer to other files need to be uploaded as .glb.`
+      : `${file.filename} could not be read`);
+  }
+
+  const wrapper = new THREE.Group();
+  wrapper.name = file.filename;
+  wrapper.userData = { kind: 'import', format };
+  wrapper.add(model);
+
+  const unitGuessed = !FORMAT_UNITS[format];
+  const unit = FORMAT_UNITS[format] || guessUnit(new THREE.Box3().setFromObject(model).getSize(new THREE.Vector3()));
+  setModelUnit(wrapper, unit);
+  return { object: wrapper, unit, unitGuessed };
+};
@@ -0,0 +1,175 @@
+import axios from 'axios';
+
+// Persistent outbox for writes made while offline (sketch saves, annotations,
+// comments). Entries live in IndexedDB and are replayed strictly in the order
+// they were queued once the connection comes back. Each entry belongs to the
+// user who queued it: only the signed-in user's entries are shown and
+// replayed, so on a shared device nobody's writes go out under someone else's
+// token. Everyone else's stay parked until they sign in again.
+
+const DB_NAME = 'architectural-design-offline';
+const STORE = 'outbox';
+const RETRY_INTERVAL = 30 * 1000; // 30 seconds
+
+let dbPromise = null;
+let flushPromise = null;
+let currentUserId = null;
+const listeners = new Set();
+
+const toPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const openDb = () => {
+  if (!dbPromise) {
+    const request = indexedDB.open(DB_NAME, 1);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+    };
+    dbPromise = toPromise(request).catch((error) => {
+      dbPromise = null;
+      throw error;
+    });
+  }
+  return dbPromise;
+};
+
+const runInStore = async (mode, fn) => {
+  const db = await openDb();
+  return toPromise(fn(db.transaction(STORE, mode).objectStore(STORE)));
+};
+
+const notify = (event) => {
+  listeners.forEach(listener => listener(event));
+};
+
+// Listeners receive { type: 'queued' | 'synced' | 'conflict' | 'undeliverable'
+// | 'failed' | 'discarded' | 'user', entry, response }. 'user' comes with an
+// empty entry when the signed-in user changes.
+export const subscribe = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// Whose entries are shown and replayed; null (signed out) parks them all
+export const setOutboxUser = (userId) => {
+  const next = userId ? String(userId) : null;
+  if (next === currentUserId) return;
+  currentUserId = next;
+  notify({ type: 'user', entry: {} });
+};
+
+// The signed-in user's entries, oldest first
+export const getEntries = async () => {
+  if (!currentUserId) return [];
+  const entries = await runInStore('readonly', store => store.getAll());
+  return entries
+    .filter(entry => entry.userId === currentUserId)
+    .sort((a, b) => a.id - b.id);
+};
+
+const enqueue = async (request) => {
+  const entry = {
+    ...request,
+    userId: currentUserId,
+    status: 'pending',
+    createdAt: new Date().toISOString()
+  };
+  entry.id = await runInStore('readwrite', store => store.add(entry));
+  notify({ type: 'queued', entry });
+  return entry;
+};
+
+export const discardEntry = async (id) => {
+  await runInStore('readwrite', store => store.delete(id));
+  notify({ type: 'discarded', entry: { id } });
+};
+
+const sendEntry = (entry) => axios({
+  method: entry.method,
+  url: entry.url,
+  data: entry.data,
+  headers: entry.headers
+});
+
+const flush = async () => {
+  const userId = currentUserId;
+  const entries = (await getEntries()).filter(entry => entry.status === 'pending');
+
+  for (const entry of entries) {
+    // Signed out or switched user part way through: the rest wait for their owner
+    if (currentUserId !== userId) return;
+
+    try {
+      const response = await sendEntry(entry);
+      await runInStore('readwrite', store => store.delete(entry.id));
+      notify({ type: 'synced', entry, response });
+    } catch (error) {
+      const status = error.response?.status;
+
+      // Still offline: keep everything and try again later
+      if (!error.response) {
+        return;
+      }
+
+      if (status === 401 || status === 403) {
+        // Retrying won't help and would hold up everything queued behind it
+        const flagged = { ...entry, status: 'undeliverable' };
+        await runInStore('readwrite', store => store.put(flagged));
+        notify({ type: 'undeliverable', entry: flagged, response: error.response });
+      } else if (status === 409) {
+        // The server copy moved on; keep the entry flagged instead of overwriting
+        const flagged = { ...entry, status: 'conflict', conflict: error.response.data };
+        await runInStore('readwrite', store => store.put(flagged));
+        notify({ type: 'conflict', entry: flagged, response: error.response });
+      } else {
+        await runInStore('readwrite', store => store.delete(entry.id));
+        notify({ type: 'failed', entry, response: error.response });
+      }
+    }
+  }
+};
+
+// Replays pending entries in order. Only one flush runs at a time, across tabs
+// too where the Web Locks API is available.
+export const flushOutbox = () => {
+  if (!flushPromise) {
+    const run = () => flush();
+    flushPromise = (navigator.locks ? navigator.locks.request('outbox-flush', run) : run())
+      .catch(error => console.error('Outbox flush failed:', error))
+      .finally(() => {
+        flushPromise = null;
+      });
+  }
+  return flushPromise;
+};
+
+// Sends the request now when we can, otherwise queues it behind anything
+// already waiting so writes reach the server in the order they were made.
+// Resolves to { status: 'sent', response } or { status: 'queued', entry };
+// HTTP errors from a live attempt are rethrown to the caller.
+export const submitOrQueue = async (request) => {
+  const waiting = await getEntries().catch(() => []);
+
+  if (navigator.onLine && !waiting.some(entry => entry.status === 'pending')) {
+    try {
+      const response = await sendEntry(request);
+      return { status: 'sent', response };
+    } catch (error) {
+      if (error.response) {
+        throw error;
+      }
+    }
+  }
+
+  const entry = await enqueue(request);
+  return { status: 'queued', entry };
+};
+
+if (typeof window !== 'undefined') {
+  window.addEventListener('online', () => flushOutbox());
+  setInterval(() => {
+    if (navigator.onLine) flushOutbox();
+  }, RETRY_INTERVAL);
+}
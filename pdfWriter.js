@@ -0,0 +1,147 @@
+// A small PDF 1.4 writer for drawing exports: pages of vector content
+// streams, the standard Helvetica fonts (which every reader has, so nothing is
+// embedded), JPEG images and constant opacity. Content streams are written by
+// the caller in PDF operators, in points (1/72 in) from the bottom left.
+
+export const PT_PER_MM = 72 / 25.4;
+
+export const FONTS = {
+  regular: 'F1',
+  bold: 'F2'
+};
+
+// Characters WinAnsiEncoding has outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+const winAnsiCode = (char) => {
+  if (char in WIN_ANSI_EXTRAS) return WIN_ANSI_EXTRAS[char];
+  const code = char.codePointAt(0);
+  return (code >= 0x20 && code < 0x7f) || (code >= 0xa0 && code <= 0xff) ? code : 0x3f;
+};
+
+// A PDF string literal for text in a Helvetica font. Characters the font
+// can't show come out as '?'.
+export const pdfString = (text) => {
+  const body = Array.from(String(text)).map((char) => {
+    const code = winAnsiCode(char);
+    if (char === '(' || char === ')' || char === '\\') return `\\${char}`;
+    return code < 0x80 ? String.fromCharCode(code) : `\\${code.toString(8).padStart(3, '0')}`;
+  }).join('');
+  return `(${body})`;
+};
+
+// Rough Helvetica advance widths, for aligning text: the average glyph is
+// about half an em wide
+export const textWidth = (text, size, bold = false) => String(text).length * size * (bold ? 0.56 : 0.52);
+
+export const formatNumber = value => String(Math.round(value * 1000) / 1000);
+
+const encoder = new TextEncoder();
+// Everything but image data is ASCII, so this is byte for byte
+const toBytes = chunk => (typeof chunk === 'string' ? encoder.encode(chunk) : chunk);
+
+export const createPdf = ({ title } = {}) => {
+  const objects = []; // chunks per object, by object number - 1
+  const pages = [];
+  const alphaStates = new Map(); // alpha -> { name, ref }
+  const images = []; // { name, ref }
+
+  const reserve = () => {
+    objects.push(null);
+    return objects.length;
+  };
+  const define = (ref, ...chunks) => {
+    objects[ref - 1] = chunks;
+    return ref;
+  };
+  const add = (...chunks) => define(reserve(), ...chunks);
+
+  const catalogRef = reserve();
+  const pagesRef = reserve();
+  const fontRefs = {
+    [FONTS.regular]: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>'),
+    [FONTS.bold]: add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>')
+  };
+
+  return {
+    // The name of a graphics state that paints at `alpha` opacity
+    useAlpha(alpha) {
+      const key = Math.round(alpha * 1000) / 1000;
+      if (!alphaStates.has(key)) {
+        alphaStates.set(key, { name: `GS${alphaStates.size + 1}`, ref: add(`<< /Type /ExtGState /ca ${key} /CA ${key} >>`) });
+      }
+      return alphaStates.get(key).name;
+    },
+
+    // Adds a JPEG (its bytes) and returns the name to draw it with `Do`
+    addJpeg(bytes, width, height) {
+      const name = `Im${images.length + 1}`;
+      const ref = add(
+        `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceRGB `
+          + `/BitsPerComponent 8 /Filter /DCTDecode /Length ${bytes.length} >>\nstream\n`,
+        bytes,
+        '\nendstream'
+      );
+      images.push({ name, ref });
+      return name;
+    },
+
+    addPage(widthPt, heightPt, content) {
+      pages.push({ widthPt, heightPt, content });
+    },
+
+    toBlob() {
+      // Every page shares one resource dictionary
+      const resources = [
+        '<< /Font << ',
+        ...Object.entries(fontRefs).map(([name, ref]) => `/${name} ${ref} 0 R `),
+        '>> /ExtGState << ',
+        ...[...alphaStates.values()].map(({ name, ref }) => `/${name} ${ref} 0 R `),
+        '>> /XObject << ',
+        ...images.map(({ name, ref }) => `/${name} ${ref} 0 R `),
+        '>> >>'
+      ].join('');
+
+      const pageRefs = pages.map(({ widthPt, heightPt, content }) => {
+        const stream = toBytes(content);
+        const contentRef = add(`<< /Length ${stream.length} >>\nstream\n`, stream, '\nendstream');
+        return add(
+          `<< /Type /Page /Parent ${pagesRef} 0 R /MediaBox [0 0 ${formatNumber(widthPt)} ${formatNumber(heightPt)}] `
+            + `/Resources ${resources} /Contents ${contentRef} 0 R >>`
+        );
+      });
+      define(pagesRef, `<< /Type /Pages /Kids [${pageRefs.map(ref => `${ref} 0 R`).join(' ')}] /Count ${pageRefs.length} >>`);
+      define(catalogRef, `<< /Type /Catalog /Pages ${pagesRef} 0 R >>`);
+      const infoRef = add(`<< /Producer (Architectural Design Assistant)${title ? ` /Title ${pdfString(title)}` : ''} >>`);
+
+      // The comment's high bytes mark the file as binary
+      const parts = [toBytes('%PDF-1.4\n'), Uint8Array.of(0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a)];
+      let offset = parts[0].length + parts[1].length;
+      const offsets = objects.map((chunks, i) => {
+        const start = offset;
+        [`${i + 1} 0 obj\n`, ...chunks, '\nendobj\n'].map(toBytes).forEach((bytes) => {
+          parts.push(bytes);
+          offset += bytes.length;
+        });
+        return start;
+      });
+
+      const xref = [
+        'xref\n',
+        `0 ${objects.length + 1}\n`,
+        '0000000000 65535 f \n',
+        ...offsets.map(start => `${String(start).padStart(10, '0')} 00000 n \n`),
+        'trailer\n',
+        `<< /Size ${objects.length + 1} /Root ${catalogRef} 0 R /Info ${infoRef} 0 R >>\n`,
+        'startxref\n',
+        `${offset}\n`,
+        '%%EOF\n'
+      ].join('');
+      parts.push(toBytes(xref));
+      return new Blob(parts, { type: 'application/pdf' });
+    }
+  };
+};
@@ -0,0 +1,78 @@
+// In-memory presence roster for project and design rooms.
+// room -> Map(userId -> { user, sockets, status, since })
+const rooms = new Map();
+
+const toMember = (userId, entry) => ({
+  userId,
+  firstName: entry.user.firstName,
+  lastName: entry.user.lastName,
+  avatar: entry.user.avatar,
+  status: entry.status,
+  since: entry.since
+});
+
+// A user may have the same room open in several tabs, so track sockets per user
+const addMember = (room, socket) => {
+  const userId = socket.user._id.toString();
+  if (!rooms.has(room)) {
+    rooms.set(room, new Map());
+  }
+
+  const members = rooms.get(room);
+  const isNew = !members.has(userId);
+  if (isNew) {
+    members.set(userId, {
+      user: socket.user,
+      sockets: new Set(),
+      status: 'active',
+      since: new Date().toISOString()
+    });
+  }
+
+  const entry = members.get(userId);
+  entry.sockets.add(socket.id);
+  return { member: toMember(userId, entry), isNew };
+};
+
+// Returns the member only when their last socket has left the room
+const removeMember = (room, socket) => {
+  const members = rooms.get(room);
+  const userId = socket.user._id.toString();
+  const entry = members && members.get(userId);
+  if (!entry) {
+    return null;
+  }
+
+  entry.sockets.delete(socket.id);
+  if (entry.sockets.size > 0) {
+    return null;
+  }
+
+  members.delete(userId);
+  if (members.size === 0) {
+    rooms.delete(room);
+  }
+  return toMember(userId, entry);
+};
+
+// Returns the member only when the status actually changed
+const setStatus = (room, userId, status) => {
+  const entry = rooms.get(room)?.get(userId);
+  if (!entry || entry.status === status) {
+    return null;
+  }
+
+  entry.status = status;
+  entry.since = new Date().toISOString();
+  return toMember(userId, entry);
+};
+
+const getRoster = (room) => {
+  const members = rooms.get(room);
+  if (!members) {
+    return [];
+  }
+  return Array.from(members.entries()).map(([userId, entry]) => toMember(userId, entry));
+};
+
+module.exports = { addMember, removeMember, setStatus, getRoster };
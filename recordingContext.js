@@ -0,0 +1,343 @@
+import { fabric } from 'fabric';
+
+// A stand-in for a 2D canvas context that records what is drawn on it as
+// vector shapes instead of pixels. Anything that can draw itself on a canvas
+// (fabric objects, sketch strokes) can be turned into DXF, SVG or PDF this way
+// and come out as it looks on screen. Shapes are in the coordinates the
+// context starts in; curves and arcs are flattened into polylines.
+//
+//   { type: 'path', subpaths, paint: 'stroke' | 'fill', color, alpha,
+//     lineWidth, lineCap, lineJoin, lineDash, erase, background }
+//     subpaths are { points, closed } or, for whole circles, { circle: { x,
+//     y, r } }. A path painted twice (filled, then stroked) is recorded
+//     twice with the same `subpaths`. `background` marks fillRect, which
+//     fabric uses for text and label backgrounds, and `erase` paint that
+//     erases (destination-out).
+//   { type: 'text', text, x, y, size, rotation, align, baseline, color,
+//     alpha, bold, italic }
+//   { type: 'image', image, crop: { x, y, width, height }, matrix, alpha }
+//     where `matrix` maps the unit square onto where the image is drawn
+//
+// Colours are [r, g, b]; transparent paint isn't recorded.
+
+const ARC_STEP = Math.PI / 18; // arcs and ellipses become polylines at 10° steps
+const CURVE_STEPS = 8; // segments per Bézier curve
+
+export const IDENTITY = [1, 0, 0, 1, 0, 0];
+const multiply = fabric.util.multiplyTransformMatrices;
+export const transformPoint = (m, x, y) => ({ x: m[0] * x + m[2] * y + m[4], y: m[1] * x + m[3] * y + m[5] });
+export const isUniform = m => Math.abs(m[0] - m[3]) < 1e-9 && Math.abs(m[1] + m[2]) < 1e-9;
+const scaleOf = m => Math.sqrt(Math.abs(m[0] * m[3] - m[1] * m[2]));
+
+// [r, g, b] of a canvas colour, or null for transparent or unreadable ones
+export const parseColor = (style) => {
+  if (typeof style !== 'string' || !style || style === 'transparent' || style === 'none') return null;
+  const [r, g, b, a] = new fabric.Color(style).getSource() || [];
+  return r === undefined || a === 0 ? null : [r, g, b];
+};
+
+// Points along an elliptical arc; sweep is signed (negative runs anticlockwise
+// on screen)
+export const ellipsePoints = (cx, cy, rx, ry, rotation, start, sweep) => {
+  const steps = Math.max(8, Math.ceil(Math.abs(sweep) / ARC_STEP));
+  const cos = Math.cos(rotation);
+  const sin = Math.sin(rotation);
+  const points = [];
+  for (let i = 0; i <= steps; i += 1) {
+    const t = start + (sweep * i) / steps;
+    const x = rx * Math.cos(t);
+    const y = ry * Math.sin(t);
+    points.push({ x: cx + x * cos - y * sin, y: cy + x * sin + y * cos });
+  }
+  return points;
+};
+
+const parseFont = (font) => {
+  const size = parseFloat((/(\d+(?:\.\d+)?)px/.exec(font) || [])[1]) || 10;
+  return {
+    size,
+    bold: /\b(bold|[6-9]00)\b/.test(font),
+    italic: /\b(italic|oblique)\b/.test(font)
+  };
+};
+
+const STYLE_PROPS = [
+  'strokeStyle', 'fillStyle', 'font', 'textAlign', 'textBaseline', 'lineWidth', 'lineCap', 'lineJoin',
+  'globalAlpha', 'globalCompositeOperation', 'lineDash'
+];
+
+export const createRecordingContext = (record) => {
+  let matrix = IDENTITY;
+  let subpaths = [];
+  let current = null;
+  let lastPoint = null; // in the context's own coordinates
+  const stack = [];
+
+  const addPoint = (x, y) => {
+    const p = transformPoint(matrix, x, y);
+    if (current) {
+      current.points.push(p);
+    } else {
+      current = { points: [p], closed: false };
+      subpaths.push(current);
+    }
+    lastPoint = { x, y };
+  };
+
+  // A path drawn back to its start before closing, as fabric draws rectangles,
+  // keeps that corner once
+  const closeSubpath = () => {
+    if (current) {
+      const { points } = current;
+      const [start] = points;
+      const end = points[points.length - 1];
+      if (points.length > 1 && end.x === start.x && end.y === start.y) points.pop();
+      current.closed = true;
+    }
+    current = null;
+  };
+
+  const paint = (paintType, style, extra = {}) => {
+    const color = parseColor(style);
+    const drawn = subpaths.filter(subpath => subpath.circle || subpath.points.length >= 2);
+    if (!color || drawn.length === 0 || ctx.globalAlpha === 0) return;
+    const scale = scaleOf(matrix);
+    record({
+      type: 'path',
+      subpaths: drawn,
+      paint: paintType,
+      color,
+      alpha: ctx.globalAlpha,
+      lineWidth: ctx.lineWidth * scale,
+      lineCap: ctx.lineCap,
+      lineJoin: ctx.lineJoin,
+      lineDash: ctx.lineDash.map(length => length * scale),
+      erase: ctx.globalCompositeOperation === 'destination-out',
+      background: false,
+      ...extra
+    });
+  };
+
+  const ctx = {
+    strokeStyle: '#000000',
+    fillStyle: '#000000',
+    font: '10px sans-serif',
+    textAlign: 'start',
+    textBaseline: 'alphabetic',
+    lineWidth: 1,
+    lineCap: 'butt',
+    lineJoin: 'miter',
+    globalAlpha: 1,
+    globalCompositeOperation: 'source-over',
+    lineDash: [],
+    canvas: { width: 0, height: 0, setAttribute() {} },
+
+    save() {
+      stack.push({ matrix, style: STYLE_PROPS.reduce((style, prop) => ({ ...style, [prop]: ctx[prop] }), {}) });
+    },
+    restore() {
+      const saved = stack.pop();
+      if (!saved) return;
+      matrix = saved.matrix;
+      Object.assign(ctx, saved.style);
+    },
+
+    translate(x, y) {
+      matrix = multiply(matrix, [1, 0, 0, 1, x, y]);
+    },
+    rotate(angle) {
+      const cos = Math.cos(angle);
+      const sin = Math.sin(angle);
+      matrix = multiply(matrix, [cos, sin, -sin, cos, 0, 0]);
+    },
+    scale(x, y) {
+      matrix = multiply(matrix, [x, 0, 0, y, 0, 0]);
+    },
+    transform(a, b, c, d, e, f) {
+      matrix = multiply(matrix, [a, b, c, d, e, f]);
+    },
+    setTransform(a, b, c, d, e, f) {
+      matrix = typeof a === 'object' ? [a.a, a.b, a.c, a.d, a.e, a.f] : [a, b, c, d, e, f];
+    },
+    resetTransform() {
+      matrix = IDENTITY;
+    },
+    getTransform() {
+      const [a, b, c, d, e, f] = matrix;
+      return { a, b, c, d, e, f };
+    },
+
+    beginPath() {
+      subpaths = [];
+      current = null;
+      lastPoint = null;
+    },
+    moveTo(x, y) {
+      current = null;
+      addPoint(x, y);
+    },
+    lineTo(x, y) {
+      addPoint(x, y);
+    },
+    closePath() {
+      closeSubpath();
+    },
+    rect(x, y, width, height) {
+      current = null;
+      addPoint(x, y);
+      addPoint(x + width, y);
+      addPoint(x + width, y + height);
+      addPoint(x, y + height);
+      closeSubpath();
+    },
+    arc(x, y, r, start, end, anticlockwise = false) {
+      ctx.ellipse(x, y, r, r, 0, start, end, anticlockwise);
+    },
+    ellipse(x, y, rx, ry, rotation, start, end, anticlockwise = false) {
+      const full = Math.abs(end - start) >= Math.PI * 2 - 1e-9;
+      let sweep = end - start;
+      if (full) {
+        sweep = anticlockwise ? -Math.PI * 2 : Math.PI * 2;
+      } else if (!anticlockwise && sweep < 0) {
+        sweep += Math.PI * 2 * Math.ceil(-sweep / (Math.PI * 2));
+      } else if (anticlockwise && sweep > 0) {
+        sweep -= Math.PI * 2 * Math.ceil(sweep / (Math.PI * 2));
+      }
+
+      // Whole circles drawn on their own stay circles
+      if (full && rx === ry && !current && isUniform(matrix)) {
+        const centre = transformPoint(matrix, x, y);
+        subpaths.push({ circle: { x: centre.x, y: centre.y, r: rx * scaleOf(matrix) } });
+        lastPoint = null;
+        return;
+      }
+
+      ellipsePoints(x, y, rx, ry, rotation, start, sweep).forEach(p => addPoint(p.x, p.y));
+      if (full) closeSubpath();
+    },
+    quadraticCurveTo(cx, cy, x, y) {
+      const from = lastPoint || { x: cx, y: cy };
+      for (let i = 1; i <= CURVE_STEPS; i += 1) {
+        const t = i / CURVE_STEPS;
+        const u = 1 - t;
+        addPoint(u * u * from.x + 2 * u * t * cx + t * t * x, u * u * from.y + 2 * u * t * cy + t * t * y);
+      }
+    },
+    bezierCurveTo(c1x, c1y, c2x, c2y, x, y) {
+      const from = lastPoint || { x: c1x, y: c1y };
+      for (let i = 1; i <= CURVE_STEPS; i += 1) {
+        const t = i / CURVE_STEPS;
+        const u = 1 - t;
+        addPoint(
+          u * u * u * from.x + 3 * u * u * t * c1x + 3 * u * t * t * c2x + t * t * t * x,
+          u * u * u * from.y + 3 * u * u * t * c1y + 3 * u * t * t * c2y + t * t * t * y
+        );
+      }
+    },
+    // Rounded corners are drawn square
+    arcTo(x1, y1) {
+      addPoint(x1, y1);
+    },
+
+    stroke() {
+      paint('stroke', ctx.strokeStyle);
+    },
+    fill() {
+      paint('fill', ctx.fillStyle);
+    },
+    // The rectangle methods leave the current path alone
+    strokeRect(x, y, width, height) {
+      const saved = { subpaths, current, lastPoint };
+      ctx.beginPath();
+      ctx.rect(x, y, width, height);
+      ctx.stroke();
+      ({ subpaths, current, lastPoint } = saved);
+    },
+    fillRect(x, y, width, height) {
+      const saved = { subpaths, current, lastPoint };
+      ctx.beginPath();
+      ctx.rect(x, y, width, height);
+      paint('fill', ctx.fillStyle, { background: true });
+      ({ subpaths, current, lastPoint } = saved);
+    },
+
+    fillText(text, x, y) {
+      const color = parseColor(ctx.fillStyle);
+      if (!color || !String(text).trim() || ctx.globalAlpha === 0) return;
+      const p = transformPoint(matrix, x, y);
+      const { size, bold, italic } = parseFont(ctx.font);
+      record({
+        type: 'text',
+        text: String(text),
+        x: p.x,
+        y: p.y,
+        size: size * Math.hypot(matrix[2], matrix[3]),
+        rotation: Math.atan2(matrix[1], matrix[0]),
+        align: ctx.textAlign,
+        baseline: ctx.textBaseline,
+        color,
+        alpha: ctx.globalAlpha,
+        bold,
+        italic
+      });
+    },
+    measureText: text => ({ width: String(text).length * parseFont(ctx.font).size * 0.6 }),
+
+    // drawImage(image, dx, dy), (image, dx, dy, dw, dh) or
+    // (image, sx, sy, sw, sh, dx, dy, dw, dh)
+    drawImage(image, ...args) {
+      const width = image.naturalWidth || image.width;
+      const height = image.naturalHeight || image.height;
+      if (!width || !height || ctx.globalAlpha === 0) return;
+      let crop = { x: 0, y: 0, width, height };
+      let dest;
+      if (args.length >= 8) {
+        crop = { x: args[0], y: args[1], width: args[2], height: args[3] };
+        dest = args.slice(4, 8);
+      } else {
+        dest = [args[0], args[1], args[2] ?? width, args[3] ?? height];
+      }
+      const [dx, dy, dw, dh] = dest;
+      record({
+        type: 'image',
+        image,
+        crop,
+        matrix: multiply(matrix, [dw, 0, 0, dh, dx, dy]),
+        alpha: ctx.globalAlpha
+      });
+    },
+
+    clearRect() {},
+    strokeText() {},
+    clip() {},
+    setLineDash(segments) {
+      ctx.lineDash = Array.isArray(segments) ? [...segments] : [];
+    },
+    getLineDash: () => [...ctx.lineDash],
+    createLinearGradient: () => ({ addColorStop() {} }),
+    createRadialGradient: () => ({ addColorStop() {} }),
+    createPattern: () => null
+  };
+  return ctx;
+};
+
+// Runs `draw` with a fabric canvas drawing its objects as vectors: without
+// their caches (which would come out as images) and including those out of
+// view
+export const withVectorRendering = (canvas, draw) => {
+  const objects = canvas.getObjects();
+  const caching = objects.map(obj => obj.objectCaching);
+  const skipOffscreen = canvas.skipOffscreen;
+  canvas.skipOffscreen = false;
+  objects.forEach((obj) => {
+    obj.objectCaching = false;
+  });
+  try {
+    return draw();
+  } finally {
+    canvas.skipOffscreen = skipOffscreen;
+    objects.forEach((obj, i) => {
+      obj.objectCaching = caching[i];
+    });
+  }
+};
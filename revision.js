@@ -0,0 +1,27 @@
+// A document's revision is its updatedAt, sent back as If-Match on writes so
+// the server can refuse them with 409 if someone else changed it first.
+export const ifMatchHeaders = (doc) => (
+  doc && doc.updatedAt ? { 'If-Match': `"${new Date(doc.updatedAt).getTime()}"` } : {}
+);
+
+// Explicitly overwrite whatever the server has
+export const FORCE_HEADERS = { 'If-Match': '*' };
+
+export const isConflict = (error) => error.response?.status === 409;
+
+// Bulk writes carry the revision of each item, by id
+export const bulkRevisions = (docs, ids) => Object.fromEntries(
+  docs.filter(doc => ids.includes(doc._id) && doc.updatedAt).map(doc => [doc._id, doc.updatedAt])
+);
+
+// Sends a bulk write. Resolves to the current copies of the items it left
+// alone because someone else changed them; a 409 means it left them all.
+export const sendBulk = async (request) => {
+  try {
+    const response = await request();
+    return response.data?.conflicts || [];
+  } catch (error) {
+    if (isConflict(error)) return error.response.data?.conflicts || [];
+    throw error;
+  }
+};
@@ -0,0 +1,299 @@
+import { fabric } from 'fabric';
+import { buildWallGraph } from './walls';
+import { pixelsToMm, mmToPixels, formatArea, DEFAULT_SCALE } from './units';
+
+// Rooms are the areas enclosed by walls. They are found from the wall graph
+// (see buildWallGraph), so they follow the walls as they are edited, and
+// measured on the inside faces of the walls (net floor area). A room's name
+// comes from the room label placed inside it.
+
+const MERGE_DISTANCE = 1; // mm; graph points closer than this are the same point
+const MIN_ROOM_AREA = 100000; // mm²; smaller enclosures are gaps between walls
+const LABEL_FONT_SIZE = 14;
+
+const pointKey = ({ x, y }) => `${Math.round(x / MERGE_DISTANCE)},${Math.round(y / MERGE_DISTANCE)}`;
+
+const signedArea = polygon => polygon.reduce((sum, p, i) => {
+  const q = polygon[(i + 1) % polygon.length];
+  return sum + (p.x * q.y - q.x * p.y);
+}, 0) / 2;
+
+const perimeterOf = polygon => polygon.reduce((sum, p, i) => {
+  const q = polygon[(i + 1) % polygon.length];
+  return sum + Math.hypot(q.x - p.x, q.y - p.y);
+}, 0);
+
+export const containsPoint = (polygon, { x, y }) => {
+  let inside = false;
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i, i += 1) {
+    const a = polygon[i];
+    const b = polygon[j];
+    if ((a.y > y) !== (b.y > y) && x < ((b.x - a.x) * (y - a.y)) / (b.y - a.y) + a.x) {
+      inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// The wall graph as a plain planar graph: walls split wherever another wall
+// meets or crosses them, tee ends joined onto the centreline they stop at.
+// Edges carry the thickness of the wall they come from.
+const planarize = (graph) => {
+  const vertices = new Map();
+  const vertexAt = (p) => {
+    const key = pointKey(p);
+    if (!vertices.has(key)) vertices.set(key, { key, x: p.x, y: p.y, edges: [] });
+    return vertices.get(key);
+  };
+
+  const nodes = new Map(graph.nodes.map(node => [node.id, node]));
+  const walls = new Map(graph.walls.map(wall => [wall.id, wall]));
+  const splits = new Map(graph.walls.map(wall => [wall.id, []]));
+
+  const projectOnto = (wall, p) => {
+    const a = nodes.get(wall.start);
+    const b = nodes.get(wall.end);
+    const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    const t = ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / length;
+    return { t, x: a.x + ((b.x - a.x) * t) / length, y: a.y + ((b.y - a.y) * t) / length };
+  };
+
+  const edges = [];
+  const addEdge = (p, q, thickness) => {
+    const from = vertexAt(p);
+    const to = vertexAt(q);
+    if (from === to || from.edges.some(edge => edge.to === to)) return;
+    from.edges.push({ to, thickness });
+    to.edges.push({ to: from, thickness });
+    edges.push([from, to]);
+  };
+
+  graph.tees.forEach(({ node, wall }) => {
+    const host = walls.get(wall);
+    const end = nodes.get(node);
+    const foot = projectOnto(host, end);
+    splits.get(wall).push(foot);
+    // Stems can stop short of, or run past, the host's centreline
+    const stem = graph.walls.find(candidate => candidate.start === node || candidate.end === node);
+    addEdge(end, foot, stem ? stem.thickness : host.thickness);
+  });
+
+  graph.crossings.forEach(({ walls: crossed, x, y }) => {
+    crossed.forEach(id => splits.get(id).push(projectOnto(walls.get(id), { x, y })));
+  });
+
+  graph.walls.forEach((wall) => {
+    const a = nodes.get(wall.start);
+    const b = nodes.get(wall.end);
+    const points = [{ t: 0, ...a }, ...splits.get(wall.id), { t: Infinity, ...b }].sort((p, q) => p.t - q.t);
+    points.slice(1).forEach((point, i) => addEdge(points[i], point, wall.thickness));
+  });
+
+  // Walls that lead nowhere can't enclose anything
+  let pruned = true;
+  while (pruned) {
+    pruned = false;
+    vertices.forEach((vertex) => {
+      if (vertex.edges.length === 1) {
+        const [{ to }] = vertex.edges;
+        to.edges = to.edges.filter(edge => edge.to !== vertex);
+        vertex.edges = [];
+        pruned = true;
+      }
+    });
+  }
+
+  vertices.forEach((vertex) => {
+    vertex.edges.sort((p, q) => Math.atan2(p.to.y - vertex.y, p.to.x - vertex.x) - Math.atan2(q.to.y - vertex.y, q.to.x - vertex.x));
+  });
+  return [...vertices.values()].filter(vertex => vertex.edges.length > 0);
+};
+
+// Faces of the planar graph with positive area, each as a list of
+// { x, y, thickness } where thickness belongs to the edge leaving that corner
+const findFaces = (vertices) => {
+  const visited = new Set();
+  const faces = [];
+
+  vertices.forEach((start) => {
+    start.edges.forEach((first) => {
+      if (visited.has(`${start.key}>${first.to.key}`)) return;
+
+      const face = [];
+      let from = start;
+      let edge = first;
+      while (!visited.has(`${from.key}>${edge.to.key}`)) {
+        visited.add(`${from.key}>${edge.to.key}`);
+        face.push({ x: from.x, y: from.y, thickness: edge.thickness });
+        // Carry on along the edge that turns most sharply from the way back
+        const at = edge.to;
+        const back = at.edges.findIndex(candidate => candidate.to === from);
+        const next = at.edges[(back - 1 + at.edges.length) % at.edges.length];
+        from = at;
+        edge = next;
+      }
+      if (face.length >= 3 && signedArea(face) > 0) faces.push(face);
+    });
+  });
+  return faces;
+};
+
+// Moves each edge of a face in by half its wall's thickness, giving the
+// outline of the room's floor inside the walls
+const insetFace = (face) => {
+  const lines = face.map((p, i) => {
+    const q = face[(i + 1) % face.length];
+    const length = Math.hypot(q.x - p.x, q.y - p.y);
+    const d = { x: (q.x - p.x) / length, y: (q.y - p.y) / length };
+    const inward = { x: -d.y, y: d.x };
+    const offset = p.thickness / 2;
+    return { p: { x: p.x + inward.x * offset, y: p.y + inward.y * offset }, d, inward, offset };
+  });
+
+  return lines.map((line, i) => {
+    const previous = lines[(i - 1 + lines.length) % lines.length];
+    const denominator = previous.d.x * line.d.y - previous.d.y * line.d.x;
+    if (Math.abs(denominator) < 1e-9) {
+      // Straight on through a split wall
+      return { ...line.p };
+    }
+    const dx = line.p.x - previous.p.x;
+    const dy = line.p.y - previous.p.y;
+    const t = (dx * line.d.y - dy * line.d.x) / denominator;
+    return { x: previous.p.x + previous.d.x * t, y: previous.p.y + previous.d.y * t };
+  });
+};
+
+// A point well inside the polygon for its label: the centroid when that is
+// inside, otherwise the middle of the widest horizontal span through it
+const labelPointOf = (polygon) => {
+  const area = signedArea(polygon);
+  const centroid = polygon.reduce((sum, p, i) => {
+    const q = polygon[(i + 1) % polygon.length];
+    const f = p.x * q.y - q.x * p.y;
+    return { x: sum.x + (p.x + q.x) * f, y: sum.y + (p.y + q.y) * f };
+  }, { x: 0, y: 0 });
+  const point = { x: centroid.x / (6 * area), y: centroid.y / (6 * area) };
+  if (containsPoint(polygon, point)) return point;
+
+  const crossings = [];
+  polygon.forEach((a, i) => {
+    const b = polygon[(i + 1) % polygon.length];
+    if ((a.y > point.y) !== (b.y > point.y)) {
+      crossings.push(a.x + ((point.y - a.y) * (b.x - a.x)) / (b.y - a.y));
+    }
+  });
+  crossings.sort((a, b) => a - b);
+  let best = null;
+  for (let i = 0; i + 1 < crossings.length; i += 2) {
+    if (!best || crossings[i + 1] - crossings[i] > best[1] - best[0]) best = [crossings[i], crossings[i + 1]];
+  }
+  return best ? { x: (best[0] + best[1]) / 2, y: point.y } : point;
+};
+
+// Rooms enclosed by the walls of a wall graph, each with its floor outline,
+// area (mm²), perimeter (mm) and a point to label it at, all in mm
+export const detectRooms = (graph) => findFaces(planarize(graph))
+  .map((face) => {
+    const polygon = insetFace(face);
+    return {
+      polygon,
+      area: signedArea(polygon),
+      perimeter: perimeterOf(polygon),
+      labelPoint: labelPointOf(polygon)
+    };
+  })
+  .filter(room => room.area >= MIN_ROOM_AREA);
+
+// Room labels name the room they are placed in. They show the room's area
+// underneath the name, worked out live like a dimension line's length.
+fabric.RoomLabel = fabric.util.createClass(fabric.Text, {
+  type: 'roomLabel',
+
+  initialize(text, options = {}) {
+    this.callSuper('initialize', text, {
+      fontFamily: 'Arial',
+      fontSize: LABEL_FONT_SIZE,
+      fontWeight: 'bold',
+      fill: '#334155',
+      originX: 'center',
+      originY: 'center',
+      textAlign: 'center',
+      // The area line sits outside the text's box, which a cache would clip
+      objectCaching: false,
+      ...options
+    });
+  },
+
+  // The room this label is in, if it is in one
+  getRoom() {
+    return this.canvas ? findRoomAt(this.canvas, this.getCenterPoint()) : null;
+  },
+
+  _render(ctx) {
+    this.callSuper('_render', ctx);
+
+    const room = this.getRoom();
+    if (!room) return;
+    ctx.save();
+    ctx.font = `${LABEL_FONT_SIZE - 2}px Arial`;
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'top';
+    ctx.fillStyle = '#64748b';
+    ctx.fillText(formatArea(room.area, this.canvas.displayUnits), 0, this.height / 2 + 2);
+    ctx.restore();
+  }
+});
+
+fabric.RoomLabel.fromObject = (object, callback) => {
+  fabric.Object._fromObject('RoomLabel', object, callback, 'text');
+};
+
+const isShown = obj => obj.visible && obj.layerVisible !== false;
+
+// Rooms on a canvas, named from their labels. Like the wall layout this is
+// kept until the walls or labels change (see watchWallLayout).
+export const getRooms = (canvas) => {
+  if (canvas.roomLayout) return canvas.roomLayout;
+
+  const scale = canvas.drawingScale || DEFAULT_SCALE;
+  const toMm = obj => ({
+    x: pixelsToMm(obj.getCenterPoint().x, scale),
+    y: pixelsToMm(obj.getCenterPoint().y, scale)
+  });
+  const labels = canvas.getObjects().filter(obj => obj.type === 'roomLabel' && isShown(obj));
+
+  canvas.roomLayout = detectRooms(buildWallGraph(canvas, scale)).map((room, index) => {
+    const label = labels.find(candidate => containsPoint(room.polygon, toMm(candidate)));
+    return {
+      ...room,
+      id: label ? label.id : `room-${index + 1}`,
+      name: label ? label.text : `Room ${index + 1}`,
+      label: label || null
+    };
+  });
+  return canvas.roomLayout;
+};
+
+export const findRoomAt = (canvas, point) => {
+  const scale = canvas.drawingScale || DEFAULT_SCALE;
+  const p = { x: pixelsToMm(point.x, scale), y: pixelsToMm(point.y, scale) };
+  return getRooms(canvas).find(room => containsPoint(room.polygon, p)) || null;
+};
+
+// A label for an unnamed room, placed inside it
+export const createRoomLabel = (room, name, scale = DEFAULT_SCALE) => new fabric.RoomLabel(name, {
+  left: mmToPixels(room.labelPoint.x, scale),
+  top: mmToPixels(room.labelPoint.y, scale)
+});
+
+// The room schedule saved with the plan: plain data in mm, mm² and mm
+export const getRoomSchedule = canvas => getRooms(canvas).map(room => ({
+  id: room.id,
+  name: room.name,
+  area: Math.round(room.area),
+  perimeter: Math.round(room.perimeter),
+  polygon: room.polygon.map(({ x, y }) => [Math.round(x), Math.round(y)])
+}));
+
+export default fabric.RoomLabel;
@@ -0,0 +1,101 @@
+/**
+ * @jest-environment jsdom
+ */
+import { detectRooms, containsPoint } from './rooms';
+
+// A wall graph (see buildWallGraph) from walls given as [id, x1, y1, x2, y2]
+// in mm, all 200 mm thick; ends at the same point share a node
+const graphOf = (walls, { tees = [], crossings = [] } = {}) => {
+  const nodes = [];
+  const nodeAt = (x, y) => {
+    let node = nodes.find(candidate => candidate.x === x && candidate.y === y);
+    if (!node) {
+      node = { id: `n${nodes.length + 1}`, x, y };
+      nodes.push(node);
+    }
+    return node.id;
+  };
+  return {
+    scale: 100,
+    walls: walls.map(([id, x1, y1, x2, y2]) => ({
+      id,
+      start: nodeAt(x1, y1),
+      end: nodeAt(x2, y2),
+      length: Math.hypot(x2 - x1, y2 - y1),
+      thickness: 200,
+      openings: []
+    })),
+    nodes,
+    tees: tees.map(([x, y, wall]) => ({ node: nodes.find(node => node.x === x && node.y === y).id, wall })),
+    crossings
+  };
+};
+
+// Four walls round a 4 m × 3 m box, measured on their centrelines
+const BOX = [
+  ['top', 0, 0, 4000, 0],
+  ['right', 4000, 0, 4000, 3000],
+  ['bottom', 4000, 3000, 0, 3000],
+  ['left', 0, 3000, 0, 0]
+];
+
+const bounds = polygon => ({
+  left: Math.min(...polygon.map(p => p.x)),
+  top: Math.min(...polygon.map(p => p.y)),
+  right: Math.max(...polygon.map(p => p.x)),
+  bottom: Math.max(...polygon.map(p => p.y))
+});
+
+describe('detectRooms', () => {
+  it('finds the room inside four walls, measured on their inside faces', () => {
+    const rooms = detectRooms(graphOf(BOX));
+
+    expect(rooms).toHaveLength(1);
+    const [room] = rooms;
+    expect(bounds(room.polygon)).toEqual({ left: 100, top: 100, right: 3900, bottom: 2900 });
+    expect(room.area).toBeCloseTo(3800 * 2800);
+    expect(room.perimeter).toBeCloseTo(2 * (3800 + 2800));
+    expect(containsPoint(room.polygon, room.labelPoint)).toBe(true);
+  });
+
+  it('splits a room in two where a wall tees into both sides', () => {
+    const rooms = detectRooms(graphOf(
+      [...BOX, ['middle', 2000, 0, 2000, 3000]],
+      { tees: [[2000, 0, 'top'], [2000, 3000, 'bottom']] }
+    ));
+
+    expect(rooms.map(room => bounds(room.polygon)).sort((a, b) => a.left - b.left)).toEqual([
+      { left: 100, top: 100, right: 1900, bottom: 2900 },
+      { left: 2100, top: 100, right: 3900, bottom: 2900 }
+    ]);
+    rooms.forEach(room => expect(room.area).toBeCloseTo(1800 * 2800));
+  });
+
+  it('splits a room in four where walls cross inside it', () => {
+    const rooms = detectRooms(graphOf(
+      [...BOX, ['across', 0, 1500, 4000, 1500], ['down', 2000, 0, 2000, 3000]],
+      {
+        tees: [[0, 1500, 'left'], [4000, 1500, 'right'], [2000, 0, 'top'], [2000, 3000, 'bottom']],
+        crossings: [{ walls: ['across', 'down'], x: 2000, y: 1500 }]
+      }
+    ));
+
+    expect(rooms).toHaveLength(4);
+    rooms.forEach(room => expect(room.area).toBeCloseTo(1800 * 1300));
+  });
+
+  it('finds no room where the walls leave a gap', () => {
+    expect(detectRooms(graphOf(BOX.slice(0, 3)))).toEqual([]);
+  });
+
+  it('leaves out enclosures too small to be rooms', () => {
+    const rooms = detectRooms(graphOf([
+      ['top', 0, 0, 400, 0],
+      ['right', 400, 0, 400, 400],
+      ['bottom', 400, 400, 0, 400],
+      ['left', 0, 400, 0, 0]
+    ]));
+
+    expect(rooms).toEqual([]);
+  });
+});
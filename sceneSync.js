@@ -0,0 +1,353 @@
+const Design = require('./models/Design');
+
+// Server-authoritative floor-plan scenes for live editing.
+// Clients send object-level ops keyed by stable object ids; the server applies
+// them in arrival order, stamps each with a sequence number and keeps a short
+// log so reconnecting clients can replay what they missed.
+//
+// Merge rules:
+// - add      ignored if the id already exists, or was removed unless the op
+//            restores it (a client undoing its delete)
+// - modify   shallow-merges only the changed properties, so concurrent edits
+//            to different properties of one object both survive
+// - remove   wins over any later modify of the same id
+// - reorder  moves the object to the given z-index (clamped)
+// - layers   replaces the drawing's layer list (not tied to an object)
+// - scale    sets the drawing scale, 1:<scale> (not tied to an object)
+//
+// A design has a scene per level of the building: its main plan, stored in
+// `sketchData.plan`, and the plans of any other levels, stored in
+// `sketchData.levelPlans.<level>.plan`. Clients name the level they edit;
+// ops without one are for the main plan. A level's plan is only written while
+// the level is in `sketchData.levels`, so a removed level stays removed.
+
+const MAX_LOG = 500;
+const PERSIST_DELAY = 2000; // ms
+
+const OP_TYPES = ['add', 'modify', 'remove', 'reorder', 'layers', 'scale'];
+const MAX_SCALE = 10000;
+const MAX_LAYERS = 50;
+const LEVEL_ID = /^[\w-]{1,64}$/;
+
+const scenes = new Map(); // designId or designId:level -> Promise<scene>
+const releasing = new Map(); // same keys -> Promise of a released scene's last persist
+
+const createObjectId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+const isValidLevel = level => level === undefined || level === null || (typeof level === 'string' && LEVEL_ID.test(level));
+
+const sceneKey = (designId, level) => (level ? `${designId}:${level}` : designId);
+
+const planPath = level => (level ? `sketchData.levelPlans.${level}.plan` : 'sketchData.plan');
+
+const designKeys = designId => [...scenes.keys()].filter(key => key === designId || key.startsWith(`${designId}:`));
+
+const savedPlan = (sketchData, level) => {
+  if (!sketchData) return null;
+  if (!level) return sketchData.plan;
+  return sketchData.levelPlans && sketchData.levelPlans[level] && sketchData.levelPlans[level].plan;
+};
+
+const loadScene = (designId, level) => {
+  if (!isValidLevel(level)) {
+    return Promise.reject(new Error('Invalid level'));
+  }
+  const key = sceneKey(designId, level);
+  if (!scenes.has(key)) {
+    // A scene released a moment ago may still be writing its last ops
+    const loading = Promise.resolve(releasing.get(key))
+      .then(() => Design.findById(designId).select('sketchData'))
+      .then((design) => {
+        const sketchData = (design && design.sketchData) || {};
+        const plan = savedPlan(sketchData, level) || {};
+        return {
+          designId,
+          level: level || null,
+          // See persistScene
+          lastSaved: sketchData.lastSaved !== undefined ? undefined : (sketchData.lastModified || null),
+          version: plan.version,
+          background: plan.background,
+          layers: plan.layers,
+          scale: plan.scale,
+          // Older plans were saved without ids; give them one so every client agrees
+          objects: (plan.objects || []).map(obj => (obj.id ? obj : { ...obj, id: createObjectId() })),
+          seq: plan.seq || 0,
+          removed: new Set(),
+          log: [],
+          opIds: new Set(),
+          persistTimer: null
+        };
+      })
+      .catch((error) => {
+        scenes.delete(key);
+        throw error;
+      });
+    scenes.set(key, loading);
+  }
+  return scenes.get(key);
+};
+
+const persistScene = async (scene) => {
+  clearTimeout(scene.persistTimer);
+  scene.persistTimer = null;
+  if (scene.dropped) return;
+
+  // A persisted plan is a new revision of the sketch, so `lastModified` moves
+  // on. Sketch saves are checked against `lastSaved` instead (see
+  // versionCheck): they can't overwrite plans, so plan edits alone aren't a
+  // conflict for them. Sketches saved before `lastSaved` existed get it here.
+  try {
+    if (scene.lastSaved !== undefined) {
+      await Design.updateOne(
+        { _id: scene.designId, 'sketchData.lastSaved': { $exists: false } },
+        { $set: { 'sketchData.lastSaved': scene.lastSaved } }
+      );
+      scene.lastSaved = undefined;
+    }
+    const filter = scene.level ? { _id: scene.designId, 'sketchData.levels.id': scene.level } : { _id: scene.designId };
+    await Design.updateOne(filter, {
+      $set: {
+        [planPath(scene.level)]: {
+          version: scene.version,
+          background: scene.background,
+          layers: scene.layers,
+          scale: scene.scale,
+          objects: scene.objects,
+          seq: scene.seq
+        },
+        'sketchData.lastModified': new Date().toISOString()
+      }
+    });
+  } catch (error) {
+    console.error(`Failed to persist scene for design ${scene.designId}:`, error.message);
+  }
+};
+
+const schedulePersist = (scene) => {
+  if (!scene.persistTimer) {
+    scene.persistTimer = setTimeout(() => persistScene(scene), PERSIST_DELAY);
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const normalizeLayers = (layers) => {
+  if (!Array.isArray(layers) || layers.length === 0 || layers.length > MAX_LAYERS) return null;
+  if (!layers.every(layer => isPlainObject(layer) && typeof layer.id === 'string')) return null;
+
+  return layers.map(layer => ({
+    id: layer.id,
+    name: String(layer.name || '').slice(0, 100),
+    visible: layer.visible !== false,
+    locked: layer.locked === true,
+    opacity: Math.max(0, Math.min(1, Number.isFinite(layer.opacity) ? layer.opacity : 1))
+  }));
+};
+
+// Returns a normalised op, or null when the op is malformed
+const normalizeOp = (op) => {
+  if (!isPlainObject(op) || !OP_TYPES.includes(op.type)) {
+    return null;
+  }
+
+  if (op.type === 'layers') {
+    const layers = normalizeLayers(op.layers);
+    return layers && { type: 'layers', layers, opId: op.opId };
+  }
+
+  if (op.type === 'scale') {
+    const valid = Number.isFinite(op.scale) && op.scale > 0 && op.scale <= MAX_SCALE;
+    return valid ? { type: 'scale', scale: op.scale, opId: op.opId } : null;
+  }
+
+  if (typeof op.objectId !== 'string') {
+    return null;
+  }
+
+  const normalized = { type: op.type, objectId: op.objectId, opId: op.opId };
+  switch (op.type) {
+    case 'add':
+      if (!isPlainObject(op.object)) return null;
+      normalized.object = { ...op.object, id: op.objectId };
+      normalized.index = Number.isInteger(op.index) ? op.index : undefined;
+      normalized.restore = op.restore === true;
+      break;
+    case 'modify': {
+      if (!isPlainObject(op.props)) return null;
+      const { id, type, ...props } = op.props;
+      normalized.props = props;
+      break;
+    }
+    case 'reorder':
+      if (!Number.isInteger(op.index)) return null;
+      normalized.index = op.index;
+      break;
+    default:
+      break;
+  }
+  return normalized;
+};
+
+const clampIndex = (index, length) => Math.max(0, Math.min(index, length));
+
+// Applies an op to the scene; returns false when it has no effect
+const applyToScene = (scene, op) => {
+  if (op.type === 'layers') {
+    scene.layers = op.layers;
+    return true;
+  }
+
+  if (op.type === 'scale') {
+    if (scene.scale === op.scale) return false;
+    scene.scale = op.scale;
+    return true;
+  }
+
+  const position = scene.objects.findIndex(obj => obj.id === op.objectId);
+
+  switch (op.type) {
+    case 'add':
+      if (position !== -1 || (scene.removed.has(op.objectId) && !op.restore)) return false;
+      scene.removed.delete(op.objectId);
+      scene.objects.splice(
+        op.index === undefined ? scene.objects.length : clampIndex(op.index, scene.objects.length),
+        0,
+        op.object
+      );
+      return true;
+    case 'modify':
+      if (position === -1) return false;
+      scene.objects[position] = { ...scene.objects[position], ...op.props };
+      return true;
+    case 'remove':
+      if (position === -1) return false;
+      scene.objects.splice(position, 1);
+      scene.removed.add(op.objectId);
+      return true;
+    case 'reorder': {
+      if (position === -1) return false;
+      const [obj] = scene.objects.splice(position, 1);
+      scene.objects.splice(clampIndex(op.index, scene.objects.length), 0, obj);
+      return true;
+    }
+    default:
+      return false;
+  }
+};
+
+// Resolves to the sequenced op, or null if it was malformed, a duplicate or a no-op
+const applyOp = async (designId, rawOp, level) => {
+  const op = normalizeOp(rawOp);
+  if (!op) return null;
+
+  const scene = await loadScene(designId, level);
+
+  // Clients resend unacknowledged ops after reconnecting
+  if (op.opId && scene.opIds.has(op.opId)) return null;
+
+  if (!applyToScene(scene, op)) return null;
+
+  scene.seq += 1;
+  const entry = { ...op, seq: scene.seq };
+  scene.log.push(entry);
+  if (op.opId) scene.opIds.add(op.opId);
+
+  if (scene.log.length > MAX_LOG) {
+    const dropped = scene.log.shift();
+    if (dropped.opId) scene.opIds.delete(dropped.opId);
+  }
+
+  schedulePersist(scene);
+  return entry;
+};
+
+// Ops since `sinceSeq` when the log still covers them, otherwise a full snapshot
+const getSync = async (designId, sinceSeq, level) => {
+  const scene = await loadScene(designId, level);
+
+  if (Number.isInteger(sinceSeq) && sinceSeq === scene.seq) {
+    return { seq: scene.seq, ops: [] };
+  }
+
+  const oldest = scene.log.length > 0 ? scene.log[0].seq : scene.seq + 1;
+  if (Number.isInteger(sinceSeq) && sinceSeq < scene.seq && sinceSeq >= oldest - 1) {
+    return { seq: scene.seq, ops: scene.log.filter(entry => entry.seq > sinceSeq) };
+  }
+
+  return {
+    seq: scene.seq,
+    snapshot: {
+      version: scene.version,
+      background: scene.background,
+      layers: scene.layers,
+      scale: scene.scale,
+      objects: scene.objects
+    }
+  };
+};
+
+// Persist whatever edits to a design's plans are still waiting on a timer
+const flushScenes = async (designId) => {
+  await Promise.all(designKeys(designId).map(async (key) => {
+    try {
+      const scene = await scenes.get(key);
+      if (scene.persistTimer) {
+        await persistScene(scene);
+      }
+    } catch (error) {
+      // Scenes that failed to load have nothing to persist
+    }
+  }));
+};
+
+// Ids of the levels a design has besides its main one
+const storedLevelIds = async (designId) => {
+  const design = await Design.findById(designId).select('sketchData.levels');
+  const levels = (design && design.sketchData && design.sketchData.levels) || [];
+  return new Set(levels.map(level => level.id));
+};
+
+// Persist a design's loaded scenes again shortly, e.g. after a write that
+// may have put back an older copy of their plans. Scenes of levels the write
+// removed are dropped without being persisted.
+const touchScenes = async (designId) => {
+  const keys = designKeys(designId);
+  const levelIds = keys.some(key => key !== designId) ? await storedLevelIds(designId) : new Set();
+  await Promise.all(keys.map(async (key) => {
+    const loading = scenes.get(key);
+    try {
+      const scene = await loading;
+      if (scene.level && !levelIds.has(scene.level)) {
+        clearTimeout(scene.persistTimer);
+        scene.persistTimer = null;
+        scene.dropped = true;
+        if (scenes.get(key) === loading) scenes.delete(key);
+      } else {
+        schedulePersist(scene);
+      }
+    } catch (error) {
+      // Nothing loaded, nothing to put back
+    }
+  }));
+};
+
+// Persist and drop a design's scenes, every level's, once nobody has it open.
+// The scenes leave the map straight away; anyone opening the design again
+// meanwhile loads it afresh once the last persist has landed.
+const releaseScene = async (designId) => {
+  await Promise.all(designKeys(designId).map((key) => {
+    const loading = scenes.get(key);
+    scenes.delete(key);
+
+    const persisting = loading
+      .then(scene => scene.persistTimer && persistScene(scene))
+      .catch(() => {}); // scenes that failed to load have nothing to persist
+    releasing.set(key, persisting);
+    persisting.then(() => {
+      if (releasing.get(key) === persisting) releasing.delete(key);
+    });
+    return persisting;
+  }));
+};
+
+module.exports = { applyOp, getSync, releaseScene, flushScenes, touchScenes };
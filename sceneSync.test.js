@@ -0,0 +1,199 @@
+jest.mock('./models/Design', () => ({
+  findById: jest.fn(),
+  updateOne: jest.fn()
+}), { virtual: true });
+
+const Design = require('./models/Design');
+const sceneSync = require('./sceneSync');
+
+let designCount = 0;
+
+// A fresh design id per test, so no test sees another's scene
+const createDesign = (sketchData = {}) => {
+  designCount += 1;
+  const id = `design-${designCount}`;
+  Design.findById.mockImplementation(() => ({ select: () => Promise.resolve({ sketchData }) }));
+  return id;
+};
+
+const rect = (id, props = {}) => ({ type: 'rect', id, left: 0, top: 0, ...props });
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  Design.findById.mockReset();
+  Design.updateOne.mockReset();
+  Design.updateOne.mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+describe('applyOp', () => {
+  it('stamps ops with increasing sequence numbers', async () => {
+    const id = createDesign();
+
+    const first = await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') });
+    const second = await sceneSync.applyOp(id, { type: 'add', objectId: 'b', object: rect('b') });
+
+    expect(first.seq).toBe(1);
+    expect(second.seq).toBe(2);
+  });
+
+  it('drops malformed ops', async () => {
+    const id = createDesign();
+
+    expect(await sceneSync.applyOp(id, { type: 'explode', objectId: 'a' })).toBeNull();
+    expect(await sceneSync.applyOp(id, { type: 'add', objectId: 'a' })).toBeNull();
+    expect(await sceneSync.applyOp(id, { type: 'scale', scale: -1 })).toBeNull();
+  });
+
+  it('ignores an op it has already applied', async () => {
+    const id = createDesign();
+    const op = { type: 'add', objectId: 'a', object: rect('a'), opId: 'op-1' };
+
+    expect(await sceneSync.applyOp(id, op)).not.toBeNull();
+    expect(await sceneSync.applyOp(id, op)).toBeNull();
+  });
+
+  it('merges concurrent modifies of different properties', async () => {
+    const id = createDesign({ plan: { objects: [rect('a')] } });
+
+    await sceneSync.applyOp(id, { type: 'modify', objectId: 'a', props: { left: 10 } });
+    await sceneSync.applyOp(id, { type: 'modify', objectId: 'a', props: { fill: 'red' } });
+
+    const { snapshot } = await sceneSync.getSync(id);
+    expect(snapshot.objects).toEqual([rect('a', { left: 10, fill: 'red' })]);
+  });
+
+  it('lets a remove win over a later modify and add of the same object', async () => {
+    const id = createDesign({ plan: { objects: [rect('a')] } });
+
+    await sceneSync.applyOp(id, { type: 'remove', objectId: 'a' });
+
+    expect(await sceneSync.applyOp(id, { type: 'modify', objectId: 'a', props: { left: 10 } })).toBeNull();
+    expect(await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') })).toBeNull();
+    expect(await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a'), restore: true })).not.toBeNull();
+  });
+
+  it('keeps plans of different levels apart', async () => {
+    const id = createDesign();
+
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') }, 'upper');
+
+    expect((await sceneSync.getSync(id, undefined, 'upper')).snapshot.objects).toHaveLength(1);
+    expect((await sceneSync.getSync(id)).snapshot.objects).toHaveLength(0);
+  });
+});
+
+describe('getSync', () => {
+  it('replays the ops a client missed', async () => {
+    const id = createDesign();
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') });
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'b', object: rect('b') });
+    await sceneSync.applyOp(id, { type: 'modify', objectId: 'a', props: { left: 5 } });
+
+    const sync = await sceneSync.getSync(id, 1);
+
+    expect(sync.seq).toBe(3);
+    expect(sync.ops.map(op => [op.seq, op.type, op.objectId])).toEqual([[2, 'add', 'b'], [3, 'modify', 'a']]);
+  });
+
+  it('has nothing to replay for an up-to-date client', async () => {
+    const id = createDesign();
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') });
+
+    expect(await sceneSync.getSync(id, 1)).toEqual({ seq: 1, ops: [] });
+  });
+
+  it('sends a snapshot once the log no longer reaches back far enough', async () => {
+    const id = createDesign();
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') });
+    for (let i = 0; i < 500; i += 1) {
+      await sceneSync.applyOp(id, { type: 'modify', objectId: 'a', props: { left: i + 1 } });
+    }
+
+    const sync = await sceneSync.getSync(id, 0);
+
+    expect(sync.ops).toBeUndefined();
+    expect(sync.snapshot.objects).toEqual([rect('a', { left: 500 })]);
+  });
+});
+
+describe('persisting', () => {
+  it('writes the plan and a new lastModified a moment after an edit', async () => {
+    const id = createDesign({ lastModified: '2024-01-01T00:00:00.000Z', lastSaved: '2024-01-01T00:00:00.000Z' });
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') });
+    expect(Design.updateOne).not.toHaveBeenCalled();
+
+    await jest.runOnlyPendingTimersAsync();
+
+    expect(Design.updateOne).toHaveBeenCalledTimes(1);
+    const [filter, update] = Design.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: id });
+    expect(update.$set['sketchData.plan']).toMatchObject({ objects: [rect('a')], seq: 1 });
+    expect(update.$set['sketchData.lastModified']).not.toBe('2024-01-01T00:00:00.000Z');
+  });
+
+  it('gives older sketches a lastSaved before moving lastModified on', async () => {
+    const id = createDesign({ lastModified: '2024-01-01T00:00:00.000Z' });
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') });
+
+    await sceneSync.flushScenes(id);
+
+    expect(Design.updateOne.mock.calls[0]).toEqual([
+      { _id: id, 'sketchData.lastSaved': { $exists: false } },
+      { $set: { 'sketchData.lastSaved': '2024-01-01T00:00:00.000Z' } }
+    ]);
+    expect(Design.updateOne).toHaveBeenCalledTimes(2);
+  });
+
+  it("only writes a level's plan while the level is in the sketch", async () => {
+    const id = createDesign({ lastSaved: null, levels: [{ id: 'upper' }] });
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') }, 'upper');
+
+    await sceneSync.flushScenes(id);
+
+    const [filter, update] = Design.updateOne.mock.calls[0];
+    expect(filter).toEqual({ _id: id, 'sketchData.levels.id': 'upper' });
+    expect(update.$set['sketchData.levelPlans.upper.plan']).toMatchObject({ objects: [rect('a')] });
+  });
+
+  it('drops the scenes of levels a save removed instead of writing their plans back', async () => {
+    const sketchData = { lastSaved: null, levels: [{ id: 'upper' }] };
+    const id = createDesign(sketchData);
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') });
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'b', object: rect('b') }, 'upper');
+    await sceneSync.flushScenes(id);
+    Design.updateOne.mockClear();
+
+    // A save removes the upper level while someone is still in the design
+    sketchData.levels = [];
+    await sceneSync.touchScenes(id);
+    await jest.runOnlyPendingTimersAsync();
+
+    const written = Design.updateOne.mock.calls.flatMap(([, update]) => Object.keys(update.$set));
+    expect(written).toContain('sketchData.plan');
+    expect(written).not.toContain('sketchData.levelPlans.upper.plan');
+  });
+
+  it('loads a released scene again only once its last edits are written', async () => {
+    const id = createDesign({ lastSaved: null });
+    await sceneSync.applyOp(id, { type: 'add', objectId: 'a', object: rect('a') });
+
+    let finishWrite;
+    Design.updateOne.mockImplementation(() => new Promise((resolve) => {
+      finishWrite = resolve;
+    }));
+    const releasing = sceneSync.releaseScene(id);
+    const rejoining = sceneSync.getSync(id);
+    await Promise.resolve();
+    await Promise.resolve();
+
+    expect(Design.findById).toHaveBeenCalledTimes(1);
+    finishWrite({});
+    await releasing;
+    await rejoining;
+    expect(Design.findById).toHaveBeenCalledTimes(2);
+  });
+});
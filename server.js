@@ -13,6 +13,8 @@ const projectCrudRoutes = require('./routes/projects-crud');
 const designRoutes = require('./routes/designs');
 const designCrudRoutes = require('./routes/designs-crud');
 const userRoutes = require('./routes/users');
+const { setupCollaboration } = require('./collaboration');
+const { mountSharedRoutes } = require('./sharedRoutes');
 
 const app = express();
 const server = createServer(app);
@@ -27,7 +29,8 @@ const io = new Server(server, {
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 
 // Rate limiting
@@ -49,6 +52,9 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/architect
 .then(() => console.log('Connected to MongoDB'))
 .catch(err => console.error('MongoDB connection error:', err));
 
+// Revision checks and the routes shared with the other entry point
+mountSharedRoutes(app);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
@@ -57,23 +63,8 @@ app.use('/api/designs', designRoutes);
 app.use('/api/designs-crud', designCrudRoutes);
 app.use('/api/users', userRoutes);
 
-// Socket.io for real-time collaboration
-io.on('connection', (socket) => {
-  console.log('User connected:', socket.id);
-  
-  socket.on('join-project', (projectId) => {
-    socket.join(projectId);
-    console.log(`User ${socket.id} joined project ${projectId}`);
-  });
-  
-  socket.on('design-update', (data) => {
-    socket.to(data.projectId).emit('design-update', data);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('User disconnected:', socket.id);
-  });
-});
+// Socket.io for real-time collaboration (JWT-authenticated, per-project rooms)
+setupCollaboration(io);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -0,0 +1,27 @@
+const { checkSketchVersion, keepLivePlans } = require('./versionCheck');
+const {
+  checkDesignRevision,
+  checkProjectRevision,
+  checkDesignRevisions,
+  checkProjectRevisions
+} = require('./concurrency');
+const { underlayRoutes } = require('./underlays');
+const { modelRoutes } = require('./modelFiles');
+
+// Middleware and routes both entry points (server.js and start-server.js)
+// need, mounted in one place so the two can't drift apart. Call it ahead of
+// the routers: the revision checks have to see writes before the routes do.
+const mountSharedRoutes = (app) => {
+  // Optimistic concurrency checks (If-Match -> 409)
+  app.all(['/api/projects/:id', '/api/projects-crud/:id'], checkProjectRevision);
+  app.all(['/api/designs/:id', '/api/designs-crud/:id'], checkDesignRevision);
+  app.all(['/api/projects-crud/bulk/delete', '/api/projects-crud/bulk/status'], checkProjectRevisions);
+  app.all(['/api/designs-crud/bulk/delete', '/api/designs-crud/bulk/status'], checkDesignRevisions);
+  app.put('/api/designs/:id', checkSketchVersion);
+  app.put(['/api/designs/:id', '/api/designs-crud/:id'], keepLivePlans);
+
+  app.use('/api', underlayRoutes);
+  app.use('/api', modelRoutes);
+};
+
+module.exports = { mountSharedRoutes };
@@ -0,0 +1,170 @@
+import { fabric } from 'fabric';
+
+// Snapping geometry for the fabric drawing canvas. Everything here works in
+// canvas coordinates (before the viewport transform).
+
+const MAX_SEGMENTS = 300; // intersections are pairwise, so keep this bounded
+const INDICATOR_SIZE = 6;
+const INDICATOR_COLOR = '#f97316';
+
+// Object snaps win over the grid; within them, better kinds win over nearer ones
+const KIND_RANK = { endpoint: 0, intersection: 1, midpoint: 2, center: 3 };
+
+const point = (x, y, kind) => ({ x, y, kind });
+const midpointOf = (a, b) => point((a.x + b.x) / 2, (a.y + b.y) / 2, 'midpoint');
+
+const transformed = (obj, x, y) => fabric.util.transformPoint(new fabric.Point(x, y), obj.calcTransformMatrix());
+
+// Snap points and straight edges of one object. The first point is the one a
+// moving object uses to snap to the grid (a line's start, a shape's corner).
+export const getObjectGeometry = (obj) => {
+  if (['line', 'arrow', 'dimensionLine', 'wall'].includes(obj.type)) {
+    const { x1, y1, x2, y2 } = obj.calcLinePoints();
+    const start = transformed(obj, x1, y1);
+    const end = transformed(obj, x2, y2);
+    const a = point(start.x, start.y, 'endpoint');
+    const b = point(end.x, end.y, 'endpoint');
+    return { points: [a, b, midpointOf(a, b)], segments: [[a, b]] };
+  }
+
+  if (obj.type === 'polyline') {
+    const vertices = obj.points.map((p) => {
+      const v = transformed(obj, p.x - obj.pathOffset.x, p.y - obj.pathOffset.y);
+      return point(v.x, v.y, 'endpoint');
+    });
+    const segments = vertices.slice(1).map((v, index) => [vertices[index], v]);
+    return { points: [...vertices, ...segments.map(([a, b]) => midpointOf(a, b))], segments };
+  }
+
+  if (obj.type === 'circle') {
+    const r = obj.radius;
+    const center = obj.getCenterPoint();
+    return {
+      points: [
+        ...[[0, -r], [r, 0], [0, r], [-r, 0]].map(([x, y]) => {
+          const p = transformed(obj, x, y);
+          return point(p.x, p.y, 'endpoint');
+        }),
+        point(center.x, center.y, 'center')
+      ],
+      segments: []
+    };
+  }
+
+  // Freehand paths have no meaningful corners
+  if (obj.type === 'path') {
+    return { points: [], segments: [] };
+  }
+
+  const corners = obj.getCoords(true, true).map(p => point(p.x, p.y, 'endpoint'));
+  const edges = corners.map((corner, index) => [corner, corners[(index + 1) % corners.length]]);
+  const center = obj.getCenterPoint();
+  return {
+    points: [...corners, ...edges.map(([a, b]) => midpointOf(a, b)), point(center.x, center.y, 'center')],
+    // Only shapes whose outline is their bounding box contribute edges
+    segments: ['rect', 'polygon'].includes(obj.type) ? edges : []
+  };
+};
+
+const segmentIntersection = ([a, b], [c, d]) => {
+  const denominator = (b.x - a.x) * (d.y - c.y) - (b.y - a.y) * (d.x - c.x);
+  if (Math.abs(denominator) < 1e-9) return null;
+
+  const t = ((c.x - a.x) * (d.y - c.y) - (c.y - a.y) * (d.x - c.x)) / denominator;
+  const u = ((c.x - a.x) * (b.y - a.y) - (c.y - a.y) * (b.x - a.x)) / denominator;
+  if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+  return point(a.x + t * (b.x - a.x), a.y + t * (b.y - a.y), 'intersection');
+};
+
+// Snap targets from every visible object except those in `exclude`
+export const getSnapTargets = (canvas, exclude = []) => {
+  const points = [];
+  const segments = [];
+
+  canvas.getObjects()
+    .filter(obj => obj.visible && obj.layerVisible !== false && !exclude.includes(obj))
+    .forEach((obj) => {
+      const geometry = getObjectGeometry(obj);
+      points.push(...geometry.points);
+      segments.push(...geometry.segments);
+    });
+
+  const bounded = segments.slice(0, MAX_SEGMENTS);
+  bounded.forEach((segment, i) => {
+    for (let j = i + 1; j < bounded.length; j += 1) {
+      const hit = segmentIntersection(segment, bounded[j]);
+      if (hit) points.push(hit);
+    }
+  });
+
+  return points;
+};
+
+// Nearest object snap within tolerance, else the nearest grid point when a
+// grid step is given. Returns { x, y, kind } with kind null when nothing snapped.
+export const snapPoint = (p, { targets = [], gridStep = null, tolerance = 10 } = {}) => {
+  const best = targets
+    .map(target => ({ target, distance: Math.hypot(target.x - p.x, target.y - p.y) }))
+    .filter(({ distance }) => distance <= tolerance)
+    .sort((a, b) => KIND_RANK[a.target.kind] - KIND_RANK[b.target.kind] || a.distance - b.distance)[0];
+
+  if (best) return { ...best.target };
+
+  if (gridStep) {
+    return point(Math.round(p.x / gridStep) * gridStep, Math.round(p.y / gridStep) * gridStep, 'grid');
+  }
+  return point(p.x, p.y, null);
+};
+
+// Locks the direction from origin to p to the nearest multiple of stepDegrees,
+// keeping the distance along that direction
+export const constrainAngle = (origin, p, stepDegrees = 45) => {
+  const dx = p.x - origin.x;
+  const dy = p.y - origin.y;
+  const step = (stepDegrees * Math.PI) / 180;
+  const angle = Math.round(Math.atan2(dy, dx) / step) * step;
+  const length = dx * Math.cos(angle) + dy * Math.sin(angle);
+  return { x: origin.x + length * Math.cos(angle), y: origin.y + length * Math.sin(angle) };
+};
+
+// CAD-style marker for a snap: square endpoint, triangle midpoint, cross
+// intersection, circle centre, small plus for the grid. ctx is untransformed.
+export const drawSnapIndicator = (ctx, canvas, snap) => {
+  if (!snap || !snap.kind) return;
+
+  const { x, y } = fabric.util.transformPoint(new fabric.Point(snap.x, snap.y), canvas.viewportTransform);
+  const s = INDICATOR_SIZE;
+
+  ctx.save();
+  ctx.strokeStyle = INDICATOR_COLOR;
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  switch (snap.kind) {
+    case 'endpoint':
+      ctx.rect(x - s, y - s, s * 2, s * 2);
+      break;
+    case 'midpoint':
+      ctx.moveTo(x, y - s);
+      ctx.lineTo(x + s, y + s);
+      ctx.lineTo(x - s, y + s);
+      ctx.closePath();
+      break;
+    case 'intersection':
+      ctx.moveTo(x - s, y - s);
+      ctx.lineTo(x + s, y + s);
+      ctx.moveTo(x + s, y - s);
+      ctx.lineTo(x - s, y + s);
+      break;
+    case 'center':
+      ctx.arc(x, y, s, 0, Math.PI * 2);
+      break;
+    default:
+      ctx.moveTo(x - s / 2, y);
+      ctx.lineTo(x + s / 2, y);
+      ctx.moveTo(x, y - s / 2);
+      ctx.lineTo(x, y + s / 2);
+  }
+  ctx.stroke();
+  ctx.restore();
+};
@@ -0,0 +1,105 @@
+/**
+ * @jest-environment jsdom
+ */
+import { fabric } from 'fabric';
+import { getObjectGeometry, getSnapTargets, snapPoint, constrainAngle } from './snapping';
+
+// getSnapTargets only asks a canvas for its objects
+const canvasOf = objects => ({ getObjects: () => objects });
+
+// Strokeless, so fabric's stroke offset doesn't shift the geometry
+const line = (points, options = {}) => new fabric.Line(points, { strokeWidth: 0, ...options });
+
+const round = ({ x, y, kind }) => ({ x: Math.round(x * 1000) / 1000, y: Math.round(y * 1000) / 1000, kind });
+
+describe('getObjectGeometry', () => {
+  it('gives a line its ends and midpoint, and its length as an edge', () => {
+    const edge = line([0, 0, 100, 0]);
+
+    const { points, segments } = getObjectGeometry(edge);
+
+    expect(points.map(round)).toEqual([
+      { x: 0, y: 0, kind: 'endpoint' },
+      { x: 100, y: 0, kind: 'endpoint' },
+      { x: 50, y: 0, kind: 'midpoint' }
+    ]);
+    expect(segments).toHaveLength(1);
+  });
+
+  it('gives a rectangle its corners, edge midpoints and centre', () => {
+    const rect = new fabric.Rect({ left: 0, top: 0, width: 100, height: 50, strokeWidth: 0 });
+
+    const { points, segments } = getObjectGeometry(rect);
+
+    expect(points.filter(p => p.kind === 'endpoint').map(round)).toEqual([
+      { x: 0, y: 0, kind: 'endpoint' },
+      { x: 100, y: 0, kind: 'endpoint' },
+      { x: 100, y: 50, kind: 'endpoint' },
+      { x: 0, y: 50, kind: 'endpoint' }
+    ]);
+    expect(points.filter(p => p.kind === 'midpoint')).toHaveLength(4);
+    expect(round(points.find(p => p.kind === 'center'))).toEqual({ x: 50, y: 25, kind: 'center' });
+    expect(segments).toHaveLength(4);
+  });
+
+  it('gives freehand paths nothing to snap to', () => {
+    const path = new fabric.Path('M 0 0 L 10 10 L 20 0');
+
+    expect(getObjectGeometry(path)).toEqual({ points: [], segments: [] });
+  });
+});
+
+describe('getSnapTargets', () => {
+  it('adds the points where edges cross', () => {
+    const across = line([0, 50, 100, 50]);
+    const down = line([50, 0, 50, 100]);
+
+    const targets = getSnapTargets(canvasOf([across, down]));
+
+    expect(targets.filter(p => p.kind === 'intersection').map(round)).toEqual([{ x: 50, y: 50, kind: 'intersection' }]);
+  });
+
+  it('leaves out hidden objects and the ones being moved', () => {
+    const shown = line([0, 0, 10, 0]);
+    const hidden = line([0, 20, 10, 20], { visible: false });
+    const onHiddenLayer = line([0, 40, 10, 40]);
+    onHiddenLayer.layerVisible = false;
+    const moving = line([0, 60, 10, 60]);
+
+    const targets = getSnapTargets(canvasOf([shown, hidden, onHiddenLayer, moving]), [moving]);
+
+    expect(new Set(targets.map(p => Math.round(p.y)))).toEqual(new Set([0]));
+  });
+});
+
+describe('snapPoint', () => {
+  const targets = [
+    { x: 10, y: 0, kind: 'center' },
+    { x: 14, y: 0, kind: 'endpoint' },
+    { x: 11, y: 0, kind: 'midpoint' }
+  ];
+
+  it('prefers an endpoint to a nearer midpoint or centre', () => {
+    expect(snapPoint({ x: 10, y: 0 }, { targets, tolerance: 5 })).toEqual({ x: 14, y: 0, kind: 'endpoint' });
+  });
+
+  it('only snaps to targets within the tolerance', () => {
+    expect(snapPoint({ x: 10, y: 0 }, { targets, tolerance: 2 })).toEqual({ x: 11, y: 0, kind: 'midpoint' });
+  });
+
+  it('falls back to the grid, then to the point itself', () => {
+    expect(snapPoint({ x: 37, y: 52 }, { targets, gridStep: 25 })).toEqual({ x: 25, y: 50, kind: 'grid' });
+    expect(snapPoint({ x: 37, y: 52 }, { targets })).toEqual({ x: 37, y: 52, kind: null });
+  });
+});
+
+describe('constrainAngle', () => {
+  it('locks a direction to the nearest 45°, keeping the distance along it', () => {
+    const p = constrainAngle({ x: 0, y: 0 }, { x: 100, y: 10 });
+    expect(p.x).toBeCloseTo(100);
+    expect(p.y).toBeCloseTo(0);
+
+    const diagonal = constrainAngle({ x: 0, y: 0 }, { x: 50, y: 45 });
+    expect(diagonal.x).toBeCloseTo(diagonal.y);
+  });
+});
@@ -13,6 +13,8 @@ const designRoutes = require('./routes/designs');
 const userRoutes = require('./routes/users');
 const aiRoutes = require('./routes/ai');
 const commentRoutes = require('./routes/comments');
+const { setupCollaboration } = require('./collaboration');
+const { mountSharedRoutes } = require('./sharedRoutes');
 
 const app = express();
 const server = createServer(app);
@@ -27,7 +29,8 @@ const io = new Server(server, {
 app.use(helmet());
 app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag']
 }));
 
 // Rate limiting
@@ -63,6 +66,9 @@ const connectDB = async () => {
 // Connect to database
 connectDB();
 
+// Revision checks and the routes shared with the other entry point
+mountSharedRoutes(app);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/projects', projectRoutes);
@@ -71,23 +77,8 @@ app.use('/api/users', userRoutes);
 app.use('/api/ai', aiRoutes);
 app.use('/api/comments', commentRoutes);
 
-// Socket.io for real-time collaboration
-io.on('connection', (socket) => {
-  console.log('👤 User connected:', socket.id);
-  
-  socket.on('join-project', (projectId) => {
-    socket.join(projectId);
-    console.log(`📁 User ${socket.id} joined project ${projectId}`);
-  });
-  
-  socket.on('design-update', (data) => {
-    socket.to(data.projectId).emit('design-update', data);
-  });
-  
-  socket.on('disconnect', () => {
-    console.log('👋 User disconnected:', socket.id);
-  });
-});
+// Socket.io for real-time collaboration (JWT-authenticated, per-project rooms)
+setupCollaboration(io);
 
 // Health check endpoint
 app.get('/health', (req, res) => {
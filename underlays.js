@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const multer = require('multer');
+const sharp = require('sharp');
+const { checkDesignAccess } = require('./access');
+
+// Tracing underlays: surveys and existing plans (a PNG, a JPEG or one page of
+// a PDF) that editors place under a drawing to trace over. Uploads are
+// rasterised and shrunk to at most MAX_DIMENSION px a side, then stored under
+// a random name. Drawings refer to them by URL, which keeps the images out of
+// the sketch JSON and its 10mb limit.
+//
+// PDFs are only taken when sharp can read them, which needs a libvips built
+// with a PDF reader (poppler or PDFium); sharp's prebuilt binaries have none.
+// Editors are told which types this server takes, so they're only offered
+// PDFs when it can.
+const UNDERLAY_DIR = path.join(process.env.UPLOAD_DIR || path.join(__dirname, 'uploads'), 'underlays');
+const MAX_UPLOAD_SIZE = 25 * 1024 * 1024;
+const MAX_DIMENSION = 4096;
+const PDF_DENSITY = 150; // dpi PDF pages are rasterised at
+const READS_PDF = Boolean(sharp.format.pdf && sharp.format.pdf.input && sharp.format.pdf.input.buffer);
+const ACCEPTED_TYPES = ['image/png', 'image/jpeg', ...(READS_PDF ? ['application/pdf'] : [])];
+const FILE_NAME = /^[a-f0-9]{32}\.(png|jpg)$/;
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => cb(null, ACCEPTED_TYPES.includes(file.mimetype))
+});
+
+const receiveFile = (req, res, next) => {
+  upload.single('file')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        message: tooLarge ? 'Underlays can be at most 25 MB' : error.message
+      });
+    }
+    next(error);
+  });
+};
+
+// One page of the upload as an image: photos stay JPEG, plans and PDF pages
+// become PNG so their linework stays crisp. `page` counts from 1.
+const rasterise = async (file, page) => {
+  const isPdf = file.mimetype === 'application/pdf';
+  const input = sharp(file.buffer, isPdf ? { density: PDF_DENSITY, page: page - 1 } : {});
+  const { pages = 1 } = await input.metadata();
+  if (page > pages) {
+    const error = new Error(`The file has ${pages} ${pages === 1 ? 'page' : 'pages'}`);
+    error.status = 400;
+    throw error;
+  }
+
+  let image = input
+    .rotate()
+    .resize({ width: MAX_DIMENSION, height: MAX_DIMENSION, fit: 'inside', withoutEnlargement: true });
+  if (isPdf) {
+    image = image.flatten({ background: '#ffffff' });
+  }
+  const jpeg = file.mimetype === 'image/jpeg';
+  const { data, info } = await (jpeg ? image.jpeg({ quality: 85 }) : image.png()).toBuffer({ resolveWithObject: true });
+  return { data, info, pages, extension: jpeg ? 'jpg' : 'png' };
+};
+
+const router = express.Router();
+
+// POST /api/designs/:id/underlays (multipart: `file`, optional `page`)
+// -> { url, width, height, page, pages }
+router.post('/designs/:id/underlays', checkDesignAccess, receiveFile, async (req, res, next) => {
+  if (!req.file) {
+    return res.status(400).json({ message: READS_PDF ? 'Upload a PNG, JPEG or PDF file' : 'Upload a PNG or JPEG file' });
+  }
+
+  const page = Math.max(1, parseInt(req.body.page, 10) || 1);
+  try {
+    const { data, info, pages, extension } = await rasterise(req.file, page);
+    const name = `${crypto.randomBytes(16).toString('hex')}.${extension}`;
+    await fs.mkdir(UNDERLAY_DIR, { recursive: true });
+    await fs.writeFile(path.join(UNDERLAY_DIR, name), data);
+
+    res.status(201).json({
+      url: `/api/underlays/${name}`,
+      width: info.width,
+      height: info.height,
+      page,
+      pages
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    if (/unsupported image format/i.test(error.message)) {
+      return res.status(415).json({ message: "This file couldn't be read" });
+    }
+    next(error);
+  }
+});
+
+// GET /api/underlays/formats -> { types }: the MIME types uploads can be
+router.get('/underlays/formats', (req, res) => {
+  res.json({ types: ACCEPTED_TYPES });
+});
+
+// GET /api/underlays/:name. Names are unguessable and never reused, so the
+// images are served to anyone holding the URL (canvases load them as plain
+// images, without the API's token) and cached for good.
+router.get('/underlays/:name', (req, res) => {
+  if (!FILE_NAME.test(req.params.name)) {
+    return res.status(404).json({ message: 'Underlay not found' });
+  }
+
+  // Drawing canvases load these cross-origin so they can still export
+  res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+  res.sendFile(path.join(UNDERLAY_DIR, req.params.name), { maxAge: '1y', immutable: true }, (error) => {
+    if (error && !res.headersSent) {
+      res.status(404).json({ message: 'Underlay not found' });
+    }
+  });
+});
+
+module.exports = { underlayRoutes: router };
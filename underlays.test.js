@@ -0,0 +1,116 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+
+jest.mock('./models/Design', () => ({ findById: jest.fn() }), { virtual: true });
+// Stands in for libvips: every image is 800×600 and one page, and like
+// sharp's prebuilt binaries it can't read PDFs
+jest.mock('sharp', () => {
+  const image = {
+    metadata: () => Promise.resolve({ pages: 1 }),
+    toBuffer: () => Promise.resolve({ data: Buffer.from('image'), info: { width: 800, height: 600 } })
+  };
+  ['rotate', 'resize', 'flatten', 'png', 'jpeg'].forEach((step) => {
+    image[step] = () => image;
+  });
+  const sharp = () => image;
+  sharp.format = { pdf: { input: { buffer: false } } };
+  return sharp;
+}, { virtual: true });
+
+const UPLOAD_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'underlays-'));
+process.env.UPLOAD_DIR = UPLOAD_DIR;
+process.env.JWT_SECRET = 'test-secret';
+
+const Design = require('./models/Design');
+const { underlayRoutes } = require('./underlays');
+
+const DESIGN_ID = '64b7f0c2a1b2c3d4e5f60718';
+const MEMBER_ID = '64b7f0c2a1b2c3d4e5f60001';
+const STRANGER_ID = '64b7f0c2a1b2c3d4e5f60002';
+const authAs = userId => ({ Authorization: `Bearer ${jwt.sign({ userId }, process.env.JWT_SECRET)}` });
+
+const app = express();
+app.use('/api', underlayRoutes);
+
+const upload = (file, headers = authAs(MEMBER_ID)) => request(app)
+  .post(`/api/designs/${DESIGN_ID}/underlays`)
+  .set(headers)
+  .attach('file', file.data || Buffer.from('image'), { filename: file.filename, contentType: file.contentType });
+
+const png = { filename: 'survey.png', contentType: 'image/png' };
+
+beforeEach(() => {
+  Design.findById.mockImplementation(() => ({
+    select: () => ({
+      populate: () => Promise.resolve({ _id: DESIGN_ID, project: { owner: MEMBER_ID, collaborators: [] } })
+    })
+  }));
+});
+
+afterAll(() => {
+  fs.rmSync(UPLOAD_DIR, { recursive: true, force: true });
+});
+
+describe('POST /api/designs/:id/underlays', () => {
+  it('stores an image from a project member', async () => {
+    const response = await upload(png);
+
+    expect(response.status).toBe(201);
+    expect(response.body).toMatchObject({ width: 800, height: 600, page: 1, pages: 1 });
+    expect(response.body.url).toMatch(/^\/api\/underlays\/[a-f0-9]{32}\.png$/);
+  });
+
+  it('needs a token', async () => {
+    expect((await upload(png, {})).status).toBe(401);
+    expect((await upload(png, { Authorization: 'Bearer forged' })).status).toBe(401);
+  });
+
+  it('turns away anyone outside the project', async () => {
+    expect((await upload(png, authAs(STRANGER_ID))).status).toBe(403);
+  });
+
+  it('only takes the image types the server can read', async () => {
+    const text = await upload({ filename: 'notes.txt', contentType: 'text/plain' });
+    const pdf = await upload({ filename: 'plan.pdf', contentType: 'application/pdf' });
+
+    expect(text.status).toBe(400);
+    expect(pdf.status).toBe(400);
+    expect(pdf.body.message).toBe('Upload a PNG or JPEG file');
+  });
+
+  it('turns away files over 25 MB', async () => {
+    const response = await upload({ ...png, data: Buffer.alloc(25 * 1024 * 1024 + 1) });
+
+    expect(response.status).toBe(413);
+    expect(response.body.message).toBe('Underlays can be at most 25 MB');
+  });
+});
+
+describe('GET /api/underlays/:name', () => {
+  it('serves stored underlays to anyone holding the URL', async () => {
+    const { body } = await upload(png);
+    const response = await request(app).get(body.url);
+
+    expect(response.status).toBe(200);
+    expect(response.headers['cross-origin-resource-policy']).toBe('cross-origin');
+  });
+
+  it('only serves names it hands out', async () => {
+    fs.writeFileSync(path.join(UPLOAD_DIR, 'secret.txt'), 'secret');
+
+    const names = [
+      '..%2Fsecret.txt',
+      '..%2F..%2Fpackage.json',
+      `${'a'.repeat(32)}.svg`,
+      `${'a'.repeat(32)}.png.txt`,
+      `${'a'.repeat(32)}.png`
+    ];
+    const responses = await Promise.all(names.map(name => request(app).get(`/api/underlays/${name}`)));
+
+    responses.forEach(response => expect(response.status).toBe(404));
+  });
+});
@@ -0,0 +1,100 @@
+// Real-world measurement for drawings. Canvas coordinates are treated as paper
+// at 96 pixels per inch, so at 1:100 one canvas pixel is ~26.5 mm on site.
+// Lengths are worked out from canvas coordinates, never screen pixels, so
+// zooming the view doesn't change them.
+
+export const PIXELS_PER_MM = 96 / 25.4;
+export const MM_PER_INCH = 25.4;
+
+export const DRAWING_SCALES = [10, 20, 50, 100, 200, 500, 1000];
+export const DEFAULT_SCALE = 100;
+
+export const pixelsToMm = (pixels, scale = DEFAULT_SCALE) => (pixels / PIXELS_PER_MM) * scale;
+
+export const mmToPixels = (mm, scale = DEFAULT_SCALE) => (mm / scale) * PIXELS_PER_MM;
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// Feet and inches to the nearest 1/8"
+const formatImperial = (mm) => {
+  const eighths = Math.round((Math.abs(mm) / MM_PER_INCH) * 8);
+  const feet = Math.floor(eighths / 96);
+  const wholeInches = Math.floor((eighths % 96) / 8);
+  const fraction = eighths % 8;
+
+  let inches = `${wholeInches}`;
+  if (fraction) {
+    const divisor = gcd(fraction, 8);
+    const part = `${fraction / divisor}/${8 / divisor}`;
+    inches = wholeInches ? `${wholeInches} ${part}` : part;
+  }
+  return feet ? `${feet}' ${inches}"` : `${inches}"`;
+};
+
+const formatMetric = (mm) => {
+  const value = Math.abs(mm);
+  if (value < 1000) return `${Math.round(value)} mm`;
+  return `${(value / 1000).toFixed(2)} m`;
+};
+
+// units is the user's `preferences.units`: 'metric' or 'imperial'
+export const formatLength = (mm, units = 'metric') => (
+  units === 'imperial' ? formatImperial(mm) : formatMetric(mm)
+);
+
+export const formatArea = (mm2, units = 'metric') => (
+  units === 'imperial'
+    ? `${(mm2 / (MM_PER_INCH * MM_PER_INCH * 144)).toFixed(1)} ft²`
+    : `${(mm2 / 1e6).toFixed(2)} m²`
+);
+
+const LENGTH_UNITS_MM = {
+  mm: 1,
+  cm: 10,
+  m: 1000,
+  in: MM_PER_INCH,
+  '"': MM_PER_INCH,
+  ft: MM_PER_INCH * 12,
+  "'": MM_PER_INCH * 12
+};
+
+// A number, which may be a fraction or a whole number and a fraction (6 1/2)
+const LENGTH_PART = /((?:\d+\s+)?\d+\/\d+|\d+(?:\.\d*)?|\.\d+)\s*(mm|cm|m|in|ft|'|")?/g;
+
+const parseNumber = number => number.trim().split(/\s+/).reduce((sum, part) => {
+  const [numerator, denominator] = part.split('/');
+  return sum + (denominator === undefined ? parseFloat(numerator) : numerator / denominator);
+}, 0);
+
+// A length typed by the user, in mm, or null if it can't be read. Parts can
+// carry their own units ("4.2 m", "350mm", 12' 6 1/2"), as formatLength
+// writes them; a bare number is in metres or feet.
+export const parseLength = (text, units = 'metric') => {
+  const value = String(text).trim().toLowerCase();
+  if (!value || value.replace(LENGTH_PART, '').trim()) return null;
+
+  const fallback = units === 'imperial' ? 'ft' : 'm';
+  let mm = 0;
+  value.replace(LENGTH_PART, (part, number, unit) => {
+    mm += parseNumber(number) * LENGTH_UNITS_MM[unit || fallback];
+    return '';
+  });
+  return mm > 0 && Number.isFinite(mm) ? mm : null;
+};
+
+const GRID_STEPS_MM = {
+  metric: [10, 50, 100, 250, 500, 1000, 2500, 5000, 10000, 25000, 50000],
+  imperial: [1, 3, 6, 12, 24, 60, 120, 240, 600, 1200].map(inches => inches * MM_PER_INCH)
+};
+
+// Round real-world grid steps, in mm, for the given units
+export const getGridSteps = (units = 'metric') => GRID_STEPS_MM[units] || GRID_STEPS_MM.metric;
+
+// The smallest round real-world grid step that is at least minPixels apart on screen
+export const getGridStep = (scale, units = 'metric', zoom = 1, minPixels = 16) => {
+  const steps = getGridSteps(units);
+  return steps.find(step => mmToPixels(step, scale) * zoom >= minPixels) || steps[steps.length - 1];
+};
+
+// Every nth grid line is drawn heavier and labelled on the rulers
+export const MAJOR_GRID_EVERY = 5;
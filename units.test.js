@@ -0,0 +1,74 @@
+import {
+  parseLength,
+  formatLength,
+  formatArea,
+  pixelsToMm,
+  mmToPixels,
+  getGridStep
+} from './units';
+
+describe('parseLength', () => {
+  it.each([
+    ['4.2 m', 4200],
+    ['350mm', 350],
+    ['35 cm', 350],
+    ['4.2', 4200],
+    ['.5m', 500]
+  ])('reads the metric length %s', (text, mm) => {
+    expect(parseLength(text, 'metric')).toBeCloseTo(mm);
+  });
+
+  it.each([
+    ['12\' 6"', 3810],
+    ['12ft 6in', 3810],
+    ['6 1/2"', 165.1],
+    ['3/4"', 19.05],
+    ['3', 914.4]
+  ])('reads the imperial length %s', (text, mm) => {
+    expect(parseLength(text, 'imperial')).toBeCloseTo(mm);
+  });
+
+  it.each(['', 'abc', '4.2 km', '-3 m', '0', '1/0"'])('gives up on %p', (text) => {
+    expect(parseLength(text)).toBeNull();
+  });
+
+  it.each([1, 12.7, 350, 999, 1000, 4200, 12345, 100000])('round-trips %d mm written in metric', (mm) => {
+    const text = formatLength(mm, 'metric');
+    expect(formatLength(parseLength(text, 'metric'), 'metric')).toBe(text);
+  });
+
+  it.each([3.175, 12.7, 165.1, 304.8, 3822.7, 3810, 10000])('round-trips %d mm written in imperial', (mm) => {
+    const text = formatLength(mm, 'imperial');
+    expect(formatLength(parseLength(text, 'imperial'), 'imperial')).toBe(text);
+  });
+
+  it('reads imperial lengths to the nearest 1/8"', () => {
+    expect(formatLength(3822.7, 'imperial')).toBe('12\' 6 1/2"');
+    expect(parseLength('12\' 6 1/2"', 'imperial')).toBeCloseTo(3822.7);
+  });
+});
+
+describe('formatLength and formatArea', () => {
+  it('writes metric lengths in mm below a metre and in m above', () => {
+    expect(formatLength(350)).toBe('350 mm');
+    expect(formatLength(4200)).toBe('4.20 m');
+  });
+
+  it('writes areas in m² or ft²', () => {
+    expect(formatArea(12e6)).toBe('12.00 m²');
+    expect(formatArea(929030.4, 'imperial')).toBe('10.0 ft²');
+  });
+});
+
+describe('scale conversions', () => {
+  it('converts between canvas px and mm at a drawing scale', () => {
+    expect(mmToPixels(pixelsToMm(123, 50), 50)).toBeCloseTo(123);
+    expect(pixelsToMm(96, 100)).toBeCloseTo(2540);
+  });
+
+  it('picks the smallest grid step that is far enough apart on screen', () => {
+    const step = getGridStep(100, 'metric', 1, 16);
+    expect(mmToPixels(step, 100)).toBeGreaterThanOrEqual(16);
+    expect(step).toBe(500);
+  });
+});
@@ -0,0 +1,196 @@
+import { useEffect, useRef, useState } from 'react';
+import { fabric } from 'fabric';
+import { createCommandHistory, handleHistoryShortcut } from '../utils/commandHistory';
+import { serializeObject, diffProps, isExternalChange } from '../utils/canvasObjects';
+
+const pick = (source = {}, keys) => Object.fromEntries(keys.map(key => [key, source[key]]));
+
+// Undo/redo for a fabric canvas. Adds, removes, property changes (moves,
+// resizes, text edits, layer moves), reorders and layer edits are recorded as
+// commands; undoing one fires the usual fabric events, so live sync shares it
+// like any other edit. Reorders, layer edits and scale changes have no fabric
+// event, so the canvas reports them (recordReorder / recordLayers /
+// recordScale) and gets them back through onReorder / onLayers / onScale.
+export const useCanvasHistory = (fabricCanvasRef, {
+  readOnly,
+  initialHistory,
+  onReorder,
+  onLayers,
+  onScale
+} = {}) => {
+  const [status, setStatus] = useState({ canUndo: false, canRedo: false });
+  const historyRef = useRef(null);
+  const callbacksRef = useRef({});
+
+  callbacksRef.current = { onReorder, onLayers, onScale };
+
+  useEffect(() => {
+    const canvas = fabricCanvasRef.current;
+    if (!canvas || readOnly) return;
+
+    const known = new Map(); // id -> last serialised state
+    let order = []; // object ids, bottom first, as of the last change
+
+    const findObject = (id) => canvas.getObjects().find(obj => obj.id === id);
+    const remember = (obj) => known.set(obj.id, serializeObject(obj));
+    const snapshotOrder = () => {
+      order = canvas.getObjects().map(obj => obj.id);
+    };
+
+    const apply = (command, direction) => new Promise((resolve) => {
+      const forward = direction === 'redo';
+      const existing = command.objectId && findObject(command.objectId);
+      if (existing && existing.group) {
+        canvas.discardActiveObject();
+      }
+
+      switch (command.type) {
+        case 'add':
+        case 'remove': {
+          const shouldExist = (command.type === 'add') === forward;
+          if (shouldExist && !existing) {
+            fabric.util.enlivenObjects([command.object], ([obj]) => {
+              canvas.insertAt(obj, Math.min(command.index, canvas.getObjects().length));
+              canvas.requestRenderAll();
+              resolve();
+            });
+            return;
+          }
+          if (!shouldExist && existing) {
+            canvas.remove(existing);
+          }
+          break;
+        }
+        case 'modify':
+          if (!existing) break;
+          existing.set(forward ? command.after : command.before);
+          existing.setCoords();
+          canvas.fire('object:modified', { target: existing });
+          break;
+        case 'reorder':
+          if (!existing) break;
+          canvas.moveTo(existing, forward ? command.to : command.from);
+          snapshotOrder();
+          callbacksRef.current.onReorder?.(existing);
+          break;
+        case 'layers':
+          callbacksRef.current.onLayers?.(forward ? command.after : command.before);
+          break;
+        case 'scale':
+          callbacksRef.current.onScale?.(forward ? command.after : command.before);
+          break;
+        default:
+          break;
+      }
+      canvas.requestRenderAll();
+      resolve();
+    });
+
+    const history = createCommandHistory({ apply });
+    history.load(initialHistory);
+    historyRef.current = history;
+
+    const recordModify = (obj) => {
+      if (!obj.id) return;
+
+      const before = known.get(obj.id);
+      const after = serializeObject(obj);
+      known.set(obj.id, after);
+
+      const changed = diffProps(before, after);
+      const keys = Object.keys(changed);
+      if (keys.length > 0 && before && !isExternalChange(canvas)) {
+        history.record({ type: 'modify', objectId: obj.id, before: pick(before, keys), after: changed });
+      }
+    };
+
+    const handleAdded = ({ target }) => {
+      if (!target.id) return;
+
+      remember(target);
+      if (!isExternalChange(canvas)) {
+        history.record({
+          type: 'add',
+          objectId: target.id,
+          object: known.get(target.id),
+          index: canvas.getObjects().indexOf(target)
+        });
+      }
+      snapshotOrder();
+    };
+
+    const handleRemoved = ({ target }) => {
+      if (!target.id) return;
+
+      const object = known.get(target.id) || serializeObject(target);
+      known.delete(target.id);
+      if (!isExternalChange(canvas)) {
+        history.record({ type: 'remove', objectId: target.id, object, index: Math.max(0, order.indexOf(target.id)) });
+      }
+      snapshotOrder();
+    };
+
+    const handleModified = ({ target }) => {
+      // Record absolute coordinates for objects in an active selection
+      if (target.type === 'activeSelection') {
+        const objects = target.getObjects();
+        canvas.discardActiveObject();
+        history.batch(() => objects.forEach(recordModify));
+        canvas.setActiveObject(new fabric.ActiveSelection(objects, { canvas }));
+        canvas.requestRenderAll();
+        return;
+      }
+
+      recordModify(target);
+    };
+
+    const handleKeyDown = (e) => handleHistoryShortcut(e, history);
+
+    canvas.getObjects().forEach(remember);
+    snapshotOrder();
+
+    canvas.on('object:added', handleAdded);
+    canvas.on('object:removed', handleRemoved);
+    canvas.on('object:modified', handleModified);
+    canvas.on('before:render', snapshotOrder); // catches reorders, which fire no event
+    window.addEventListener('keydown', handleKeyDown);
+    const unsubscribe = history.subscribe(() => {
+      setStatus({ canUndo: history.canUndo(), canRedo: history.canRedo() });
+    });
+    setStatus({ canUndo: history.canUndo(), canRedo: history.canRedo() });
+
+    return () => {
+      canvas.off('object:added', handleAdded);
+      canvas.off('object:removed', handleRemoved);
+      canvas.off('object:modified', handleModified);
+      canvas.off('before:render', snapshotOrder);
+      window.removeEventListener('keydown', handleKeyDown);
+      unsubscribe();
+      historyRef.current = null;
+    };
+  }, [readOnly]);
+
+  return {
+    ...status,
+    undo: () => historyRef.current?.undo(),
+    redo: () => historyRef.current?.redo(),
+    // Groups everything fn changes into one undo step
+    batch: (fn) => (historyRef.current ? historyRef.current.batch(fn) : fn()),
+    recordReorder: (obj, from) => {
+      const history = historyRef.current;
+      const to = fabricCanvasRef.current?.getObjects().indexOf(obj);
+      if (history && obj.id && from !== to) {
+        history.record({ type: 'reorder', objectId: obj.id, from, to });
+      }
+    },
+    recordLayers: (before, after) => {
+      historyRef.current?.record({ type: 'layers', before, after });
+    },
+    recordScale: (before, after) => {
+      historyRef.current?.record({ type: 'scale', before, after });
+    },
+    toJSON: () => historyRef.current?.toJSON() || null
+  };
+};
+
+export default useCanvasHistory;
@@ -0,0 +1,292 @@
+import { useEffect, useRef } from 'react';
+import { fabric } from 'fabric';
+import { useSocket } from '../contexts/SocketContext';
+import {
+  serializeObject,
+  diffProps,
+  beginExternalChange,
+  endExternalChange,
+  isExternalChange
+} from '../utils/canvasObjects';
+
+const createOpId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+// Object-level live sync for a fabric canvas (see sceneSync.js on the server).
+// Local add / modify / remove events become ops keyed by object id; remote ops
+// are applied in sequence order. Unacknowledged ops survive a disconnect and
+// are re-applied and resent after the canvas resyncs on reconnect; so are
+// edits made before the first sync, which would otherwise be lost under the
+// server's scene when it loads.
+// Drawing-wide settings travel as whole-value 'layers' and 'scale' ops and are
+// handed to `onLayers` / `onScale` rather than applied to the canvas.
+// `level` picks which level's plan of the design this canvas edits; null is
+// the main plan.
+export const useCanvasSync = (fabricCanvasRef, designId, readOnly, { onLayers, onScale, level = null } = {}) => {
+  const socket = useSocket();
+  const apiRef = useRef({ sendReorder: () => {}, sendLayers: () => {}, sendScale: () => {} });
+  const callbacksRef = useRef({});
+
+  callbacksRef.current = { onLayers, onScale };
+
+  useEffect(() => {
+    const canvas = fabricCanvasRef.current;
+    if (!socket || !designId || !canvas) return;
+
+    const known = new Map(); // id -> last serialised state shared with the server
+    const removedIds = new Set(); // re-adding one of these (undo) must say so
+    const pending = []; // local ops not yet acknowledged, oldest first
+    let lastSeq = null;
+    let hasSynced = false; // take remote ops only once we hold the server's scene
+    let live = false; // connected and synced, so ops can be sent straight away
+    let applying = 0; // > 0 while applying remote changes, so they aren't echoed back
+    let queue = Promise.resolve();
+    let disposed = false;
+
+    const enqueue = (task) => {
+      queue = queue.then(task).catch(error => console.error('Canvas sync error:', error));
+    };
+
+    const findObject = (id) => canvas.getObjects().find(obj => obj.id === id);
+
+    const remember = (obj) => known.set(obj.id, serializeObject(obj));
+
+    const withRemote = (fn) => {
+      applying += 1;
+      beginExternalChange(canvas);
+      try {
+        fn();
+      } finally {
+        applying -= 1;
+        endExternalChange(canvas);
+      }
+    };
+
+    const send = (op) => {
+      socket.emit('canvas-op', { designId, level, op }, (res) => {
+        // Failed ops stay pending and are resent on the next sync
+        if (!res || res.error) return;
+
+        const index = pending.indexOf(op);
+        if (index !== -1) pending.splice(index, 1);
+        if (res.seq) lastSeq = Math.max(lastSeq || 0, res.seq);
+      });
+    };
+
+    const queueLocal = (op) => {
+      const fullOp = { ...op, opId: createOpId() };
+      pending.push(fullOp);
+      if (live) send(fullOp);
+    };
+
+    const recordModify = (obj) => {
+      if (!obj.id) return;
+
+      const after = serializeObject(obj);
+      const props = diffProps(known.get(obj.id), after);
+      known.set(obj.id, after);
+      if (Object.keys(props).length > 0) {
+        queueLocal({ type: 'modify', objectId: obj.id, props });
+      }
+    };
+
+    // Loading the drawing and applying remote changes are external changes,
+    // not edits of this user's to share
+    const isLocalEdit = () => !applying && !isExternalChange(canvas);
+
+    const handleAdded = ({ target }) => {
+      if (!isLocalEdit() || !target.id) return;
+
+      remember(target);
+      queueLocal({
+        type: 'add',
+        objectId: target.id,
+        object: known.get(target.id),
+        index: canvas.getObjects().indexOf(target),
+        restore: removedIds.delete(target.id)
+      });
+    };
+
+    const handleModified = ({ target }) => {
+      if (!isLocalEdit()) return;
+
+      // Objects inside an active selection hold group-relative coordinates;
+      // release the selection so we record absolute ones, then restore it
+      if (target.type === 'activeSelection') {
+        const objects = target.getObjects();
+        canvas.discardActiveObject();
+        objects.forEach(recordModify);
+        canvas.setActiveObject(new fabric.ActiveSelection(objects, { canvas }));
+        canvas.requestRenderAll();
+        return;
+      }
+
+      recordModify(target);
+    };
+
+    const handleRemoved = ({ target }) => {
+      if (!isLocalEdit() || !target.id) return;
+
+      known.delete(target.id);
+      removedIds.add(target.id);
+      queueLocal({ type: 'remove', objectId: target.id });
+    };
+
+    const applyOp = (op) => new Promise((resolve) => {
+      if (op.type === 'layers') {
+        callbacksRef.current.onLayers?.(op.layers);
+        resolve();
+        return;
+      }
+
+      if (op.type === 'scale') {
+        callbacksRef.current.onScale?.(op.scale);
+        resolve();
+        return;
+      }
+
+      const existing = findObject(op.objectId);
+      if (existing && existing.group) {
+        canvas.discardActiveObject();
+      }
+
+      switch (op.type) {
+        case 'add':
+          if (existing) break;
+          fabric.util.enlivenObjects([op.object], ([obj]) => {
+            withRemote(() => {
+              const count = canvas.getObjects().length;
+              canvas.insertAt(obj, op.index === undefined ? count : Math.min(op.index, count));
+            });
+            remember(obj);
+            resolve();
+          });
+          return;
+        case 'modify':
+          if (!existing) break;
+          withRemote(() => {
+            existing.set(op.props);
+            existing.setCoords();
+            // For whatever keeps state derived from objects (the wall layout)
+            canvas.fire('object:modified', { target: existing });
+          });
+          known.set(op.objectId, { ...known.get(op.objectId), ...op.props });
+          break;
+        case 'remove':
+          if (!existing) break;
+          withRemote(() => canvas.remove(existing));
+          known.delete(op.objectId);
+          removedIds.add(op.objectId);
+          break;
+        case 'reorder':
+          if (!existing) break;
+          withRemote(() => canvas.moveTo(existing, op.index));
+          break;
+        default:
+          break;
+      }
+      resolve();
+    });
+
+    const loadSnapshot = (snapshot) => new Promise((resolve) => {
+      applying += 1;
+      beginExternalChange(canvas);
+      canvas.loadFromJSON({ ...snapshot, background: snapshot.background || '#ffffff' }, () => {
+        applying -= 1;
+        endExternalChange(canvas);
+        known.clear();
+        canvas.getObjects().forEach(remember);
+        if (snapshot.layers) callbacksRef.current.onLayers?.(snapshot.layers);
+        if (snapshot.scale) callbacksRef.current.onScale?.(snapshot.scale);
+        resolve();
+      });
+    });
+
+    const resync = () => {
+      live = false;
+      socket.emit('canvas-sync', { designId, level, sinceSeq: lastSeq }, (res) => {
+        if (disposed) return;
+        if (!res || res.error) {
+          console.error('Canvas sync failed:', res && res.error);
+          return;
+        }
+
+        enqueue(async () => {
+          if (res.snapshot) {
+            await loadSnapshot(res.snapshot);
+          } else {
+            for (const op of res.ops) {
+              await applyOp(op);
+            }
+          }
+          lastSeq = res.seq;
+
+          // Our own unacknowledged edits go back on top, then to the server
+          for (const op of pending) {
+            await applyOp(op);
+          }
+          hasSynced = true;
+          live = socket.connected;
+          if (live) pending.forEach(send);
+          canvas.requestRenderAll();
+        });
+      });
+    };
+
+    const handleRemoteOp = (data) => {
+      if (data.designId !== designId || (data.level || null) !== level || !hasSynced) return;
+
+      enqueue(async () => {
+        if (lastSeq !== null && data.op.seq <= lastSeq) return;
+        await applyOp(data.op);
+        lastSeq = Math.max(lastSeq || 0, data.op.seq);
+        canvas.requestRenderAll();
+      });
+    };
+
+    const handleDisconnect = () => {
+      live = false;
+    };
+
+    if (!readOnly) {
+      canvas.on('object:added', handleAdded);
+      canvas.on('object:modified', handleModified);
+      canvas.on('object:removed', handleRemoved);
+    }
+    socket.on('canvas-op', handleRemoteOp);
+    socket.on('connect', resync);
+    socket.on('disconnect', handleDisconnect);
+    if (socket.connected) resync();
+
+    apiRef.current.sendReorder = (obj) => {
+      if (readOnly || !obj.id) return;
+      queueLocal({ type: 'reorder', objectId: obj.id, index: canvas.getObjects().indexOf(obj) });
+    };
+
+    apiRef.current.sendLayers = (layers) => {
+      if (readOnly) return;
+      queueLocal({ type: 'layers', layers });
+    };
+
+    apiRef.current.sendScale = (scale) => {
+      if (readOnly) return;
+      queueLocal({ type: 'scale', scale });
+    };
+
+    return () => {
+      disposed = true;
+      canvas.off('object:added', handleAdded);
+      canvas.off('object:modified', handleModified);
+      canvas.off('object:removed', handleRemoved);
+      socket.off('canvas-op', handleRemoteOp);
+      socket.off('connect', resync);
+      socket.off('disconnect', handleDisconnect);
+      apiRef.current.sendReorder = () => {};
+      apiRef.current.sendLayers = () => {};
+      apiRef.current.sendScale = () => {};
+    };
+  }, [socket, designId, readOnly, level]);
+
+  return apiRef.current;
+};
+
+export default useCanvasSync;
@@ -0,0 +1,300 @@
+import { useEffect, useRef } from 'react';
+import { fabric } from 'fabric';
+import '../utils/arrowLine';
+import '../utils/dimensionLine';
+import { createSymbol } from '../utils/architecturalSymbols';
+import '../utils/walls';
+
+const MIN_SIZE = 5; // canvas px; shorter drags are treated as clicks
+const SAME_POINT = 1; // canvas px; a double-click lands its second click here
+
+const twoPointLine = Klass => (a, b, style) => new Klass([a.x, a.y, b.x, b.y], style);
+const lengthOf = (a, b) => Math.hypot(b.x - a.x, b.y - a.y);
+
+// Press-drag-release tools. `create` builds the shape from the press and the
+// current point; `valid` rejects shapes too small to be intended.
+const DRAG_TOOLS = {
+  line: { create: twoPointLine(fabric.Line), valid: lengthOf, lockAngle: true },
+  arrow: { create: twoPointLine(fabric.Arrow), valid: lengthOf, lockAngle: true },
+  dimension: {
+    create: (a, b) => new fabric.DimensionLine([a.x, a.y, b.x, b.y]),
+    valid: lengthOf,
+    lockAngle: true
+  },
+  // Measures a known distance on an underlay; nothing is added
+  calibrate: {
+    create: (a, b) => new fabric.DimensionLine([a.x, a.y, b.x, b.y], { stroke: '#f97316' }),
+    valid: lengthOf,
+    lockAngle: true
+  },
+  rectangle: {
+    // Shift draws a square
+    create: (a, b, style, square) => {
+      let width = b.x - a.x;
+      let height = b.y - a.y;
+      if (square) {
+        const side = Math.max(Math.abs(width), Math.abs(height));
+        width = Math.sign(width || 1) * side;
+        height = Math.sign(height || 1) * side;
+      }
+      return new fabric.Rect({
+        left: Math.min(a.x, a.x + width),
+        top: Math.min(a.y, a.y + height),
+        width: Math.abs(width),
+        height: Math.abs(height),
+        fill: 'transparent',
+        ...style
+      });
+    },
+    valid: (a, b) => Math.min(Math.abs(b.x - a.x), Math.abs(b.y - a.y))
+  },
+  circle: {
+    // Press at the centre, release on the rim
+    create: (a, b, style) => {
+      const radius = lengthOf(a, b);
+      return new fabric.Circle({
+        left: a.x - radius,
+        top: a.y - radius,
+        radius,
+        fill: 'transparent',
+        ...style
+      });
+    },
+    valid: lengthOf
+  }
+};
+
+export const DRAWING_TOOLS = [...Object.keys(DRAG_TOOLS), 'polyline', 'wall', 'text', 'symbol'];
+
+// Interactive drawing for the fabric canvas: drag tools (line, arrow,
+// dimension, rectangle, circle), a polyline tool (click each vertex; double-
+// click or Enter finishes, Escape cancels), a wall tool (click each corner;
+// every click adds a wall `wallThickness` thick, double-click, Enter or
+// Escape ends the run), click-to-place text and click-to-place architectural
+// symbols (`symbolType`, sized for `scale`, then passed to `adjustSymbol`).
+// The calibrate tool hands the two ends of its drag to `onCalibrate`.
+// Shapes preview live while drawn and are handed to `addObject` when done;
+// every point goes through `snapping` (see useSnapping). `onTextPlaced` lets
+// the canvas leave the text tool so the next click doesn't place another one.
+export const useDrawingTools = (canvas, {
+  tool, style, snapping, addObject, onTextPlaced, symbolType, scale, adjustSymbol, wallThickness, onCalibrate, readOnly
+}) => {
+  const optionsRef = useRef({});
+  optionsRef.current = {
+    style, snapping, addObject, onTextPlaced, symbolType, scale, adjustSymbol, wallThickness, onCalibrate
+  };
+
+  useEffect(() => {
+    if (!canvas || readOnly || !DRAWING_TOOLS.includes(tool)) return;
+
+    const dragTool = DRAG_TOOLS[tool];
+    let start = null; // drag tools: where the press happened
+    let vertices = []; // polyline: placed points
+    let wallStart = null; // wall: where the next wall starts
+    let preview = null;
+
+    canvas.selection = false;
+    canvas.skipTargetFind = true;
+    canvas.discardActiveObject();
+    canvas.requestRenderAll();
+
+    const snapPointer = (e, origin) => {
+      const pointer = canvas.getPointer(e);
+      // Calibration points are picked off an underlay image, which the grid
+      // and the drawing's objects have nothing to do with
+      if (tool === 'calibrate') return pointer;
+      return optionsRef.current.snapping.snap(pointer, {
+        origin,
+        constrain: e.shiftKey && (tool === 'polyline' || (dragTool && dragTool.lockAngle))
+      });
+    };
+
+    const setPreview = (obj) => {
+      preview = obj;
+      if (preview) preview.canvas = canvas; // dimension labels read the canvas scale
+      canvas.requestRenderAll();
+    };
+
+    const buildPolyline = points => new fabric.Polyline(points.map(p => ({ x: p.x, y: p.y })), {
+      fill: '',
+      objectCaching: false,
+      ...optionsRef.current.style
+    });
+
+    const buildSymbol = ({ x, y }) => {
+      const symbol = createSymbol(optionsRef.current.symbolType, {
+        left: x,
+        top: y,
+        scale: optionsRef.current.scale,
+        stroke: optionsRef.current.style.stroke
+      });
+      if (optionsRef.current.adjustSymbol) optionsRef.current.adjustSymbol(symbol);
+      return symbol;
+    };
+
+    const buildWall = (a, b) => new fabric.Wall([a.x, a.y, b.x, b.y], {
+      strokeWidth: optionsRef.current.wallThickness
+    });
+
+    const endWalls = () => {
+      wallStart = null;
+      setPreview(null);
+    };
+
+    const finishPolyline = () => {
+      if (vertices.length >= 2) {
+        optionsRef.current.addObject(buildPolyline(vertices));
+      }
+      vertices = [];
+      setPreview(null);
+    };
+
+    // Presses while the view is being panned (see useViewport) aren't drawing
+    const handleMouseDown = ({ e }) => {
+      if (canvas.panMode) return;
+
+      if (tool === 'text') {
+        const { x, y } = snapPointer(e);
+        const text = new fabric.IText('Click to edit text', {
+          left: x,
+          top: y,
+          fontFamily: 'Arial',
+          fontSize: 20,
+          fill: optionsRef.current.style.stroke
+        });
+        if (optionsRef.current.addObject(text)) {
+          optionsRef.current.onTextPlaced?.();
+          canvas.setActiveObject(text);
+          text.enterEditing();
+          text.selectAll();
+        }
+        return;
+      }
+
+      if (tool === 'symbol') {
+        optionsRef.current.addObject(buildSymbol(snapPointer(e)));
+        return;
+      }
+
+      if (tool === 'wall') {
+        const p = snapPointer(e, wallStart);
+        if (!wallStart) {
+          wallStart = p;
+        } else if (lengthOf(wallStart, p) >= MIN_SIZE) {
+          optionsRef.current.addObject(buildWall(wallStart, p));
+          wallStart = p;
+        }
+        return;
+      }
+
+      if (tool === 'polyline') {
+        const p = snapPointer(e, vertices[vertices.length - 1]);
+        const last = vertices[vertices.length - 1];
+        if (!last || lengthOf(last, p) > SAME_POINT) {
+          vertices.push(p);
+        }
+        return;
+      }
+
+      start = snapPointer(e);
+    };
+
+    const handleMouseMove = ({ e }) => {
+      if (tool === 'text' || canvas.panMode) return;
+
+      // The symbol follows the pointer until it is placed
+      if (tool === 'symbol') {
+        setPreview(buildSymbol(snapPointer(e)));
+        return;
+      }
+
+      if (tool === 'wall') {
+        const p = snapPointer(e, wallStart);
+        if (wallStart) setPreview(buildWall(wallStart, p));
+        return;
+      }
+
+      if (tool === 'polyline') {
+        const last = vertices[vertices.length - 1];
+        const p = snapPointer(e, last);
+        if (last) setPreview(buildPolyline([...vertices, p]));
+        return;
+      }
+
+      // Before the press this only shows where the first point would snap
+      const p = snapPointer(e, start);
+      if (start) setPreview(dragTool.create(start, p, optionsRef.current.style, e.shiftKey));
+    };
+
+    const handleMouseUp = ({ e }) => {
+      if (!dragTool || !start) return;
+
+      const end = snapPointer(e, start);
+      if (dragTool.valid(start, end) >= MIN_SIZE) {
+        if (tool === 'calibrate') {
+          optionsRef.current.onCalibrate?.(start, end);
+        } else {
+          optionsRef.current.addObject(dragTool.create(start, end, optionsRef.current.style, e.shiftKey));
+        }
+      }
+      start = null;
+      setPreview(null);
+      optionsRef.current.snapping.clearIndicator();
+    };
+
+    const handleKeyDown = (e) => {
+      if (tool === 'wall' && wallStart && (e.key === 'Enter' || e.key === 'Escape')) {
+        e.preventDefault();
+        endWalls();
+        return;
+      }
+      if (tool !== 'polyline' || vertices.length === 0) return;
+      if (e.key === 'Enter') {
+        e.preventDefault();
+        finishPolyline();
+      } else if (e.key === 'Escape') {
+        vertices = [];
+        setPreview(null);
+      }
+    };
+
+    const drawPreview = ({ ctx }) => {
+      if (!preview || ctx !== canvas.contextContainer) return;
+      ctx.save();
+      ctx.transform(...canvas.viewportTransform);
+      preview.render(ctx);
+      ctx.restore();
+    };
+
+    canvas.on('mouse:down', handleMouseDown);
+    canvas.on('mouse:move', handleMouseMove);
+    canvas.on('mouse:up', handleMouseUp);
+    const handleDoubleClick = () => {
+      if (canvas.panMode) return;
+      if (tool === 'wall') {
+        endWalls();
+      } else {
+        finishPolyline();
+      }
+    };
+
+    canvas.on('mouse:dblclick', handleDoubleClick);
+    canvas.on('after:render', drawPreview);
+    window.addEventListener('keydown', handleKeyDown);
+
+    // An unfinished polyline is dropped when the tool changes
+    return () => {
+      canvas.selection = true;
+      canvas.skipTargetFind = false;
+      canvas.off('mouse:down', handleMouseDown);
+      canvas.off('mouse:move', handleMouseMove);
+      canvas.off('mouse:up', handleMouseUp);
+      canvas.off('mouse:dblclick', handleDoubleClick);
+      canvas.off('after:render', drawPreview);
+      window.removeEventListener('keydown', handleKeyDown);
+      optionsRef.current.snapping.clearIndicator();
+    };
+  }, [canvas, tool, readOnly]);
+};
+
+export default useDrawingTools;
@@ -0,0 +1,285 @@
+import { useEffect, useRef, useState } from 'react';
+import { applyLayerDisplay, isExternalChange } from '../utils/canvasObjects';
+
+const CHANGE_DELAY = 250; // ms; coalesces opacity slider drags into one update
+
+// Bottom of the stack first
+export const DEFAULT_LAYERS = [
+  { id: 'structure', name: 'Structure', visible: true, locked: false, opacity: 1 },
+  { id: 'furniture', name: 'Furniture', visible: true, locked: false, opacity: 1 },
+  { id: 'electrical', name: 'Electrical', visible: true, locked: false, opacity: 1 },
+  { id: 'annotations', name: 'Annotations', visible: true, locked: false, opacity: 1 }
+];
+
+const createLayerId = () => `layer-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+export const createLayer = name => ({ id: createLayerId(), name, visible: true, locked: false, opacity: 1 });
+
+// Named drawing layers for a fabric canvas. Objects carry a `layerId`; objects
+// without one (older drawings) belong to the bottom layer. Layers are kept in
+// the canvas's own stacking order: new objects go on top of their layer, and
+// moving a layer or objects between layers moves them with fabric's `moveTo`,
+// reported through `onReorder(obj, from)` like any reorder. A layer's opacity
+// and visibility are shown through its objects' `opacity` and `visible` (see
+// applyLayerDisplay), which are saved as the objects' own; hidden or locked
+// layers can't be picked.
+//
+// Layer definitions are part of the drawing, so editors' changes go through
+// `onChange(layers, previousLayers)` to be shared and recorded for undo, in one
+// `batch` with the reorders they cause.
+// Read-only viewers can still show and hide layers, but only for themselves.
+export const useLayers = (fabricCanvasRef, { initialLayers, readOnly, onChange, onReorder, batch = fn => fn() } = {}) => {
+  const [layers, setLayers] = useState(() => (initialLayers && initialLayers.length ? initialLayers : DEFAULT_LAYERS));
+  const [activeLayerId, setActiveLayerId] = useState(() => layers[0].id);
+  const [hiddenForMe, setHiddenForMe] = useState({}); // read-only visibility overrides
+  const stateRef = useRef({});
+  const callbacksRef = useRef({});
+  const changeTimerRef = useRef(null);
+  const changeBaseRef = useRef(null); // layers before the changes being coalesced
+
+  callbacksRef.current = { onChange, onReorder, batch };
+
+  const isVisible = (layer) => (layer.id in hiddenForMe ? !hiddenForMe[layer.id] : layer.visible);
+
+  stateRef.current = { layers, activeLayerId, isVisible };
+
+  // Where an object sits in the stack: its layer's place, bottom first
+  const stackRank = (obj) => {
+    const { layers } = stateRef.current;
+    return Math.max(0, layers.findIndex(layer => layer.id === obj.layerId));
+  };
+
+  // Moves objects so each layer's sit above the layers below it, keeping
+  // their order within a layer
+  const restack = () => {
+    const canvas = fabricCanvasRef.current;
+    if (readOnly || !canvas) return;
+
+    const objects = canvas.getObjects();
+    const sorted = objects
+      .map((obj, index) => ({ obj, index, rank: stackRank(obj) }))
+      .sort((a, b) => a.rank - b.rank || a.index - b.index)
+      .map(({ obj }) => obj);
+
+    sorted.forEach((obj, index) => {
+      const from = canvas.getObjects().indexOf(obj);
+      if (from === index) return;
+      canvas.moveTo(obj, index);
+      callbacksRef.current.onReorder?.(obj, from);
+    });
+    canvas.requestRenderAll();
+  };
+
+  useEffect(() => {
+    const canvas = fabricCanvasRef.current;
+    if (!canvas) return;
+
+    const layerOf = (obj) => {
+      const { layers } = stateRef.current;
+      return layers.find(layer => layer.id === obj.layerId) || layers[0];
+    };
+
+    // Hidden and locked layers take no pointer input. `layerVisible` lets
+    // other canvas tools (snapping) skip objects on hidden layers.
+    const applyLayers = () => {
+      const { isVisible } = stateRef.current;
+      canvas.getObjects().forEach((obj) => {
+        const layer = layerOf(obj);
+        const interactive = !readOnly && isVisible(layer) && !layer.locked;
+        applyLayerDisplay(obj, { opacity: layer.opacity, visible: isVisible(layer) });
+        obj.layerVisible = isVisible(layer);
+        obj.selectable = interactive;
+        obj.evented = interactive;
+      });
+    };
+
+    // Free-drawn paths are added by fabric itself; tag them before they are
+    const handleBeforePath = ({ path }) => {
+      path.layerId = stateRef.current.activeLayerId;
+    };
+
+    // This user's new objects go on top of their own layer rather than of
+    // the whole stack. This runs before the history and live sync hear of the
+    // object, so they record it where it ends up. Loaded and collaborators'
+    // objects already arrive in place.
+    const handleAdded = ({ target }) => {
+      if (readOnly || isExternalChange(canvas)) return;
+      const rank = stackRank(target);
+      const others = canvas.getObjects().filter(obj => obj !== target);
+      const index = others.reduce((top, obj, position) => (stackRank(obj) <= rank ? position + 1 : top), 0);
+      if (index !== canvas.getObjects().indexOf(target)) {
+        canvas.moveTo(target, index);
+      }
+    };
+
+    canvas.on('before:render', applyLayers);
+    canvas.on('before:path:created', handleBeforePath);
+    canvas.on('object:added', handleAdded);
+
+    return () => {
+      canvas.off('before:render', applyLayers);
+      canvas.off('before:path:created', handleBeforePath);
+      canvas.off('object:added', handleAdded);
+    };
+  }, [readOnly]);
+
+  useEffect(() => {
+    fabricCanvasRef.current?.requestRenderAll();
+  }, [layers, hiddenForMe]);
+
+  useEffect(() => () => clearTimeout(changeTimerRef.current), []);
+
+  // Changes build on the latest layers in stateRef rather than this render's,
+  // as more than one can be made between renders
+  const commit = (updater) => {
+    const current = stateRef.current.layers;
+    const next = updater(current);
+    if (next === current) return;
+
+    if (!changeTimerRef.current) {
+      changeBaseRef.current = current;
+    }
+    stateRef.current = { ...stateRef.current, layers: next };
+    setLayers(next);
+    clearTimeout(changeTimerRef.current);
+    changeTimerRef.current = setTimeout(() => {
+      changeTimerRef.current = null;
+      const { onChange, batch } = callbacksRef.current;
+      batch(() => {
+        onChange?.(next, changeBaseRef.current);
+        restack();
+      });
+    }, CHANGE_DELAY);
+  };
+
+  const updateLayer = (id, changes) => {
+    commit(prev => prev.map(layer => (layer.id === id ? { ...layer, ...changes } : layer)));
+  };
+
+  const releaseSelection = () => {
+    const canvas = fabricCanvasRef.current;
+    if (canvas) {
+      canvas.discardActiveObject();
+      canvas.requestRenderAll();
+    }
+  };
+
+  const toggleVisibility = (id) => {
+    const layer = layers.find(l => l.id === id);
+    if (!layer) return;
+
+    releaseSelection();
+    if (readOnly) {
+      setHiddenForMe(prev => ({ ...prev, [id]: isVisible(layer) }));
+    } else {
+      updateLayer(id, { visible: !layer.visible });
+    }
+  };
+
+  const toggleLock = (id) => {
+    const layer = layers.find(l => l.id === id);
+    if (readOnly || !layer) return;
+
+    releaseSelection();
+    updateLayer(id, { locked: !layer.locked });
+  };
+
+  const setOpacity = (id, opacity) => {
+    if (readOnly) return;
+    updateLayer(id, { opacity: Math.max(0, Math.min(1, opacity)) });
+  };
+
+  // direction: 1 moves the layer up the stack, -1 down
+  const moveLayer = (id, direction) => {
+    if (readOnly) return;
+    commit((prev) => {
+      const index = prev.findIndex(layer => layer.id === id);
+      const target = index + direction;
+      if (index === -1 || target < 0 || target >= prev.length) return prev;
+
+      const next = [...prev];
+      [next[index], next[target]] = [next[target], next[index]];
+      return next;
+    });
+  };
+
+  const addLayer = (name) => {
+    if (readOnly || !name || !name.trim()) return;
+
+    const layer = createLayer(name.trim());
+    commit(prev => [...prev, layer]);
+    setActiveLayerId(layer.id);
+  };
+
+  const renameLayer = (id, name) => {
+    if (readOnly || !name || !name.trim()) return;
+    updateLayer(id, { name: name.trim() });
+  };
+
+  // Adds the layers the drawing doesn't have yet (by id) in one change, at
+  // the top of the stack or, with `atBottom`, the bottom (as for underlays)
+  const ensureLayers = (added, { atBottom = false } = {}) => {
+    if (readOnly) return;
+    commit((prev) => {
+      const missing = added.filter(layer => !prev.some(existing => existing.id === layer.id)).map(layer => ({ ...layer }));
+      if (missing.length === 0) return prev;
+      return atBottom ? [...missing, ...prev] : [...prev, ...missing];
+    });
+  };
+
+  // Moves the current selection onto a layer. The selection is released first
+  // so every object reports absolute coordinates when it is marked modified.
+  const moveSelectionToLayer = (id) => {
+    const canvas = fabricCanvasRef.current;
+    if (readOnly || !canvas) return;
+
+    const objects = canvas.getActiveObjects();
+    canvas.discardActiveObject();
+    callbacksRef.current.batch(() => {
+      objects.forEach((obj) => {
+        obj.layerId = id;
+        canvas.fire('object:modified', { target: obj });
+      });
+      restack();
+    });
+  };
+
+  // Layer definitions from collaborators or undo; not reported through onChange
+  const replaceLayers = (next) => {
+    if (!Array.isArray(next) || next.length === 0) return;
+
+    clearTimeout(changeTimerRef.current);
+    changeTimerRef.current = null;
+    stateRef.current = { ...stateRef.current, layers: next };
+    setLayers(next);
+    if (!next.some(layer => layer.id === stateRef.current.activeLayerId)) {
+      setActiveLayerId(next[0].id);
+    }
+  };
+
+  const activeLayer = layers.find(layer => layer.id === activeLayerId) || layers[0];
+
+  return {
+    layers,
+    activeLayer,
+    setActiveLayerId,
+    isVisible,
+    isActiveLayerEditable: !readOnly && isVisible(activeLayer) && !activeLayer.locked,
+    assignActiveLayer: (obj) => {
+      obj.layerId = activeLayer.id;
+      return obj;
+    },
+    toggleVisibility,
+    toggleLock,
+    setOpacity,
+    moveLayer,
+    addLayer,
+    renameLayer,
+    ensureLayers,
+    moveSelectionToLayer,
+    replaceLayers,
+    restack
+  };
+};
+
+export default useLayers;
@@ -0,0 +1,35 @@
+import { useState, useEffect } from 'react';
+import { getEntries, subscribe } from '../utils/offlineOutbox';
+
+// Live view of the offline outbox, optionally narrowed with a predicate
+export const useOutbox = (matches = () => true) => {
+  const [entries, setEntries] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+    const refresh = () => {
+      getEntries()
+        .then((all) => {
+          if (!cancelled) setEntries(all);
+        })
+        .catch(() => {});
+    };
+
+    refresh();
+    const unsubscribe = subscribe(refresh);
+    return () => {
+      cancelled = true;
+      unsubscribe();
+    };
+  }, []);
+
+  const relevant = entries.filter(matches);
+  return {
+    pending: relevant.filter(entry => entry.status === 'pending'),
+    conflicts: relevant.filter(entry => entry.status === 'conflict'),
+    // Turned away as unauthorised; they can only be discarded
+    undeliverable: relevant.filter(entry => entry.status === 'undeliverable')
+  };
+};
+
+export default useOutbox;
@@ -0,0 +1,78 @@
+import { useState, useEffect } from 'react';
+import { useSocket } from '../contexts/SocketContext';
+
+const IDLE_TIMEOUT = 2 * 60 * 1000; // 2 minutes without input
+
+// Joins a project or design room and keeps the live roster of who has it open.
+// type is 'project' or 'design'; the server names design rooms `design:<id>`.
+export const usePresence = (type, id) => {
+  const socket = useSocket();
+  const [members, setMembers] = useState([]);
+
+  useEffect(() => {
+    if (!socket || !id) return;
+
+    const room = type === 'design' ? `design:${id}` : id;
+    const join = () => socket.emit(`join-${type}`, id);
+
+    const handleRoster = (data) => {
+      if (data.room === room) setMembers(data.members);
+    };
+
+    const handleJoin = (data) => {
+      if (data.room !== room) return;
+      setMembers(prev => [...prev.filter(m => m.userId !== data.member.userId), data.member]);
+    };
+
+    const handleLeave = (data) => {
+      if (data.room !== room) return;
+      setMembers(prev => prev.filter(m => m.userId !== data.member.userId));
+    };
+
+    const handleIdle = (data) => {
+      if (data.room !== room) return;
+      setMembers(prev => prev.map(m => m.userId === data.member.userId ? data.member : m));
+    };
+
+    socket.on('connect', join);
+    socket.on('presence-roster', handleRoster);
+    socket.on('presence-join', handleJoin);
+    socket.on('presence-leave', handleLeave);
+    socket.on('presence-idle', handleIdle);
+    if (socket.connected) join();
+
+    // Idle detection: any input marks us active again
+    let idle = false;
+    let idleTimer = null;
+    const resetIdle = () => {
+      if (idle) {
+        idle = false;
+        socket.emit('presence-status', 'active');
+      }
+      clearTimeout(idleTimer);
+      idleTimer = setTimeout(() => {
+        idle = true;
+        socket.emit('presence-status', 'idle');
+      }, IDLE_TIMEOUT);
+    };
+    const activityEvents = ['mousemove', 'keydown', 'pointerdown', 'wheel'];
+    activityEvents.forEach(event => window.addEventListener(event, resetIdle));
+    resetIdle();
+
+    return () => {
+      clearTimeout(idleTimer);
+      activityEvents.forEach(event => window.removeEventListener(event, resetIdle));
+      socket.off('connect', join);
+      socket.off('presence-roster', handleRoster);
+      socket.off('presence-join', handleJoin);
+      socket.off('presence-leave', handleLeave);
+      socket.off('presence-idle', handleIdle);
+      socket.emit(`leave-${type}`, id);
+      setMembers([]);
+    };
+  }, [socket, type, id]);
+
+  return members;
+};
+
+export default usePresence;
@@ -0,0 +1,136 @@
+import { useEffect, useRef } from 'react';
+import { mmToPixels, getGridStep } from '../utils/units';
+import {
+  getObjectGeometry,
+  getSnapTargets,
+  snapPoint,
+  constrainAngle,
+  drawSnapIndicator
+} from '../utils/snapping';
+
+const SNAP_TOLERANCE = 10; // screen px
+
+// Snapping for the fabric drawing canvas. gridSnap is 'off', 'grid' (the
+// visible grid) or a step in mm; objectSnap snaps to endpoints, midpoints,
+// centres and intersections of other objects. Dragged objects snap by
+// themselves, and hold Shift to move along 0/45/90°. Drawing tools call
+// `snap(point, { origin, constrain })` for each point they place.
+export const useSnapping = (canvas, { gridSnap = 'off', objectSnap = false, scale, units, readOnly }) => {
+  const indicatorRef = useRef(null);
+  const settingsRef = useRef({});
+
+  settingsRef.current = { gridSnap, objectSnap, scale, units };
+
+  const getGridStepPx = () => {
+    const { gridSnap, scale, units } = settingsRef.current;
+    if (gridSnap === 'off' || !canvas) return null;
+    const stepMm = gridSnap === 'grid' ? getGridStep(scale, units, canvas.getZoom()) : gridSnap;
+    return mmToPixels(stepMm, scale);
+  };
+
+  const getTolerance = () => SNAP_TOLERANCE / (canvas ? canvas.getZoom() : 1);
+
+  const setIndicator = (snap) => {
+    indicatorRef.current = snap && snap.kind ? snap : null;
+    if (canvas) canvas.requestRenderAll();
+  };
+
+  useEffect(() => {
+    if (!canvas || readOnly) return;
+
+    let dragTargets = null; // snap targets, worked out once per drag
+
+    const drawIndicator = ({ ctx }) => {
+      if (ctx === canvas.contextContainer) drawSnapIndicator(ctx, canvas, indicatorRef.current);
+    };
+
+    const handleMoving = ({ target, e }) => {
+      const transform = canvas._currentTransform;
+      const gridStep = getGridStepPx();
+      const { objectSnap } = settingsRef.current;
+
+      if (e.shiftKey && transform) {
+        const locked = constrainAngle(
+          { x: transform.original.left, y: transform.original.top },
+          { x: target.left, y: target.top }
+        );
+        target.set({ left: locked.x, top: locked.y });
+      }
+      if (!gridStep && !objectSnap) return;
+
+      target.setCoords();
+      if (!dragTargets) {
+        const exclude = target.type === 'activeSelection' ? [target, ...target.getObjects()] : [target];
+        dragTargets = objectSnap ? getSnapTargets(canvas, exclude) : [];
+      }
+
+      // Whichever of the object's own points lands closest to a target leads
+      const ownPoints = getObjectGeometry(target).points;
+      const best = ownPoints
+        .map((p) => {
+          const snap = snapPoint(p, { targets: dragTargets, tolerance: getTolerance() });
+          return { p, snap, distance: Math.hypot(snap.x - p.x, snap.y - p.y) };
+        })
+        .filter(({ snap }) => snap.kind)
+        .sort((a, b) => a.distance - b.distance)[0];
+
+      let lead = best;
+      if (!lead && gridStep && ownPoints.length > 0) {
+        const p = ownPoints[0];
+        lead = { p, snap: snapPoint(p, { gridStep }) };
+      }
+      if (!lead) {
+        setIndicator(null);
+        return;
+      }
+
+      target.set({
+        left: target.left + lead.snap.x - lead.p.x,
+        top: target.top + lead.snap.y - lead.p.y
+      });
+      target.setCoords();
+      setIndicator(lead.snap);
+    };
+
+    const handleMouseUp = () => {
+      dragTargets = null;
+      if (indicatorRef.current) setIndicator(null);
+    };
+
+    canvas.on('object:moving', handleMoving);
+    canvas.on('mouse:up', handleMouseUp);
+    canvas.on('after:render', drawIndicator);
+
+    return () => {
+      canvas.off('object:moving', handleMoving);
+      canvas.off('mouse:up', handleMouseUp);
+      canvas.off('after:render', drawIndicator);
+      indicatorRef.current = null;
+    };
+  }, [canvas, readOnly]);
+
+  return {
+    // Snaps a point being placed by a tool and shows where it snapped. With
+    // `constrain`, the point is first locked to 0/45/90° around `origin`.
+    snap: (p, { origin, constrain = false, exclude = [] } = {}) => {
+      if (!canvas) return p;
+
+      const start = constrain && origin ? constrainAngle(origin, p) : p;
+      const targets = settingsRef.current.objectSnap ? getSnapTargets(canvas, exclude) : [];
+      let result = snapPoint(start, { targets, gridStep: getGridStepPx(), tolerance: getTolerance() });
+
+      // Keep the angle lock: slide the snapped point back onto the locked direction
+      if (constrain && origin && result.kind) {
+        const locked = constrainAngle(origin, result);
+        const offLine = Math.hypot(locked.x - result.x, locked.y - result.y) > 0.5;
+        result = { ...locked, kind: offLine ? null : result.kind };
+      }
+
+      setIndicator(result);
+      return { x: result.x, y: result.y };
+    },
+    clearIndicator: () => setIndicator(null)
+  };
+};
+
+export default useSnapping;
@@ -0,0 +1,133 @@
+import { useEffect, useState } from 'react';
+import axios from 'axios';
+import { fabric } from 'fabric';
+import { mmToPixels } from '../utils/units';
+
+// Underlays sit on their own layer at the bottom of the stack, locked and
+// half transparent so they can be traced over without being picked
+export const UNDERLAY_LAYER = {
+  id: 'underlay',
+  name: 'Underlay',
+  visible: true,
+  locked: true,
+  opacity: 0.5
+};
+
+const INITIAL_FILL = 0.8; // share of the view a new underlay covers
+const IMAGE_TYPES = ['image/png', 'image/jpeg'];
+
+export const isUnderlay = obj => obj.type === 'image' && obj.layerId === UNDERLAY_LAYER.id;
+
+const loadImage = url => new Promise((resolve, reject) => {
+  fabric.Image.fromURL(url, (img, failed) => {
+    if (failed || !img) {
+      reject(new Error('The underlay image could not be loaded'));
+    } else {
+      resolve(img);
+    }
+  }, { crossOrigin: 'anonymous' });
+});
+
+// Tracing underlays for DrawingCanvas: reference images or PDF pages uploaded
+// to the server (which rasterises them) and placed as fabric images on the
+// underlay layer. Two-point calibration scales an underlay so a distance on
+// it measures its real length at the drawing scale. `acceptedTypes` are the
+// MIME types the server takes; PDFs only when it can read them.
+export const useUnderlays = (canvas, { designId, layerControls }) => {
+  const [hasUnderlays, setHasUnderlays] = useState(false);
+  const [acceptedTypes, setAcceptedTypes] = useState(IMAGE_TYPES);
+
+  useEffect(() => {
+    let cancelled = false;
+    axios.get('/api/underlays/formats')
+      .then(({ data }) => {
+        if (!cancelled && Array.isArray(data.types)) setAcceptedTypes(data.types);
+      })
+      .catch(() => {}); // images alone, then
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!canvas) return;
+    const refresh = () => setHasUnderlays(canvas.getObjects().some(isUnderlay));
+    refresh();
+    canvas.on('object:added', refresh);
+    canvas.on('object:removed', refresh);
+    return () => {
+      canvas.off('object:added', refresh);
+      canvas.off('object:removed', refresh);
+    };
+  }, [canvas]);
+
+  // Uploads a PNG, JPEG or PDF (of which `page`, counting from 1) and places
+  // it over the middle of the view. Resolves to the server's description of
+  // the upload; failures reject with the server's message.
+  const importUnderlay = async (file, page = 1) => {
+    const form = new FormData();
+    form.append('file', file);
+    form.append('page', String(page));
+
+    let upload;
+    try {
+      ({ data: upload } = await axios.post(`/api/designs/${designId}/underlays`, form));
+    } catch (error) {
+      throw new Error(error.response?.data?.message || 'The underlay could not be uploaded');
+    }
+    const img = await loadImage(upload.url);
+
+    const visible = canvas.calcViewportBoundaries();
+    const viewWidth = visible.br.x - visible.tl.x;
+    const viewHeight = visible.br.y - visible.tl.y;
+    const fit = Math.min((viewWidth * INITIAL_FILL) / img.width, (viewHeight * INITIAL_FILL) / img.height);
+    img.set({
+      originX: 'center',
+      originY: 'center',
+      left: visible.tl.x + viewWidth / 2,
+      top: visible.tl.y + viewHeight / 2,
+      scaleX: fit,
+      scaleY: fit
+    });
+    img.layerId = UNDERLAY_LAYER.id;
+
+    layerControls.ensureLayers([UNDERLAY_LAYER], { atBottom: true });
+    canvas.add(img);
+    canvas.requestRenderAll();
+    return upload;
+  };
+
+  // The underlay to calibrate from a point on it: the topmost one there, or
+  // the only one
+  const underlayAt = (point) => {
+    const underlays = canvas.getObjects().filter(isUnderlay);
+    const hits = underlays.filter(img => img.containsPoint(new fabric.Point(point.x, point.y), null, true));
+    if (hits.length > 0) return hits[hits.length - 1];
+    return underlays.length === 1 ? underlays[0] : null;
+  };
+
+  // Scales the underlay under `a` about `a` so that the distance from a to b
+  // is `lengthMm` at the drawing scale. Returns false when there is no
+  // underlay to calibrate.
+  const calibrateUnderlay = (a, b, lengthMm, scale) => {
+    const img = underlayAt(a);
+    const measured = Math.hypot(b.x - a.x, b.y - a.y);
+    if (!img || measured === 0) return false;
+
+    const factor = mmToPixels(lengthMm, scale) / measured;
+    img.set({
+      left: a.x + (img.left - a.x) * factor,
+      top: a.y + (img.top - a.y) * factor,
+      scaleX: img.scaleX * factor,
+      scaleY: img.scaleY * factor
+    });
+    img.setCoords();
+    canvas.requestRenderAll();
+    canvas.fire('object:modified', { target: img });
+    return true;
+  };
+
+  return { hasUnderlays, acceptedTypes, importUnderlay, calibrateUnderlay };
+};
+
+export default useUnderlays;
@@ -0,0 +1,195 @@
+import { useCallback, useEffect, useState } from 'react';
+import { fabric } from 'fabric';
+import { isTypingTarget } from '../utils/commandHistory';
+import {
+  ZOOM_STEP,
+  zoomViewAt,
+  wheelZoomFactor,
+  fitView,
+  centreViewOn,
+  getVisibleBounds,
+  unionBounds
+} from '../utils/viewport';
+
+const EXPORT_MARGIN = 20; // canvas px around the drawing in image exports
+
+const getView = (canvas) => {
+  const [zoom, , , , x, y] = canvas.viewportTransform;
+  return { zoom, x, y };
+};
+
+const setView = (canvas, { zoom, x, y }) => {
+  canvas.setViewportTransform([zoom, 0, 0, zoom, x, y]);
+  canvas.requestRenderAll();
+};
+
+const isShown = obj => obj.visible && obj.layerVisible !== false;
+
+// Bounds of everything shown on the canvas, in canvas coordinates, or null
+export const getContentBounds = canvas => canvas.getObjects()
+  .filter(isShown)
+  .reduce((bounds, obj) => unionBounds(bounds, obj.getBoundingRect(true, true)), null);
+
+// toDataURL options that export the whole drawing at 1:1, wherever the view is
+export const getExportArea = (canvas) => {
+  const bounds = getContentBounds(canvas);
+  if (!bounds) return {};
+  const { zoom, x, y } = getView(canvas);
+  return {
+    left: (bounds.left - EXPORT_MARGIN) * zoom + x,
+    top: (bounds.top - EXPORT_MARGIN) * zoom + y,
+    width: (bounds.width + 2 * EXPORT_MARGIN) * zoom,
+    height: (bounds.height + 2 * EXPORT_MARGIN) * zoom,
+    multiplier: 1 / zoom
+  };
+};
+
+// Zoom and pan for the fabric canvas, whose drawing has no edges: the wheel
+// zooms about the pointer, and holding Space turns dragging into panning.
+// While Space is held the canvas's `panMode` is set and its drawing and
+// selection are put aside, so drawing tools leave the press alone.
+//
+// Also provides the scene for a Minimap of the drawing.
+export const useViewport = (canvas) => {
+  const [zoom, setZoom] = useState(1);
+
+  useEffect(() => {
+    if (!canvas) return;
+
+    let saved = null; // canvas settings put aside while panning
+    let pan = null; // last pointer position of a pan in progress
+    let releasePending = false; // Space let go mid-pan
+
+    const enterPanMode = () => {
+      saved = {
+        isDrawingMode: canvas.isDrawingMode,
+        selection: canvas.selection,
+        skipTargetFind: canvas.skipTargetFind,
+        defaultCursor: canvas.defaultCursor
+      };
+      canvas.panMode = true;
+      canvas.isDrawingMode = false;
+      canvas.selection = false;
+      canvas.skipTargetFind = true;
+      canvas.defaultCursor = 'grab';
+      canvas.setCursor('grab');
+    };
+
+    const leavePanMode = () => {
+      if (!saved) return;
+      Object.assign(canvas, saved);
+      canvas.panMode = false;
+      canvas.setCursor(canvas.defaultCursor);
+      saved = null;
+      pan = null;
+      releasePending = false;
+    };
+
+    const handleWheel = ({ e }) => {
+      e.preventDefault();
+      e.stopPropagation();
+      const view = getView(canvas);
+      setView(canvas, zoomViewAt(view, { x: e.offsetX, y: e.offsetY }, view.zoom * wheelZoomFactor(e)));
+    };
+
+    const handleMouseDown = ({ e }) => {
+      if (!canvas.panMode) return;
+      pan = { x: e.clientX, y: e.clientY };
+      canvas.setCursor('grabbing');
+    };
+
+    const handleMouseMove = ({ e }) => {
+      if (!pan) return;
+      canvas.relativePan(new fabric.Point(e.clientX - pan.x, e.clientY - pan.y));
+      pan = { x: e.clientX, y: e.clientY };
+      canvas.setCursor('grabbing');
+    };
+
+    const handleMouseUp = () => {
+      if (!pan) return;
+      pan = null;
+      if (releasePending) {
+        leavePanMode();
+      } else {
+        canvas.setCursor('grab');
+      }
+    };
+
+    const handleKeyDown = (e) => {
+      if (e.code !== 'Space' || isTypingTarget(e.target)) return;
+      // Space would otherwise scroll the page
+      e.preventDefault();
+      if (!saved) enterPanMode();
+    };
+
+    const handleKeyUp = (e) => {
+      if (e.code !== 'Space' || !saved) return;
+      if (pan) {
+        releasePending = true;
+      } else {
+        leavePanMode();
+      }
+    };
+
+    const handleRender = () => setZoom(canvas.getZoom());
+
+    canvas.on('mouse:wheel', handleWheel);
+    canvas.on('mouse:down', handleMouseDown);
+    canvas.on('mouse:move', handleMouseMove);
+    canvas.on('mouse:up', handleMouseUp);
+    canvas.on('after:render', handleRender);
+    window.addEventListener('keydown', handleKeyDown);
+    window.addEventListener('keyup', handleKeyUp);
+    window.addEventListener('blur', leavePanMode);
+
+    return () => {
+      leavePanMode();
+      canvas.off('mouse:wheel', handleWheel);
+      canvas.off('mouse:down', handleMouseDown);
+      canvas.off('mouse:move', handleMouseMove);
+      canvas.off('mouse:up', handleMouseUp);
+      canvas.off('after:render', handleRender);
+      window.removeEventListener('keydown', handleKeyDown);
+      window.removeEventListener('keyup', handleKeyUp);
+      window.removeEventListener('blur', leavePanMode);
+    };
+  }, [canvas]);
+
+  // Zooms about the middle of the canvas
+  const zoomTo = (getZoom) => {
+    if (!canvas) return;
+    const view = getView(canvas);
+    const centre = { x: canvas.getWidth() / 2, y: canvas.getHeight() / 2 };
+    setView(canvas, zoomViewAt(view, centre, getZoom(view.zoom)));
+  };
+
+  const getScene = () => ({
+    content: getContentBounds(canvas),
+    view: getVisibleBounds(getView(canvas), canvas.getWidth(), canvas.getHeight()),
+    draw: (ctx) => {
+      // Objects out of view are normally skipped, but the map shows them all
+      const skipOffscreen = canvas.skipOffscreen;
+      canvas.skipOffscreen = false;
+      canvas.getObjects().forEach(obj => obj.render(ctx));
+      canvas.skipOffscreen = skipOffscreen;
+    }
+  });
+
+  const subscribe = useCallback((listener) => {
+    canvas.on('after:render', listener);
+    return () => canvas.off('after:render', listener);
+  }, [canvas]);
+
+  return {
+    zoom,
+    zoomIn: () => zoomTo(current => current * ZOOM_STEP),
+    zoomOut: () => zoomTo(current => current / ZOOM_STEP),
+    resetZoom: () => zoomTo(() => 1),
+    fitToContent: () => canvas && setView(canvas, fitView(getContentBounds(canvas), canvas.getWidth(), canvas.getHeight())),
+    navigate: point => canvas && setView(canvas, centreViewOn(getView(canvas), point, canvas.getWidth(), canvas.getHeight())),
+    getScene,
+    subscribe
+  };
+};
+
+export default useViewport;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Design = require('./models/Design');
+const { getTokenUserId, getBearerToken, isProjectMember } = require('./access');
+const sceneSync = require('./sceneSync');
+
+// The revision a sketch save is checked against: when it was last saved here.
+// Live plan edits move `lastModified` on too but leave `lastSaved` alone, as
+// saves can't overwrite plans (see keepLivePlans). Older sketches only have
+// `lastModified`.
+const savedRevision = sketchData => (
+  (sketchData && (sketchData.lastSaved !== undefined ? sketchData.lastSaved : sketchData.lastModified)) || null
+);
+
+// Sketch saves carry the revision of the sketch the client last saw as
+// `baseLastModified`. If the stored sketch has moved on since (another user, or
+// an offline save replayed late) we answer 409 with the current copy instead of
+// letting the older write overwrite it. Requests we can't authorise here are
+// passed through untouched for the route's own auth to reject.
+const checkSketchVersion = async (req, res, next) => {
+  if (!req.body || !req.body.sketchData || !('baseLastModified' in req.body) ||
+      !mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next();
+  }
+
+  try {
+    const userId = getTokenUserId(getBearerToken(req.headers.authorization));
+    const design = await Design.findById(req.params.id).select('sketchData project').populate('project');
+    if (!userId || !design || !design.project || !isProjectMember(design.project, userId)) {
+      return next();
+    }
+
+    const current = savedRevision(design.sketchData);
+    if (current && current !== req.body.baseLastModified) {
+      return res.status(409).json({
+        message: 'This sketch was changed by someone else',
+        sketchData: design.sketchData
+      });
+    }
+
+    delete req.body.baseLastModified;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Floor plans are written by live editing alone (see sceneSync): a sketch
+// save gets the plans as stored, with any ops still waiting to be persisted,
+// in place of the copies it sent, which may be missing other people's edits.
+// Plans of levels the save removes stay removed. Saves stamp `lastSaved`.
+const keepLivePlans = async (req, res, next) => {
+  const sketchData = req.body && req.body.sketchData;
+  if (!sketchData || typeof sketchData !== 'object' || !mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return next();
+  }
+
+  try {
+    await sceneSync.flushScenes(req.params.id);
+    const design = await Design.findById(req.params.id).select('sketchData.plan sketchData.levelPlans').lean();
+    const stored = (design && design.sketchData) || {};
+
+    if (stored.plan) {
+      sketchData.plan = stored.plan;
+    }
+    Object.entries(stored.levelPlans || {}).forEach(([level, levelPlan]) => {
+      const saved = sketchData.levelPlans && sketchData.levelPlans[level];
+      if (saved && levelPlan && levelPlan.plan) {
+        sketchData.levelPlans[level] = { ...saved, plan: levelPlan.plan };
+      }
+    });
+    sketchData.lastSaved = sketchData.lastModified || null;
+
+    // Ops persisted between our read and the save landing are put back after it
+    res.on('finish', () => {
+      sceneSync.touchScenes(req.params.id)
+        .catch(error => console.error('touchScenes error:', error.message));
+    });
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = { checkSketchVersion, keepLivePlans };
@@ -0,0 +1,75 @@
+// Views for the drawing canvases. A view maps drawing coordinates to screen
+// ones: screen = point * zoom + (x, y). The drawing itself has no edges; the
+// view is a window onto it that can be zoomed and moved anywhere.
+//
+// Bounds are { left, top, width, height } in drawing coordinates.
+
+export const MIN_ZOOM = 0.05;
+export const MAX_ZOOM = 20;
+export const ZOOM_STEP = 1.25; // zoom in/out buttons
+const WHEEL_ZOOM_RATE = 0.002; // per pixel of wheel movement
+const FIT_MARGIN = 40; // screen px left around the drawing by "fit to content"
+
+export const DEFAULT_VIEW = { zoom: 1, x: 0, y: 0 };
+
+export const clampZoom = zoom => Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, zoom));
+
+// How much one wheel event zooms by. Line-based wheels report lines rather
+// than pixels; trackpad pinches arrive as small ctrl+wheel steps.
+export const wheelZoomFactor = (e) => {
+  const delta = e.deltaMode === 1 ? e.deltaY * 16 : e.deltaY;
+  return Math.exp(-delta * WHEEL_ZOOM_RATE);
+};
+
+// The view zoomed to `zoom`, keeping the drawing under `screenPoint` in place
+export const zoomViewAt = (view, screenPoint, zoom) => {
+  const next = clampZoom(zoom);
+  const anchor = {
+    x: (screenPoint.x - view.x) / view.zoom,
+    y: (screenPoint.y - view.y) / view.zoom
+  };
+  return { zoom: next, x: screenPoint.x - anchor.x * next, y: screenPoint.y - anchor.y * next };
+};
+
+// The part of the drawing a width × height frame shows
+export const getVisibleBounds = (view, width, height) => ({
+  left: -view.x / view.zoom,
+  top: -view.y / view.zoom,
+  width: width / view.zoom,
+  height: height / view.zoom
+});
+
+// Bounds covering both; either may be null
+export const unionBounds = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  const left = Math.min(a.left, b.left);
+  const top = Math.min(a.top, b.top);
+  return {
+    left,
+    top,
+    width: Math.max(a.left + a.width, b.left + b.width) - left,
+    height: Math.max(a.top + a.height, b.top + b.height) - top
+  };
+};
+
+// The view of a width × height frame centred on a drawing point
+export const centreViewOn = (view, point, width, height) => ({
+  zoom: view.zoom,
+  x: width / 2 - point.x * view.zoom,
+  y: height / 2 - point.y * view.zoom
+});
+
+// The view showing all of `bounds` in a width × height frame, or the
+// default view when there is nothing to show
+export const fitView = (bounds, width, height) => {
+  if (!bounds) return DEFAULT_VIEW;
+  const zoom = clampZoom(Math.min(
+    (width - 2 * FIT_MARGIN) / Math.max(bounds.width, 1),
+    (height - 2 * FIT_MARGIN) / Math.max(bounds.height, 1)
+  ));
+  return centreViewOn({ zoom }, {
+    x: bounds.left + bounds.width / 2,
+    y: bounds.top + bounds.height / 2
+  }, width, height);
+};
@@ -0,0 +1,520 @@
+import { fabric } from 'fabric';
+import { pixelsToMm, DEFAULT_SCALE, MM_PER_INCH } from './units';
+
+// Walls for the floor plan. Each wall is a straight `wall` object: its
+// centreline is the line and its thickness is the stroke width, so it hit-
+// tests and selects with its full thickness. Walls are drawn from a layout of
+// every wall on the canvas, which is what cleans up the joins:
+// - two walls meeting end to end are mitred (an L, or a straight run)
+// - three or more ends at one point, or an end on the side of another wall
+//   (a T), overlap and lose the outline where they overlap
+// - walls crossing (an X) lose the outline inside each other
+// Door and window symbols (see architecturalSymbols) lying on a wall cut an
+// opening through it.
+
+const JOIN_TOLERANCE = 1; // canvas px; wall ends closer than this share a node
+const MITER_LIMIT = 4; // multiples of the wider wall's half-thickness
+const OUTLINE_WIDTH = 1.5; // screen px
+const OPENING_ALIGNMENT = Math.sin((10 * Math.PI) / 180);
+const EPSILON = 0.01;
+
+const WALL_THICKNESSES_MM = {
+  metric: [100, 150, 200, 250, 300],
+  imperial: [4, 6, 8, 10, 12].map(inches => inches * MM_PER_INCH)
+};
+
+// Usual wall thicknesses, in mm, offered by the wall tool for the given units
+export const getWallThicknesses = (units = 'metric') => WALL_THICKNESSES_MM[units] || WALL_THICKNESSES_MM.metric;
+
+// Where each opening symbol meets the wall, in its own coordinates
+const OPENING_ANCHORS = {
+  door: symbol => ({ x: 0, y: symbol.height / 2 }), // the wall line the door swings from
+  window: () => ({ x: 0, y: 0 })
+};
+
+const sub = (a, b) => ({ x: a.x - b.x, y: a.y - b.y });
+const dot = (a, b) => a.x * b.x + a.y * b.y;
+const cross = (a, b) => a.x * b.y - a.y * b.x;
+const distance = (a, b) => Math.hypot(a.x - b.x, a.y - b.y);
+
+const toCanvas = (obj, x, y) => fabric.util.transformPoint(new fabric.Point(x, y), obj.calcTransformMatrix());
+
+// The wall's centreline and frame in canvas coordinates
+const getAxis = (wall) => {
+  const { x1, y1, x2, y2 } = wall.calcLinePoints();
+  const a = toCanvas(wall, x1, y1);
+  const b = toCanvas(wall, x2, y2);
+  const length = distance(a, b);
+  const u = length ? { x: (b.x - a.x) / length, y: (b.y - a.y) / length } : { x: 1, y: 0 };
+  return { wall, a, b, length, u, n: { x: -u.y, y: u.x }, half: wall.strokeWidth / 2 };
+};
+
+// Point at distance t along the centreline and s to its left (n) side
+const at = (axis, t, s) => ({
+  x: axis.a.x + axis.u.x * t + axis.n.x * s,
+  y: axis.a.y + axis.u.y * t + axis.n.y * s
+});
+
+const toFrame = (axis, p) => {
+  const d = sub(p, axis.a);
+  return { t: dot(d, axis.u), s: dot(d, axis.n) };
+};
+
+const endPoint = (axis, end) => (end === 0 ? axis.a : axis.b);
+
+// Direction from an end into the wall
+const inward = (axis, end) => (end === 0 ? axis.u : { x: -axis.u.x, y: -axis.u.y });
+
+const perp = d => ({ x: -d.y, y: d.x });
+
+// How far each side of a mitred end reaches past the end point. `side` is +1
+// or -1 around the inward direction `d`; returns null when there is no usable
+// mitre (parallel walls, or a joint so sharp it would spike).
+const mitre = (own, other, side) => {
+  const denominator = cross(own.d, { x: -other.d.x, y: -other.d.y });
+  if (Math.abs(denominator) < 1e-6) return null;
+
+  const ownNormal = perp(own.d);
+  const otherNormal = perp(other.d);
+  const c = {
+    x: -side * (other.half * otherNormal.x + own.half * ownNormal.x),
+    y: -side * (other.half * otherNormal.y + own.half * ownNormal.y)
+  };
+  const t = cross(c, { x: -other.d.x, y: -other.d.y }) / denominator;
+  if (Math.abs(t) > MITER_LIMIT * Math.max(own.half, other.half)) return null;
+  return -t;
+};
+
+// Which of `axes` an end lies on the side of, away from that wall's own ends
+const findTee = (axes, own, p) => axes.find((axis) => {
+  if (axis === own) return false;
+  const { t, s } = toFrame(axis, p);
+  return t > JOIN_TOLERANCE && t < axis.length - JOIN_TOLERANCE && Math.abs(s) <= axis.half + JOIN_TOLERANCE;
+});
+
+// Extensions past each end for the left (+n) and right (-n) sides, and
+// whether the end is joined to something (joined ends get no end line)
+const resolveEnds = (axes) => {
+  const ends = axes.flatMap(axis => [0, 1].map(end => ({ axis, end, p: endPoint(axis, end) })));
+
+  axes.forEach((axis) => {
+    axis.ends = [0, 1].map((end) => {
+      const p = endPoint(axis, end);
+      const others = ends.filter(other => other.axis !== axis && distance(other.p, p) <= JOIN_TOLERANCE);
+      const d = inward(axis, end);
+      // Side +1 around the inward direction is the wall's left at its start, its right at its end
+      const toSides = ([plus, minus]) => (end === 0 ? { left: plus, right: minus } : { left: minus, right: plus });
+
+      if (others.length === 1) {
+        const other = others[0];
+        const own = { d, half: axis.half };
+        const theirs = { d: inward(other.axis, other.end), half: other.axis.half };
+        if (Math.abs(cross(own.d, theirs.d)) < 1e-6) {
+          // Straight continuation meets flush; doubling back is left alone
+          const straight = dot(own.d, theirs.d) < 0;
+          return { left: 0, right: 0, joined: straight };
+        }
+        const plus = mitre(own, theirs, 1);
+        const minus = mitre(own, theirs, -1);
+        if (plus !== null && minus !== null) {
+          return { ...toSides([plus, minus]), joined: true };
+        }
+        return { left: theirs.half, right: theirs.half, joined: true };
+      }
+
+      if (others.length > 1) {
+        const reach = Math.max(...others.map(other => other.axis.half));
+        return { left: reach, right: reach, joined: true };
+      }
+
+      const tee = findTee(axes, axis, p);
+      if (tee) {
+        // Reach the other wall's centreline, however steeply this one meets it
+        const sine = Math.max(Math.abs(cross(d, tee.u)), 0.25);
+        const reach = tee.half / sine;
+        return { left: reach, right: reach, joined: true, tee };
+      }
+
+      return { left: 0, right: 0, joined: false };
+    });
+  });
+};
+
+// Door and window symbols that lie along a wall, as { symbol, from, to }
+// intervals along that wall's centreline
+const findOpenings = (axes, symbols) => {
+  axes.forEach((axis) => {
+    axis.openings = [];
+  });
+
+  symbols.forEach((symbol) => {
+    const anchorOf = OPENING_ANCHORS[symbol.symbolType];
+    if (!anchorOf) return;
+
+    const local = anchorOf(symbol);
+    const anchor = toCanvas(symbol, local.x, local.y);
+    const origin = toCanvas(symbol, 0, 0);
+    const along = sub(toCanvas(symbol, 1, 0), origin);
+    const direction = { x: along.x / Math.hypot(along.x, along.y), y: along.y / Math.hypot(along.x, along.y) };
+
+    const host = axes
+      .map((axis) => ({ axis, ...toFrame(axis, anchor) }))
+      .filter(({ axis, t, s }) => (
+        Math.abs(cross(direction, axis.u)) <= OPENING_ALIGNMENT
+        && t >= 0 && t <= axis.length
+        && Math.abs(s) <= axis.half + JOIN_TOLERANCE
+      ))
+      .sort((a, b) => Math.abs(a.s) - Math.abs(b.s))[0];
+    if (!host) return;
+
+    const { axis } = host;
+    const w = symbol.width / 2;
+    const h = symbol.height / 2;
+    const spans = [[-w, -h], [w, -h], [w, h], [-w, h]].map(([x, y]) => toFrame(axis, toCanvas(symbol, x, y)).t);
+    const from = Math.max(0, Math.min(...spans));
+    const to = Math.min(axis.length, Math.max(...spans));
+    if (to - from > EPSILON) axis.openings.push({ symbol, from, to });
+  });
+
+  axes.forEach((axis) => {
+    axis.openings.sort((a, b) => a.from - b.from);
+  });
+};
+
+// Corners of the wall's whole outline, ignoring openings
+const outlineOf = (axis) => {
+  const [start, end] = axis.ends;
+  return [
+    at(axis, -start.left, axis.half),
+    at(axis, axis.length + end.left, axis.half),
+    at(axis, axis.length + end.right, -axis.half),
+    at(axis, -start.right, -axis.half)
+  ];
+};
+
+// The part of segment p→q (as fractions 0..1) strictly inside a convex polygon
+const insideInterval = (p, q, polygon) => {
+  const area = polygon.reduce((sum, corner, i) => sum + cross(corner, polygon[(i + 1) % polygon.length]), 0);
+  const orientation = Math.sign(area) || 1;
+  let from = 0;
+  let to = 1;
+
+  for (let i = 0; i < polygon.length; i += 1) {
+    const edge = sub(polygon[(i + 1) % polygon.length], polygon[i]);
+    const a = orientation * cross(edge, sub(p, polygon[i]));
+    const b = orientation * cross(edge, sub(q, p));
+    if (Math.abs(b) < 1e-9) {
+      if (a <= EPSILON) return null;
+    } else if (b > 0) {
+      from = Math.max(from, (EPSILON - a) / b);
+    } else {
+      to = Math.min(to, (EPSILON - a) / b);
+    }
+    if (to <= from) return null;
+  }
+  return [from, to];
+};
+
+// Removes the parts of segment p→q that lie inside any of `polygons`
+const clipSegment = ([p, q], polygons) => {
+  let pieces = [[0, 1]];
+  polygons.forEach((polygon) => {
+    const hidden = insideInterval(p, q, polygon);
+    if (!hidden) return;
+    pieces = pieces.flatMap(([from, to]) => [
+      [from, Math.min(to, hidden[0])],
+      [Math.max(from, hidden[1]), to]
+    ]).filter(([from, to]) => to - from > 1e-6);
+  });
+  const point = s => ({ x: p.x + (q.x - p.x) * s, y: p.y + (q.y - p.y) * s });
+  return pieces.map(([from, to]) => [point(from), point(to)]);
+};
+
+// Fill polygons and outline segments for one wall
+const drawingOf = (axis, others) => {
+  const [start, end] = axis.ends;
+  // Openings that overlap make one cut
+  const cuts = axis.openings.reduce((merged, { from, to }) => {
+    const last = merged[merged.length - 1];
+    if (last && from <= last[1]) {
+      last[1] = Math.max(last[1], to);
+    } else {
+      merged.push([from, to]);
+    }
+    return merged;
+  }, []);
+
+  // Runs of solid wall between the ends and the openings
+  const runs = [];
+  let left = -start.left;
+  let right = -start.right;
+  cuts.forEach(([from, to]) => {
+    runs.push({ left: [left, from], right: [right, from] });
+    left = to;
+    right = to;
+  });
+  runs.push({ left: [left, axis.length + end.left], right: [right, axis.length + end.right] });
+
+  const solid = runs.filter(run => run.left[1] - run.left[0] > EPSILON || run.right[1] - run.right[0] > EPSILON);
+  const fills = solid.map(run => [
+    at(axis, run.left[0], axis.half),
+    at(axis, run.left[1], axis.half),
+    at(axis, run.right[1], -axis.half),
+    at(axis, run.right[0], -axis.half)
+  ]);
+
+  const lines = [];
+  solid.forEach((run) => {
+    lines.push([at(axis, run.left[0], axis.half), at(axis, run.left[1], axis.half)]);
+    lines.push([at(axis, run.right[0], -axis.half), at(axis, run.right[1], -axis.half)]);
+  });
+  // Jambs either side of each opening, and the ends that aren't joined
+  cuts.forEach(([from, to]) => {
+    lines.push([at(axis, from, axis.half), at(axis, from, -axis.half)]);
+    lines.push([at(axis, to, axis.half), at(axis, to, -axis.half)]);
+  });
+  if (!start.joined) lines.push([at(axis, 0, axis.half), at(axis, 0, -axis.half)]);
+  if (!end.joined) lines.push([at(axis, axis.length, axis.half), at(axis, axis.length, -axis.half)]);
+
+  const polygons = others.map(outlineOf);
+  return { fills, lines: lines.flatMap(line => clipSegment(line, polygons)) };
+};
+
+const isShown = obj => obj.visible && obj.layerVisible !== false;
+
+// Axes of the given walls with their joins and openings worked out
+const analyze = (walls, symbols) => {
+  const axes = walls.map(getAxis).filter(axis => axis.length > 0);
+  resolveEnds(axes);
+  findOpenings(axes, symbols);
+  return axes;
+};
+
+const layoutOf = (walls, symbols) => {
+  const axes = analyze(walls, symbols);
+  const layout = new Map();
+  axes.forEach((axis) => {
+    layout.set(axis.wall, drawingOf(axis, axes.filter(other => other !== axis)));
+  });
+  return layout;
+};
+
+// Drawing for one wall. The layout of the whole canvas is worked out once and
+// kept until the walls change (see watchWallLayout); a wall that isn't on a
+// canvas, like a tool's preview, is laid out on its own.
+const getWallDrawing = (wall) => {
+  const { canvas } = wall;
+  if (canvas && canvas.getObjects().includes(wall)) {
+    if (!canvas.wallLayout) {
+      const objects = canvas.getObjects().filter(isShown);
+      canvas.wallLayout = layoutOf(
+        objects.filter(obj => obj.type === 'wall'),
+        objects.filter(obj => obj.type === 'archSymbol')
+      );
+    }
+    const drawing = canvas.wallLayout.get(wall);
+    if (drawing) return drawing;
+  }
+  return layoutOf([wall], []).get(wall) || { fills: [], lines: [] };
+};
+
+const invalidateWallLayout = (canvas) => {
+  canvas.wallLayout = null;
+  canvas.roomLayout = null;
+};
+
+const LAYOUT_EVENTS = ['object:added', 'object:modified', 'object:removed', 'object:moving', 'object:scaling', 'object:rotating'];
+const LAID_OUT_TYPES = ['wall', 'archSymbol', 'roomLabel'];
+
+// Keeps a canvas's wall layout, and the rooms found from the walls (see
+// rooms.js), until it goes out of date. Laying walls out compares every pair,
+// so it's redone when objects are added, changed or removed, not every frame.
+// Walls, openings and room labels shown or hidden by their layer, and a new
+// drawing scale, are caught by a quick look before each render. Returns a
+// function that stops watching.
+export const watchWallLayout = (canvas) => {
+  let shown = [];
+  let scale = canvas.drawingScale;
+
+  const invalidate = () => invalidateWallLayout(canvas);
+  const checkShown = () => {
+    const current = canvas.getObjects().filter(obj => LAID_OUT_TYPES.includes(obj.type) && isShown(obj));
+    if (canvas.drawingScale !== scale || current.length !== shown.length || current.some((obj, index) => obj !== shown[index])) {
+      invalidate();
+    }
+    shown = current;
+    scale = canvas.drawingScale;
+  };
+
+  LAYOUT_EVENTS.forEach(event => canvas.on(event, invalidate));
+  canvas.on('before:render', checkShown);
+  invalidate();
+
+  return () => {
+    LAYOUT_EVENTS.forEach(event => canvas.off(event, invalidate));
+    canvas.off('before:render', checkShown);
+    invalidate();
+  };
+};
+
+fabric.Wall = fabric.util.createClass(fabric.Line, {
+  type: 'wall',
+
+  // Walls are redrawn rather than resized; moving one keeps its joins
+  hasControls: false,
+
+  initialize(points, options = {}) {
+    this.callSuper('initialize', points, {
+      stroke: '#1f2937',
+      fill: '#cbd5e1',
+      strokeWidth: 8,
+      // fabric places a line by the corner of its stroked box, which moves a
+      // thick one off its points; placed by its middle, it runs between them
+      originX: 'center',
+      originY: 'center',
+      // Joins depend on the other walls, which a cache wouldn't notice
+      objectCaching: false,
+      ...options
+    });
+  },
+
+  _render(ctx) {
+    const { fills, lines } = getWallDrawing(this);
+
+    ctx.save();
+    // Layouts are in canvas coordinates
+    ctx.transform(...fabric.util.invertTransform(this.calcTransformMatrix()));
+
+    ctx.beginPath();
+    fills.forEach((polygon) => {
+      polygon.forEach(({ x, y }, i) => (i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y)));
+      ctx.closePath();
+    });
+    ctx.fillStyle = this.fill;
+    ctx.fill();
+
+    ctx.beginPath();
+    lines.forEach(([p, q]) => {
+      ctx.moveTo(p.x, p.y);
+      ctx.lineTo(q.x, q.y);
+    });
+    ctx.lineWidth = OUTLINE_WIDTH / (this.canvas?.getZoom() || 1);
+    ctx.lineCap = 'square';
+    ctx.strokeStyle = this.stroke;
+    ctx.stroke();
+    ctx.restore();
+  }
+});
+
+fabric.Wall.fromObject = (object, callback) => {
+  const options = { ...object, points: [object.x1, object.y1, object.x2, object.y2] };
+  fabric.Object._fromObject('Wall', options, (instance) => {
+    delete instance.points;
+    if (callback) callback(instance);
+  }, 'points');
+};
+
+// Turns a door or window symbol to lie along the nearest wall within
+// `tolerance` of it and centres it on that wall; windows also take the wall's
+// thickness. Returns whether it found a wall.
+export const fitSymbolToWall = (canvas, symbol, tolerance = 0) => {
+  const anchorOf = OPENING_ANCHORS[symbol.symbolType];
+  if (!anchorOf) return false;
+
+  const local = anchorOf(symbol);
+  const anchor = toCanvas(symbol, local.x, local.y);
+  const host = canvas.getObjects()
+    .filter(obj => obj.type === 'wall' && isShown(obj))
+    .map(getAxis)
+    .map(axis => ({ axis, ...toFrame(axis, anchor) }))
+    .filter(({ axis, t, s }) => t >= 0 && t <= axis.length && Math.abs(s) <= axis.half + tolerance)
+    .sort((a, b) => Math.abs(a.s) - Math.abs(b.s))[0];
+  if (!host) return false;
+
+  const { axis } = host;
+  const wallAngle = (Math.atan2(axis.u.y, axis.u.x) * 180) / Math.PI;
+  // Of the two ways along the wall, keep the one nearer the symbol's current turn
+  const turn = angle => Math.abs(((angle - symbol.angle) % 360 + 540) % 360 - 180);
+  const angle = turn(wallAngle) <= turn(wallAngle + 180) ? wallAngle : wallAngle + 180;
+
+  symbol.set({ angle: (angle + 360) % 360 });
+  if (symbol.symbolType === 'window') {
+    symbol.set({ height: (axis.half * 2) / Math.abs(symbol.scaleY) });
+  }
+  symbol.setCoords();
+
+  const { s } = toFrame(axis, toCanvas(symbol, anchorOf(symbol).x, anchorOf(symbol).y));
+  symbol.set({ left: symbol.left - axis.n.x * s, top: symbol.top - axis.n.y * s });
+  symbol.setCoords();
+  return true;
+};
+
+// The walls as a graph in real units (mm at the drawing scale): nodes where
+// wall ends meet, walls between nodes with their openings, walls ending on the
+// side of another wall (tees) and walls crossing each other. Hidden layers are
+// left out.
+export const buildWallGraph = (canvas, scale = DEFAULT_SCALE) => {
+  const objects = canvas.getObjects().filter(isShown);
+  const axes = analyze(
+    objects.filter(obj => obj.type === 'wall'),
+    objects.filter(obj => obj.type === 'archSymbol')
+  );
+  const mm = px => Math.round(pixelsToMm(px, scale));
+
+  const nodes = [];
+  const nodeAt = (p) => {
+    let node = nodes.find(candidate => distance(candidate.p, p) <= JOIN_TOLERANCE);
+    if (!node) {
+      node = { id: `n${nodes.length + 1}`, p };
+      nodes.push(node);
+    }
+    return node.id;
+  };
+
+  const walls = axes.map(axis => ({
+    id: axis.wall.id,
+    start: nodeAt(axis.a),
+    end: nodeAt(axis.b),
+    length: mm(axis.length),
+    thickness: mm(axis.half * 2),
+    openings: axis.openings.map(({ symbol, from, to }) => ({
+      symbolId: symbol.id,
+      type: symbol.symbolType,
+      offset: mm(from),
+      width: mm(to - from)
+    }))
+  }));
+
+  const tees = [];
+  axes.forEach((axis, index) => {
+    axis.ends.forEach((end, which) => {
+      if (end.tee) tees.push({ node: walls[index][which === 0 ? 'start' : 'end'], wall: end.tee.wall.id });
+    });
+  });
+
+  const crossings = [];
+  axes.forEach((axis, i) => {
+    axes.slice(i + 1).forEach((other) => {
+      const denominator = cross(axis.u, other.u);
+      if (Math.abs(denominator) < 1e-6) return;
+      const d = sub(other.a, axis.a);
+      const t = cross(d, other.u) / denominator;
+      const r = cross(d, axis.u) / denominator;
+      const inside = (value, length) => value > JOIN_TOLERANCE && value < length - JOIN_TOLERANCE;
+      if (inside(t, axis.length) && inside(r, other.length)) {
+        const p = at(axis, t, 0);
+        crossings.push({ walls: [axis.wall.id, other.wall.id], x: mm(p.x), y: mm(p.y) });
+      }
+    });
+  });
+
+  return {
+    scale,
+    nodes: nodes.map(({ id, p }) => ({ id, x: mm(p.x), y: mm(p.y) })),
+    walls,
+    tees,
+    crossings
+  };
+};
+
+export default fabric.Wall;
@@ -0,0 +1,91 @@
+/**
+ * @jest-environment jsdom
+ */
+import { fabric } from 'fabric';
+import { buildWallGraph } from './walls';
+import { createSymbol } from './architecturalSymbols';
+import { mmToPixels } from './units';
+
+// buildWallGraph only asks a canvas for its objects
+const canvasOf = objects => ({ getObjects: () => objects });
+
+// A 200 mm wall between two points given in mm at 1:100
+const wall = (id, [x1, y1, x2, y2]) => new fabric.Wall(
+  [x1, y1, x2, y2].map(mm => mmToPixels(mm)),
+  { id, strokeWidth: mmToPixels(200) }
+);
+
+describe('buildWallGraph', () => {
+  it('joins walls meeting end to end at a shared node', () => {
+    const graph = buildWallGraph(canvasOf([
+      wall('a', [0, 0, 4000, 0]),
+      wall('b', [4000, 0, 4000, 3000])
+    ]));
+
+    expect(graph.nodes).toHaveLength(3);
+    const [a, b] = graph.walls;
+    expect(a.end).toBe(b.start);
+    expect(a).toMatchObject({ id: 'a', length: 4000, thickness: 200, openings: [] });
+    expect(b).toMatchObject({ id: 'b', length: 3000 });
+    expect(graph.tees).toEqual([]);
+    expect(graph.crossings).toEqual([]);
+  });
+
+  it('records a wall ending on the side of another as a tee', () => {
+    const graph = buildWallGraph(canvasOf([
+      wall('a', [0, 0, 4000, 0]),
+      wall('b', [2000, 0, 2000, 3000])
+    ]));
+
+    const b = graph.walls.find(({ id }) => id === 'b');
+    expect(graph.tees).toEqual([{ node: b.start, wall: 'a' }]);
+    expect(graph.crossings).toEqual([]);
+  });
+
+  it('records walls crossing each other', () => {
+    const graph = buildWallGraph(canvasOf([
+      wall('a', [0, 2000, 4000, 2000]),
+      wall('b', [2000, 0, 2000, 4000])
+    ]));
+
+    expect(graph.nodes).toHaveLength(4);
+    expect(graph.tees).toEqual([]);
+    expect(graph.crossings).toHaveLength(1);
+    expect(graph.crossings[0].walls).toEqual(['a', 'b']);
+  });
+
+  it('gives a wall the openings of windows and doors along it', () => {
+    const host = wall('a', [0, 0, 4000, 0]);
+    const middle = host.getCenterPoint();
+    const window = createSymbol('window', { id: 'w', left: middle.x, top: middle.y });
+    // A door swings from its bottom edge, so that edge sits on the wall
+    const door = createSymbol('door', { id: 'd', left: middle.x - mmToPixels(1200), top: middle.y - mmToPixels(450) });
+
+    const [{ openings }] = buildWallGraph(canvasOf([host, window, door])).walls;
+
+    expect(openings).toEqual([
+      { symbolId: 'd', type: 'door', offset: 350, width: 900 },
+      { symbolId: 'w', type: 'window', offset: 1400, width: 1200 }
+    ]);
+  });
+
+  it('leaves out walls on hidden layers, and ignores symbols lying across a wall', () => {
+    const host = wall('a', [0, 0, 4000, 0]);
+    const hidden = wall('b', [0, 3000, 4000, 3000]);
+    hidden.layerVisible = false;
+    const middle = host.getCenterPoint();
+    const across = createSymbol('window', { id: 'w', left: middle.x, top: middle.y, angle: 90 });
+
+    const graph = buildWallGraph(canvasOf([host, hidden, across]));
+
+    expect(graph.walls.map(({ id }) => id)).toEqual(['a']);
+    expect(graph.walls[0].openings).toEqual([]);
+  });
+
+  it('measures in mm at the scale it is given', () => {
+    const [{ length, thickness }] = buildWallGraph(canvasOf([wall('a', [0, 0, 4000, 0])]), 50).walls;
+
+    expect(length).toBe(2000);
+    expect(thickness).toBe(100);
+  });
+});